@@ -216,6 +216,57 @@ Phaser.AnimationManager.prototype = {
 
     },
 
+    /**
+    * Adds the animations defined by the texture atlas the Sprite uses, such as the frame tags of an Aseprite export or the
+    * frame sequences of a libGDX atlas. See {@link Phaser.FrameData#animations}.
+    *
+    * ```javascript
+    * game.load.atlasAseprite('knight', 'knight.png', 'knight.json');
+    * // ...
+    * knight.animations.addAtlasAnimations();
+    * knight.animations.play('walk');
+    * ```
+    *
+    * @method Phaser.AnimationManager#addAtlasAnimations
+    * @param {string[]} [names] - The names of the animations to add. If not given all of them are added.
+    * @param {number} [frameRate=60] - The speed of the animations that the atlas has no frame rate for, in frames per second.
+    * @return {Phaser.Animation[]} The Animation objects that were created.
+    */
+    addAtlasAnimations: function (names, frameRate)
+    {
+
+        var output = [];
+
+        if (!this._frameData || !this._frameData.animations)
+        {
+            return output;
+        }
+
+        var animations = this._frameData.animations;
+
+        if (!names)
+        {
+            names = Object.keys(animations);
+        }
+
+        for (var i = 0; i < names.length; i++)
+        {
+            var animation = animations[names[i]];
+
+            if (animation)
+            {
+                output.push(this.add(names[i], animation.frames, animation.frameRate || frameRate, animation.loop, true));
+            }
+            else
+            {
+                console.warn('Phaser.AnimationManager.addAtlasAnimations: The texture atlas has no animation called "' + names[i] + '"');
+            }
+        }
+
+        return output;
+
+    },
+
     /**
     * Check whether the frames in the given array are valid and exist.
     *
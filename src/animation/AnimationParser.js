@@ -5,7 +5,7 @@
 */
 
 /**
-* Responsible for parsing sprite sheet and JSON data into the internal FrameData format that Phaser uses for animations.
+* Responsible for parsing sprite sheet and texture atlas data into the internal FrameData format that Phaser uses for animations.
 *
 * @class Phaser.AnimationParser
 * @static
@@ -369,6 +369,506 @@ Phaser.AnimationParser = {
 
         return data;
 
+    },
+
+    /**
+    * Parse the JSON data of an Aseprite export and extract the animation frame data from it.
+    *
+    * The frame tags become {@link Phaser.FrameData#animations}: `reverse` and `pingpong` tags play their frames in that order, and tags with a
+    * `repeat` count play that many times instead of looping. Frames have a duration each, so the frame rate of an animation is set from the
+    * durations of its frames, and a frame that lasts twice as long as the others is repeated in it.
+    *
+    * The slices become {@link Phaser.FrameData#slices}.
+    *
+    * @method Phaser.AnimationParser.JSONDataAseprite
+    * @param {Phaser.Game} game - A reference to the currently running game.
+    * @param {object} json - The JSON data exported by Aseprite, with the frames in Array or Hash format.
+    * @return {Phaser.FrameData} A FrameData object containing the parsed frames.
+    */
+    JSONDataAseprite: function (game, json)
+    {
+
+        //  Malformed?
+        if (!json['frames'])
+        {
+            console.warn('Phaser.AnimationParser.JSONDataAseprite: Invalid Aseprite JSON given, missing \'frames\'');
+            console.log(json);
+            return;
+        }
+
+        var data = new Phaser.FrameData();
+        var frames = json['frames'];
+        var durations = [];
+        var i;
+
+        if (Array.isArray(frames))
+        {
+            for (i = 0; i < frames.length; i++)
+            {
+                this.addJSONFrame(data, frames[i].filename, frames[i]);
+                durations.push(frames[i].duration || 100);
+            }
+        }
+        else
+        {
+            for (var key in frames)
+            {
+                this.addJSONFrame(data, key, frames[key]);
+                durations.push(frames[key].duration || 100);
+            }
+        }
+
+        var meta = json['meta'] || {};
+        var tags = meta['frameTags'] || [];
+
+        for (i = 0; i < tags.length; i++)
+        {
+            var tag = tags[i];
+            var indexes = [];
+
+            for (var f = tag.from; f <= tag.to && f < durations.length; f++)
+            {
+                indexes.push(f);
+            }
+
+            if (tag.direction === 'reverse' || tag.direction === 'pingpong_reverse')
+            {
+                indexes.reverse();
+            }
+
+            if ((tag.direction === 'pingpong' || tag.direction === 'pingpong_reverse') && indexes.length > 2)
+            {
+                indexes = indexes.concat(indexes.slice(1, -1).reverse());
+            }
+
+            data.animations[tag.name] = this.asepriteAnimation(indexes, durations, parseInt(tag.repeat, 10) || 0);
+        }
+
+        var slices = meta['slices'] || [];
+
+        for (i = 0; i < slices.length; i++)
+        {
+            var slice = slices[i];
+            var keys = [];
+
+            for (var k = 0; k < slice.keys.length; k++)
+            {
+                var sliceKey = slice.keys[k];
+                var bounds = sliceKey.bounds;
+                var center = sliceKey.center;
+
+                keys.push({
+                    name: slice.name,
+                    color: slice.color || '',
+                    data: slice.data || '',
+                    frame: sliceKey.frame,
+                    bounds: new Phaser.Rectangle(bounds.x, bounds.y, bounds.w, bounds.h),
+                    center: (center) ? new Phaser.Rectangle(center.x, center.y, center.w, center.h) : null,
+                    pivot: (sliceKey.pivot) ? new Phaser.Point(sliceKey.pivot.x, sliceKey.pivot.y) : null
+                });
+            }
+
+            data.slices[slice.name] = { name: slice.name, color: slice.color || '', data: slice.data || '', keys: keys };
+        }
+
+        return data;
+
+    },
+
+    /**
+    * Creates an animation of an Aseprite frame tag, with a frame rate that plays its frames for their durations.
+    *
+    * @method Phaser.AnimationParser.asepriteAnimation
+    * @private
+    * @param {integer[]} indexes - The indexes of the frames, in the order they are played.
+    * @param {number[]} durations - The durations of all the frames, in ms.
+    * @param {integer} repeat - How many times the animation plays, or 0 to loop it.
+    * @return {object} The animation, with its `frames`, `frameRate` and `loop`.
+    */
+    asepriteAnimation: function (indexes, durations, repeat)
+    {
+
+        var gcd = function (a, b)
+        {
+            return (b) ? gcd(b, a % b) : a;
+        };
+
+        var step = 0;
+        var total = 0;
+        var i;
+
+        for (i = 0; i < indexes.length; i++)
+        {
+            step = gcd(Math.round(durations[indexes[i]]), step);
+            total += durations[indexes[i]];
+        }
+
+        //  Durations with no common step, such as 100 and 33 ms, would need too many repeated frames, so they get the average
+        var average = step < 10;
+
+        if (average)
+        {
+            step = total / Math.max(1, indexes.length);
+        }
+
+        var frames = [];
+
+        for (i = 0; i < indexes.length; i++)
+        {
+            var count = (average) ? 1 : Math.round(durations[indexes[i]] / step);
+
+            for (var c = 0; c < count; c++)
+            {
+                frames.push(indexes[i]);
+            }
+        }
+
+        var sequence = frames;
+
+        for (i = 1; i < repeat; i++)
+        {
+            frames = frames.concat(sequence);
+        }
+
+        return { frames: frames, frameRate: (step > 0) ? 1000 / step : null, loop: (repeat === 0) };
+
+    },
+
+    /**
+    * Parse the text of a libGDX texture atlas, the format also used by Spine, in either its old format or that of libGDX 1.9.13 and Spine 4.
+    *
+    * @method Phaser.AnimationParser.parseLibGDX
+    * @param {string} text - The text of the atlas.
+    * @return {object[]} The pages of the atlas. Each one is an object with the `name` of its texture, its `width` and `height` (or 0 if the
+    * atlas hasn't them) and its `regions`. Each region is an object with its `name`, `index` (-1 if it isn't part of a sequence),
+    * `x`, `y`, `width` and `height` in the texture, `rotate` (the degrees the region is rotated by in the texture), and the
+    * `offsetX`, `offsetY` (from the bottom left), `originalWidth` and `originalHeight` of whitespace stripped regions.
+    */
+    parseLibGDX: function (text)
+    {
+
+        var pages = [];
+        var page = null;
+        var region = null;
+        var blank = true;
+        var lines = text.split(/\r\n|\r|\n/);
+
+        for (var i = 0; i < lines.length; i++)
+        {
+            var line = lines[i].trim();
+
+            if (line === '')
+            {
+                blank = true;
+                continue;
+            }
+
+            var colon = line.indexOf(':');
+
+            //  A name starts a page after a blank line, and a region otherwise
+            if (colon === -1)
+            {
+                if (blank || !page)
+                {
+                    page = { name: line, width: 0, height: 0, regions: [] };
+                    region = null;
+                    pages.push(page);
+                }
+                else
+                {
+                    region = {
+                        name: line,
+                        index: -1,
+                        x: 0,
+                        y: 0,
+                        width: 0,
+                        height: 0,
+                        rotate: 0,
+                        offsetX: 0,
+                        offsetY: 0,
+                        originalWidth: 0,
+                        originalHeight: 0
+                    };
+
+                    page.regions.push(region);
+                }
+
+                blank = false;
+                continue;
+            }
+
+            blank = false;
+
+            var field = line.substr(0, colon).trim();
+            var values = line.substr(colon + 1).split(',').map(function (value)
+            {
+                return value.trim();
+            });
+            var numbers = values.map(Number);
+
+            if (!region)
+            {
+                if (field === 'size')
+                {
+                    page.width = numbers[0];
+                    page.height = numbers[1];
+                }
+
+                continue;
+            }
+
+            switch (field)
+            {
+                case 'xy':
+                    region.x = numbers[0];
+                    region.y = numbers[1];
+                    break;
+
+                case 'size':
+                    region.width = numbers[0];
+                    region.height = numbers[1];
+                    break;
+
+                case 'bounds':
+                    region.x = numbers[0];
+                    region.y = numbers[1];
+                    region.width = numbers[2];
+                    region.height = numbers[3];
+                    break;
+
+                case 'orig':
+                    region.originalWidth = numbers[0];
+                    region.originalHeight = numbers[1];
+                    break;
+
+                case 'offset':
+                    region.offsetX = numbers[0];
+                    region.offsetY = numbers[1];
+                    break;
+
+                case 'offsets':
+                    region.offsetX = numbers[0];
+                    region.offsetY = numbers[1];
+                    region.originalWidth = numbers[2];
+                    region.originalHeight = numbers[3];
+                    break;
+
+                case 'rotate':
+                    if (values[0] === 'true')
+                    {
+                        region.rotate = 90;
+                    }
+                    else
+                    {
+                        region.rotate = numbers[0] || 0;
+                    }
+                    break;
+
+                case 'index':
+                    region.index = numbers[0];
+                    break;
+            }
+        }
+
+        return pages;
+
+    },
+
+    /**
+    * Parse the data of a libGDX or Spine texture atlas and extract the animation frame data from it.
+    *
+    * Regions with an index, the frames of a sequence, are named `name_index`, and each sequence becomes one of the
+    * {@link Phaser.FrameData#animations}, named after the regions. The frames of the regions of each page have its `textureIndex`.
+    *
+    * @method Phaser.AnimationParser.LibGDXData
+    * @param {Phaser.Game} game - A reference to the currently running game.
+    * @param {string|object[]} atlas - The text of the atlas, or its pages as returned by {@link Phaser.AnimationParser.parseLibGDX}.
+    * @return {Phaser.FrameData} A FrameData object containing the parsed frames.
+    */
+    LibGDXData: function (game, atlas)
+    {
+
+        var pages = (typeof atlas === 'string') ? this.parseLibGDX(atlas) : atlas;
+
+        //  Malformed?
+        if (!Array.isArray(pages) || pages.length === 0)
+        {
+            console.warn('Phaser.AnimationParser.LibGDXData: Invalid libGDX Texture Atlas given, no pages found');
+            return;
+        }
+
+        var data = new Phaser.FrameData();
+        var sequences = {};
+        var newFrame;
+
+        for (var p = 0; p < pages.length; p++)
+        {
+            var regions = pages[p].regions;
+
+            for (var i = 0; i < regions.length; i++)
+            {
+                var region = regions[i];
+                var name = region.name;
+
+                if (region.index >= 0)
+                {
+                    name += '_' + region.index;
+
+                    if (!sequences[region.name])
+                    {
+                        sequences[region.name] = [];
+                    }
+
+                    sequences[region.name].push({ index: region.index, frame: data.total });
+                }
+
+                //  As in TexturePacker atlases, the size is that of the region before it was rotated
+                newFrame = data.addFrame(new Phaser.Frame(data.total, region.x, region.y, region.width, region.height, name));
+
+                newFrame.textureIndex = p;
+
+                var originalWidth = region.originalWidth || region.width;
+                var originalHeight = region.originalHeight || region.height;
+
+                if (originalWidth !== region.width || originalHeight !== region.height || region.offsetX || region.offsetY)
+                {
+                    //  The offset is from the bottom left
+                    newFrame.setTrim(
+                        true,
+                        originalWidth,
+                        originalHeight,
+                        region.offsetX,
+                        originalHeight - region.offsetY - region.height,
+                        region.width,
+                        region.height
+                    );
+                }
+
+                //  libGDX rotates regions anticlockwise, unlike TexturePacker
+                if (region.rotate === 90)
+                {
+                    newFrame.rotated = true;
+                    newFrame.rotatedAnticlockwise = true;
+                }
+                else if (region.rotate)
+                {
+                    console.warn('Phaser.AnimationParser.LibGDXData: Region "' + name + '" is rotated by ' + region.rotate + ' degrees, only 90 is supported');
+                }
+            }
+        }
+
+        for (var key in sequences)
+        {
+            var sequence = sequences[key].sort(function (a, b)
+            {
+                return a.index - b.index;
+            });
+
+            data.animations[key] = {
+                frames: sequence.map(function (item)
+                {
+                    return item.frame;
+                }),
+                frameRate: null,
+                loop: true
+            };
+        }
+
+        return data;
+
+    },
+
+    /**
+    * Parse the JSON data of a TexturePacker multipack texture atlas, split over several textures, and extract the animation frame data from it.
+    *
+    * The data has a `textures` array, each with the `image` of a texture and its `frames`, in Array or Hash format.
+    * The frames of each texture have its `textureIndex`.
+    *
+    * @method Phaser.AnimationParser.JSONDataMultiPack
+    * @param {Phaser.Game} game - A reference to the currently running game.
+    * @param {object} json - The JSON data from the Texture Atlas. Must be in JSON multipack format.
+    * @return {Phaser.FrameData} A FrameData object containing the parsed frames.
+    */
+    JSONDataMultiPack: function (game, json)
+    {
+
+        //  Malformed?
+        if (!Array.isArray(json['textures']))
+        {
+            console.warn('Phaser.AnimationParser.JSONDataMultiPack: Invalid Texture Atlas JSON given, missing \'textures\' array');
+            console.log(json);
+            return;
+        }
+
+        var data = new Phaser.FrameData();
+        var textures = json['textures'];
+
+        for (var t = 0; t < textures.length; t++)
+        {
+            var frames = textures[t].frames || [];
+
+            if (Array.isArray(frames))
+            {
+                for (var i = 0; i < frames.length; i++)
+                {
+                    this.addJSONFrame(data, frames[i].filename, frames[i]).textureIndex = t;
+                }
+            }
+            else
+            {
+                for (var key in frames)
+                {
+                    this.addJSONFrame(data, key, frames[key]).textureIndex = t;
+                }
+            }
+        }
+
+        return data;
+
+    },
+
+    /**
+    * Adds a frame of the JSON data of a Texture Atlas, in TexturePacker format, to a FrameData.
+    *
+    * @method Phaser.AnimationParser.addJSONFrame
+    * @private
+    * @param {Phaser.FrameData} data - The FrameData to add the frame to.
+    * @param {string} name - The name of the frame.
+    * @param {object} json - The JSON data of the frame.
+    * @return {Phaser.Frame} The frame.
+    */
+    addJSONFrame: function (data, name, json)
+    {
+
+        var newFrame = data.addFrame(new Phaser.Frame(
+            data.total,
+            json.frame.x,
+            json.frame.y,
+            json.frame.w,
+            json.frame.h,
+            name
+        ));
+
+        if (json.trimmed)
+        {
+            newFrame.setTrim(
+                json.trimmed,
+                json.sourceSize.w,
+                json.sourceSize.h,
+                json.spriteSourceSize.x,
+                json.spriteSourceSize.y,
+                json.spriteSourceSize.w,
+                json.spriteSourceSize.h
+            );
+        }
+
+        if (json.rotated)
+        {
+            newFrame.rotated = true;
+        }
+
+        return newFrame;
+
     }
 
 };
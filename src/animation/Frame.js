@@ -70,11 +70,19 @@ Phaser.Frame = function (index, x, y, width, height, name)
     this.distance = Phaser.Math.distance(0, 0, width, height);
 
     /**
-    * @property {boolean} rotated - Is the frame rotated in the source texture?
+    * @property {boolean} rotated - Is the frame rotated by 90 degrees in the source texture? Its x and y are then those of the rotated frame
+    * in the texture, and its width and height those of the frame before it was rotated, as in TexturePacker atlases.
     * @default
     */
     this.rotated = false;
 
+    /**
+    * @property {boolean} rotatedAnticlockwise - If the frame is rotated, true if it is rotated anticlockwise in the source texture, as in libGDX
+    * and Spine atlases, rather than clockwise, as in TexturePacker ones.
+    * @default
+    */
+    this.rotatedAnticlockwise = false;
+
     /**
     * @property {boolean} trimmed - Was it trimmed when packed?
     * @default
@@ -125,6 +133,19 @@ Phaser.Frame = function (index, x, y, width, height, name)
     */
     this.bottom = this.y + this.height;
 
+    /**
+    * @property {integer} textureIndex - The index of the texture the frame is in, for texture atlases split over several textures.
+    * @default
+    */
+    this.textureIndex = 0;
+
+    /**
+    * @property {?PIXI.BaseTexture} baseTexture - The base texture the frame is in, for texture atlases split over several textures.
+    * Game Objects switch to it when they use the frame. It is null for the frames of other textures.
+    * @default
+    */
+    this.baseTexture = null;
+
 };
 
 Phaser.Frame.prototype = {
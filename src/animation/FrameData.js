@@ -25,6 +25,22 @@ Phaser.FrameData = function ()
     */
     this._frameNames = [];
 
+    /**
+    * The animations defined by the texture atlas, such as the frame tags of an Aseprite export, by name.
+    * Each one is an object with the `frames` (an array of frame indexes), the `frameRate` (or null if the atlas has none) and if it should `loop`.
+    * See {@link Phaser.AnimationManager#addAtlasAnimations}.
+    *
+    * @property {object} animations
+    */
+    this.animations = {};
+
+    /**
+    * The slices defined by the texture atlas, such as those of an Aseprite export, by name. See {@link #getSlice}.
+    *
+    * @property {object} slices
+    */
+    this.slices = {};
+
 };
 
 Phaser.FrameData.prototype = {
@@ -134,10 +150,49 @@ Phaser.FrameData.prototype = {
             }
         }
 
+        output.animations = this.animations;
+        output.slices = this.slices;
+
         return output;
 
     },
 
+    /**
+    * Gets a slice of the texture atlas as it is in a frame. Slices, such as those of Aseprite, mark areas of the frames, like hit boxes or
+    * the 9-slice scaling grid, and can change from frame to frame.
+    *
+    * @method Phaser.FrameData#getSlice
+    * @param {string} name - The name of the slice.
+    * @param {integer} [frame=0] - The index of the frame.
+    * @return {?object} The slice in the frame, or null if there is no such slice in it. It is an object with the `name`, `color` and `data` of
+    * the slice, and the `frame` it starts in, its `bounds` as a Phaser.Rectangle, and the `center` Rectangle of 9-slices and `pivot` Point, or null.
+    */
+    getSlice: function (name, frame)
+    {
+
+        if (frame === undefined) { frame = 0; }
+
+        var slice = this.slices[name];
+        var result = null;
+
+        if (!slice)
+        {
+            return null;
+        }
+
+        //  A key applies from its frame until the next key
+        for (var i = 0; i < slice.keys.length; i++)
+        {
+            if (slice.keys[i].frame <= frame)
+            {
+                result = slice.keys[i];
+            }
+        }
+
+        return result;
+
+    },
+
     /**
     * Returns a range of frames based on the given start and end frame indexes and returns them in an Array.
     *
@@ -256,7 +311,7 @@ Phaser.FrameData.prototype = {
     },
 
     /**
-    * Destroys this FrameData collection by nulling the _frames and _frameNames arrays.
+    * Destroys this FrameData collection by nulling the _frames and _frameNames arrays, and its animations and slices.
     *
     * @method Phaser.FrameData#destroy
     */
@@ -265,6 +320,8 @@ Phaser.FrameData.prototype = {
 
         this._frames = null;
         this._frameNames = null;
+        this.animations = null;
+        this.slices = null;
 
     }
 
@@ -125,6 +125,26 @@ Phaser.State = function ()
     */
     this.rnd = null;
 
+    /**
+    * When this State shuts down, remove the assets that nothing is using any more from the Cache.
+    *
+    * Set to `true` to remove the unreferenced images (destroying their textures), sounds and tilemaps,
+    * or to an array of cache types, i.e. `[ Phaser.Cache.IMAGE, Phaser.Cache.JSON ]`, to choose the caches to clear.
+    * This runs after the World has been cleared, so the Game Objects of this State no longer hold their assets.
+    * The memory freed is reported by {@link Phaser.Cache#onRemoveUnused}.
+    *
+    * Game Objects, Sounds, Tilemaps, Creatures, RetroFonts and Bitmap Fonts made from an atlas reference the assets they use.
+    * Anything else that keeps an asset from the Cache, such as a PIXI.Texture made with {@link Phaser.Cache#getBaseTexture}
+    * or data kept from {@link Phaser.Cache#getJSON}, must call {@link Phaser.Cache#addReference} to keep it from being removed.
+    *
+    * The files loaded by {@link Phaser.Loader#loadInBackground} for the States to come are kept until a Loader queues them again,
+    * such as in the `preload` method of the State that needs them, or they are released with {@link Phaser.Loader#releaseFile}.
+    *
+    * @property {boolean|integer[]} unloadUnusedAssets
+    * @default
+    */
+    this.unloadUnusedAssets = false;
+
 };
 
 Phaser.State.prototype = {
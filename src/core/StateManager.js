@@ -393,6 +393,8 @@ Phaser.StateManager.prototype = {
     /**
     * This method clears the current State, calling its shutdown callback. The process also removes any active tweens,
     * resets the camera, resets input, clears physics, removes timers and if set clears the world and cache too.
+    * If the cache isn't cleared and the State has {@link Phaser.State#unloadUnusedAssets} set, the assets no longer
+    * referenced by anything are removed from the cache instead.
     *
     * @method Phaser.StateManager#clearCurrentState
     */
@@ -432,6 +434,14 @@ Phaser.StateManager.prototype = {
                     this.game.cache.destroy();
                 }
             }
+
+            var state = this.states[this.current];
+            var unload = state && state.unloadUnusedAssets;
+
+            if (unload && !(this._clearWorld && this._clearCache))
+            {
+                this.game.cache.removeUnused(Array.isArray(unload) ? unload : undefined);
+            }
         }
 
     },
@@ -222,9 +222,19 @@ Phaser.Creature = function (game, x, y, key, mesh, animation, loadAnchors)
     */
     this.timeDelta = 0.05;
 
+    /**
+    * @property {string} _cacheReference - The key of the Cache image this Creature holds a reference to, if any.
+    * @private
+    */
+    this._cacheReference = null;
+
     if (typeof key === 'string')
     {
         var texture = new PIXI.Texture(game.cache.getBaseTexture(key));
+
+        //  Keeps the image in the Cache until this Creature is destroyed
+        game.cache.addReference(key, Phaser.Cache.IMAGE, this);
+        this._cacheReference = key;
     }
     else
     {
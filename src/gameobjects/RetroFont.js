@@ -175,6 +175,21 @@ Phaser.RetroFont = function (game, key, characterWidth, characterHeight, chars,
 Phaser.RetroFont.prototype = Object.create(Phaser.RenderTexture.prototype);
 Phaser.RetroFont.prototype.constructor = Phaser.RetroFont;
 
+/**
+* Destroys this RetroFont and its {@link #stamp}, which releases the font set image in the Cache.
+*
+* @method Phaser.RetroFont#destroy
+* @param {boolean} [destroyBase=false] - Whether to destroy the base texture as well.
+*/
+Phaser.RetroFont.prototype.destroy = function (destroyBase)
+{
+
+    this.stamp.destroy();
+
+    Phaser.RenderTexture.prototype.destroy.call(this, destroyBase);
+
+};
+
 /**
 * Align each line of multi-line text to the left.
 * @constant
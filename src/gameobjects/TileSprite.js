@@ -601,17 +601,40 @@ Phaser.TileSprite.prototype.generateTilingTexture = function (forcePowerOfTwo)
 
     var targetTexture = this.tintedTexture ? this.tintedTexture : texture.baseTexture.source;
 
-    this.canvasBuffer.context.drawImage(
-        targetTexture,
-        texture.crop.x,
-        texture.crop.y,
-        texture.crop.width,
-        texture.crop.height,
-        dx,
-        dy,
-        w,
-        h
-    );
+    if (texture.rotated)
+    {
+        //  The frame is stored rotated by 90 degrees in the texture, so it is drawn rotated back
+        var context = this.canvasBuffer.context;
+
+        context.save();
+
+        if (texture.rotatedAnticlockwise)
+        {
+            context.transform(0, 1, -1, 0, dx + w, dy);
+        }
+        else
+        {
+            context.transform(0, -1, 1, 0, dx, dy + h);
+        }
+
+        context.drawImage(targetTexture, texture.crop.x, texture.crop.y, texture.crop.height, texture.crop.width, 0, 0, h, w);
+
+        context.restore();
+    }
+    else
+    {
+        this.canvasBuffer.context.drawImage(
+            targetTexture,
+            texture.crop.x,
+            texture.crop.y,
+            texture.crop.width,
+            texture.crop.height,
+            dx,
+            dy,
+            w,
+            h
+        );
+    }
 
     this.tileScaleOffset.x = frame.width / targetWidth;
     this.tileScaleOffset.y = frame.height / targetHeight;
@@ -106,6 +106,24 @@ Phaser.Component.Crop.prototype = {
         var cw = Math.min(this._frame.right, this._crop.right) - cx;
         var ch = Math.min(this._frame.bottom, this._crop.bottom) - cy;
 
+        if (this.texture.rotated)
+        {
+            //  The frame is rotated by 90 degrees in the texture, and so is the area cropped from it
+            var ox = cx - this._frame.x;
+            var oy = cy - this._frame.y;
+
+            if (this.texture.rotatedAnticlockwise)
+            {
+                cx = this._frame.x + oy;
+                cy = this._frame.y + this._frame.width - (ox + cw);
+            }
+            else
+            {
+                cx = this._frame.x + this._frame.height - (oy + ch);
+                cy = this._frame.y + ox;
+            }
+        }
+
         this.texture.crop.x = cx;
         this.texture.crop.y = cy;
         this.texture.crop.width = cw;
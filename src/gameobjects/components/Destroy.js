@@ -116,6 +116,12 @@ Phaser.Component.Destroy.prototype = {
             this.key.onChangeSource.remove(this.resizeFrame, this);
         }
 
+        if (this._cacheReference)
+        {
+            this.game.cache.removeReference(this._cacheReference, Phaser.Cache.IMAGE, this);
+            this._cacheReference = null;
+        }
+
         if (Phaser.BitmapText && this._glyphs)
         {
             this._glyphs = [];
@@ -25,6 +25,12 @@ Phaser.Component.LoadTexture.prototype = {
     */
     _frame: null,
 
+    /**
+    * @property {string} _cacheReference - The key of the Cache image this Game Object holds a reference to, if any.
+    * @private
+    */
+    _cacheReference: null,
+
     /**
     * Changes the base texture the Game Object is using. The old texture is removed and the new one is referenced or fetched from the Cache.
     * 
@@ -70,6 +76,12 @@ Phaser.Component.LoadTexture.prototype = {
         this.customRender = false;
         var cache = this.game.cache;
 
+        if (this._cacheReference)
+        {
+            cache.removeReference(this._cacheReference, Phaser.Cache.IMAGE, this);
+            this._cacheReference = null;
+        }
+
         var setFrame = true;
         var smoothed = !this.texture.baseTexture.scaleMode;
 
@@ -121,6 +133,9 @@ Phaser.Component.LoadTexture.prototype = {
             this.key = img.key;
             this.setTexture(new PIXI.Texture(img.base));
 
+            cache.addReference(img.key, Phaser.Cache.IMAGE, this);
+            this._cacheReference = img.key;
+
             if (key === '__default')
             {
                 this.texture.baseTexture.skipRender = true;
@@ -158,6 +173,12 @@ Phaser.Component.LoadTexture.prototype = {
 
         this._frame = frame;
 
+        //  The frames of a texture atlas split over several textures each have their own
+        if (frame.baseTexture && frame.baseTexture !== this.texture.baseTexture)
+        {
+            this.texture.baseTexture = frame.baseTexture;
+        }
+
         this.texture.frame.x = frame.x;
         this.texture.frame.y = frame.y;
         this.texture.frame.width = frame.width;
@@ -192,10 +213,9 @@ Phaser.Component.LoadTexture.prototype = {
             this.texture.trim = null;
         }
 
-        if (frame.rotated)
-        {
-            this.texture.rotated = true;
-        }
+        //  The UVs and the canvas drawing of rotated frames are rotated back
+        this.texture.rotated = !!frame.rotated;
+        this.texture.rotatedAnticlockwise = !!frame.rotatedAnticlockwise;
 
         if (this.cropRect)
         {
@@ -870,6 +870,25 @@ Phaser.InputHandler.prototype = {
                 }
             }
 
+            if (this.sprite.texture.rotated)
+            {
+                //  The frame is rotated by 90 degrees in the texture
+                var crop = this.sprite.texture.crop;
+                var ox = x - crop.x;
+                var oy = y - crop.y;
+
+                if (this.sprite.texture.rotatedAnticlockwise)
+                {
+                    x = crop.x + oy;
+                    y = crop.y + crop.width - ox;
+                }
+                else
+                {
+                    x = crop.x + crop.height - oy;
+                    y = crop.y + ox;
+                }
+            }
+
             this._dx = x;
             this._dy = y;
 
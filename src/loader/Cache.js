@@ -114,6 +114,41 @@ Phaser.Cache = function (game)
     this._cacheMap[Phaser.Cache.SHADER] = this._cache.shader;
     this._cacheMap[Phaser.Cache.RENDER_TEXTURE] = this._cache.renderTexture;
 
+    /**
+    * @property {array} _removeMap - Const to remove method look-up array.
+    * @private
+    */
+    this._removeMap = [];
+
+    this._removeMap[Phaser.Cache.CANVAS] = 'removeCanvas';
+    this._removeMap[Phaser.Cache.IMAGE] = 'removeImage';
+    this._removeMap[Phaser.Cache.SOUND] = 'removeSound';
+    this._removeMap[Phaser.Cache.TEXT] = 'removeText';
+    this._removeMap[Phaser.Cache.PHYSICS] = 'removePhysics';
+    this._removeMap[Phaser.Cache.TILEMAP] = 'removeTilemap';
+    this._removeMap[Phaser.Cache.BINARY] = 'removeBinary';
+    this._removeMap[Phaser.Cache.BITMAPDATA] = 'removeBitmapData';
+    this._removeMap[Phaser.Cache.BITMAPFONT] = 'removeBitmapFont';
+    this._removeMap[Phaser.Cache.JSON] = 'removeJSON';
+    this._removeMap[Phaser.Cache.XML] = 'removeXML';
+    this._removeMap[Phaser.Cache.VIDEO] = 'removeVideo';
+    this._removeMap[Phaser.Cache.SHADER] = 'removeShader';
+    this._removeMap[Phaser.Cache.RENDER_TEXTURE] = 'removeRenderTexture';
+
+    /**
+    * The objects referencing each cache entry, indexed by cache type and then by key.
+    * @property {array} _references
+    * @private
+    */
+    this._references = [];
+
+    /**
+    * This event is dispatched by {@link #removeUnused} once the unreferenced entries have been removed.
+    * It is sent the same report object that `removeUnused` returns.
+    * @property {Phaser.Signal} onRemoveUnused
+    */
+    this.onRemoveUnused = new Phaser.Signal();
+
     /**
      * @property {number}
      * @private
@@ -221,6 +256,17 @@ Phaser.Cache.SHADER = 14;
 */
 Phaser.Cache.RENDER_TEXTURE = 15;
 
+/**
+* The cache types whose entries are reference-counted by Game Objects: images (by Sprites and other textured Game Objects,
+* Tilemaps and Bitmap Fonts made from a texture atlas), sounds (by Phaser.Sound) and tilemaps (by Phaser.Tilemap).
+*
+* This is the default set of caches that {@link Phaser.Cache#removeUnused} clears.
+*
+* @constant
+* @type {integer[]}
+*/
+Phaser.Cache.REFERENCED = [ Phaser.Cache.IMAGE, Phaser.Cache.SOUND, Phaser.Cache.TILEMAP ];
+
 /**
 * The default image used for a texture when no other is specified.
 * @constant
@@ -285,7 +331,7 @@ Phaser.Cache.prototype = {
     * @param {string} key - The key that this asset will be stored in the cache under. This should be unique within this cache.
     * @param {string} url
     * @param {string} extension
-    * @param {array} arrayBuffer
+    * @param {ArrayBuffer|object} arrayBuffer - The texture file, or the texture already parsed from it (such as a transcoded KTX2 texture).
     * @return {object} The compressed texture entry.
     */
     addCompressedTextureMetaData: function (key, url, extension, arrayBuffer)
@@ -296,7 +342,7 @@ Phaser.Cache.prototype = {
             this.removeImage(key);
         }
 
-        var data = (extension in Phaser.LoaderParser) ? Phaser.LoaderParser[extension](arrayBuffer) : arrayBuffer;
+        var data = (extension in Phaser.LoaderParser && arrayBuffer instanceof ArrayBuffer) ? Phaser.LoaderParser[extension](arrayBuffer) : arrayBuffer;
 
         var texture = {
             key: key,
@@ -531,7 +577,7 @@ Phaser.Cache.prototype = {
     * @method Phaser.Cache#addTilemap
     * @param {string} key - The key that this asset will be stored in the cache under. This should be unique within this cache.
     * @param {string} url - The URL the asset was loaded from. If the asset was not loaded externally set to `null`.
-    * @param {object} mapData - The tilemap data object (either a CSV or JSON file).
+    * @param {object} mapData - The tilemap data object (either a CSV or JSON file, or the JSON a TMX file was converted to).
     * @param {number} format - The format of the tilemap data.
     */
     addTilemap: function (key, url, mapData, format)
@@ -655,7 +701,7 @@ Phaser.Cache.prototype = {
 
         var obj = {
             font: null,
-            base: this.getBaseTexture(atlasKey),
+            base: frame.baseTexture || this.getBaseTexture(atlasKey),
             frame: frame
         };
 
@@ -675,6 +721,10 @@ Phaser.Cache.prototype = {
             obj.font = Phaser.LoaderParser.xmlBitmapFont(fontData, obj.base, xSpacing, ySpacing, frame, this.game.resolution);
         }
 
+        this.addReference(atlasKey, Phaser.Cache.IMAGE, obj);
+
+        obj.atlasKey = atlasKey;
+
         this._cache.bitmapFont[key] = obj;
 
     },
@@ -804,23 +854,40 @@ Phaser.Cache.prototype = {
     /**
     * Add a new texture atlas to the Cache.
     *
+    * Texture atlases split over several textures, such as libGDX atlases with several pages and TexturePacker multipacks, are given an array of
+    * the images, in the order the atlas data has them. The entry then has a `textures` array with the `data` and `base` of each one, and
+    * its frames have the `baseTexture` they are in.
+    *
     * @method Phaser.Cache#addTextureAtlas
     * @param {string} key - The key that this asset will be stored in the cache under. This should be unique within this cache.
     * @param {string} url - The URL the asset was loaded from. If the asset was not loaded externally set to `null`.
-    * @param {object} data - Extra texture atlas data.
+    * @param {object|object[]} data - Extra texture atlas data, or an array of them for atlases split over several textures.
     * @param {object} atlasData  - Texture atlas frames data.
     * @param {number} format - The format of the texture atlas.
     */
     addTextureAtlas: function (key, url, data, atlasData, format)
     {
 
+        var images = Array.isArray(data) ? data : [ data ];
+        var textures = [];
+
+        for (var i = 0; i < images.length; i++)
+        {
+            textures.push({ data: images[i], base: new PIXI.BaseTexture(images[i], null, this.game.resolution) });
+        }
+
         var obj = {
             key: key,
             url: url,
-            data: data,
-            base: new PIXI.BaseTexture(data, null, this.game.resolution)
+            data: textures[0].data,
+            base: textures[0].base
         };
 
+        if (Array.isArray(data))
+        {
+            obj.textures = textures;
+        }
+
         if (format === Phaser.Loader.TEXTURE_ATLAS_XML_STARLING)
         {
             obj.frameData = Phaser.AnimationParser.XMLData(this.game, atlasData, key);
@@ -829,6 +896,18 @@ Phaser.Cache.prototype = {
         {
             obj.frameData = Phaser.AnimationParser.JSONDataPyxel(this.game, atlasData, key);
         }
+        else if (format === Phaser.Loader.TEXTURE_ATLAS_JSON_ASEPRITE)
+        {
+            obj.frameData = Phaser.AnimationParser.JSONDataAseprite(this.game, atlasData, key);
+        }
+        else if (format === Phaser.Loader.TEXTURE_ATLAS_LIBGDX)
+        {
+            obj.frameData = Phaser.AnimationParser.LibGDXData(this.game, atlasData, key);
+        }
+        else if (format === Phaser.Loader.TEXTURE_ATLAS_JSON_MULTIPACK)
+        {
+            obj.frameData = Phaser.AnimationParser.JSONDataMultiPack(this.game, atlasData, key);
+        }
         else
         {
             //  Let's just work it out from the frames array
@@ -842,6 +921,23 @@ Phaser.Cache.prototype = {
             }
         }
 
+        if (obj.frameData && textures.length > 1)
+        {
+            var frames = obj.frameData.getFrames();
+
+            for (var f = 0; f < frames.length; f++)
+            {
+                if (textures[frames[f].textureIndex])
+                {
+                    frames[f].baseTexture = textures[frames[f].textureIndex].base;
+                }
+                else
+                {
+                    console.warn('Phaser.Cache.addTextureAtlas: Frame "' + frames[f].name + '" of ' + key + ' is in a missing texture');
+                }
+            }
+        }
+
         this._cache.image[key] = obj;
 
         this._resolveURL(url, obj);
@@ -1464,7 +1560,7 @@ Phaser.Cache.prototype = {
     },
 
     /**
-    * Gets a raw Tilemap data object from the cache. This will be in either CSV or JSON format.
+    * Gets a raw Tilemap data object from the cache. This will be in either CSV or JSON format. TMX maps are stored converted to JSON.
     *
     * The object is looked-up based on the key given.
     *
@@ -1914,6 +2010,14 @@ Phaser.Cache.prototype = {
             img.base.destroy();
         }
 
+        if (destroyBaseTexture && img.textures)
+        {
+            for (var i = 1; i < img.textures.length; i++)
+            {
+                img.textures[i].base.destroy();
+            }
+        }
+
         delete this._cache.image[key];
 
     },
@@ -2030,6 +2134,13 @@ Phaser.Cache.prototype = {
     removeBitmapFont: function (key)
     {
 
+        var font = this._cache.bitmapFont[key];
+
+        if (font && font.atlasKey)
+        {
+            this.removeReference(font.atlasKey, Phaser.Cache.IMAGE, font);
+        }
+
         delete this._cache.bitmapFont[key];
 
     },
@@ -2146,6 +2257,496 @@ Phaser.Cache.prototype = {
 
     },
 
+    // //////////////////////////////
+    //  Reference Counting Methods //
+    // //////////////////////////////
+
+    /**
+    * Records that the given object is using the cache entry with the given key.
+    *
+    * Sprites (and every Game Object that loads its texture from the Cache), Sounds and Tilemaps call this automatically,
+    * so you only need it for your own objects that hold on to cache data. Each owner is counted once per entry,
+    * no matter how often it is added. Call {@link #removeReference} once the owner no longer needs the entry.
+    *
+    * @method Phaser.Cache#addReference
+    * @param {string} key - The key of the cache entry.
+    * @param {integer} cache - The cache the entry is in, i.e. `Phaser.Cache.IMAGE`.
+    * @param {object} owner - The object using the entry.
+    * @return {integer} The number of objects now referencing the entry.
+    */
+    addReference: function (key, cache, owner)
+    {
+
+        if (!this._references[cache])
+        {
+            this._references[cache] = {};
+        }
+
+        var owners = this._references[cache][key];
+
+        if (!owners)
+        {
+            owners = [];
+            this._references[cache][key] = owners;
+        }
+
+        if (owners.indexOf(owner) === -1)
+        {
+            owners.push(owner);
+        }
+
+        return owners.length;
+
+    },
+
+    /**
+    * Records that the given object has stopped using the cache entry with the given key.
+    *
+    * Removing an owner that isn't referencing the entry does nothing.
+    *
+    * @method Phaser.Cache#removeReference
+    * @param {string} key - The key of the cache entry.
+    * @param {integer} cache - The cache the entry is in, i.e. `Phaser.Cache.IMAGE`.
+    * @param {object} owner - The object that was using the entry.
+    * @return {integer} The number of objects still referencing the entry.
+    */
+    removeReference: function (key, cache, owner)
+    {
+
+        var owners = this._references[cache] && this._references[cache][key];
+
+        if (!owners)
+        {
+            return 0;
+        }
+
+        var index = owners.indexOf(owner);
+
+        if (index !== -1)
+        {
+            owners.splice(index, 1);
+        }
+
+        if (owners.length === 0)
+        {
+            delete this._references[cache][key];
+        }
+
+        return owners.length;
+
+    },
+
+    /**
+    * Gets the number of objects referencing the cache entry with the given key.
+    *
+    * @method Phaser.Cache#getReferenceCount
+    * @param {string} key - The key of the cache entry.
+    * @param {integer} cache - The cache the entry is in, i.e. `Phaser.Cache.IMAGE`.
+    * @return {integer} The number of objects referencing the entry.
+    */
+    getReferenceCount: function (key, cache)
+    {
+
+        var owners = this._references[cache] && this._references[cache][key];
+
+        return (owners) ? owners.length : 0;
+
+    },
+
+    /**
+    * Gets the objects referencing the cache entry with the given key.
+    *
+    * @method Phaser.Cache#getReferences
+    * @param {string} key - The key of the cache entry.
+    * @param {integer} cache - The cache the entry is in, i.e. `Phaser.Cache.IMAGE`.
+    * @return {array} A new array containing the objects referencing the entry.
+    */
+    getReferences: function (key, cache)
+    {
+
+        var owners = this._references[cache] && this._references[cache][key];
+
+        return (owners) ? owners.slice() : [];
+
+    },
+
+    /**
+    * Removes every entry that no object is referencing from the given caches, destroying the textures of any removed images.
+    *
+    * Only images, sounds and tilemaps are reference-counted by the objects using them (see {@link Phaser.Cache.REFERENCED}).
+    * Entries of any other cache you list are removed, unless they are files the {@link Phaser.Loader#backgroundLoader} has
+    * loaded for a State to come: it references every file it loads until a Loader queues it again (see {@link Phaser.Loader#releaseFile}).
+    * The DEFAULT and MISSING images are always kept.
+    *
+    * References are only released when their owners are destroyed, so a Sound or Tilemap you have finished with
+    * keeps its assets in the cache until you call its `destroy` method.
+    *
+    * This is called automatically on a State change if the State being left has its
+    * {@link Phaser.State#unloadUnusedAssets unloadUnusedAssets} property set.
+    *
+    * The report returned (and sent to {@link #onRemoveUnused}) has the properties:
+    *
+    * `total` - The number of entries removed.
+    * `keys` - The keys removed, in arrays named after the caches they were in, i.e. `keys.image`.
+    * `textureMemory` - The estimated bytes of texture data released by the removed images.
+    * `gpuMemory` - The part of `textureMemory` that had been uploaded to the GPU as WebGL textures.
+    *
+    * @method Phaser.Cache#removeUnused
+    * @param {integer[]} [caches=Phaser.Cache.REFERENCED] - The caches to remove the unused entries from.
+    * @return {object} A report of the entries removed and the memory freed.
+    */
+    removeUnused: function (caches)
+    {
+
+        if (caches === undefined) { caches = Phaser.Cache.REFERENCED; }
+
+        var report = { total: 0, keys: {}, textureMemory: 0, gpuMemory: 0 };
+
+        for (var i = 0; i < caches.length; i++)
+        {
+            var cache = caches[i];
+            var items = this._cacheMap[cache];
+
+            if (!items)
+            {
+                continue;
+            }
+
+            var keys = [];
+
+            for (var key in items)
+            {
+                if (key !== Phaser.Cache.DEFAULT_KEY && key !== Phaser.Cache.MISSING_KEY && this.getReferenceCount(key, cache) === 0)
+                {
+                    keys.push(key);
+                }
+            }
+
+            for (var k = 0; k < keys.length; k++)
+            {
+                if (cache === Phaser.Cache.IMAGE)
+                {
+                    this._addTextureMemory(report, items[keys[k]]);
+                }
+
+                if (this._removeMap[cache])
+                {
+                    this[this._removeMap[cache]](keys[k]);
+                }
+                else
+                {
+                    delete items[keys[k]];
+                }
+            }
+
+            report.keys[this._getCacheName(cache)] = keys;
+            report.total += keys.length;
+        }
+
+        this.onRemoveUnused.dispatch(report);
+
+        return report;
+
+    },
+
+    /**
+    * Gets a report of everything in the cache, to help find what is using memory.
+    *
+    * The report lists every entry of the given caches with its dimensions (for images, canvases, BitmapDatas,
+    * RenderTextures, videos and bitmap fonts), its estimated size in bytes and the objects referencing it
+    * (see {@link #addReference}). The sizes are estimates: images count 4 bytes per pixel once decoded (or the size
+    * of the data of a compressed texture), decoded sounds 4 bytes per sample and channel, and data such as json,
+    * xml and text the memory used by its text. Entries sharing a texture with another, such as Bitmap Fonts made
+    * from a texture atlas, count it only once.
+    *
+    * Measuring data means serializing it, so the size of each entry's data is kept until the data is replaced,
+    * and changes made to json or xml data after it was first measured aren't counted.
+    *
+    * The report has the properties:
+    *
+    * `count` - The number of entries listed.
+    * `bytes` - The estimated size of all of the entries.
+    * `caches` - An object for each cache, named as in {@link #removeUnused}, with `count`, `bytes` and `entries` properties.
+    * Each entry has `key`, `width`, `height`, `bytes` and `references` properties. The `width` and `height` are `null`
+    * for assets without any dimensions, and the entries are sorted from the largest to the smallest.
+    *
+    * {@link Phaser.Utils.Debug#cache} renders this report.
+    *
+    * @method Phaser.Cache#getReport
+    * @param {integer[]} [caches] - The caches to report on, i.e. `[ Phaser.Cache.IMAGE, Phaser.Cache.SOUND ]`. All of them if not given.
+    * @return {object} The report.
+    */
+    getReport: function (caches)
+    {
+
+        var report = { count: 0, bytes: 0, caches: {} };
+
+        for (var cache = 0; cache < this._cacheMap.length; cache++)
+        {
+            var items = this._cacheMap[cache];
+
+            if (!items || (caches && caches.indexOf(cache) === -1))
+            {
+                continue;
+            }
+
+            var section = { count: 0, bytes: 0, entries: [] };
+
+            for (var key in items)
+            {
+                var entry = this._getItemSize(cache, items[key]);
+
+                entry.key = key;
+                entry.references = this.getReferences(key, cache);
+
+                section.entries.push(entry);
+                section.count++;
+                section.bytes += entry.bytes;
+            }
+
+            section.entries.sort(function (a, b)
+            {
+                return b.bytes - a.bytes;
+            });
+
+            report.caches[this._getCacheName(cache)] = section;
+            report.count += section.count;
+            report.bytes += section.bytes;
+        }
+
+        return report;
+
+    },
+
+    /**
+    * Estimates the memory used by a BaseTexture: the size of the data of a compressed texture,
+    * otherwise 4 bytes for every pixel.
+    *
+    * @method Phaser.Cache#getTextureMemory
+    * @param {PIXI.BaseTexture} base - The BaseTexture to measure.
+    * @return {integer} The estimated size of the texture in bytes.
+    */
+    getTextureMemory: function (base)
+    {
+
+        if (!base || !base.source)
+        {
+            return 0;
+        }
+
+        if (base.source.textureData)
+        {
+            return base.source.textureData.byteLength;
+        }
+
+        return base.width * base.height * 4;
+
+    },
+
+    /**
+    * Gets the dimensions and estimated size in bytes of a cache entry, for {@link #getReport}.
+    *
+    * @method Phaser.Cache#_getItemSize
+    * @private
+    * @param {integer} cache - The cache the entry is in, i.e. `Phaser.Cache.IMAGE`.
+    * @param {object} item - The cache entry.
+    * @return {object} An object with `width`, `height` and `bytes` properties.
+    */
+    _getItemSize: function (cache, item)
+    {
+
+        var size = { width: null, height: null, bytes: 0 };
+        var source = null;
+
+        switch (cache)
+        {
+            case Phaser.Cache.IMAGE:
+                size.width = item.base.width;
+                size.height = item.base.height;
+                size.bytes = this.getTextureMemory(item.base);
+
+                if (item.textures)
+                {
+                    for (var i = 1; i < item.textures.length; i++)
+                    {
+                        size.bytes += this.getTextureMemory(item.textures[i].base);
+                    }
+                }
+                break;
+
+            case Phaser.Cache.BITMAPFONT:
+                //  A font made from a texture atlas shares the texture of the atlas
+                if (!item.atlasKey)
+                {
+                    size.width = item.base.width;
+                    size.height = item.base.height;
+                    size.bytes = this.getTextureMemory(item.base);
+                }
+                break;
+
+            case Phaser.Cache.TEXTURE:
+                size.width = item.frame.width;
+                size.height = item.frame.height;
+                break;
+
+            case Phaser.Cache.CANVAS:
+                source = item.canvas;
+                break;
+
+            case Phaser.Cache.BITMAPDATA:
+                source = item.data;
+                break;
+
+            case Phaser.Cache.RENDER_TEXTURE:
+                source = item.texture;
+                break;
+
+            case Phaser.Cache.VIDEO:
+                //  Only the current frame of a video is held decoded
+                size.width = (item.data && item.data.videoWidth) || 0;
+                size.height = (item.data && item.data.videoHeight) || 0;
+                size.bytes = size.width * size.height * 4;
+                break;
+
+            case Phaser.Cache.BINARY:
+                size.bytes = this._getDataSize(item);
+                break;
+
+            default:
+                //  Measuring json and xml is slow, and Debug#cache asks for the report every frame
+                if (!item._dataSize || item._dataSize.data !== item.data)
+                {
+                    item._dataSize = { data: item.data, bytes: this._getDataSize(item.data) };
+                }
+
+                size.bytes = item._dataSize.bytes;
+                break;
+        }
+
+        if (source)
+        {
+            size.width = source.width;
+            size.height = source.height;
+            size.bytes = source.width * source.height * 4;
+        }
+
+        return size;
+
+    },
+
+    /**
+    * Estimates the memory used by the data of a cache entry: the length of an ArrayBuffer, the samples of a decoded
+    * AudioBuffer, or the characters of a string or the text form of a json object or xml document.
+    *
+    * @method Phaser.Cache#_getDataSize
+    * @private
+    * @param {any} data - The data to measure.
+    * @return {integer} The estimated size of the data in bytes.
+    */
+    _getDataSize: function (data)
+    {
+
+        if (!data)
+        {
+            return 0;
+        }
+
+        if (typeof data === 'string')
+        {
+            return data.length * 2;
+        }
+
+        if (data.byteLength !== undefined)
+        {
+            return data.byteLength;
+        }
+
+        if (data.numberOfChannels !== undefined)
+        {
+            //  A decoded AudioBuffer holds 32-bit float samples
+            return data.length * data.numberOfChannels * 4;
+        }
+
+        if (data.documentElement)
+        {
+            return (window.XMLSerializer) ? new XMLSerializer().serializeToString(data).length * 2 : 0;
+        }
+
+        if (data.nodeType)
+        {
+            //  An audio tag or other DOM element, whose memory the browser manages
+            return 0;
+        }
+
+        try
+        {
+            return JSON.stringify(data).length * 2;
+        }
+        catch (e)
+        {
+            return 0;
+        }
+
+    },
+
+    /**
+    * Adds the estimated memory used by the textures of a cached image to a {@link #removeUnused} report.
+    *
+    * @method Phaser.Cache#_addTextureMemory
+    * @private
+    * @param {object} report - The report to update.
+    * @param {object} img - The image cache entry.
+    */
+    _addTextureMemory: function (report, img)
+    {
+
+        var bases = [ img.base ];
+
+        if (img.textures)
+        {
+            for (var i = 1; i < img.textures.length; i++)
+            {
+                bases.push(img.textures[i].base);
+            }
+        }
+
+        for (var b = 0; b < bases.length; b++)
+        {
+            var bytes = this.getTextureMemory(bases[b]);
+
+            report.textureMemory += bytes;
+
+            if (bases[b] && bases[b]._glTextures.length > 0)
+            {
+                report.gpuMemory += bytes;
+            }
+        }
+
+    },
+
+    /**
+    * Gets the name of a cache, as used by the keys of the internal cache object.
+    *
+    * @method Phaser.Cache#_getCacheName
+    * @private
+    * @param {integer} cache - The cache type, i.e. `Phaser.Cache.IMAGE`.
+    * @return {string} The name of the cache, i.e. `image`.
+    */
+    _getCacheName: function (cache)
+    {
+
+        for (var name in this._cache)
+        {
+            if (this._cache[name] === this._cacheMap[cache])
+            {
+                return name;
+            }
+        }
+
+        return null;
+
+    },
+
     /**
     * Empties out all of the GL Textures from Images stored in the cache.
     * This is called automatically when the WebGL context is lost and then restored.
@@ -2224,6 +2825,7 @@ Phaser.Cache.prototype = {
             }
         }
 
+        this._references = [];
         this._urlMap = null;
         this._urlResolver = null;
         this._urlTemp = null;
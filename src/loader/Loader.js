@@ -43,6 +43,14 @@ Phaser.Loader = function (game)
     */
     this.resetLocked = false;
 
+    /**
+    * If true the StateManager is told about the progress of the loading, and the current State is started once it is complete.
+    * This is false for the loaders created by {@link #loadAsync}, which can be used at any time.
+    * @property {boolean} notifyState
+    * @default
+    */
+    this.notifyState = true;
+
     /**
     * True if the Loader is in the process of loading the queue.
     * @property {boolean} isLoading
@@ -221,12 +229,176 @@ Phaser.Loader = function (game)
     */
     this.maxParallelDownloads = 4;
 
+    /**
+    * The number of times a failed request is made again before trying the next of the {@link #fallbackURLs}, or giving up.
+    *
+    * Requests are only made again if they failed because of the network, timed out, or got a 408, 429 or 5xx response.
+    * This applies to the XHR and image requests of the files. It can be set for each file with {@link #setFilePolicy}.
+    *
+    * @property {integer} maxRetries
+    * @default
+    */
+    this.maxRetries = 0;
+
+    /**
+    * The time to wait before making a failed request again, in ms. It is multiplied by {@link #retryBackoff} for each retry after the first.
+    * It can be set for each file with {@link #setFilePolicy}.
+    *
+    * @property {number} retryDelay
+    * @default
+    */
+    this.retryDelay = 1000;
+
+    /**
+    * The factor that {@link #retryDelay} is multiplied by for each retry of a request, so that a file that keeps failing is tried less often.
+    *
+    * @property {number} retryBackoff
+    * @default
+    */
+    this.retryBackoff = 2;
+
+    /**
+    * The time after which an XHR or image request is abandoned and counts as failed, in ms. Zero means it is never abandoned.
+    * It can be set for each file with {@link #setFilePolicy}.
+    *
+    * @property {number} timeout
+    * @default
+    */
+    this.timeout = 0;
+
+    /**
+    * Base URLs to try in turn when a file with a relative URL can't be loaded from {@link #baseURL}, such as mirrors of a CDN.
+    * Each one _must_ end with a "/". The {@link #path} of the file is still used.
+    *
+    * ```javascript
+    * load.baseURL = 'https://cdn1.example.com/game/';
+    * load.fallbackURLs = [ 'https://cdn2.example.com/game/', 'https://example.com/game/' ];
+    * ```
+    *
+    * It can be set for each file with {@link #setFilePolicy}.
+    *
+    * @property {string[]} fallbackURLs
+    */
+    this.fallbackURLs = [];
+
+    /**
+    * A version string added to the URL of every file, such as the build number of the game, so browsers and proxies don't serve
+    * stale copies of the files after an update. Files with their own version, from their pack entry or {@link #setFileVersion},
+    * use that for their main URL instead. How it is added is set by {@link #versionMode}.
+    *
+    * Data and blob URLs are never versioned.
+    *
+    * @property {string} version
+    * @default
+    */
+    this.version = '';
+
+    /**
+    * How versions are added to file URLs.
+    *
+    * - {@link Phaser.Loader.VERSION_QUERY} appends a `v` query parameter: `hero.png?v=1.2.0`.
+    * - {@link Phaser.Loader.VERSION_FILENAME} inserts it before the file extension: `hero.1.2.0.png`. The server must have files with these names.
+    *
+    * @property {integer} versionMode
+    * @default
+    */
+    this.versionMode = Phaser.Loader.VERSION_QUERY;
+
+    /**
+    * If true the files with an `integrity` string, from their pack entry or {@link #setFileVersion}, are verified once downloaded,
+    * like the Subresource Integrity of the browser. A file whose content doesn't match fails to load, or is tried from the next of the {@link #fallbackURLs}.
+    *
+    * Only files downloaded with XHR can be verified, such as text, json, xml, binary and script files, tilemaps, physics data and
+    * Web Audio files. Images can only be with an {@link #offlineCache}, and the textures of atlases and bitmap fonts can't be. It also needs the Web Crypto API, which browsers only
+    * provide to secure (https) pages. Without it the files load unverified.
+    *
+    * @property {boolean} checkIntegrity
+    * @default
+    */
+    this.checkIntegrity = true;
+
+    /**
+    * A persistent store for the downloaded files, so that later loads, and games without a network, don't download them again.
+    * Files loaded with XHR and images are stored. See {@link Phaser.OfflineCache}.
+    *
+    * ```javascript
+    * load.offlineCache = new Phaser.OfflineCache('my-game');
+    * ```
+    *
+    * Images are then downloaded with XHR, so images from other domains need CORS headers, as they do for {@link #crossOrigin}.
+    *
+    * @property {?Phaser.OfflineCache} offlineCache
+    * @default
+    */
+    this.offlineCache = null;
+
+    /**
+    * The Basis Universal transcoder used to load KTX2 textures (see {@link #texture}): the `BASIS` function of
+    * `basis_transcoder.js` from the Basis Universal project, built with KTX2 support, or any function returning its module.
+    * Phaser doesn't include it, so you need to load the script (and its WebAssembly file) yourself.
+    * If not set the global `BASIS` function is used, if there is one.
+    *
+    * ```javascript
+    * load.basisTranscoder = function () {
+    *     return BASIS({ locateFile: function (file) { return 'libs/basis/' + file; } });
+    * };
+    * ```
+    *
+    * The transcoder is started the first time a KTX2 file has loaded.
+    *
+    * @property {?function} basisTranscoder
+    * @default
+    */
+    this.basisTranscoder = null;
+
+    /**
+    * @property {?Promise} _basisTranscoder - Resolves with the started Basis Universal transcoder, once it is.
+    * @private
+    */
+    this._basisTranscoder = null;
+
     /**
     * A counter: if more than zero, files will be automatically added as a synchronization point.
     * @property {integer} _withSyncPointDepth;
     */
     this._withSyncPointDepth = 0;
 
+    /**
+    * The priority given to the files added to the list. See {@link #withPriority}.
+    * @property {number} _priority
+    * @private
+    */
+    this._priority = Phaser.Loader.PRIORITY_NORMAL;
+
+    /**
+    * If true no new downloads are started. See {@link #pause}.
+    * @property {boolean} _paused
+    * @private
+    */
+    this._paused = false;
+
+    /**
+    * The Loader of {@link #backgroundLoader}, once created.
+    * @property {?Phaser.Loader} _background
+    * @private
+    */
+    this._background = null;
+
+    /**
+    * If true the files this Loader loads are referenced in the Cache (see {@link Phaser.Cache#addReference}) until {@link #releaseFile} is called.
+    * Set for the {@link #backgroundLoader}, so that {@link Phaser.State#unloadUnusedAssets} doesn't remove its files before a State uses them.
+    * @property {boolean} _referenceFiles
+    * @private
+    */
+    this._referenceFiles = false;
+
+    /**
+    * Properties given to the files added to the list, such as the version and integrity of the pack entry being processed.
+    * @property {object} _fileProperties
+    * @private
+    */
+    this._fileProperties = null;
+
     /**
     * Contains all the information for asset files (including packs) to load.
     *
@@ -296,6 +468,13 @@ Phaser.Loader = function (game)
     */
     this._loadedFileCount = 0;
 
+    /**
+    * The promises waiting for files to load, added by {@link #waitFor}. Each entry has the `file` and the `resolve` and `reject` functions.
+    * @property {object[]} _waiting
+    * @private
+    */
+    this._waiting = [];
+
 };
 
 /**
@@ -334,6 +513,69 @@ Phaser.Loader.PHYSICS_PHASER_JSON = 4;
 */
 Phaser.Loader.TEXTURE_ATLAS_JSON_PYXEL = 5;
 
+/**
+* Aseprite JSON exports, with the frames in Array or Hash format. See {@link Phaser.Loader#atlasAseprite}.
+* @constant
+* @type {number}
+*/
+Phaser.Loader.TEXTURE_ATLAS_JSON_ASEPRITE = 6;
+
+/**
+* libGDX and Spine `.atlas` texture atlases. See {@link Phaser.Loader#atlasLibGDX}.
+* @constant
+* @type {number}
+*/
+Phaser.Loader.TEXTURE_ATLAS_LIBGDX = 7;
+
+/**
+* TexturePacker multipack JSON texture atlases, split over several textures. See {@link Phaser.Loader#atlasMultiPack}.
+* @constant
+* @type {number}
+*/
+Phaser.Loader.TEXTURE_ATLAS_JSON_MULTIPACK = 8;
+
+/**
+* The priority of files that should load before the others. See {@link Phaser.Loader#withPriority}.
+* @constant
+* @type {number}
+*/
+Phaser.Loader.PRIORITY_HIGH = 1;
+
+/**
+* The priority of files by default. See {@link Phaser.Loader#withPriority}.
+* @constant
+* @type {number}
+*/
+Phaser.Loader.PRIORITY_NORMAL = 0;
+
+/**
+* The priority of files that should load after the others. See {@link Phaser.Loader#withPriority}.
+* @constant
+* @type {number}
+*/
+Phaser.Loader.PRIORITY_LOW = -1;
+
+/**
+* Versions are added to file URLs as a `v` query parameter. See {@link Phaser.Loader#versionMode}.
+* @constant
+* @type {number}
+*/
+Phaser.Loader.VERSION_QUERY = 0;
+
+/**
+* Versions are added to file names, before the extension. See {@link Phaser.Loader#versionMode}.
+* @constant
+* @type {number}
+*/
+Phaser.Loader.VERSION_FILENAME = 1;
+
+/**
+* The hash algorithms of integrity strings, strongest last, and their Web Crypto API names.
+* @constant
+* @type {object}
+*/
+Phaser.Loader.INTEGRITY_ALGORITHMS = { sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' };
+
 Phaser.Loader.prototype = {
 
     /**
@@ -507,6 +749,20 @@ Phaser.Loader.prototype = {
         this._loadedPackCount = 0;
         this._loadedFileCount = 0;
 
+        //  The background loading carries on once this Loader is done, or was stopped
+        if (this._background)
+        {
+            this._background.resume();
+        }
+
+        //  Anything still waiting will never load now
+        while (this._waiting.length > 0)
+        {
+            var waiting = this._waiting.shift();
+
+            waiting.reject(this.createFileError(waiting.file, 'loading was reset'));
+        }
+
         if (clearEvents)
         {
             this.onLoadStart.removeAll();
@@ -562,12 +818,24 @@ Phaser.Loader.prototype = {
             path: this.path,
             url: url,
             syncPoint: this._withSyncPointDepth > 0,
+            priority: this._priority,
             data: null,
             loading: false,
             loaded: false,
             error: false
         };
 
+        if (this._fileProperties)
+        {
+            for (var name in this._fileProperties)
+            {
+                file[name] = this._fileProperties[name];
+            }
+
+            //  The integrity of a pack entry is that of its main file, the first one it adds
+            this._fileProperties.integrity = undefined;
+        }
+
         if (properties)
         {
             for (var prop in properties)
@@ -576,6 +844,15 @@ Phaser.Loader.prototype = {
             }
         }
 
+        //  A file needed now is no longer loaded in the background, unless it's already loading
+        var moved = (this._background) ? this._background.removeFile(type, key) : null;
+
+        //  A file the background Loader has already loaded is taken over by this one
+        if (this._background)
+        {
+            this._background.releaseFile(type, key);
+        }
+
         var fileIndex = this.getAssetIndex(type, key);
 
         if (overwrite && fileIndex > -1)
@@ -598,6 +875,22 @@ Phaser.Loader.prototype = {
             this._totalFileCount++;
         }
 
+        if (moved)
+        {
+            //  Whatever waits for the background file now waits for this one
+            var waiting = this._background._waiting;
+
+            for (var i = waiting.length - 1; i >= 0; i--)
+            {
+                if (waiting[i].file === moved)
+                {
+                    var waiter = waiting.splice(i, 1)[0];
+
+                    this.waitFor(type, key).then(waiter.resolve, waiter.reject);
+                }
+            }
+        }
+
         return this;
 
     },
@@ -729,6 +1022,8 @@ Phaser.Loader.prototype = {
     * The formats that support all 3 compression algorithms are PVR and KTX.
     * PKM only supports ETC1, and DDS only S3TC for now.
     *
+    * A KTX2 texture with Basis Universal supercompression can replace all of them, see `Loader.texture`.
+    *
     * The texture path object looks like this:
     *
     * ```javascript
@@ -831,6 +1126,20 @@ Phaser.Loader.prototype = {
     * The `truecolor` property points to a standard PNG file, that will be used if none of the
     * compressed formats are supported by the browser / GPU.
     *
+    * A single `ktx2` file, a KTX2 texture with Basis Universal supercompression (made with the `basisu` or `toktx` tools),
+    * can replace all of the others:
+    *
+    * ```javascript
+    * load.texture('factory', {
+    *     ktx2: 'assets/factory.ktx2',
+    *     truecolor: 'assets/factory.png'
+    * });
+    * ```
+    *
+    * It is transcoded as it loads to the best compressed format the GPU supports (ASTC, BPTC, ETC2, S3TC, ETC1 or PVRTC),
+    * or to uncompressed pixels when there is none, including with the Canvas renderer.
+    * This needs the {@link #basisTranscoder}: without one the `ktx2` file is skipped for the others.
+    *
     * The file is **not** loaded immediately after calling this method. The file is added to the queue ready to be loaded when the loader starts.
     *
     * The key must be a unique String. It is used to add the file to the Phaser.Cache upon successful load.
@@ -852,6 +1161,11 @@ Phaser.Loader.prototype = {
     texture: function (key, object, overwrite)
     {
 
+        if (object['ktx2'] && (this.basisTranscoder || window.BASIS))
+        {
+            return this.addToFileList('texture', key, object['ktx2'], undefined, overwrite, '.ktx2');
+        }
+
         if (this.game.renderType === Phaser.WEBGL)
         {
             var compression = this.game.renderer.extensions.compression;
@@ -1112,6 +1426,55 @@ Phaser.Loader.prototype = {
 
     },
 
+    /**
+    * Adds a web font file (TTF, OTF, WOFF or WOFF2) to the current load queue.
+    *
+    * The file is **not** loaded immediately after calling this method. The file is added to the queue ready to be loaded when the loader starts.
+    *
+    * The font is loaded with the FontFace API and added to `document.fonts`, so it isn't stored in the Phaser.Cache:
+    * once loaded it can be used by any Phaser.Text by giving its family name in the `font` style, i.e. `'32px Pixel'`.
+    * The file only completes when the font can be drawn by canvas text, so Text created after it (such as in `create`)
+    * is measured and drawn with the font from the very first frame. Any measurements of the family that Text made
+    * with a fallback font while it was loading are discarded.
+    *
+    * Load a font file for each weight or style of a family you use, giving the `weight` or `style` in the descriptors.
+    *
+    * You can give several URLs, such as a WOFF2 file followed by a TTF one. They are tried in order
+    * until one of them is loaded and the browser is able to decode it. A URL is only given up on once
+    * its retries and {@link #fallbackURLs} have been tried.
+    *
+    * The URL can be relative or absolute. If the URL is relative the `Loader.baseURL` and `Loader.path` values will be prepended to it.
+    *
+    * If the URL isn't specified the Loader will take the key and create a filename from that. For example if the key is "pixel"
+    * and no URL is given then the Loader will set the URL to be "pixel.woff2". It will always add `.woff2` as the extension.
+    * If you do not desire this action then provide a URL.
+    *
+    * The file fails to load in browsers without the FontFace API.
+    *
+    * @method Phaser.Loader#font
+    * @param {string} key - Unique asset key of the font file.
+    * @param {string|string[]} [url] - URL of the font file, or an array of URLs to try in order. If undefined or `null` the url will be set to `<key>.woff2`, i.e. if `key` was "pixel" then the URL will be "pixel.woff2".
+    * @param {string} [family] - The font family name Text styles use for the font. If not given the key is used.
+    * @param {object} [descriptors] - The FontFace descriptors of the font, such as `style`, `weight`, `stretch` or `unicodeRange`.
+    * @return {Phaser.Loader} This Loader instance.
+    */
+    font: function (key, url, family, descriptors)
+    {
+
+        if (family === undefined || family === null) { family = key; }
+        if (descriptors === undefined) { descriptors = {}; }
+
+        var urls = Array.isArray(url) ? url : [];
+
+        if (urls.length)
+        {
+            url = urls[0];
+        }
+
+        return this.addToFileList('font', key, url, { family: family, descriptors: descriptors, fontURLs: urls }, false, '.woff2');
+
+    },
+
     /**
     * Adds a Sprite Sheet to the current load queue.
     *
@@ -1375,15 +1738,27 @@ Phaser.Loader.prototype = {
     *
     * If the URL isn't specified and no data is given then the Loader will take the key and create a filename from that.
     * For example if the key is "level1" and no URL or data is given then the Loader will set the URL to be "level1.json".
-    * If you set the format to be Tilemap.CSV it will set the URL to be "level1.csv" instead.
+    * If you set the format to be Tilemap.CSV it will set the URL to be "level1.csv" instead, or "level1.tmx" for Tilemap.TILED_XML.
     *
     * If you do not desire this action then provide a URL or data object.
     *
+    * Tiled TMX files (Tilemap.TILED_XML) are converted to the Tiled JSON format upon load, and stored in the Cache in that form.
+    * The data can be given as an XML String or Document.
+    *
+    * The external tilesets (.tsx or .json files) and object templates (.tx or .json files) used by a Tiled map are loaded after it,
+    * relative to the map URL, and merged into the map data before it is added to the Cache.
+    * See {@link Phaser.TilemapParser.resolveTilesets} and {@link Phaser.TilemapParser.resolveTemplates}.
+    * If JSON data using them is given then it is added to the load queue, and their paths are relative to the url, if any.
+    *
+    * These files are loaded one after another as part of the map file, not as files of their own: they don't dispatch
+    * `onFileStart` or `onFileComplete`, aren't counted in the {@link #progress} or by {@link #maxParallelDownloads},
+    * and if one of them fails to load the map fails with it. Maps using many of them load faster with embedded tilesets.
+    *
     * @method Phaser.Loader#tilemap
     * @param {string} key - Unique asset key of the tilemap data.
     * @param {string} [url] - URL of the tile map file. If undefined or `null` and no data is given the url will be set to `<key>.json`, i.e. if `key` was "level1" then the URL will be "level1.json".
     * @param {object|string} [data] - An optional JSON data object. If given then the url is ignored and this JSON object is used for map data instead.
-    * @param {number} [format=Phaser.Tilemap.CSV] - The format of the map data. Either Phaser.Tilemap.CSV or Phaser.Tilemap.TILED_JSON.
+    * @param {number} [format=Phaser.Tilemap.CSV] - The format of the map data. Either Phaser.Tilemap.CSV, Phaser.Tilemap.TILED_JSON or Phaser.Tilemap.TILED_XML.
     * @return {Phaser.Loader} This Loader instance.
     */
     tilemap: function (key, url, data, format)
@@ -1399,6 +1774,10 @@ Phaser.Loader.prototype = {
             {
                 url = key + '.csv';
             }
+            else if (format === Phaser.Tilemap.TILED_XML)
+            {
+                url = key + '.tmx';
+            }
             else
             {
                 url = key + '.json';
@@ -1423,6 +1802,34 @@ Phaser.Loader.prototype = {
                         data = JSON.parse(data);
                     }
                     break;
+
+                //  An xml string or document has been given, which is converted to json
+                case Phaser.Tilemap.TILED_XML:
+
+                    if (typeof data === 'string')
+                    {
+                        data = this.parseXml(data);
+
+                        if (!data)
+                        {
+                            throw new Error('Phaser.Loader.tilemap - Invalid TMX data for key ' + key);
+                        }
+                    }
+
+                    if (data.documentElement)
+                    {
+                        data = Phaser.TilemapParser.convertTMX(data);
+                    }
+                    break;
+            }
+
+            //  The external tilesets and object templates of a Tiled map have to be loaded first
+            if (format !== Phaser.Tilemap.CSV &&
+                (Phaser.TilemapParser.getTilesetPaths(data).length > 0 || Phaser.TilemapParser.getTemplatePaths(data).length > 0))
+            {
+                this.addToFileList('tilemap', key, url || '', { format: format, data: data });
+
+                return this;
             }
 
             this.cache.addTilemap(key, null, data, format);
@@ -1603,7 +2010,7 @@ Phaser.Loader.prototype = {
     * [Shoebox](http://renderhjs.net/shoebox/)
     *
     * If using Texture Packer we recommend you enable "Trim sprite names".
-    * If your atlas software has an option to "rotate" the resulting frames, you must disable it.
+    * Frames rotated to pack them better, such as with the "Allow rotation" option of Texture Packer, are supported.
     *
     * You can choose to either load the data externally, by providing a URL to a json file.
     * Or you can pass in a JSON object or String via the `atlasData` parameter.
@@ -1650,7 +2057,7 @@ Phaser.Loader.prototype = {
     * [Shoebox](http://renderhjs.net/shoebox/)
     *
     * If using Texture Packer we recommend you enable "Trim sprite names".
-    * If your atlas software has an option to "rotate" the resulting frames, you must disable it.
+    * Frames rotated to pack them better, such as with the "Allow rotation" option of Texture Packer, are supported.
     *
     * You can choose to either load the data externally, by providing a URL to a json file.
     * Or you can pass in a JSON object or String via the `atlasData` parameter.
@@ -1750,7 +2157,7 @@ Phaser.Loader.prototype = {
     * [Shoebox](http://renderhjs.net/shoebox/)
     *
     * If using Texture Packer we recommend you enable "Trim sprite names".
-    * If your atlas software has an option to "rotate" the resulting frames, you must disable it.
+    * Frames rotated to pack them better, such as with the "Allow rotation" option of Texture Packer, are supported in the JSON formats.
     *
     * You can choose to either load the data externally, by providing a URL to a json file.
     * Or you can pass in a JSON object or String via the `atlasData` parameter.
@@ -1777,12 +2184,23 @@ Phaser.Loader.prototype = {
     * @param {string} [textureURL] - URL of the texture atlas image file. If undefined or `null` the url will be set to `<key>.png`, i.e. if `key` was "alien" then the URL will be "alien.png".
     * @param {string} [atlasURL] - URL of the texture atlas data file. If undefined or `null` and no atlasData is given, the url will be set to `<key>.json`, i.e. if `key` was "alien" then the URL will be "alien.json".
     * @param {object} [atlasData] - A JSON or XML data object. You don't need this if the data is being loaded from a URL.
-    * @param {number} [format] - The format of the data. Can be Phaser.Loader.TEXTURE_ATLAS_JSON_ARRAY (the default), Phaser.Loader.TEXTURE_ATLAS_JSON_HASH or Phaser.Loader.TEXTURE_ATLAS_XML_STARLING.
+    * @param {number} [format] - The format of the data. Can be Phaser.Loader.TEXTURE_ATLAS_JSON_ARRAY (the default), Phaser.Loader.TEXTURE_ATLAS_JSON_HASH,
+    * Phaser.Loader.TEXTURE_ATLAS_XML_STARLING or Phaser.Loader.TEXTURE_ATLAS_JSON_ASEPRITE. The Phaser.Loader.TEXTURE_ATLAS_LIBGDX and
+    * Phaser.Loader.TEXTURE_ATLAS_JSON_MULTIPACK formats name their textures in their data, so the textureURL is the path of them: see `atlasLibGDX` and `atlasMultiPack`.
     * @return {Phaser.Loader} This Loader instance.
     */
     atlas: function (key, textureURL, atlasURL, atlasData, format)
     {
 
+        if (format === Phaser.Loader.TEXTURE_ATLAS_LIBGDX)
+        {
+            return this.atlasLibGDX(key, atlasURL, atlasData, textureURL);
+        }
+        else if (format === Phaser.Loader.TEXTURE_ATLAS_JSON_MULTIPACK)
+        {
+            return this.atlasMultiPack(key, atlasURL, atlasData, textureURL);
+        }
+
         if (textureURL === undefined || textureURL === null)
         {
             textureURL = key + '.png';
@@ -1816,6 +2234,7 @@ Phaser.Loader.prototype = {
 
                 //  A json string or object has been given
                 case Phaser.Loader.TEXTURE_ATLAS_JSON_ARRAY:
+                case Phaser.Loader.TEXTURE_ATLAS_JSON_ASEPRITE:
 
                     if (typeof atlasData === 'string')
                     {
@@ -1849,19 +2268,155 @@ Phaser.Loader.prototype = {
     },
 
     /**
-    * Add a synchronization point to the assets / files added within the supplied callback.
+    * Adds a Texture Atlas exported by [Aseprite](https://www.aseprite.org) to the current load queue.
     *
-    * A synchronization point denotes that an asset _must_ be completely loaded before
-    * subsequent assets can be loaded. An asset marked as a sync-point does not need to wait
-    * for previous assets to load (unless they are sync-points). Resources, such as packs, may still
-    * be downloaded around sync-points, as long as they do not finalize loading.
+    * Export the sprite sheet with the JSON data in either the Array or Hash format, and the frame tags and slices to have them.
+    * The frame tags become animations the Sprites using the atlas can add with {@link Phaser.AnimationManager#addAtlasAnimations},
+    * and the slices can be got with {@link Phaser.FrameData#getSlice}.
     *
-    * @method Phaser.Loader#withSyncPoint
-    * @param {function} callback - The callback is invoked and is supplied with a single argument: the loader.
-    * @param {object} [callbackContext=(loader)] - Context for the callback.
+    * You can choose to either load the data externally, by providing a URL to a json file.
+    * Or you can pass in a JSON object or String via the `atlasData` parameter.
+    *
+    * The key must be a unique String. It is used to add the file to the Phaser.Cache upon successful load.
+    *
+    * If the textureURL isn't specified then the Loader will take the key and create a filename from that.
+    * For example if the key is "player" and textureURL is null then the Loader will set the URL to be "player.png".
+    * The same is true for the atlasURL. If atlasURL isn't specified and no atlasData has been provided then the Loader will
+    * set the atlasURL to be the key. For example if the key is "player" the atlasURL will be set to "player.json".
+    *
+    * @method Phaser.Loader#atlasAseprite
+    * @param {string} key - Unique asset key of the texture atlas file.
+    * @param {string} [textureURL] - URL of the texture atlas image file. If undefined or `null` the url will be set to `<key>.png`, i.e. if `key` was "alien" then the URL will be "alien.png".
+    * @param {string} [atlasURL] - URL of the texture atlas data file. If undefined or `null` and no atlasData is given, the url will be set to `<key>.json`, i.e. if `key` was "alien" then the URL will be "alien.json".
+    * @param {object} [atlasData] - A JSON data object. You don't need this if the data is being loaded from a URL.
     * @return {Phaser.Loader} This Loader instance.
     */
-    withSyncPoint: function (callback, callbackContext)
+    atlasAseprite: function (key, textureURL, atlasURL, atlasData)
+    {
+
+        return this.atlas(key, textureURL, atlasURL, atlasData, Phaser.Loader.TEXTURE_ATLAS_JSON_ASEPRITE);
+
+    },
+
+    /**
+    * Adds a libGDX Texture Atlas, such as those made by the libGDX Texture Packer or exported by Spine, to the current load queue.
+    *
+    * The `.atlas` file names the textures of its pages, which are loaded after it from the same directory, or from `texturePath`.
+    * An atlas can have several pages: its frames are then in several textures, and Sprites switch between them as they change frame.
+    *
+    * The regions of a sequence, with an `index`, are named `name_index`, such as "walk_0", "walk_1". Each sequence is also an animation
+    * the Sprites using the atlas can add with {@link Phaser.AnimationManager#addAtlasAnimations}.
+    *
+    * You can choose to either load the data externally, by providing a URL to an atlas file.
+    * Or you can pass in the text of the atlas via the `atlasData` parameter.
+    *
+    * The key must be a unique String. It is used to add the file to the Phaser.Cache upon successful load.
+    *
+    * If the atlasURL isn't specified and no atlasData has been provided then the Loader will take the key and create a filename from that.
+    * For example if the key is "player" the atlasURL will be set to "player.atlas".
+    *
+    * @method Phaser.Loader#atlasLibGDX
+    * @param {string} key - Unique asset key of the texture atlas file.
+    * @param {string} [atlasURL] - URL of the texture atlas data file. If undefined or `null` and no atlasData is given, the url will be set to `<key>.atlas`, i.e. if `key` was "alien" then the URL will be "alien.atlas".
+    * @param {string} [atlasData] - The text of the atlas. You don't need this if the data is being loaded from a URL.
+    * @param {string} [texturePath] - The path the textures are loaded from, such as 'assets/textures/'. If not given it is the directory of the atlasURL.
+    * @return {Phaser.Loader} This Loader instance.
+    */
+    atlasLibGDX: function (key, atlasURL, atlasData, texturePath)
+    {
+
+        if (atlasURL === undefined) { atlasURL = null; }
+        if (atlasData === undefined) { atlasData = null; }
+
+        if (!atlasURL && !atlasData)
+        {
+            atlasURL = key + '.atlas';
+        }
+
+        return this.addMultiTextureAtlas(key, atlasURL, atlasData, texturePath, Phaser.Loader.TEXTURE_ATLAS_LIBGDX);
+
+    },
+
+    /**
+    * Adds a TexturePacker multipack Texture Atlas, split over several textures, to the current load queue.
+    *
+    * Export it with the "Phaser 3" data format, which names the textures of the atlas in a `textures` array, or as several JSON Array or
+    * Hash files, where the first names the others in `meta.related_multi_packs`. The textures are loaded after the data from the same
+    * directory, or from `texturePath`. Sprites using the atlas switch between the textures as they change frame.
+    *
+    * You can choose to either load the data externally, by providing a URL to a json file.
+    * Or you can pass in a JSON object or String, in the "Phaser 3" format, via the `atlasData` parameter.
+    *
+    * The key must be a unique String. It is used to add the file to the Phaser.Cache upon successful load.
+    *
+    * If the atlasURL isn't specified and no atlasData has been provided then the Loader will take the key and create a filename from that.
+    * For example if the key is "player" the atlasURL will be set to "player.json".
+    *
+    * @method Phaser.Loader#atlasMultiPack
+    * @param {string} key - Unique asset key of the texture atlas file.
+    * @param {string} [atlasURL] - URL of the texture atlas data file, or of the first one. If undefined or `null` and no atlasData is given, the url will be set to `<key>.json`, i.e. if `key` was "alien" then the URL will be "alien.json".
+    * @param {object} [atlasData] - A JSON data object. You don't need this if the data is being loaded from a URL.
+    * @param {string} [texturePath] - The path the textures are loaded from, such as 'assets/textures/'. If not given it is the directory of the atlasURL.
+    * @return {Phaser.Loader} This Loader instance.
+    */
+    atlasMultiPack: function (key, atlasURL, atlasData, texturePath)
+    {
+
+        if (atlasURL === undefined) { atlasURL = null; }
+        if (atlasData === undefined) { atlasData = null; }
+
+        if (!atlasURL && !atlasData)
+        {
+            atlasURL = key + '.json';
+        }
+
+        if (typeof atlasData === 'string')
+        {
+            atlasData = JSON.parse(atlasData);
+        }
+
+        return this.addMultiTextureAtlas(key, atlasURL, atlasData, texturePath, Phaser.Loader.TEXTURE_ATLAS_JSON_MULTIPACK);
+
+    },
+
+    /**
+    * Adds a Texture Atlas that names its textures in its data, which may be several, to the current load queue.
+    *
+    * @method Phaser.Loader#addMultiTextureAtlas
+    * @private
+    * @param {string} key - Unique asset key of the texture atlas file.
+    * @param {?string} atlasURL - URL of the texture atlas data file.
+    * @param {?(string|object)} atlasData - The texture atlas data, if it isn't loaded from a URL.
+    * @param {?string} [texturePath] - The path the textures are loaded from. If not given it is the directory of the atlasURL.
+    * @param {number} format - The format of the data.
+    * @return {Phaser.Loader} This Loader instance.
+    */
+    addMultiTextureAtlas: function (key, atlasURL, atlasData, texturePath, format)
+    {
+
+        if (texturePath === undefined || texturePath === null)
+        {
+            texturePath = (atlasURL) ? atlasURL.substr(0, atlasURL.lastIndexOf('/') + 1) : '';
+        }
+
+        return this.addToFileList('multiatlas', key, atlasData ? '' : atlasURL, { atlasData: atlasData, texturePath: texturePath, format: format });
+
+    },
+
+    /**
+    * Add a synchronization point to the assets / files added within the supplied callback.
+    *
+    * A synchronization point denotes that an asset _must_ be completely loaded before
+    * subsequent assets can be loaded. An asset marked as a sync-point does not need to wait
+    * for previous assets to load (unless they are sync-points). Resources, such as packs, may still
+    * be downloaded around sync-points, as long as they do not finalize loading.
+    *
+    * @method Phaser.Loader#withSyncPoint
+    * @param {function} callback - The callback is invoked and is supplied with a single argument: the loader.
+    * @param {object} [callbackContext=(loader)] - Context for the callback.
+    * @return {Phaser.Loader} This Loader instance.
+    */
+    withSyncPoint: function (callback, callbackContext)
     {
 
         this._withSyncPointDepth++;
@@ -1902,6 +2457,147 @@ Phaser.Loader.prototype = {
         return this;
     },
 
+    /**
+    * Sets the priority of the files added within the supplied callback.
+    *
+    * Files are loaded in the order they were added, but when there are more files that can be downloaded than
+    * {@link #maxParallelDownloads}, those with the highest priority are started first. Sync points still hold back
+    * the files after them, whatever their priority.
+    *
+    * ```javascript
+    * load.withPriority(Phaser.Loader.PRIORITY_HIGH, function () {
+    *     load.image('logo', 'logo.png');
+    * });
+    * ```
+    *
+    * @method Phaser.Loader#withPriority
+    * @param {number} priority - The priority, such as Phaser.Loader.PRIORITY_HIGH, Phaser.Loader.PRIORITY_NORMAL or Phaser.Loader.PRIORITY_LOW. Any number can be used: higher loads first.
+    * @param {function} callback - The callback is invoked and is supplied with a single argument: the loader.
+    * @param {object} [callbackContext=(loader)] - Context for the callback.
+    * @return {Phaser.Loader} This Loader instance.
+    */
+    withPriority: function (priority, callback, callbackContext)
+    {
+
+        var previous = this._priority;
+
+        this._priority = priority;
+
+        try
+        {
+            callback.call(callbackContext || this, this);
+        }
+        finally
+        {
+            this._priority = previous;
+        }
+
+        return this;
+
+    },
+
+    /**
+    * Sets the priority of a file in the load queue. See {@link #withPriority}.
+    *
+    * This has no effect on already loaded assets.
+    *
+    * @method Phaser.Loader#setFilePriority
+    * @param {string} type - The type of the file (image, audio, xml, etc).
+    * @param {string} key - The key of the file.
+    * @param {number} priority - The priority. Higher loads first.
+    * @return {Phaser.Loader} This Loader instance.
+    */
+    setFilePriority: function (type, key, priority)
+    {
+
+        var asset = this.getAsset(type, key);
+
+        if (asset)
+        {
+            asset.file.priority = priority;
+        }
+
+        return this;
+
+    },
+
+    /**
+    * Sets how a file in the load queue handles failed requests, instead of the settings of the Loader.
+    *
+    * ```javascript
+    * load.image('logo', 'logo.png');
+    * load.setFilePolicy('image', 'logo', { maxRetries: 5, timeout: 10000 });
+    * ```
+    *
+    * This has no effect on already loaded assets.
+    *
+    * @method Phaser.Loader#setFilePolicy
+    * @param {string} type - The type of the file (image, audio, xml, etc).
+    * @param {string} key - The key of the file.
+    * @param {object} policy - Any of `maxRetries`, `retryDelay`, `timeout` and `fallbackURLs`. See the properties of the same names.
+    * @return {Phaser.Loader} This Loader instance.
+    */
+    setFilePolicy: function (type, key, policy)
+    {
+
+        var asset = this.getAsset(type, key);
+
+        if (asset)
+        {
+            var keys = [ 'maxRetries', 'retryDelay', 'timeout', 'fallbackURLs' ];
+
+            for (var i = 0; i < keys.length; i++)
+            {
+                if (policy[keys[i]] !== undefined)
+                {
+                    asset.file[keys[i]] = policy[keys[i]];
+                }
+            }
+        }
+
+        return this;
+
+    },
+
+    /**
+    * Sets the version and integrity of a file in the load queue, as pack entries can.
+    *
+    * ```javascript
+    * load.json('level1', 'level1.json');
+    * load.setFileVersion('json', 'level1', '5d41402a', 'sha256-LCa0a2j/xo/5m0U8HTBBNBNCLXBkg7+g+YpeiGJm564=');
+    * ```
+    *
+    * This has no effect on already loaded assets.
+    *
+    * @method Phaser.Loader#setFileVersion
+    * @param {string} type - The type of the file (image, audio, xml, etc).
+    * @param {string} key - The key of the file.
+    * @param {string} [version] - The version of the file, such as a hash of its content, added to its URL as set by {@link #versionMode}. It replaces {@link #version} for the file.
+    * @param {string} [integrity] - A Subresource Integrity string the content of the file is verified with. See {@link #checkIntegrity}.
+    * @return {Phaser.Loader} This Loader instance.
+    */
+    setFileVersion: function (type, key, version, integrity)
+    {
+
+        var asset = this.getAsset(type, key);
+
+        if (asset)
+        {
+            if (version !== undefined)
+            {
+                asset.file.version = version;
+            }
+
+            if (integrity !== undefined)
+            {
+                asset.file.integrity = integrity;
+            }
+        }
+
+        return this;
+
+    },
+
     /**
     * Remove a file/asset from the loading queue.
     *
@@ -1911,6 +2607,7 @@ Phaser.Loader.prototype = {
     * @protected
     * @param {string} type - The type of resource to add to the list (image, audio, xml, etc).
     * @param {string} key - Key of the file you want to remove.
+    * @return {?object} The removed file, or null if it wasn't removed.
     */
     removeFile: function (type, key)
     {
@@ -1919,12 +2616,103 @@ Phaser.Loader.prototype = {
 
         if (asset)
         {
-            if (!asset.loaded && !asset.loading)
+            if (!asset.file.loaded && !asset.file.loading)
             {
                 this._fileList.splice(asset.index, 1);
+
+                if (type === 'packfile')
+                {
+                    this._totalPackCount--;
+                }
+                else
+                {
+                    this._totalFileCount--;
+                }
+
+                return asset.file;
             }
         }
 
+        return null;
+
+    },
+
+    /**
+    * Releases the reference the {@link #backgroundLoader} holds on a file it has loaded, so that {@link Phaser.Cache#removeUnused}
+    * can remove it once nothing else uses it. A file is released automatically when a State's Loader queues it again.
+    *
+    * ```javascript
+    * //  In the create method of the level that used the file
+    * game.load.backgroundLoader.releaseFile('tilemap', 'level2');
+    * ```
+    *
+    * @method Phaser.Loader#releaseFile
+    * @param {string} type - The type of the file, such as 'image', 'json' or 'audio'.
+    * @param {string} key - The key of the file.
+    */
+    releaseFile: function (type, key)
+    {
+
+        if (this._referenceFiles)
+        {
+            this.game.cache.removeReference(key, this.getFileCache(type), this);
+        }
+
+    },
+
+    /**
+    * Gets the cache a type of file is stored in.
+    *
+    * @method Phaser.Loader#getFileCache
+    * @private
+    * @param {string} type - The type of the file, such as 'image', 'json' or 'audio'.
+    * @return {integer} The cache, i.e. `Phaser.Cache.IMAGE`, or -1 for files that aren't stored in the Cache.
+    */
+    getFileCache: function (type)
+    {
+
+        switch (type)
+        {
+            case 'image':
+            case 'spritesheet':
+            case 'textureatlas':
+            case 'multiatlas':
+            case 'texture':
+                return Phaser.Cache.IMAGE;
+
+            case 'bitmapfont':
+                return Phaser.Cache.BITMAPFONT;
+
+            case 'audio':
+                return Phaser.Cache.SOUND;
+
+            case 'video':
+                return Phaser.Cache.VIDEO;
+
+            case 'tilemap':
+                return Phaser.Cache.TILEMAP;
+
+            case 'json':
+                return Phaser.Cache.JSON;
+
+            case 'xml':
+                return Phaser.Cache.XML;
+
+            case 'text':
+                return Phaser.Cache.TEXT;
+
+            case 'shader':
+                return Phaser.Cache.SHADER;
+
+            case 'physics':
+                return Phaser.Cache.PHYSICS;
+
+            case 'binary':
+                return Phaser.Cache.BINARY;
+        }
+
+        return -1;
+
     },
 
     /**
@@ -1957,6 +2745,12 @@ Phaser.Loader.prototype = {
         this.hasLoaded = false;
         this.isLoading = true;
 
+        //  Files needed now come before the background loading
+        if (this._background)
+        {
+            this._background.pause();
+        }
+
         this.updateProgress();
 
         this.processLoadQueue();
@@ -1964,25 +2758,320 @@ Phaser.Loader.prototype = {
     },
 
     /**
-    * Process the next item(s) in the file/asset queue.
-    *
-    * Process the queue and start loading enough items to fill up the inflight queue.
+    * Stops starting new downloads. The downloads in progress carry on, and the loading completes once it is resumed.
     *
-    * If a sync-file is encountered then subsequent asset processing is delayed until it completes.
-    * The exception to this rule is that packfiles can be downloaded (but not processed) even if
-    * there appear other sync files (ie. packs) - this enables multiple packfiles to be fetched in parallel.
-    * such as during the start phaser.
+    * The {@link #backgroundLoader} is paused while this Loader is loading.
     *
-    * @method Phaser.Loader#processLoadQueue
-    * @private
+    * @method Phaser.Loader#pause
     */
-    processLoadQueue: function ()
+    pause: function ()
     {
 
-        if (!this.isLoading)
-        {
-            console.warn('Phaser.Loader - active loading canceled / reset');
-            this.finishedLoading(true);
+        this._paused = true;
+
+    },
+
+    /**
+    * Starts new downloads again after {@link #pause}.
+    *
+    * @method Phaser.Loader#resume
+    */
+    resume: function ()
+    {
+
+        if (!this._paused)
+        {
+            return;
+        }
+
+        this._paused = false;
+
+        if (this.isLoading)
+        {
+            this.processLoadQueue();
+        }
+
+    },
+
+    /**
+    * Loads files without using the load queue of this Loader, so it can be called at any time, such as from the `create` or `update`
+    * method of a State, and doesn't affect the loading of the State.
+    *
+    * The callback is given a new Loader, with the same settings as this one, to add the files to. It then starts loading them straight away.
+    *
+    * ```javascript
+    * game.load.loadAsync(function (loader) {
+    *     loader.image('boss', 'boss.png');
+    *     loader.json('bossData', 'boss.json');
+    * }).then(function (files) {
+    *     game.add.sprite(0, 0, 'boss');
+    * }).catch(function (error) {
+    *     console.warn(error.message, error.file);
+    * });
+    * ```
+    *
+    * This needs Promise support in the browser (or a polyfill).
+    *
+    * @method Phaser.Loader#loadAsync
+    * @param {function} callback - The function that adds the files. It is given the new Loader.
+    * @param {object} [callbackContext] - The context in which the callback is called.
+    * @return {Promise<object[]>} A promise resolved with the files once they have all loaded, or rejected with an Error (which has a `file` property)
+    *     as soon as one of them fails. The loading of the other files carries on.
+    */
+    loadAsync: function (callback, callbackContext)
+    {
+
+        var loader = this.createAsyncLoader();
+
+        callback.call(callbackContext, loader);
+
+        return new Promise(function (resolve, reject)
+        {
+
+            loader.onFileError.addOnce(function (key, file)
+            {
+                reject(loader.createFileError(file, file.errorMessage));
+            });
+
+            loader.onBeforeLoadComplete.addOnce(function ()
+            {
+                resolve(loader._fileList.filter(function (file)
+                {
+                    return file.type !== 'packfile';
+                }));
+            });
+
+            loader.start();
+
+        });
+
+    },
+
+    /**
+    * Loads a single file without using the load queue of this Loader, like {@link #loadAsync}.
+    *
+    * ```javascript
+    * game.load.loadFileAsync('image', 'boss', 'boss.png').then(function (file) {
+    *     game.add.sprite(0, 0, file.key);
+    * });
+    * ```
+    *
+    * @method Phaser.Loader#loadFileAsync
+    * @param {string} type - The name of the Loader method that adds the file, such as 'image', 'json', 'audio' or 'atlasJSONHash'.
+    * @param {...any} args - The arguments of that method, starting with the key.
+    * @return {Promise<object>} A promise resolved with the file once it has loaded, or rejected with an Error (which has a `file` property) if it fails.
+    */
+    loadFileAsync: function (type)
+    {
+
+        var args = Array.prototype.slice.call(arguments, 1);
+
+        return this.loadAsync(function (loader)
+        {
+            loader[type].apply(loader, args);
+        }).then(function (files)
+        {
+            return files[0];
+        });
+
+    },
+
+    /**
+    * Loads files in the background, such as the assets of the next levels or music, while the game runs.
+    *
+    * The files are added to the {@link #backgroundLoader}, which loads them one after the other, highest priority first, and keeps going
+    * when the State changes. It doesn't affect the progress or completion of this Loader, but waits while this Loader is loading,
+    * so that the files a State needs now come first. A file added to this Loader is taken out of the background queue, unless it's already
+    * being downloaded.
+    *
+    * The files loaded in the background are referenced in the Cache, so that a State with {@link Phaser.State#unloadUnusedAssets} set
+    * doesn't remove them before the State that needs them starts. Queuing one in a Loader again, such as in the `preload` method of
+    * that State, releases it; otherwise release it with {@link #releaseFile} once the State is using it.
+    *
+    * ```javascript
+    * game.load.loadInBackground(function (loader) {
+    *     loader.tilemap('level2', 'level2.json', null, Phaser.Tilemap.TILED_JSON);
+    *     loader.withPriority(Phaser.Loader.PRIORITY_LOW, function () {
+    *         loader.audio('music2', 'music2.ogg');
+    *     });
+    * });
+    * ```
+    *
+    * @method Phaser.Loader#loadInBackground
+    * @param {function} callback - The function that adds the files. It is given the background Loader.
+    * @param {object} [callbackContext] - The context in which the callback is called.
+    * @return {Promise<object[]>} A promise resolved with the files added by the callback once they have all loaded, or rejected with an Error (which has a `file` property)
+    *     as soon as one of them fails. The files added by packs aren't included.
+    */
+    loadInBackground: function (callback, callbackContext)
+    {
+
+        var loader = this.backgroundLoader;
+        var before = loader._fileList.slice();
+
+        callback.call(callbackContext, loader);
+
+        var added = loader._fileList.filter(function (file)
+        {
+            return before.indexOf(file) === -1 && file.type !== 'packfile';
+        });
+
+        var promise = Promise.all(added.map(function (file)
+        {
+            return loader.waitFor(file.type, file.key);
+        }));
+
+        loader.start();
+
+        return promise;
+
+    },
+
+    /**
+    * Gets a promise for a file in the load queue of this Loader, for example one added in the `preload` method of a State.
+    *
+    * @method Phaser.Loader#waitFor
+    * @param {string} type - The type of the file, such as 'image', 'json' or 'audio'.
+    * @param {string} key - The key of the file.
+    * @return {Promise<object>} A promise resolved with the file once it has loaded, or rejected with an Error (which has a `file` property)
+    *     if it fails, the Loader is reset before it loads, or it isn't in the queue.
+    */
+    waitFor: function (type, key)
+    {
+
+        var asset = this.getAsset(type, key);
+        var _this = this;
+
+        return new Promise(function (resolve, reject)
+        {
+
+            if (!asset)
+            {
+                reject(_this.createFileError({ type: type, key: key }, 'not in the load queue'));
+            }
+            else
+            {
+                _this._waiting.push({ file: asset.file, resolve: resolve, reject: reject });
+
+                if (!asset.file.loading && (asset.file.loaded || asset.file.error))
+                {
+                    _this.settleWaiting(asset.file);
+                }
+            }
+
+        });
+
+    },
+
+    /**
+    * Creates a new Loader with the same settings as this one, that doesn't tell the StateManager about its progress. Used by {@link #loadAsync}.
+    *
+    * @method Phaser.Loader#createAsyncLoader
+    * @protected
+    * @return {Phaser.Loader} The new Loader.
+    */
+    createAsyncLoader: function ()
+    {
+
+        var loader = new Phaser.Loader(this.game);
+
+        loader.notifyState = false;
+        loader.baseURL = this.baseURL;
+        loader.path = this.path;
+        loader.crossOrigin = this.crossOrigin;
+        loader.headers = this.headers;
+        loader.enableParallel = this.enableParallel;
+        loader.maxParallelDownloads = this.maxParallelDownloads;
+        loader.maxRetries = this.maxRetries;
+        loader.retryDelay = this.retryDelay;
+        loader.retryBackoff = this.retryBackoff;
+        loader.timeout = this.timeout;
+        loader.fallbackURLs = this.fallbackURLs;
+        loader.version = this.version;
+        loader.versionMode = this.versionMode;
+        loader.checkIntegrity = this.checkIntegrity;
+        loader.offlineCache = this.offlineCache;
+        loader.basisTranscoder = this.basisTranscoder;
+        loader._basisTranscoder = this._basisTranscoder;
+
+        return loader;
+
+    },
+
+    /**
+    * Resolves or rejects the promises of {@link #waitFor} for a file that has loaded or failed.
+    *
+    * @method Phaser.Loader#settleWaiting
+    * @private
+    * @param {object} file - The file.
+    */
+    settleWaiting: function (file)
+    {
+
+        for (var i = 0; i < this._waiting.length; i++)
+        {
+            var waiting = this._waiting[i];
+
+            if (waiting.file === file)
+            {
+                this._waiting.splice(i, 1);
+                i--;
+
+                if (file.error)
+                {
+                    waiting.reject(this.createFileError(file, file.errorMessage));
+                }
+                else
+                {
+                    waiting.resolve(file);
+                }
+            }
+        }
+
+    },
+
+    /**
+    * Creates the Error that the promises of the Loader are rejected with.
+    *
+    * @method Phaser.Loader#createFileError
+    * @private
+    * @param {object} file - The file that failed.
+    * @param {string} message - The reason it failed.
+    * @return {Error} The error, with the file as its `file` property.
+    */
+    createFileError: function (file, message)
+    {
+
+        var error = new Error('Phaser.Loader - ' + file.type + '[' + file.key + ']: ' + message);
+
+        error.file = file;
+
+        return error;
+
+    },
+
+    /**
+    * Process the next item(s) in the file/asset queue.
+    *
+    * Process the queue and start loading enough items to fill up the inflight queue.
+    *
+    * If a sync-file is encountered then subsequent asset processing is delayed until it completes.
+    * The exception to this rule is that packfiles can be downloaded (but not processed) even if
+    * there appear other sync files (ie. packs) - this enables multiple packfiles to be fetched in parallel.
+    * such as during the start phaser.
+    *
+    * Of the items that can be started, those with the highest priority are started first.
+    *
+    * @method Phaser.Loader#processLoadQueue
+    * @private
+    */
+    processLoadQueue: function ()
+    {
+
+        if (!this.isLoading)
+        {
+            console.warn('Phaser.Loader - active loading canceled / reset');
+            this.finishedLoading(true);
             return;
         }
 
@@ -2005,6 +3094,11 @@ Phaser.Loader.prototype = {
                     this.onFileError.dispatch(file.key, file);
                 }
 
+                if (this._referenceFiles && !file.error && this.getFileCache(file.type) > -1)
+                {
+                    this.game.cache.addReference(file.key, this.getFileCache(file.type), this);
+                }
+
                 if (file.type !== 'packfile')
                 {
                     this._loadedFileCount++;
@@ -2017,6 +3111,8 @@ Phaser.Loader.prototype = {
                     this.onPackComplete.dispatch(file.key, !file.error, this._loadedPackCount, this._totalPackCount);
                 }
 
+                this.settleWaiting(file);
+
             }
         }
 
@@ -2025,6 +3121,9 @@ Phaser.Loader.prototype = {
 
         var inflightLimit = this.enableParallel ? Math.max(1, this.maxParallelDownloads) : 1;
 
+        // The items that can be started, in queue order
+        var ready = [];
+
         for (var i = this._processingHead; i < this._fileList.length; i++)
         {
             var file = this._fileList[i];
@@ -2047,32 +3146,10 @@ Phaser.Loader.prototype = {
                     this._processingHead = i + 1;
                 }
             }
-            else if (!file.loading && this._flightQueue.length < inflightLimit)
+            else if (!file.loading && ((file.type === 'packfile' && !file.data) || !syncblock))
             {
                 // -> not loaded/failed, not loading
-                if (file.type === 'packfile' && !file.data)
-                {
-                    // Fetches the pack data: the pack is processed above as it reaches queue-start.
-                    // (Packs do not trigger onLoadStart or onFileStart.)
-                    this._flightQueue.push(file);
-                    file.loading = true;
-
-                    this.loadFile(file);
-                }
-                else if (!syncblock)
-                {
-                    if (!this._fileLoadStarted)
-                    {
-                        this._fileLoadStarted = true;
-                        this.onLoadStart.dispatch();
-                    }
-
-                    this._flightQueue.push(file);
-                    file.loading = true;
-                    this.onFileStart.dispatch(this.progress, file.key, file.url);
-
-                    this.loadFile(file);
-                }
+                ready.push(file);
             }
 
             if (!file.loaded && file.syncPoint)
@@ -2080,15 +3157,52 @@ Phaser.Loader.prototype = {
                 syncblock = true;
             }
 
-            // Stop looking if queue full - or if syncblocked and there are no more packs.
+            // Stop looking if syncblocked and there are no more packs.
             // (As only packs can be loaded around a syncblock)
-            if (this._flightQueue.length >= inflightLimit ||
-                (syncblock && this._loadedPackCount === this._totalPackCount))
+            if (syncblock && this._loadedPackCount === this._totalPackCount)
             {
                 break;
             }
         }
 
+        // Packs first, as they add more files, then by priority. The sort is kept stable with the queue order.
+        ready = ready.map(function (file, index)
+        {
+            return { file: file, index: index, priority: (file.type === 'packfile') ? Infinity : (file.priority || 0) };
+        }).sort(function (a, b)
+        {
+            return (b.priority - a.priority) || (a.index - b.index);
+        });
+
+        for (i = 0; i < ready.length && !this._paused && this._flightQueue.length < inflightLimit; i++)
+        {
+            file = ready[i].file;
+
+            if (file.type === 'packfile')
+            {
+                // Fetches the pack data: the pack is processed above as it reaches queue-start.
+                // (Packs do not trigger onLoadStart or onFileStart.)
+                this._flightQueue.push(file);
+                file.loading = true;
+
+                this.loadFile(file);
+            }
+            else
+            {
+                if (!this._fileLoadStarted)
+                {
+                    this._fileLoadStarted = true;
+                    this.onLoadStart.dispatch();
+                }
+
+                this._flightQueue.push(file);
+                file.loading = true;
+                this.onFileStart.dispatch(this.progress, file.key, file.url);
+
+                this.loadFile(file);
+            }
+        }
+
         this.updateProgress();
 
         // True when all items in the queue have been advanced over
@@ -2097,7 +3211,7 @@ Phaser.Loader.prototype = {
         {
             this.finishedLoading();
         }
-        else if (!this._flightQueue.length)
+        else if (!this._flightQueue.length && !this._paused)
         {
             // Flight queue is empty but file list is not done being processed.
             // This indicates a critical internal error with no known recovery.
@@ -2138,7 +3252,11 @@ Phaser.Loader.prototype = {
             this.onLoadStart.dispatch();
         }
 
-        this.game.state.loadUpdate();
+        if (this.notifyState)
+        {
+            this.game.state.loadUpdate();
+        }
+
         this.onBeforeLoadComplete.dispatch();
 
         this.reset();
@@ -2146,7 +3264,7 @@ Phaser.Loader.prototype = {
         this.onLoadComplete.dispatch();
 
         // Check if the state still exists since destroy could have occurred while loading
-        if (this.game.state)
+        if (this.notifyState && this.game.state)
         {
             this.game.state.loadComplete();
         }
@@ -2170,6 +3288,12 @@ Phaser.Loader.prototype = {
         file.loaded = true;
         file.error = !!errorMessage;
 
+        if (file.objectURL)
+        {
+            window.URL.revokeObjectURL(file.objectURL);
+            file.objectURL = null;
+        }
+
         if (errorMessage)
         {
             file.errorMessage = errorMessage;
@@ -2184,6 +3308,12 @@ Phaser.Loader.prototype = {
     /**
     * Process pack data. This will usually modify the file list.
     *
+    * Besides the properties of its type, each entry can have:
+    *
+    * - `version` or `hash` - The version of the file, such as a hash of its content made by a build tool. See {@link #setFileVersion}.
+    * - `integrity` - A Subresource Integrity string the content of the file is verified with. See {@link #checkIntegrity}.
+    * - `priority` - The priority of the file. See {@link #withPriority}.
+    *
     * @method Phaser.Loader#processPack
     * @private
     * @param {object} pack
@@ -2203,6 +3333,13 @@ Phaser.Loader.prototype = {
         {
             var file = packData[i];
 
+            this._fileProperties = { version: file.version || file.hash, integrity: file.integrity };
+
+            if (file.priority !== undefined)
+            {
+                this._fileProperties.priority = file.priority;
+            }
+
             switch (file.type)
             {
                 case 'image':
@@ -2229,6 +3366,10 @@ Phaser.Loader.prototype = {
                     this.binary(file.key, file.url, file.callback, pack.callbackContext || this);
                     break;
 
+                case 'font':
+                    this.font(file.key, file.urls || file.url, file.family, file.descriptors);
+                    break;
+
                 case 'spritesheet':
                     this.spritesheet(file.key, file.url, file.frameWidth, file.frameHeight, file.frameMax, file.margin, file.spacing, file.skipFrames);
                     break;
@@ -2269,6 +3410,18 @@ Phaser.Loader.prototype = {
                     this.atlasXML(file.key, file.textureURL, file.atlasURL, file.atlasData);
                     break;
 
+                case 'atlasAseprite':
+                    this.atlasAseprite(file.key, file.textureURL, file.atlasURL, file.atlasData);
+                    break;
+
+                case 'atlasLibGDX':
+                    this.atlasLibGDX(file.key, file.atlasURL, file.atlasData, file.texturePath);
+                    break;
+
+                case 'atlasMultiPack':
+                    this.atlasMultiPack(file.key, file.atlasURL, file.atlasData, file.texturePath);
+                    break;
+
                 case 'atlas':
                     this.atlas(file.key, file.textureURL, file.atlasURL, file.atlasData, Phaser.Loader[file.format]);
                     break;
@@ -2277,6 +3430,8 @@ Phaser.Loader.prototype = {
                     this.shader(file.key, file.url, file.overwrite);
                     break;
             }
+
+            this._fileProperties = null;
         }
 
     },
@@ -2284,7 +3439,8 @@ Phaser.Loader.prototype = {
     /**
     * Transforms the asset URL.
     *
-    * The default implementation prepends the baseURL if the url doesn't begin with http or //
+    * The default implementation prepends the baseURL if the url doesn't begin with http or //, and adds the version of the file
+    * or {@link #version} to it with {@link #versionUrl}.
     *
     * @method Phaser.Loader#transformUrl
     * @protected
@@ -2300,15 +3456,73 @@ Phaser.Loader.prototype = {
             return false;
         }
 
-        if (url.match(/^(?:blob:|data:|http:\/\/|https:\/\/|\/\/)/))
+        if (url.match(/^(?:blob:|data:)/))
         {
             return url;
         }
-        else
+
+        //  The version of a file is that of its main URL, not of the other files it loads, such as the atlas data or tilesets
+        var version = (file.version && url === file.url) ? file.version : this.version;
+
+        if (!url.match(/^(?:http:\/\/|https:\/\/|\/\/)/))
+        {
+            url = this.baseURL + file.path + url;
+        }
+
+        if (version)
+        {
+            url = this.versionUrl(url, String(version));
+        }
+
+        return url;
+
+    },
+
+    /**
+    * Adds a version to a URL, as set by {@link #versionMode}.
+    *
+    * @method Phaser.Loader#versionUrl
+    * @protected
+    * @param {string} url - The URL.
+    * @param {string} version - The version.
+    * @return {string} The versioned URL.
+    */
+    versionUrl: function (url, version)
+    {
+
+        var end = url.search(/[?#]/);
+
+        if (end === -1)
+        {
+            end = url.length;
+        }
+
+        if (this.versionMode === Phaser.Loader.VERSION_FILENAME)
+        {
+            var path = url.substr(0, end);
+            var dot = path.lastIndexOf('.');
+
+            if (dot > path.lastIndexOf('/'))
+            {
+                path = path.substr(0, dot) + '.' + version + path.substr(dot);
+            }
+            else
+            {
+                path += '.' + version;
+            }
+
+            return path + url.substr(end);
+        }
+
+        var fragment = url.indexOf('#');
+
+        if (fragment === -1)
         {
-            return this.baseURL + file.path + url;
+            fragment = url.length;
         }
 
+        return url.substr(0, fragment) + ((url.charAt(end) === '?') ? '&' : '?') + 'v=' + encodeURIComponent(version) + url.substr(fragment);
+
     },
 
     /**
@@ -2378,22 +3592,45 @@ Phaser.Loader.prototype = {
                 }
                 break;
 
-            case 'json':
-
-                this.xhrLoad(file, this.transformUrl(file.url, file), 'text', this.jsonLoadComplete);
-                break;
-
-            case 'xml':
+            case 'multiatlas':
+
+                if (file.atlasData)
+                {
+                    this.loadAtlasFiles(file, file.atlasData);
+                }
+                else
+                {
+                    this.xhrLoad(file, this.transformUrl(file.url, file), 'text', function (file, xhr)
+                    {
+                        this.loadAtlasFiles(file, xhr.responseText);
+                    });
+                }
+                break;
+
+            case 'json':
+
+                this.xhrLoad(file, this.transformUrl(file.url, file), 'text', this.jsonLoadComplete);
+                break;
+
+            case 'xml':
 
                 this.xhrLoad(file, this.transformUrl(file.url, file), 'text', this.xmlLoadComplete);
                 break;
 
             case 'tilemap':
 
-                if (file.format === Phaser.Tilemap.TILED_JSON)
+                if (file.format !== Phaser.Tilemap.CSV && file.data)
+                {
+                    this.loadTilemapFiles(file, file.data);
+                }
+                else if (file.format === Phaser.Tilemap.TILED_JSON)
                 {
                     this.xhrLoad(file, this.transformUrl(file.url, file), 'text', this.jsonLoadComplete);
                 }
+                else if (file.format === Phaser.Tilemap.TILED_XML)
+                {
+                    this.xhrLoad(file, this.transformUrl(file.url, file), 'text', this.xmlLoadComplete);
+                }
                 else if (file.format === Phaser.Tilemap.CSV)
                 {
                     this.xhrLoad(file, this.transformUrl(file.url, file), 'text', this.csvLoadComplete);
@@ -2426,6 +3663,18 @@ Phaser.Loader.prototype = {
             case 'binary':
                 this.xhrLoad(file, this.transformUrl(file.url, file), 'arraybuffer', this.fileComplete);
                 break;
+
+            case 'font':
+
+                if (window.FontFace && document.fonts)
+                {
+                    this.xhrLoad(file, this.transformUrl(file.url, file), 'arraybuffer', this.fileComplete, this.fontError);
+                }
+                else
+                {
+                    this.fileError(file, null, 'The FontFace API is not supported');
+                }
+                break;
         }
 
     },
@@ -2433,48 +3682,94 @@ Phaser.Loader.prototype = {
     /**
     * Continue async loading through an Image tag.
     * @private
+    * @param {object} file - The file to load.
+    * @param {string} [url] - The URL to load the image from, if not that of the file.
     */
-    loadImageTag: function (file)
+    loadImageTag: function (file, url)
     {
         var _this = this;
+        var timer = null;
 
-        file.data = new Image();
-        file.data.name = file.key;
+        if (url === undefined) { url = this.transformUrl(file.url, file); }
+
+        if (this.getOfflineCache(url))
+        {
+            //  The image is downloaded, or read from the offline cache, and then loaded from a blob URL
+            this.xhrLoad(file, url, 'blob', function (file, xhr)
+            {
+                file.objectURL = window.URL.createObjectURL(xhr.response);
+                this.loadImageTag(file, file.objectURL);
+            });
+
+            return;
+        }
+
+        //  A failed request may be made again with a new Image, so the handlers only refer to their own
+        var image = new Image();
+
+        file.data = image;
+        image.name = file.key;
 
         if (this.crossOrigin)
         {
-            file.data.crossOrigin = this.crossOrigin;
+            image.crossOrigin = this.crossOrigin;
         }
 
-        file.data.onload = function ()
+        image.onload = function ()
         {
-            if (file.data.onload)
+            if (image.onload)
             {
-                file.data.onload = null;
-                file.data.onerror = null;
+                clearTimeout(timer);
+                image.onload = null;
+                image.onerror = null;
                 _this.fileComplete(file);
             }
         };
 
-        file.data.onerror = function ()
+        image.onerror = function (event, reason)
         {
-            if (file.data.onload)
+            if (image.onload)
             {
-                file.data.onload = null;
-                file.data.onerror = null;
-                _this.fileError(file);
+                clearTimeout(timer);
+                image.onload = null;
+                image.onerror = null;
+
+                if (!_this.retryRequest(file, url, 0, function (next)
+                {
+                    this.loadImageTag(file, next);
+                }))
+                {
+                    _this.fileError(file, null, reason);
+                }
             }
         };
 
-        file.data.src = this.transformUrl(file.url, file);
+        var timeout = (file.timeout !== undefined) ? file.timeout : this.timeout;
+
+        if (timeout > 0)
+        {
+            timer = setTimeout(function ()
+            {
+                if (image.onerror)
+                {
+                    //  Stop the download
+                    image.src = '';
+                    image.onerror(null, 'timeout');
+                }
+            }, timeout);
+        }
+
+        file.requestUrl = url;
+        image.src = url;
 
         // Image is immediately-available/cached
         // Special Firefox magic, exclude from cached reload
         // More info here: https://github.com/photonstorm/phaser/issues/2534
-        if (!this.game.device.firefox && file.data.complete && file.data.width && file.data.height)
+        if (!this.game.device.firefox && image.complete && image.width && image.height)
         {
-            file.data.onload = null;
-            file.data.onerror = null;
+            clearTimeout(timer);
+            image.onload = null;
+            image.onerror = null;
             this.fileComplete(file);
         }
 
@@ -2565,6 +3860,43 @@ Phaser.Loader.prototype = {
 
     },
 
+    /**
+    * Calls a function that processes a loaded file, such as a request or promise callback.
+    *
+    * An error thrown by the function fails the file. Once the last file has completed, which starts the `create` method of the State,
+    * errors are logged instead, so that those thrown in `create` aren't lost in a rejected promise.
+    *
+    * @method Phaser.Loader#runCallback
+    * @private
+    * @param {object} file - The file being processed.
+    * @param {function} callback - The function to call.
+    */
+    runCallback: function (file, callback)
+    {
+
+        try
+        {
+            callback();
+        }
+        catch (e)
+        {
+
+            //  If this was the last file in the queue and an error is thrown in the create method
+            //  then it's caught here, so be sure we don't carry on processing it
+
+            if (!this.hasLoaded)
+            {
+                this.asyncComplete(file, e.message || 'Exception');
+            }
+            else
+            if (window['console'])
+            {
+                console.error(e);
+            }
+        }
+
+    },
+
     /**
     * Starts the xhr loader.
     *
@@ -2581,457 +3913,1315 @@ Phaser.Loader.prototype = {
     xhrLoad: function (file, url, type, onload, onerror)
     {
 
-        var xhr = new XMLHttpRequest();
-        xhr.open('GET', url, true);
-        xhr.responseType = type;
+        //  The integrity is that of the main file, which atlases and bitmap fonts load as an image, and multi-texture atlases as their data
+        var verify = this.checkIntegrity && file.integrity && !file.integrityChecked && file.type !== 'textureatlas' && file.type !== 'bitmapfont' &&
+            !(file.type === 'multiatlas' && type === 'blob');
 
-        if (this.headers['requestedWith'] !== false)
+        if (verify && !(window.crypto && window.crypto.subtle))
         {
-            xhr.setRequestHeader('X-Requested-With', this.headers['requestedWith']);
+            console.warn('Phaser.Loader - ' + file.type + '[' + file.key + ']: integrity not checked, the Web Crypto API is unavailable');
+            verify = false;
         }
 
-        if (this.headers[file.type])
+        var cache = this.getOfflineCache(url);
+        var cacheKey = cache ? this.getOfflineCacheKey(file, url) : null;
+        var asset = file.type + '/' + file.key;
+
+        if (cache)
         {
-            xhr.setRequestHeader('Accept', this.headers[file.type]);
+            //  Files made of several downloads, such as atlases, store each one as a part of the asset, so that they don't replace each other
+            file.cacheKeys = file.cacheKeys || [];
+
+            if (file.cacheKeys.indexOf(cacheKey) === -1)
+            {
+                file.cacheKeys.push(cacheKey);
+            }
+
+            if (file.cacheKeys.indexOf(cacheKey) > 0)
+            {
+                asset += '/' + file.cacheKeys.indexOf(cacheKey);
+            }
         }
 
-        onerror = onerror || this.fileError;
+        //  Versioned files never change, so they can be loaded from the offline cache without asking the server
+        var cacheFirst = cache && !!(file.version || this.version);
 
+        var xhr = null;
         var _this = this;
 
-        xhr.onload = function ()
+        var inFlight = function ()
         {
+            //  Unless the Loader was reset in the meantime
+            return _this._flightQueue.indexOf(file) > -1;
+        };
 
-            try
+        var run = function (callback)
+        {
+            _this.runCallback(file, callback);
+        };
+
+        var failed = function (reason)
+        {
+
+            if (_this.retryRequest(file, url, xhr.status, function (next)
             {
-                if (xhr.readyState === 4 && xhr.status >= 400 && xhr.status <= 599)
-                { // Handle HTTP status codes of 4xx and 5xx as errors, even if xhr.onerror was not called.
-                    return onerror.call(_this, file, xhr);
-                }
-                else
-                {
-                    return onload.call(_this, file, xhr);
-                }
-            }
-            catch (e)
+                this.xhrLoad(file, next, type, onload, onerror);
+            }))
             {
+                return;
+            }
 
-                //  If this was the last file in the queue and an error is thrown in the create method
-                //  then it's caught here, so be sure we don't carry on processing it
-
-                if (!_this.hasLoaded)
-                {
-                    _this.asyncComplete(file, e.message || 'Exception');
-                }
-                else
-                if (window['console'])
+            //  The server can't be reached, so use the stored copy if there is one
+            if (cache && !cacheFirst && (!xhr.status || xhr.status >= 500))
+            {
+                cache.get(cacheKey).then(function (record)
                 {
-                    console.error(e);
-                }
+                    if (inFlight())
+                    {
+                        run(function ()
+                        {
+                            if (record)
+                            {
+                                complete(_this.createCachedResponse(record));
+                            }
+                            else
+                            {
+                                (onerror || _this.fileError).call(_this, file, xhr, reason);
+                            }
+                        });
+                    }
+                });
+            }
+            else
+            {
+                (onerror || _this.fileError).call(_this, file, xhr, reason);
             }
+
         };
 
-        xhr.onerror = function ()
+        //  `valid` is undefined until the integrity of a verified file has been checked
+        var complete = function (response, valid)
         {
 
-            try
+            if (response.readyState === 4 && response.status >= 400 && response.status <= 599)
+            { // Handle HTTP status codes of 4xx and 5xx as errors, even if xhr.onerror was not called.
+                failed();
+            }
+            else if (verify && valid === undefined)
             {
-
-                return onerror.call(_this, file, xhr);
-
+                _this.verifyIntegrity(response.response, file.integrity).then(function (result)
+                {
+                    if (inFlight())
+                    {
+                        run(function ()
+                        {
+                            complete(response, result);
+                        });
+                    }
+                });
             }
-            catch (e)
+            else if (verify && !valid && response !== xhr)
             {
+                //  The stored copy is corrupted or outdated
+                cache.remove(cacheKey);
 
-                if (!_this.hasLoaded)
+                if (xhr)
                 {
-                    _this.asyncComplete(file, e.message || 'Exception');
+                    (onerror || _this.fileError).call(_this, file, xhr, 'integrity check failed');
                 }
                 else
-                if (window['console'])
                 {
-                    console.error(e);
+                    send();
                 }
-
             }
-        };
-
-        file.requestObject = xhr;
-        file.requestUrl = url;
+            else if (verify && !valid)
+            {
+                failed('integrity check failed');
+            }
+            else
+            {
+                file.integrityChecked = file.integrityChecked || verify;
 
-        xhr.send();
+                if (cache && response === xhr)
+                {
+                    cache.put(cacheKey, xhr.response, xhr.getResponseHeader('Content-Type'), asset);
+                }
 
-    },
+                //  Verified and cached files are downloaded as an ArrayBuffer
+                onload.call(_this, file, (verify || cache) ? _this.createResponse(response, type) : response);
+            }
 
-    /**
-    * Give a bunch of URLs, return the first URL that has an extension this device thinks it can play.
-    *
-    * It is assumed that the device can play "blob:" or "data:" URIs - There is no mime-type checking on data URIs.
-    *
-    * @method Phaser.Loader#getVideoURL
-    * @private
-    * @param {object[]|string[]} urls - See {@link #video} for format.
-    * @return {string} The URL to try and fetch; or null.
-    */
-    getVideoURL: function (urls)
-    {
+        };
 
-        for (var i = 0; i < urls.length; i++)
+        var send = function ()
         {
-            var url = urls[i];
-            var videoType;
 
-            if (url.uri) // {uri: .., type: ..} pair
+            xhr = new XMLHttpRequest();
+            xhr.open('GET', url, true);
+            xhr.responseType = (verify || cache) ? 'arraybuffer' : type;
+            xhr.timeout = (file.timeout !== undefined) ? file.timeout : _this.timeout;
+
+            if (_this.headers['requestedWith'] !== false)
             {
-                videoType = url.type;
-                url = url.uri;
+                xhr.setRequestHeader('X-Requested-With', _this.headers['requestedWith']);
+            }
 
-                if (this.game.device.canPlayVideo(videoType))
-                {
-                    return url;
-                }
+            if (_this.headers[file.type])
+            {
+                xhr.setRequestHeader('Accept', _this.headers[file.type]);
             }
-            else
+
+            xhr.onload = function ()
             {
-                // Assume direct-data URI can be played if not in a paired form; select immediately
-                if (url.indexOf('blob:') === 0 || url.indexOf('data:') === 0)
+                run(function ()
                 {
-                    return url;
-                }
+                    complete(xhr);
+                });
+            };
 
-                if (url.indexOf('?') >= 0) // Remove query from URL
+            xhr.onerror = xhr.ontimeout = function (event)
+            {
+                run(function ()
                 {
-                    url = url.substr(0, url.indexOf('?'));
-                }
+                    failed((event && event.type === 'timeout') ? 'timeout' : undefined);
+                });
+            };
 
-                var extension = url.substr((Math.max(0, url.lastIndexOf('.')) || Infinity) + 1);
+            file.requestObject = xhr;
+            file.requestUrl = url;
 
-                videoType = extension.toLowerCase();
+            xhr.send();
 
-                if (this.game.device.canPlayVideo(videoType))
+        };
+
+        if (cacheFirst)
+        {
+            cache.get(cacheKey).then(function (record)
+            {
+                if (inFlight())
                 {
-                    return urls[i];
+                    run(function ()
+                    {
+                        if (record)
+                        {
+                            file.requestUrl = url;
+                            complete(_this.createCachedResponse(record));
+                        }
+                        else
+                        {
+                            send();
+                        }
+                    });
                 }
-            }
+            });
+        }
+        else
+        {
+            send();
         }
-
-        return null;
 
     },
 
     /**
-    * Give a bunch of URLs, return the first URL that has an extension this device thinks it can play.
+    * Checks data against a Subresource Integrity string, such as `sha384-oqVuAfXRKap7fdgcCY5uykM6+R9GqQ8K/uxy9rx7HNQlGYl1kPzQho1wx4JwY8wC`.
+    * As in browsers, the string can have several hashes separated by spaces, and only those of the strongest algorithm are used.
+    * Data with any of them is valid. The algorithms are sha256, sha384 and sha512.
     *
-    * It is assumed that the device can play "blob:" or "data:" URIs - There is no mime-type checking on data URIs.
+    * It needs the Web Crypto API.
     *
-    * @method Phaser.Loader#getAudioURL
-    * @private
-    * @param {object[]|string[]} urls - See {@link #audio} for format.
-    * @return {string} The URL to try and fetch; or null.
+    * @method Phaser.Loader#verifyIntegrity
+    * @param {ArrayBuffer} data - The data to check.
+    * @param {string} integrity - The integrity string.
+    * @return {Promise} A Promise that resolves to true if the data is valid, or if the string has no hashes of a known algorithm, and false if not.
     */
-    getAudioURL: function (urls)
+    verifyIntegrity: function (data, integrity)
     {
 
-        if (this.game.sound.noAudio)
-        {
-            return null;
-        }
+        var algorithms = Object.keys(Phaser.Loader.INTEGRITY_ALGORITHMS);
+        var tokens = integrity.split(/\s+/);
+        var strongest = -1;
+        var hashes = [];
 
-        for (var i = 0; i < urls.length; i++)
+        for (var i = 0; i < tokens.length; i++)
         {
-            var url = urls[i];
-            var audioType;
+            var dash = tokens[i].indexOf('-');
+            var algorithm = algorithms.indexOf(tokens[i].substr(0, dash).toLowerCase());
 
-            if (url.uri) // {uri: .., type: ..} pair
-            {
-                audioType = url.type;
-                url = url.uri;
+            //  Options after a "?" are ignored, as browsers do
+            var hash = tokens[i].substr(dash + 1).split('?')[0];
 
-                if (this.game.device.canPlayAudio(audioType))
-                {
-                    return url;
-                }
+            if (algorithm > strongest)
+            {
+                strongest = algorithm;
+                hashes = [ hash ];
             }
-            else
+            else if (algorithm === strongest && algorithm > -1)
             {
-                // Assume direct-data URI can be played if not in a paired form; select immediately
-                if (url.indexOf('blob:') === 0 || url.indexOf('data:') === 0)
-                {
-                    return url;
-                }
-
-                if (url.indexOf('?') >= 0) // Remove query from URL
-                {
-                    url = url.substr(0, url.indexOf('?'));
-                }
+                hashes.push(hash);
+            }
+        }
 
-                var extension = url.substr((Math.max(0, url.lastIndexOf('.')) || Infinity) + 1);
+        if (strongest === -1)
+        {
+            return Promise.resolve(true);
+        }
 
-                audioType = extension.toLowerCase();
+        return window.crypto.subtle.digest(Phaser.Loader.INTEGRITY_ALGORITHMS[algorithms[strongest]], data).then(function (digest)
+        {
+            var bytes = new Uint8Array(digest);
+            var binary = '';
 
-                if (this.game.device.canPlayAudio(audioType))
-                {
-                    return urls[i];
-                }
+            for (var b = 0; b < bytes.length; b++)
+            {
+                binary += String.fromCharCode(bytes[b]);
             }
-        }
 
-        return null;
+            return hashes.indexOf(window.btoa(binary)) > -1;
+
+        }, function ()
+        {
+            return false;
+        });
 
     },
 
     /**
-    * Error occurred when loading a file.
+    * Verified and cached files are downloaded as an ArrayBuffer. This creates the response of their request in the type it was made with.
     *
-    * @method Phaser.Loader#fileError
+    * @method Phaser.Loader#createResponse
+    * @private
+    * @param {XMLHttpRequest|object} xhr - The request, or the response of a file from the {@link #offlineCache}.
+    * @param {string} type - The xhr responseType of the request.
+    * @return {object} An object with the `status`, `readyState`, `responseType`, `response` and `responseText` of the request.
+    */
+    createResponse: function (xhr, type)
+    {
+
+        var response = {
+            status: xhr.status,
+            readyState: xhr.readyState,
+            responseType: type,
+            response: xhr.response,
+            responseText: ''
+        };
+
+        if (type === 'text' || type === '')
+        {
+            response.responseText = response.response = new TextDecoder().decode(xhr.response);
+        }
+        else if (type === 'blob')
+        {
+            response.response = new Blob([ xhr.response ], { type: xhr.getResponseHeader('Content-Type') || '' });
+        }
+
+        return response;
+
+    },
+
+    /**
+    * Gets the {@link #offlineCache} to use for a URL.
+    *
+    * @method Phaser.Loader#getOfflineCache
+    * @private
+    * @param {string} url - The URL.
+    * @return {?Phaser.OfflineCache} The offline cache, or null if there is none or the URL is a data or blob URL.
+    */
+    getOfflineCache: function (url)
+    {
+
+        if (this.offlineCache && this.offlineCache.available && !url.match(/^(?:blob:|data:)/))
+        {
+            return this.offlineCache;
+        }
+
+        return null;
+
+    },
+
+    /**
+    * Gets the key a file is stored with in the {@link #offlineCache}. This is its URL from the {@link #baseURL}, even if it was downloaded
+    * from one of the {@link #fallbackURLs}.
+    *
+    * @method Phaser.Loader#getOfflineCacheKey
+    * @private
+    * @param {object} file - The file.
+    * @param {string} url - The URL the file is downloaded from.
+    * @return {string} The key.
+    */
+    getOfflineCacheKey: function (file, url)
+    {
+
+        var bases = file.fallbackURLs || this.fallbackURLs;
+        var base = '';
+
+        for (var i = 0; i < bases.length; i++)
+        {
+            if (bases[i] && url.indexOf(bases[i]) === 0 && bases[i].length > base.length)
+            {
+                base = bases[i];
+            }
+        }
+
+        return (base) ? this.baseURL + url.substr(base.length) : url;
+
+    },
+
+    /**
+    * Creates a response, like that of a request, for a file stored in the {@link #offlineCache}.
+    *
+    * @method Phaser.Loader#createCachedResponse
+    * @private
+    * @param {object} record - The stored file.
+    * @return {object} An object with the `status`, `readyState`, `response` and `getResponseHeader` of a request.
+    */
+    createCachedResponse: function (record)
+    {
+
+        return {
+            status: 200,
+            readyState: 4,
+            response: record.data,
+            getResponseHeader: function (name)
+            {
+                return (name.toLowerCase() === 'content-type') ? record.type : null;
+            }
+        };
+
+    },
+
+    /**
+    * Called when a request of a file fails. Makes the request again after a delay if it has retries left (see {@link #maxRetries}),
+    * or otherwise from the next of the {@link #fallbackURLs}.
+    *
+    * @method Phaser.Loader#retryRequest
+    * @private
+    * @param {object} file - The file of the request.
+    * @param {string} url - The URL that failed.
+    * @param {integer} status - The HTTP status of the response, or 0 if there was none.
+    * @param {function} request - Makes the request again. It is called in the context of the Loader with the URL to use.
+    * @return {boolean} True if the request will be made again, false if the file has failed.
+    */
+    retryRequest: function (file, url, status, request)
+    {
+
+        var maxRetries = (file.maxRetries !== undefined) ? file.maxRetries : this.maxRetries;
+        var retryDelay = (file.retryDelay !== undefined) ? file.retryDelay : this.retryDelay;
+        var next = url;
+        var delay = 0;
+
+        //  The retries are counted for each URL, as some files make more than one request
+        if (file.retryUrl !== url)
+        {
+            file.retryUrl = url;
+            file.retries = 0;
+        }
+
+        var retryable = (!status || status === 408 || status === 429 || status >= 500);
+
+        if (retryable && file.retries < maxRetries)
+        {
+            delay = retryDelay * Math.pow(this.retryBackoff, file.retries);
+            file.retries++;
+        }
+        else
+        {
+            next = this.getFallbackURL(url, file.fallbackURLs || this.fallbackURLs);
+
+            if (!next)
+            {
+                return false;
+            }
+        }
+
+        console.warn('Phaser.Loader - ' + file.type + '[' + file.key + ']: error loading asset from URL ' + url + ((next === url) ? ', retrying in ' + delay + 'ms' : ', trying ' + next));
+
+        var _this = this;
+
+        setTimeout(function ()
+        {
+            //  Unless the Loader was reset in the meantime
+            if (_this._flightQueue.indexOf(file) > -1)
+            {
+                request.call(_this, next);
+            }
+        }, delay);
+
+        return true;
+
+    },
+
+    /**
+    * Gets the URL to try after a request failed, by replacing the base URL with the next of the fallback URLs.
+    *
+    * @method Phaser.Loader#getFallbackURL
+    * @private
+    * @param {string} url - The URL that failed.
+    * @param {string[]} fallbackURLs - The base URLs to try after {@link #baseURL}.
+    * @return {?string} The next URL, or null if there are no more to try.
+    */
+    getFallbackURL: function (url, fallbackURLs)
+    {
+
+        var bases = [ this.baseURL ].concat(fallbackURLs);
+        var current = -1;
+
+        for (var i = 0; i < bases.length; i++)
+        {
+            //  The longest match, as one base URL may start with another
+            if (bases[i] && url.indexOf(bases[i]) === 0 && (current === -1 || bases[i].length > bases[current].length))
+            {
+                current = i;
+            }
+        }
+
+        if (current === -1 && !this.baseURL && !url.match(/^(?:blob:|data:|http:\/\/|https:\/\/|\/\/)/))
+        {
+            //  A relative URL without a base URL
+            current = 0;
+        }
+
+        if (current === -1 || current + 1 >= bases.length)
+        {
+            return null;
+        }
+
+        return bases[current + 1] + url.substr(bases[current].length);
+
+    },
+
+    /**
+    * Give a bunch of URLs, return the first URL that has an extension this device thinks it can play.
+    *
+    * It is assumed that the device can play "blob:" or "data:" URIs - There is no mime-type checking on data URIs.
+    *
+    * @method Phaser.Loader#getVideoURL
+    * @private
+    * @param {object[]|string[]} urls - See {@link #video} for format.
+    * @return {string} The URL to try and fetch; or null.
+    */
+    getVideoURL: function (urls)
+    {
+
+        for (var i = 0; i < urls.length; i++)
+        {
+            var url = urls[i];
+            var videoType;
+
+            if (url.uri) // {uri: .., type: ..} pair
+            {
+                videoType = url.type;
+                url = url.uri;
+
+                if (this.game.device.canPlayVideo(videoType))
+                {
+                    return url;
+                }
+            }
+            else
+            {
+                // Assume direct-data URI can be played if not in a paired form; select immediately
+                if (url.indexOf('blob:') === 0 || url.indexOf('data:') === 0)
+                {
+                    return url;
+                }
+
+                if (url.indexOf('?') >= 0) // Remove query from URL
+                {
+                    url = url.substr(0, url.indexOf('?'));
+                }
+
+                var extension = url.substr((Math.max(0, url.lastIndexOf('.')) || Infinity) + 1);
+
+                videoType = extension.toLowerCase();
+
+                if (this.game.device.canPlayVideo(videoType))
+                {
+                    return urls[i];
+                }
+            }
+        }
+
+        return null;
+
+    },
+
+    /**
+    * Give a bunch of URLs, return the first URL that has an extension this device thinks it can play.
+    *
+    * It is assumed that the device can play "blob:" or "data:" URIs - There is no mime-type checking on data URIs.
+    *
+    * @method Phaser.Loader#getAudioURL
+    * @private
+    * @param {object[]|string[]} urls - See {@link #audio} for format.
+    * @return {string} The URL to try and fetch; or null.
+    */
+    getAudioURL: function (urls)
+    {
+
+        if (this.game.sound.noAudio)
+        {
+            return null;
+        }
+
+        for (var i = 0; i < urls.length; i++)
+        {
+            var url = urls[i];
+            var audioType;
+
+            if (url.uri) // {uri: .., type: ..} pair
+            {
+                audioType = url.type;
+                url = url.uri;
+
+                if (this.game.device.canPlayAudio(audioType))
+                {
+                    return url;
+                }
+            }
+            else
+            {
+                // Assume direct-data URI can be played if not in a paired form; select immediately
+                if (url.indexOf('blob:') === 0 || url.indexOf('data:') === 0)
+                {
+                    return url;
+                }
+
+                if (url.indexOf('?') >= 0) // Remove query from URL
+                {
+                    url = url.substr(0, url.indexOf('?'));
+                }
+
+                var extension = url.substr((Math.max(0, url.lastIndexOf('.')) || Infinity) + 1);
+
+                audioType = extension.toLowerCase();
+
+                if (this.game.device.canPlayAudio(audioType))
+                {
+                    return urls[i];
+                }
+            }
+        }
+
+        return null;
+
+    },
+
+    /**
+    * Error occurred when loading a file.
+    *
+    * @method Phaser.Loader#fileError
+    * @private
+    * @param {object} file
+    * @param {?XMLHttpRequest} xhr - XHR request, unspecified if loaded via other means (eg. tags)
+    * @param {string} reason
+    */
+    fileError: function (file, xhr, reason)
+    {
+
+        var url = file.requestUrl || this.transformUrl(file.url, file);
+        var message = 'error loading asset from URL ' + url;
+
+        if (!reason && xhr)
+        {
+            reason = xhr.status;
+        }
+
+        if (reason)
+        {
+            message = message + ' (' + reason + ')';
+        }
+
+        this.asyncComplete(file, message);
+
+    },
+
+    /**
+    * Called when a file has been downloaded and needs to be processed further.
+    *
+    * @method Phaser.Loader#fileComplete
+    * @private
+    * @param {object} file - File loaded
+    * @param {?XMLHttpRequest} xhr - XHR request, unspecified if loaded via other means (eg. tags)
+    */
+    fileComplete: function (file, xhr)
+    {
+
+        var loadNext = true;
+
+        switch (file.type)
+        {
+            case 'packfile':
+
+                // Pack data must never be false-ish after it is fetched without error
+                var data = JSON.parse(xhr.responseText);
+                file.data = data || {};
+                break;
+
+            case 'texture':
+
+                var extension = (/\.([^.]+)$/).exec(file.url.split('?', 1)[0])[1].toLowerCase();
+                if (extension === 'ktx2')
+                {
+                    //  Transcode the texture before carrying on with the next file
+                    loadNext = false;
+                    this.transcodeTexture(file, (file.data !== null) ? file.data : xhr.response);
+                }
+                else if (file.data !== null)
+                {
+                    this.cache.addCompressedTextureMetaData(file.key, file.url, extension, file.data);
+                }
+                else
+                {
+                    this.cache.addCompressedTextureMetaData(file.key, file.url, extension, xhr.response);
+                }
+                break;
+
+            case 'image':
+
+                this.cache.addImage(file.key, file.url, file.data);
+                break;
+
+            case 'spritesheet':
+
+                this.cache.addSpriteSheet(file.key, file.url, file.data, file.frameWidth, file.frameHeight, file.frameMax, file.margin, file.spacing, file.skipFrames);
+                break;
+
+            case 'textureatlas':
+
+                if (file.atlasURL == null)
+                {
+                    this.cache.addTextureAtlas(file.key, file.url, file.data, file.atlasData, file.format);
+                }
+                else
+                {
+                    //  Load the JSON or XML before carrying on with the next file
+                    loadNext = false;
+
+                    if (file.format === Phaser.Loader.TEXTURE_ATLAS_JSON_ARRAY || file.format === Phaser.Loader.TEXTURE_ATLAS_JSON_HASH ||
+                        file.format === Phaser.Loader.TEXTURE_ATLAS_JSON_PYXEL || file.format === Phaser.Loader.TEXTURE_ATLAS_JSON_ASEPRITE)
+                    {
+                        this.xhrLoad(file, this.transformUrl(file.atlasURL, file), 'text', this.jsonLoadComplete);
+                    }
+                    else if (file.format === Phaser.Loader.TEXTURE_ATLAS_XML_STARLING)
+                    {
+                        this.xhrLoad(file, this.transformUrl(file.atlasURL, file), 'text', this.xmlLoadComplete);
+                    }
+                    else
+                    {
+                        throw new Error('Phaser.Loader. Invalid Texture Atlas format: ' + file.format);
+                    }
+                }
+                break;
+
+            case 'multiatlas':
+
+                //  One of the textures, the others are loaded before carrying on with the next file
+                loadNext = false;
+
+                if (file.objectURL)
+                {
+                    window.URL.revokeObjectURL(file.objectURL);
+                    file.objectURL = null;
+                }
+
+                file.textures.push(file.data);
+
+                this.loadNextAtlasFile(file);
+                break;
+
+            case 'bitmapfont':
+
+                if (!file.atlasURL)
+                {
+                    this.cache.addBitmapFont(file.key, file.url, file.data, file.atlasData, file.atlasType, file.xSpacing, file.ySpacing);
+                }
+                else
+                {
+                    //  Load the XML before carrying on with the next file
+                    loadNext = false;
+                    this.xhrLoad(file, this.transformUrl(file.atlasURL, file), 'text', function (file, xhr)
+                    {
+                        var json;
+
+                        try
+                        {
+                            // Try to parse as JSON, if it fails, then it's hopefully XML
+                            json = JSON.parse(xhr.responseText);
+                        }
+                        catch (e) {}
+
+                        if (json)
+                        {
+                            file.atlasType = 'json';
+                            this.jsonLoadComplete(file, xhr);
+                        }
+                        else
+                        {
+                            file.atlasType = 'xml';
+                            this.xmlLoadComplete(file, xhr);
+                        }
+                    });
+                }
+                break;
+
+            case 'video':
+
+                if (file.asBlob)
+                {
+                    try
+                    {
+                        file.data = xhr.response;
+                    }
+                    catch (e)
+                    {
+                        throw new Error('Phaser.Loader. Unable to parse video file as Blob: ' + file.key);
+                    }
+                }
+
+                this.cache.addVideo(file.key, file.url, file.data, file.asBlob);
+                break;
+
+            case 'audio':
+
+                if (this.game.sound.usingWebAudio)
+                {
+                    file.data = xhr.response;
+
+                    this.cache.addSound(file.key, file.url, file.data, true, false);
+
+                    if (file.autoDecode)
+                    {
+                        this.game.sound.decode(file.key);
+                    }
+                }
+                else
+                {
+                    this.cache.addSound(file.key, file.url, file.data, false, true);
+                }
+                break;
+
+            case 'text':
+                file.data = xhr.responseText;
+                this.cache.addText(file.key, file.url, file.data);
+                break;
+
+            case 'shader':
+                file.data = xhr.responseText;
+                this.cache.addShader(file.key, file.url, file.data);
+                break;
+
+            case 'physics':
+                var data = JSON.parse(xhr.responseText);
+                this.cache.addPhysicsData(file.key, file.url, data, file.format);
+                break;
+
+            case 'script':
+                file.data = document.createElement('script');
+                file.data.language = 'javascript';
+                file.data.type = 'text/javascript';
+                file.data.defer = false;
+                file.data.text = xhr.responseText;
+                document.head.appendChild(file.data);
+                if (file.callback)
+                {
+                    file.data = file.callback.call(file.callbackContext, file.key, xhr.responseText);
+                }
+                break;
+
+            case 'binary':
+                if (file.callback)
+                {
+                    file.data = file.callback.call(file.callbackContext, file.key, xhr.response);
+                }
+                else
+                {
+                    file.data = xhr.response;
+                }
+
+                this.cache.addBinary(file.key, file.data);
+
+                break;
+
+            case 'font':
+
+                //  Wait until the font can be drawn before carrying on with the next file
+                loadNext = false;
+                this.fontLoadComplete(file, xhr);
+                break;
+        }
+
+        if (loadNext)
+        {
+            this.asyncComplete(file);
+        }
+
+    },
+
+    /**
+    * Starts the {@link #basisTranscoder}, if it hasn't been already.
+    *
+    * @method Phaser.Loader#loadBasisTranscoder
+    * @private
+    * @return {Promise} Resolves with an object whose `module` property is the Basis Universal module.
+    */
+    loadBasisTranscoder: function ()
+    {
+
+        if (!this._basisTranscoder)
+        {
+            var _this = this;
+            var factory = this.basisTranscoder || window.BASIS;
+
+            this._basisTranscoder = new Promise(function (resolve, reject)
+            {
+                if (!factory)
+                {
+                    throw new Error('no Basis Universal transcoder, see Phaser.Loader#basisTranscoder');
+                }
+
+                //  The module is wrapped, as an Emscripten module is itself a thenable
+                factory().then(function (basis)
+                {
+                    try
+                    {
+                        basis.initializeBasis();
+
+                        resolve({ module: basis });
+                    }
+                    catch (e)
+                    {
+                        reject(e);
+                    }
+                }, reject);
+            });
+
+            var transcoder = this._basisTranscoder;
+
+            //  A transcoder that failed to start is started again by the next KTX2 texture
+            transcoder.catch(function ()
+            {
+                if (_this._basisTranscoder === transcoder)
+                {
+                    _this._basisTranscoder = null;
+                }
+            });
+        }
+
+        return this._basisTranscoder;
+
+    },
+
+    /**
+    * Successfully loaded a KTX2 texture. Transcodes it to a compressed format the WebGL renderer supports and adds it to the Cache.
+    *
+    * If there is no such format, or the game uses the Canvas renderer, it is transcoded to uncompressed pixels
+    * and added to the Cache as a canvas instead.
+    *
+    * @method Phaser.Loader#transcodeTexture
+    * @private
+    * @param {object} file - File associated with this request
+    * @param {ArrayBuffer} data - The KTX2 file.
+    */
+    transcodeTexture: function (file, data)
+    {
+
+        var _this = this;
+        var compression = (this.game.renderType === Phaser.WEBGL) ? this.game.renderer.extensions.compression : {};
+
+        var inFlight = function ()
+        {
+            //  Unless the Loader was reset in the meantime
+            return _this._flightQueue.indexOf(file) > -1;
+        };
+
+        this.loadBasisTranscoder().then(function (transcoder)
+        {
+            if (!inFlight())
+            {
+                return;
+            }
+
+            _this.runCallback(file, function ()
+            {
+                var texture = Phaser.LoaderParser.ktx2(data, transcoder.module, compression);
+
+                if (!texture)
+                {
+                    _this.asyncComplete(file, 'unable to transcode the KTX2 texture from URL ' + file.url);
+                    return;
+                }
+
+                if (texture.compressionAlgorithm)
+                {
+                    _this.cache.addCompressedTextureMetaData(file.key, file.url, 'ktx2', texture);
+                }
+                else
+                {
+                    var canvas = Phaser.Canvas.create(null, texture.width, texture.height, '', true);
+                    var context = canvas.getContext('2d');
+                    var pixels = context.createImageData(texture.width, texture.height);
+
+                    pixels.data.set(texture.textureData);
+                    context.putImageData(pixels, 0, 0);
+
+                    _this.cache.addImage(file.key, file.url, canvas);
+                }
+
+                _this.asyncComplete(file);
+            });
+
+        }, function (error)
+        {
+            if (!inFlight())
+            {
+                return;
+            }
+
+            _this.runCallback(file, function ()
+            {
+                _this.asyncComplete(file, 'unable to transcode the KTX2 texture from URL ' + file.url + ' (' + error + ')');
+            });
+        });
+
+    },
+
+    /**
+    * Successfully loaded a font file. Decodes and registers the font, and completes the file once canvas text can use it.
+    *
+    * If the font can't be decoded the next of the URLs given for it is tried, if there is one. See {@link #fontError}.
+    *
+    * @method Phaser.Loader#fontLoadComplete
+    * @private
+    * @param {object} file - File associated with this request
+    * @param {XMLHttpRequest} xhr
+    */
+    fontLoadComplete: function (file, xhr)
+    {
+
+        var _this = this;
+        var face = new FontFace(file.family, xhr.response, file.descriptors);
+
+        //  The descriptors of a variable font can be ranges, such as a weight of "100 900", of which the font shorthand only takes one value
+        var weight = String(file.descriptors.weight || 'normal').trim().split(/\s+/)[0];
+        var slope = String(file.descriptors.style || 'normal').trim().split(/\s+/)[0];
+        var style = slope + ' ' + weight + ' 16px "' + file.family + '"';
+
+        var inFlight = function ()
+        {
+            //  Unless the Loader was reset in the meantime
+            return _this._flightQueue.indexOf(file) > -1;
+        };
+
+        face.load().then(function ()
+        {
+            document.fonts.add(face);
+
+            //  Resolves once the font is ready to be drawn, including by canvas text
+            return document.fonts.load(style);
+
+        }).then(function ()
+        {
+            if (!inFlight())
+            {
+                return;
+            }
+
+            _this.runCallback(file, function ()
+            {
+                file.data = face;
+
+                //  Text measured while the font was loading used the metrics of a fallback font
+                if (Phaser.Text)
+                {
+                    for (var fontStyle in Phaser.Text.fontPropertiesCache)
+                    {
+                        if (fontStyle.indexOf(file.family) !== -1)
+                        {
+                            delete Phaser.Text.fontPropertiesCache[fontStyle];
+                        }
+                    }
+                }
+
+                _this.asyncComplete(file);
+            });
+
+        }, function (error)
+        {
+            if (!inFlight())
+            {
+                return;
+            }
+
+            _this.runCallback(file, function ()
+            {
+                _this.fontError(file, null, 'unable to decode the font: ' + error);
+            });
+        });
+
+    },
+
+    /**
+    * Called when a font file can't be loaded or decoded. Tries the next of the URLs given for the font, if there is one,
+    * otherwise the file fails.
+    *
+    * @method Phaser.Loader#fontError
+    * @private
+    * @param {object} file - File associated with this request
+    * @param {?XMLHttpRequest} xhr
+    * @param {string} [reason]
+    */
+    fontError: function (file, xhr, reason)
+    {
+
+        var next = file.fontURLs[file.fontURLs.indexOf(file.url) + 1];
+
+        if (!reason && xhr)
+        {
+            reason = xhr.status;
+        }
+
+        if (next)
+        {
+            console.warn('Phaser.Loader - font[' + file.key + ']: error loading asset from URL ' + file.url + (reason ? ' (' + reason + ')' : '') + ', trying ' + next);
+
+            file.url = next;
+            this.loadFile(file);
+        }
+        else
+        {
+            this.fileError(file, xhr, reason);
+        }
+
+    },
+
+    /**
+    * Successfully loaded a JSON file - only used for certain types.
+    *
+    * @method Phaser.Loader#jsonLoadComplete
+    * @private
+    * @param {object} file - File associated with this request
+    * @param {XMLHttpRequest} xhr
+    */
+    jsonLoadComplete: function (file, xhr)
+    {
+
+        var data = JSON.parse(xhr.responseText);
+
+        if (file.type === 'tilemap')
+        {
+            this.loadTilemapFiles(file, data);
+
+            return;
+        }
+        else if (file.type === 'bitmapfont')
+        {
+            this.cache.addBitmapFont(file.key, file.url, file.data, data, file.atlasType, file.xSpacing, file.ySpacing);
+        }
+        else if (file.type === 'json')
+        {
+            this.cache.addJSON(file.key, file.url, data);
+        }
+        else
+        {
+            this.cache.addTextureAtlas(file.key, file.url, file.data, data, file.format);
+        }
+
+        this.asyncComplete(file);
+    },
+
+    /**
+    * Loads the external tilesets and object templates used by a Tiled JSON map, one at a time, then adds the map to the Cache.
+    *
+    * @method Phaser.Loader#loadTilemapFiles
     * @private
-    * @param {object} file
-    * @param {?XMLHttpRequest} xhr - XHR request, unspecified if loaded via other means (eg. tags)
-    * @param {string} reason
+    * @param {object} file - File associated with this request
+    * @param {object} data - The JSON map data.
     */
-    fileError: function (file, xhr, reason)
+    loadTilemapFiles: function (file, data)
     {
 
-        var url = file.requestUrl || this.transformUrl(file.url, file);
-        var message = 'error loading asset from URL ' + url;
+        var tilesets = Phaser.TilemapParser.getTilesetPaths(data);
+        var templates = Phaser.TilemapParser.getTemplatePaths(data);
 
-        if (!reason && xhr)
+        file.data = data;
+        file.tilesets = {};
+        file.templates = {};
+        file.dependencies = [];
+
+        for (var i = 0; i < tilesets.length; i++)
         {
-            reason = xhr.status;
+            file.dependencies.push({ type: 'tileset', path: tilesets[i] });
         }
 
-        if (reason)
+        for (i = 0; i < templates.length; i++)
         {
-            message = message + ' (' + reason + ')';
+            file.dependencies.push({ type: 'template', path: templates[i] });
         }
 
-        this.asyncComplete(file, message);
+        this.loadNextTilemapFile(file);
 
     },
 
     /**
-    * Called when a file has been downloaded and needs to be processed further.
+    * Loads the next external tileset or object template of a Tiled JSON map, or adds the map to the Cache if all of them are loaded.
     *
-    * @method Phaser.Loader#fileComplete
+    * @method Phaser.Loader#loadNextTilemapFile
     * @private
-    * @param {object} file - File loaded
-    * @param {?XMLHttpRequest} xhr - XHR request, unspecified if loaded via other means (eg. tags)
+    * @param {object} file - File associated with this request
     */
-    fileComplete: function (file, xhr)
+    loadNextTilemapFile: function (file)
     {
 
-        var loadNext = true;
-
-        switch (file.type)
+        if (file.dependencies.length === 0)
         {
-            case 'packfile':
-
-                // Pack data must never be false-ish after it is fetched without error
-                var data = JSON.parse(xhr.responseText);
-                file.data = data || {};
-                break;
-
-            case 'texture':
-
-                var extension = (/\.([^.]+)$/).exec(file.url.split('?', 1)[0])[1].toLowerCase();
-                if (file.data !== null)
-                {
-                    this.cache.addCompressedTextureMetaData(file.key, file.url, extension, file.data);
-                }
-                else
-                {
-                    this.cache.addCompressedTextureMetaData(file.key, file.url, extension, xhr.response);
-                }
-                break;
-
-            case 'image':
-
-                this.cache.addImage(file.key, file.url, file.data);
-                break;
-
-            case 'spritesheet':
-
-                this.cache.addSpriteSheet(file.key, file.url, file.data, file.frameWidth, file.frameHeight, file.frameMax, file.margin, file.spacing, file.skipFrames);
-                break;
-
-            case 'textureatlas':
+            //  The tilesets first, as template tile objects are matched against them
+            Phaser.TilemapParser.resolveTilesets(file.data, file.tilesets);
+            Phaser.TilemapParser.resolveTemplates(file.data, file.templates);
 
-                if (file.atlasURL == null)
-                {
-                    this.cache.addTextureAtlas(file.key, file.url, file.data, file.atlasData, file.format);
-                }
-                else
-                {
-                    //  Load the JSON or XML before carrying on with the next file
-                    loadNext = false;
+            this.cache.addTilemap(file.key, file.url || null, file.data, file.format);
 
-                    if (file.format === Phaser.Loader.TEXTURE_ATLAS_JSON_ARRAY || file.format === Phaser.Loader.TEXTURE_ATLAS_JSON_HASH || file.format === Phaser.Loader.TEXTURE_ATLAS_JSON_PYXEL)
-                    {
-                        this.xhrLoad(file, this.transformUrl(file.atlasURL, file), 'text', this.jsonLoadComplete);
-                    }
-                    else if (file.format === Phaser.Loader.TEXTURE_ATLAS_XML_STARLING)
-                    {
-                        this.xhrLoad(file, this.transformUrl(file.atlasURL, file), 'text', this.xmlLoadComplete);
-                    }
-                    else
-                    {
-                        throw new Error('Phaser.Loader. Invalid Texture Atlas format: ' + file.format);
-                    }
-                }
-                break;
+            this.asyncComplete(file);
 
-            case 'bitmapfont':
+            return;
+        }
 
-                if (!file.atlasURL)
-                {
-                    this.cache.addBitmapFont(file.key, file.url, file.data, file.atlasData, file.atlasType, file.xSpacing, file.ySpacing);
-                }
-                else
-                {
-                    //  Load the XML before carrying on with the next file
-                    loadNext = false;
-                    this.xhrLoad(file, this.transformUrl(file.atlasURL, file), 'text', function (file, xhr)
-                    {
-                        var json;
+        var dependency = file.dependencies.shift();
+        var url = this.transformUrl(Phaser.TilemapParser.resolvePath(file.url, dependency.path), file);
 
-                        try
-                        {
-                            // Try to parse as JSON, if it fails, then it's hopefully XML
-                            json = JSON.parse(xhr.responseText);
-                        }
-                        catch (e) {}
+        this.xhrLoad(file, url, 'text', function (file, xhr)
+        {
+            var data;
 
-                        if (json)
-                        {
-                            file.atlasType = 'json';
-                            this.jsonLoadComplete(file, xhr);
-                        }
-                        else
-                        {
-                            file.atlasType = 'xml';
-                            this.xmlLoadComplete(file, xhr);
-                        }
-                    });
-                }
-                break;
+            //  Tilesets and templates are either JSON or XML (.tsx / .tx)
+            try
+            {
+                data = JSON.parse(xhr.responseText);
+            }
+            catch (e)
+            {
+                data = this.parseXml(xhr.responseText);
+            }
 
-            case 'video':
+            if (!data)
+            {
+                throw new Error('Phaser.Loader. Invalid ' + (dependency.type === 'tileset' ? 'tileset: ' : 'object template: ') + dependency.path);
+            }
 
-                if (file.asBlob)
-                {
-                    try
-                    {
-                        file.data = xhr.response;
-                    }
-                    catch (e)
-                    {
-                        throw new Error('Phaser.Loader. Unable to parse video file as Blob: ' + file.key);
-                    }
-                }
+            file[dependency.type + 's'][dependency.path] = data;
 
-                this.cache.addVideo(file.key, file.url, file.data, file.asBlob);
-                break;
+            this.loadNextTilemapFile(file);
+        });
 
-            case 'audio':
+    },
 
-                if (this.game.sound.usingWebAudio)
-                {
-                    file.data = xhr.response;
+    /**
+    * Loads the textures of a Texture Atlas that names them in its data, and the other data files of TexturePacker multipacks.
+    *
+    * @method Phaser.Loader#loadAtlasFiles
+    * @private
+    * @param {object} file - File associated with this request
+    * @param {string|object} data - The text or JSON data of the atlas.
+    */
+    loadAtlasFiles: function (file, data)
+    {
 
-                    this.cache.addSound(file.key, file.url, file.data, true, false);
+        file.textures = [];
+        file.dependencies = [];
 
-                    if (file.autoDecode)
-                    {
-                        this.game.sound.decode(file.key);
-                    }
-                }
-                else
-                {
-                    this.cache.addSound(file.key, file.url, file.data, false, true);
-                }
-                break;
+        if (file.format === Phaser.Loader.TEXTURE_ATLAS_LIBGDX)
+        {
+            if (typeof data === 'string')
+            {
+                data = Phaser.AnimationParser.parseLibGDX(data);
+            }
 
-            case 'text':
-                file.data = xhr.responseText;
-                this.cache.addText(file.key, file.url, file.data);
-                break;
+            for (var i = 0; i < data.length; i++)
+            {
+                file.dependencies.push({ type: 'texture', path: data[i].name });
+            }
+        }
+        else
+        {
+            if (typeof data === 'string')
+            {
+                data = JSON.parse(data);
+            }
 
-            case 'shader':
-                file.data = xhr.responseText;
-                this.cache.addShader(file.key, file.url, file.data);
-                break;
+            if (!data.textures && data.meta)
+            {
+                //  A pack of JSON Array or Hash files, turned into a single multipack, to which the others are added as they load
+                var related = data.meta['related_multi_packs'] || [];
 
-            case 'physics':
-                var data = JSON.parse(xhr.responseText);
-                this.cache.addPhysicsData(file.key, file.url, data, file.format);
-                break;
+                data = { textures: [ { image: data.meta.image, frames: data.frames } ], meta: data.meta };
 
-            case 'script':
-                file.data = document.createElement('script');
-                file.data.language = 'javascript';
-                file.data.type = 'text/javascript';
-                file.data.defer = false;
-                file.data.text = xhr.responseText;
-                document.head.appendChild(file.data);
-                if (file.callback)
-                {
-                    file.data = file.callback.call(file.callbackContext, file.key, xhr.responseText);
-                }
-                break;
+                file.dependencies.push({ type: 'texture', path: data.textures[0].image });
 
-            case 'binary':
-                if (file.callback)
+                for (i = 0; i < related.length; i++)
                 {
-                    file.data = file.callback.call(file.callbackContext, file.key, xhr.response);
+                    file.dependencies.push({ type: 'data', path: related[i] });
                 }
-                else
+            }
+            else
+            {
+                for (i = 0; i < data.textures.length; i++)
                 {
-                    file.data = xhr.response;
+                    file.dependencies.push({ type: 'texture', path: data.textures[i].image });
                 }
-
-                this.cache.addBinary(file.key, file.data);
-
-                break;
+            }
         }
 
-        if (loadNext)
-        {
-            this.asyncComplete(file);
-        }
+        file.atlasData = data;
+
+        this.loadNextAtlasFile(file);
 
     },
 
     /**
-    * Successfully loaded a JSON file - only used for certain types.
+    * Loads the next texture or data file of a Texture Atlas, or adds the atlas to the Cache if all of them are loaded.
     *
-    * @method Phaser.Loader#jsonLoadComplete
+    * @method Phaser.Loader#loadNextAtlasFile
     * @private
     * @param {object} file - File associated with this request
-    * @param {XMLHttpRequest} xhr
     */
-    jsonLoadComplete: function (file, xhr)
+    loadNextAtlasFile: function (file)
     {
 
-        var data = JSON.parse(xhr.responseText);
-
-        if (file.type === 'tilemap')
+        if (file.dependencies.length === 0)
         {
-            this.cache.addTilemap(file.key, file.url, data, file.format);
+            this.cache.addTextureAtlas(file.key, file.url || null, file.textures, file.atlasData, file.format);
+
+            this.asyncComplete(file);
+
+            return;
         }
-        else if (file.type === 'bitmapfont')
+
+        var dependency = file.dependencies.shift();
+        var url = dependency.path;
+
+        if (!(/^(?:[a-z]+:|\/)/i).test(url))
         {
-            this.cache.addBitmapFont(file.key, file.url, file.data, data, file.atlasType, file.xSpacing, file.ySpacing);
+            url = file.texturePath + url;
         }
-        else if (file.type === 'json')
+
+        url = this.transformUrl(url, file);
+
+        if (dependency.type === 'texture')
         {
-            this.cache.addJSON(file.key, file.url, data);
+            this.loadImageTag(file, url);
+
+            return;
         }
-        else
+
+        this.xhrLoad(file, url, 'text', function (file, xhr)
         {
-            this.cache.addTextureAtlas(file.key, file.url, file.data, data, file.format);
-        }
+            var data = JSON.parse(xhr.responseText);
+
+            file.atlasData.textures.push({ image: data.meta.image, frames: data.frames });
+            file.dependencies.push({ type: 'texture', path: data.meta.image });
+
+            this.loadNextAtlasFile(file);
+        });
 
-        this.asyncComplete(file);
     },
 
     /**
@@ -3088,6 +5278,12 @@ Phaser.Loader.prototype = {
         {
             this.cache.addXML(file.key, file.url, xml);
         }
+        else if (file.type === 'tilemap')
+        {
+            this.loadTilemapFiles(file, Phaser.TilemapParser.convertTMX(xml));
+
+            return;
+        }
 
         this.asyncComplete(file);
 
@@ -3229,6 +5425,36 @@ Phaser.Loader.prototype = {
 
 };
 
+/**
+* The Loader of {@link Phaser.Loader#loadInBackground}. It is created when first used, with the same settings as this Loader,
+* and loads one file at a time: its `maxParallelDownloads` can be raised to load more. Its signals, such as `onFileComplete`,
+* report the background loading.
+*
+* @name Phaser.Loader#backgroundLoader
+* @property {Phaser.Loader}
+* @readonly
+*/
+Object.defineProperty(Phaser.Loader.prototype, 'backgroundLoader', {
+
+    get: function ()
+    {
+        if (!this._background)
+        {
+            this._background = this.createAsyncLoader();
+            this._background.maxParallelDownloads = 1;
+            this._background._referenceFiles = true;
+
+            if (this.isLoading)
+            {
+                this._background.pause();
+            }
+        }
+
+        return this._background;
+    }
+
+});
+
 /**
 * The non-rounded load progress value (from 0.0 to 100.0).
 *
@@ -550,6 +550,126 @@ Phaser.LoaderParser = {
 
         return pkmHeader;
 
+    },
+
+    /**
+    * Transcodes a KTX2 texture with Basis Universal supercompression (ETC1S or UASTC).
+    *
+    * The texture is transcoded to the first format of {@link Phaser.LoaderParser.BASIS_ORDER} that is in `compression`
+    * and can hold a texture of its size, or to RGBA pixels if there isn't one. Only the first mipmap level is transcoded.
+    *
+    * @method Phaser.LoaderParser.ktx2
+    * @param {ArrayBuffer} arrayBuffer
+    * @param {object} basis - The started Basis Universal transcoder module. See {@link Phaser.Loader#basisTranscoder}.
+    * @param {object} compression - The texture compression the GPU supports, as in `PIXI.WebGLRenderer#extensions.compression`.
+    * @return {object} The transcoded texture, or null if the file isn't a valid KTX2 file.
+    * Its `compressionAlgorithm` is null if it was transcoded to RGBA pixels.
+    */
+    ktx2: function (arrayBuffer, basis, compression)
+    {
+
+        var ktx2File = new basis.KTX2File(new Uint8Array(arrayBuffer));
+        var ktx2Header = null;
+
+        if (ktx2File.isValid() && ktx2File.startTranscoding())
+        {
+            var width = ktx2File.getWidth();
+            var height = ktx2File.getHeight();
+            var hasAlpha = !!ktx2File.getHasAlpha();
+            var uastc = !!ktx2File.isUASTC();
+
+            var order = Phaser.LoaderParser.BASIS_ORDER[uastc ? 'uastc' : 'etc1s'];
+            var compressionAlgorithm = null;
+            var basisFormat = Phaser.LoaderParser.BASIS_RGBA32;
+            var glExtensionFormat = 0;
+
+            //  Every format is made of 4 x 4 blocks
+            var blocks = (width % 4 === 0 && height % 4 === 0);
+
+            for (var i = 0; i < order.length && blocks; i++)
+            {
+                var format = Phaser.LoaderParser.BASIS_FORMATS[order[i]];
+                var target = (hasAlpha) ? format.alpha : format.opaque;
+
+                if (!compression[order[i]] || !target)
+                {
+                    continue;
+                }
+
+                //  PVRTC textures must be square and a power of two
+                if (order[i] === 'PVRTC' && (width !== height || !Phaser.Math.isPowerOfTwo(width, height)))
+                {
+                    continue;
+                }
+
+                compressionAlgorithm = order[i];
+                basisFormat = target[0];
+                glExtensionFormat = target[1];
+                break;
+            }
+
+            var textureData = new Uint8Array(ktx2File.getImageTranscodedSizeInBytes(0, 0, 0, basisFormat));
+
+            if (ktx2File.transcodeImage(textureData, 0, 0, 0, basisFormat, 0, -1, -1))
+            {
+                ktx2Header = {
+                    complete: true,
+                    fileFormat: 'KTX2',
+                    compressionAlgorithm: compressionAlgorithm,
+                    supercompression: (uastc) ? 'UASTC' : 'ETC1S',
+                    width: width,
+                    height: height,
+                    hasAlpha: hasAlpha,
+                    numberOfMipmapLevels: ktx2File.getLevels(),
+                    textureData: textureData,
+                    glExtensionFormat: glExtensionFormat
+                };
+            }
+        }
+
+        ktx2File.close();
+        ktx2File.delete();
+
+        return ktx2Header;
+
     }
 
 };
+
+/**
+* The formats Basis Universal textures can be transcoded to, by the name of their texture compression in
+* `PIXI.WebGLRenderer#extensions.compression`. For opaque and transparent textures, each gives the
+* Basis Universal transcoder format and the WebGL internal format of the transcoded texture, or is null if
+* the compression can't hold such a texture.
+*
+* @constant
+* @type {object}
+*/
+Phaser.LoaderParser.BASIS_FORMATS = {
+    ASTC: { opaque: [ 10, 0x93B0 ], alpha: [ 10, 0x93B0 ] },
+    BPTC: { opaque: [ 6, 0x8E8C ], alpha: [ 6, 0x8E8C ] },
+    ETC2: { opaque: [ 0, 0x9274 ], alpha: [ 1, 0x9278 ] },
+    S3TC: { opaque: [ 2, 0x83F0 ], alpha: [ 3, 0x83F3 ] },
+    ETC1: { opaque: [ 0, 0x8D64 ], alpha: null },
+    PVRTC: { opaque: [ 8, 0x8C00 ], alpha: [ 9, 0x8C02 ] }
+};
+
+/**
+* The order in which the {@link Phaser.LoaderParser.BASIS_FORMATS} are tried for each kind of Basis Universal texture:
+* the quickest formats to transcode to for ETC1S textures, and the highest quality ones for UASTC textures.
+*
+* @constant
+* @type {object}
+*/
+Phaser.LoaderParser.BASIS_ORDER = {
+    etc1s: [ 'ETC2', 'ETC1', 'S3TC', 'PVRTC', 'ASTC', 'BPTC' ],
+    uastc: [ 'ASTC', 'BPTC', 'ETC2', 'S3TC', 'ETC1', 'PVRTC' ]
+};
+
+/**
+* The Basis Universal transcoder format of uncompressed RGBA pixels, 32 bits each.
+*
+* @constant
+* @type {integer}
+*/
+Phaser.LoaderParser.BASIS_RGBA32 = 13;
@@ -0,0 +1,464 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* A persistent store of downloaded files, kept in an IndexedDB database, so that games can start without downloading them again, or without a network at all.
+*
+* Give one to {@link Phaser.Loader#offlineCache} and the Loader stores the files it downloads with XHR, and images, by their URL. The URL includes the
+* version of the file (see {@link Phaser.Loader#version}), so files with a version are always loaded from the store once they are in it. Files without a version
+* are downloaded as usual, and only loaded from the store when their server can't be reached.
+*
+* ```javascript
+* game.load.offlineCache = new Phaser.OfflineCache('my-game', 100 * 1024 * 1024);
+* ```
+*
+* Every file is stored for an asset type and key: when a new version of it is stored, the old ones are removed. When the stored files are bigger than
+* {@link #maxSize} the least recently used ones are removed.
+*
+* All methods return Promises and never reject: if the browser has no IndexedDB, or it fails (such as in some private browsing modes), nothing is stored.
+*
+* @class Phaser.OfflineCache
+* @constructor
+* @param {string} [name='phaser'] - The name of the IndexedDB database. Games on the same domain should each use their own.
+* @param {integer} [maxSize=0] - The maximum size of the stored files, in bytes. 0 is no limit, other than the storage quota of the browser.
+*/
+Phaser.OfflineCache = function (name, maxSize)
+{
+
+    /**
+    * @property {string} name - The name of the IndexedDB database.
+    * @readonly
+    */
+    this.name = name || 'phaser';
+
+    /**
+    * @property {integer} maxSize - The maximum size of the stored files, in bytes. 0 is no limit. See {@link #evict}.
+    */
+    this.maxSize = maxSize || 0;
+
+    /**
+    * @property {boolean} available - If the browser has IndexedDB. It can still fail to open, in which case nothing is stored.
+    * @readonly
+    */
+    this.available = !!window.indexedDB;
+
+    /**
+    * @property {Promise} _db - The Promise of the opened database.
+    * @private
+    */
+    this._db = null;
+
+};
+
+/**
+* The version of the database schema.
+* @constant
+* @type {integer}
+*/
+Phaser.OfflineCache.VERSION = 1;
+
+Phaser.OfflineCache.prototype = {
+
+    /**
+    * Opens the database, creating it if needed. The other methods open it when first used.
+    *
+    * @method Phaser.OfflineCache#open
+    * @return {Promise} A Promise of the IDBDatabase, or of null if it can't be opened.
+    */
+    open: function ()
+    {
+
+        if (this._db)
+        {
+            return this._db;
+        }
+
+        var _this = this;
+
+        this._db = new Promise(function (resolve)
+        {
+            if (!_this.available)
+            {
+                resolve(null);
+                return;
+            }
+
+            var request;
+
+            try
+            {
+                request = window.indexedDB.open(_this.name, Phaser.OfflineCache.VERSION);
+            }
+            catch (e)
+            {
+                resolve(null);
+                return;
+            }
+
+            request.onupgradeneeded = function ()
+            {
+                var db = request.result;
+
+                //  The metadata is kept apart from the data, so that listing and evicting files doesn't read them
+                var entries = db.createObjectStore('entries', { keyPath: 'url' });
+
+                entries.createIndex('asset', 'asset');
+                entries.createIndex('used', 'used');
+
+                db.createObjectStore('data');
+            };
+
+            request.onsuccess = function ()
+            {
+                resolve(request.result);
+            };
+
+            request.onerror = request.onblocked = function ()
+            {
+                console.warn('Phaser.OfflineCache - ' + _this.name + ': the database can\'t be opened');
+                resolve(null);
+            };
+        });
+
+        return this._db;
+
+    },
+
+    /**
+    * Runs a transaction on the database.
+    *
+    * @method Phaser.OfflineCache#transaction
+    * @private
+    * @param {string} mode - 'readonly' or 'readwrite'.
+    * @param {function} callback - Called with the `entries` and `data` object stores. Whatever it returns is the result of the transaction.
+    * @param {any} failed - The result if the transaction fails.
+    * @return {Promise} A Promise of the result.
+    */
+    transaction: function (mode, callback, failed)
+    {
+
+        return this.open().then(function (db)
+        {
+            if (!db)
+            {
+                return failed;
+            }
+
+            return new Promise(function (resolve)
+            {
+                var result;
+
+                try
+                {
+                    var transaction = db.transaction([ 'entries', 'data' ], mode);
+
+                    transaction.oncomplete = function ()
+                    {
+                        //  The result can be an object filled in by the requests of the transaction
+                        resolve((typeof result === 'function') ? result() : result);
+                    };
+
+                    transaction.onerror = transaction.onabort = function ()
+                    {
+                        resolve(failed);
+                    };
+
+                    result = callback(transaction.objectStore('entries'), transaction.objectStore('data'));
+                }
+                catch (e)
+                {
+                    resolve(failed);
+                }
+            });
+        });
+
+    },
+
+    /**
+    * Gets a stored file, and marks it as used.
+    *
+    * @method Phaser.OfflineCache#get
+    * @param {string} url - The URL of the file.
+    * @return {Promise} A Promise of the file, or of null if it isn't stored. The file is an object with the `url`, `asset`, `type` (the MIME type),
+    * `size` and `used` (the time it was last used) of the file, and its `data` as an ArrayBuffer.
+    */
+    get: function (url)
+    {
+
+        var entry = null;
+        var data = null;
+
+        return this.transaction('readwrite', function (entries, store)
+        {
+            entries.get(url).onsuccess = function (event)
+            {
+                entry = event.target.result || null;
+
+                if (entry)
+                {
+                    entry.used = Date.now();
+                    entries.put(entry);
+                }
+            };
+
+            store.get(url).onsuccess = function (event)
+            {
+                data = event.target.result || null;
+            };
+
+            return function ()
+            {
+                if (entry && data)
+                {
+                    entry.data = data;
+
+                    return entry;
+                }
+
+                return null;
+            };
+
+        }, null);
+
+    },
+
+    /**
+    * Stores a file. The other versions of the asset, stored with other URLs, are removed. If the stored files are then bigger than
+    * {@link #maxSize} the least recently used ones are removed.
+    *
+    * @method Phaser.OfflineCache#put
+    * @param {string} url - The URL of the file.
+    * @param {ArrayBuffer} data - The content of the file.
+    * @param {string} [type=''] - The MIME type of the file.
+    * @param {string} [asset] - The asset the file is for, such as 'image/logo'. Without one no other files are removed.
+    * @return {Promise} A Promise of true if the file was stored, or false if not, such as when the storage quota of the browser is full.
+    */
+    put: function (url, data, type, asset)
+    {
+
+        var _this = this;
+
+        return this.transaction('readwrite', function (entries, store)
+        {
+            if (asset)
+            {
+                entries.index('asset').openCursor(asset).onsuccess = function (event)
+                {
+                    var cursor = event.target.result;
+
+                    if (cursor)
+                    {
+                        if (cursor.value.url !== url)
+                        {
+                            store.delete(cursor.value.url);
+                            cursor.delete();
+                        }
+
+                        cursor.continue();
+                    }
+                };
+            }
+
+            entries.put({ url: url, asset: asset || '', type: type || '', size: data.byteLength, used: Date.now() });
+            store.put(data, url);
+
+            return true;
+
+        }, false).then(function (stored)
+        {
+            if (stored && _this.maxSize > 0)
+            {
+                return _this.evict(_this.maxSize).then(function ()
+                {
+                    return true;
+                });
+            }
+
+            return stored;
+        });
+
+    },
+
+    /**
+    * Removes a stored file.
+    *
+    * @method Phaser.OfflineCache#remove
+    * @param {string} url - The URL of the file.
+    * @return {Promise} A Promise that resolves once the file is removed.
+    */
+    remove: function (url)
+    {
+
+        return this.transaction('readwrite', function (entries, store)
+        {
+            entries.delete(url);
+            store.delete(url);
+        });
+
+    },
+
+    /**
+    * Removes all the stored files.
+    *
+    * @method Phaser.OfflineCache#clear
+    * @return {Promise} A Promise that resolves once the files are removed.
+    */
+    clear: function ()
+    {
+
+        return this.transaction('readwrite', function (entries, store)
+        {
+            entries.clear();
+            store.clear();
+        });
+
+    },
+
+    /**
+    * Gets the stored files, without their data.
+    *
+    * @method Phaser.OfflineCache#getEntries
+    * @return {Promise} A Promise of an array of the files, least recently used first. Each one is an object with the `url`, `asset`, `type`, `size`
+    * and `used` of the file.
+    */
+    getEntries: function ()
+    {
+
+        var result = [];
+
+        return this.transaction('readonly', function (entries)
+        {
+            entries.index('used').openCursor().onsuccess = function (event)
+            {
+                var cursor = event.target.result;
+
+                if (cursor)
+                {
+                    result.push(cursor.value);
+                    cursor.continue();
+                }
+            };
+
+            return result;
+
+        }, result);
+
+    },
+
+    /**
+    * Gets the total size of the stored files.
+    *
+    * @method Phaser.OfflineCache#getSize
+    * @return {Promise} A Promise of the size, in bytes.
+    */
+    getSize: function ()
+    {
+
+        return this.getEntries().then(function (entries)
+        {
+            var size = 0;
+
+            for (var i = 0; i < entries.length; i++)
+            {
+                size += entries[i].size;
+            }
+
+            return size;
+        });
+
+    },
+
+    /**
+    * Removes the least recently used files until the stored files are no bigger than a size.
+    *
+    * @method Phaser.OfflineCache#evict
+    * @param {integer} [maxSize=0] - The size, in bytes. 0 removes all the files.
+    * @return {Promise} A Promise of the number of bytes removed.
+    */
+    evict: function (maxSize)
+    {
+
+        if (maxSize === undefined) { maxSize = 0; }
+
+        var removed = 0;
+
+        return this.transaction('readwrite', function (entries, store)
+        {
+            var size = 0;
+            var cursors = 0;
+
+            //  The first pass totals the sizes, the second removes the oldest files
+            var step = function (event)
+            {
+                var cursor = event.target.result;
+
+                if (!cursor)
+                {
+                    cursors++;
+
+                    if (cursors === 1 && size > maxSize)
+                    {
+                        entries.index('used').openCursor().onsuccess = step;
+                    }
+
+                    return;
+                }
+
+                if (cursors === 0)
+                {
+                    size += cursor.value.size;
+                }
+                else if (size - removed > maxSize)
+                {
+                    removed += cursor.value.size;
+                    store.delete(cursor.value.url);
+                    cursor.delete();
+                }
+                else
+                {
+                    return;
+                }
+
+                cursor.continue();
+            };
+
+            entries.index('used').openCursor().onsuccess = step;
+
+            return function ()
+            {
+                return removed;
+            };
+
+        }, 0);
+
+    },
+
+    /**
+    * Closes the database. It is opened again if the Offline Cache is used.
+    *
+    * @method Phaser.OfflineCache#destroy
+    */
+    destroy: function ()
+    {
+
+        if (this._db)
+        {
+            this._db.then(function (db)
+            {
+                if (db)
+                {
+                    db.close();
+                }
+            });
+
+            this._db = null;
+        }
+
+    }
+
+};
+
+Phaser.OfflineCache.prototype.constructor = Phaser.OfflineCache;
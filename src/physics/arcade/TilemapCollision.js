@@ -21,6 +21,18 @@ Phaser.Physics.Arcade.TilemapCollision.prototype = {
     */
     TILE_BIAS: 16,
 
+    /**
+    * @property {number[]} _tilePolygon - Internal cache for tile outlines in isometric, staggered and hexagonal maps.
+    * @private
+    */
+    _tilePolygon: [],
+
+    /**
+    * @property {object} _tileOverlap - Internal cache for the separation between a body and a tile in isometric, staggered and hexagonal maps.
+    * @private
+    */
+    _tileOverlap: { x: 0, y: 0, overlap: 0 },
+
     /**
     * An internal function. Use Phaser.Physics.Arcade.collide instead.
     *
@@ -134,6 +146,8 @@ Phaser.Physics.Arcade.TilemapCollision.prototype = {
 
         var tilemapLayerOffsetX = tilemapLayer.getTileOffsetX();
         var tilemapLayerOffsetY = tilemapLayer.getTileOffsetY();
+        var projected = (tilemapLayer.map.orientation !== Phaser.Tilemap.ORTHOGONAL);
+        var sloped = !projected && this.isTileSloped(tile, tilemapLayer.map);
 
         //  We re-check for collision in case body was separated in a previous step
         if (!tile.intersects((body.position.x - tilemapLayerOffsetX), (body.position.y - tilemapLayerOffsetY), (body.right - tilemapLayerOffsetX), (body.bottom - tilemapLayerOffsetY)))
@@ -141,6 +155,11 @@ Phaser.Physics.Arcade.TilemapCollision.prototype = {
             //  no collision so bail out (separated in a previous step)
             return false;
         }
+        else if ((projected || sloped) && !this.getTilePolygonOverlap(body, tile, tilemapLayer, this._tileOverlap))
+        {
+            //  The body is within the tile bounds but outside of the tile shape
+            return false;
+        }
         else if (overlapOnly)
         {
             //  There is an overlap, and we don't need to separate. Bail.
@@ -161,6 +180,16 @@ Phaser.Physics.Arcade.TilemapCollision.prototype = {
             return false;
         }
 
+        if (projected)
+        {
+            //  Tile faces follow the map grid, not the tile shape, so any colliding tile is separated
+            return tile.collides && this.processTilePolygonSeparation(body, this._tileOverlap);
+        }
+        else if (sloped)
+        {
+            return tile.collides && this.processTileSlopeSeparation(body, this._tileOverlap);
+        }
+
         //  We don't need to go any further if this tile doesn't actually separate
         if (!tile.faceLeft && !tile.faceRight && !tile.faceTop && !tile.faceBottom)
         {
@@ -350,6 +379,339 @@ Phaser.Physics.Arcade.TilemapCollision.prototype = {
 
     },
 
+    /**
+    * Checks if a tile of an orthogonal map has a slope or is one-way, so that it is collided with by its shape.
+    * See {@link Phaser.Tilemap#setSlope} and {@link Phaser.Tilemap#setOneWay}.
+    *
+    * @private
+    * @method Phaser.Physics.Arcade#isTileSloped
+    * @param {Phaser.Tile} tile - The tile to check.
+    * @param {Phaser.Tilemap} map - The map of the tile.
+    * @return {boolean} True if the tile has a known slope type or is one-way.
+    */
+    isTileSloped: function (tile, map)
+    {
+
+        var slope = map.slopes && map.slopes[tile.index];
+
+        return (slope !== undefined && Phaser.Physics.Arcade.TilemapCollision.SLOPES[slope] !== undefined) ||
+            (map.oneWayIndexes !== undefined && map.oneWayIndexes.indexOf(tile.index) > -1);
+
+    },
+
+    /**
+    * Gets the outline of a tile: its slope shape (or the full tile) in orthogonal maps, or its shape in isometric, staggered and hexagonal maps.
+    *
+    * @private
+    * @method Phaser.Physics.Arcade#getTileShape
+    * @param {Phaser.Tile} tile - The tile.
+    * @param {Phaser.Tilemap} map - The map of the tile.
+    * @param {number[]} output - The array to store the vertices in, as x and y pairs.
+    * @return {number[]} The vertices of the tile outline.
+    */
+    getTileShape: function (tile, map, output)
+    {
+
+        if (map.orientation !== Phaser.Tilemap.ORTHOGONAL)
+        {
+            return map.getTilePolygon(tile, output);
+        }
+
+        var slope = Phaser.Physics.Arcade.TilemapCollision.SLOPES[map.slopes[tile.index]] || Phaser.Physics.Arcade.TilemapCollision.SLOPES.FULL;
+
+        output.length = 0;
+
+        for (var i = 0; i < slope.length; i += 2)
+        {
+            output.push(tile.worldX + slope[i] * tile.width, tile.worldY + slope[i + 1] * tile.height);
+        }
+
+        return output;
+
+    },
+
+    /**
+    * Checks if a sloped or one-way tile of an orthogonal map can separate a body in the given direction.
+    *
+    * A side of the tile shape that lies on an edge of the tile can't, if the neighbouring tile covers it (see {@link Phaser.Tile#faceLeft} etc.),
+    * or if the body doesn't check collisions on that side. One-way tiles can only push a body up that is falling onto them or standing on them,
+    * and by no more than {@link #TILE_BIAS}.
+    *
+    * @private
+    * @method Phaser.Physics.Arcade#canSeparateTile
+    * @param {Phaser.Physics.Arcade.Body} body - The Body object to separate.
+    * @param {Phaser.Tile} tile - The tile.
+    * @param {Phaser.Tilemap} map - The map of the tile.
+    * @param {number} x - The x component of the unit direction in which to move the body.
+    * @param {number} y - The y component of the unit direction in which to move the body.
+    * @param {number} min - The smallest projection of the tile shape on the direction.
+    * @param {number} max - The largest projection of the tile shape on the direction, which is the side of the shape the body is pushed from.
+    * @param {number} overlap - The separation distance.
+    * @return {boolean} True if the tile can separate the body in that direction.
+    */
+    canSeparateTile: function (body, tile, map, x, y, min, max, overlap)
+    {
+
+        if (map.oneWayIndexes.indexOf(tile.index) > -1 && (y >= 0 || body.deltaY() < 0 || overlap / -y > this.TILE_BIAS))
+        {
+            return false;
+        }
+
+        if (x === -1)
+        {
+            return body.checkCollision.right && (tile.faceLeft || -max > tile.left);
+        }
+        else if (x === 1)
+        {
+            return body.checkCollision.left && (tile.faceRight || max < tile.right);
+        }
+        else if (y === -1)
+        {
+            return body.checkCollision.down && (tile.faceTop || -max > tile.top);
+        }
+        else if (y === 1)
+        {
+            return body.checkCollision.up && (tile.faceBottom || max < tile.bottom);
+        }
+
+        return (y < 0) ? body.checkCollision.down : body.checkCollision.up;
+
+    },
+
+    /**
+    * Finds the smallest separation between a body and the shape of a tile in an isometric, staggered or hexagonal map,
+    * or of a sloped or one-way tile in an orthogonal map, using the separating axis theorem.
+    *
+    * For sloped and one-way tiles only the directions allowed by {@link #canSeparateTile} are used. If there are none, the
+    * `overlap` of the output is Infinity.
+    *
+    * @private
+    * @method Phaser.Physics.Arcade#getTilePolygonOverlap
+    * @param {Phaser.Physics.Arcade.Body} body - The Body object to check.
+    * @param {Phaser.Tile} tile - The tile to check.
+    * @param {Phaser.TilemapLayer} tilemapLayer - The tilemapLayer to collide against.
+    * @param {object} output - An object to store the separation in: `x` and `y` are the unit direction in which to move the body and `overlap` is the distance.
+    * @return {boolean} True if the body and the tile shape overlap, otherwise false.
+    */
+    getTilePolygonOverlap: function (body, tile, tilemapLayer, output)
+    {
+
+        var map = tilemapLayer.map;
+        var vertices = this.getTileShape(tile, map, this._tilePolygon);
+        var count = vertices.length;
+        var sloped = (map.orientation === Phaser.Tilemap.ORTHOGONAL);
+
+        var left = body.position.x - tilemapLayer.getTileOffsetX();
+        var top = body.position.y - tilemapLayer.getTileOffsetY();
+        var halfWidth = body.width / 2;
+        var halfHeight = body.height / 2;
+        var centerX = left + halfWidth;
+        var centerY = top + halfHeight;
+        var tileCenterX = tile.worldX + tile.width / 2;
+        var tileCenterY = tile.worldY + tile.height / 2;
+
+        output.x = 0;
+        output.y = 0;
+        output.overlap = Infinity;
+
+        //  The candidate axes are the two body axes followed by the normal of each tile edge
+        for (var i = -4; i < count; i += 2)
+        {
+            var nx;
+            var ny;
+
+            if (i < 0)
+            {
+                nx = (i === -4) ? 1 : 0;
+                ny = (i === -4) ? 0 : 1;
+            }
+            else
+            {
+                var j = (i + 2) % count;
+                var ex = vertices[j] - vertices[i];
+                var ey = vertices[j + 1] - vertices[i + 1];
+                var length = Math.sqrt(ex * ex + ey * ey);
+
+                if (length === 0)
+                {
+                    continue;
+                }
+
+                nx = -ey / length;
+                ny = ex / length;
+            }
+
+            //  Project the body box onto the axis
+            var boxCenter = centerX * nx + centerY * ny;
+            var boxExtent = halfWidth * Math.abs(nx) + halfHeight * Math.abs(ny);
+
+            //  Project the tile shape onto the axis
+            var min = Infinity;
+            var max = -Infinity;
+
+            for (var v = 0; v < count; v += 2)
+            {
+                var d = vertices[v] * nx + vertices[v + 1] * ny;
+
+                min = Math.min(min, d);
+                max = Math.max(max, d);
+            }
+
+            var overlap = Math.min(boxCenter + boxExtent, max) - Math.max(boxCenter - boxExtent, min);
+
+            if (overlap <= 0)
+            {
+                //  Found a separating axis
+                return false;
+            }
+
+            if (sloped)
+            {
+                //  The nearest way out along the axis may not be allowed, so find how far the body must move either way
+                for (var s = -1; s <= 1; s += 2)
+                {
+                    //  The slope shapes are clockwise, so an edge only pushes the body against its normal, out of the shape
+                    if (i >= 0 && s > 0)
+                    {
+                        continue;
+                    }
+
+                    var distance = (s < 0) ? (boxCenter + boxExtent) - min : max - (boxCenter - boxExtent);
+
+                    if (distance < output.overlap && this.canSeparateTile(body, tile, map, nx * s, ny * s, (s < 0) ? -max : min, (s < 0) ? -min : max, distance))
+                    {
+                        output.overlap = distance;
+                        output.x = nx * s;
+                        output.y = ny * s;
+                    }
+                }
+            }
+            else if (overlap < output.overlap)
+            {
+                //  Push the body away from the tile center
+                var sign = ((centerX - tileCenterX) * nx + (centerY - tileCenterY) * ny < 0) ? -1 : 1;
+
+                output.overlap = overlap;
+                output.x = nx * sign;
+                output.y = ny * sign;
+            }
+        }
+
+        return true;
+
+    },
+
+    /**
+    * Internal function to process the separation of a physics body from the shape of a tile in an isometric, staggered or hexagonal map.
+    *
+    * @private
+    * @method Phaser.Physics.Arcade#processTilePolygonSeparation
+    * @param {Phaser.Physics.Arcade.Body} body - The Body object to separate.
+    * @param {object} separation - The separation found by {@link Phaser.Physics.Arcade#getTilePolygonOverlap}.
+    * @return {boolean} Returns true if the body was separated, otherwise false.
+    */
+    processTilePolygonSeparation: function (body, separation)
+    {
+
+        var ox = separation.x * separation.overlap;
+        var oy = separation.y * separation.overlap;
+
+        if (ox === 0 && oy === 0)
+        {
+            return false;
+        }
+
+        if (ox > 0)
+        {
+            body.blocked.left = true;
+            body.blocked.none = false;
+        }
+        else if (ox < 0)
+        {
+            body.blocked.right = true;
+            body.blocked.none = false;
+        }
+
+        if (oy > 0)
+        {
+            body.blocked.up = true;
+            body.blocked.none = false;
+        }
+        else if (oy < 0)
+        {
+            body.blocked.down = true;
+            body.blocked.none = false;
+        }
+
+        if (body.customSeparateX)
+        {
+            body.overlapX = -ox;
+        }
+        else
+        {
+            body.position.x += ox;
+        }
+
+        if (body.customSeparateY)
+        {
+            body.overlapY = -oy;
+        }
+        else
+        {
+            body.position.y += oy;
+        }
+
+        //  Remove (or reflect) only the part of the velocity heading into the tile, so the body can slide along diagonal edges
+        var speed = body.velocity.x * separation.x + body.velocity.y * separation.y;
+
+        if (speed < 0)
+        {
+            if (!body.customSeparateX)
+            {
+                body.velocity.x -= (1 + body.bounce.x) * speed * separation.x;
+            }
+
+            if (!body.customSeparateY)
+            {
+                body.velocity.y -= (1 + body.bounce.y) * speed * separation.y;
+            }
+        }
+
+        return true;
+
+    },
+
+    /**
+    * Internal function to process the separation of a physics body from a sloped or one-way tile in an orthogonal map.
+    *
+    * A body is pushed straight up out of a slope it stands on, rather than away from the slope, so it doesn't slide down it
+    * and keeps its horizontal speed when walking up or down it.
+    *
+    * @private
+    * @method Phaser.Physics.Arcade#processTileSlopeSeparation
+    * @param {Phaser.Physics.Arcade.Body} body - The Body object to separate.
+    * @param {object} separation - The separation found by {@link Phaser.Physics.Arcade#getTilePolygonOverlap}.
+    * @return {boolean} Returns true if the body was separated, otherwise false.
+    */
+    processTileSlopeSeparation: function (body, separation)
+    {
+
+        if (separation.overlap === Infinity)
+        {
+            return false;
+        }
+
+        if (separation.y < 0 && separation.x !== 0)
+        {
+            separation.overlap /= -separation.y;
+            separation.x = 0;
+            separation.y = -1;
+        }
+
+        return this.processTilePolygonSeparation(body, separation);
+
+    },
+
     /**
     * Internal function to process the separation of a physics body from a tile.
     *
@@ -422,5 +784,40 @@ Phaser.Physics.Arcade.TilemapCollision.prototype = {
 
 };
 
+/**
+* The slope types of tiles for Arcade Physics, see {@link Phaser.Tilemap#setSlope}. Each is the outline of the solid part of the tile,
+* as x and y pairs from 0 to 1 (the tile width and height).
+*
+* - FULL - The full tile. Useful for one-way tiles.
+* - HALF_TOP, HALF_BOTTOM, HALF_LEFT, HALF_RIGHT - Half of the tile.
+* - HALF_TOP_LEFT, HALF_TOP_RIGHT, HALF_BOTTOM_LEFT, HALF_BOTTOM_RIGHT - A 45 degree slope, with the solid half in the given corner.
+*   HALF_BOTTOM_LEFT slopes down to the right and HALF_BOTTOM_RIGHT slopes up to the right.
+* - QUARTER_TOP_LEFT_LOW, QUARTER_TOP_LEFT_HIGH, ... QUARTER_BOTTOM_RIGHT_HIGH - The pairs of tiles of a 22.5 degree slope, with the solid
+*   part in the given corner. The LOW tile of the pair has the lower (smaller) part of the slope and the HIGH one the higher part, so
+*   QUARTER_BOTTOM_RIGHT_LOW is followed by QUARTER_BOTTOM_RIGHT_HIGH to slope up to the right.
+*
+* @constant
+* @type {object}
+*/
+Phaser.Physics.Arcade.TilemapCollision.SLOPES = {
+    FULL: [ 0, 0, 1, 0, 1, 1, 0, 1 ],
+    HALF_TOP: [ 0, 0, 1, 0, 1, 0.5, 0, 0.5 ],
+    HALF_BOTTOM: [ 0, 0.5, 1, 0.5, 1, 1, 0, 1 ],
+    HALF_LEFT: [ 0, 0, 0.5, 0, 0.5, 1, 0, 1 ],
+    HALF_RIGHT: [ 0.5, 0, 1, 0, 1, 1, 0.5, 1 ],
+    HALF_TOP_LEFT: [ 0, 0, 1, 0, 0, 1 ],
+    HALF_TOP_RIGHT: [ 0, 0, 1, 0, 1, 1 ],
+    HALF_BOTTOM_LEFT: [ 0, 0, 1, 1, 0, 1 ],
+    HALF_BOTTOM_RIGHT: [ 1, 0, 1, 1, 0, 1 ],
+    QUARTER_TOP_LEFT_LOW: [ 0, 0, 1, 0, 0, 0.5 ],
+    QUARTER_TOP_LEFT_HIGH: [ 0, 0, 1, 0, 1, 0.5, 0, 1 ],
+    QUARTER_TOP_RIGHT_LOW: [ 0, 0, 1, 0, 1, 0.5 ],
+    QUARTER_TOP_RIGHT_HIGH: [ 0, 0, 1, 0, 1, 1, 0, 0.5 ],
+    QUARTER_BOTTOM_LEFT_LOW: [ 0, 0.5, 1, 1, 0, 1 ],
+    QUARTER_BOTTOM_LEFT_HIGH: [ 0, 0, 1, 0.5, 1, 1, 0, 1 ],
+    QUARTER_BOTTOM_RIGHT_LOW: [ 1, 0.5, 1, 1, 0, 1 ],
+    QUARTER_BOTTOM_RIGHT_HIGH: [ 0, 0.5, 1, 0, 1, 1, 0, 1 ]
+};
+
 //  Merge this with the Arcade Physics prototype
 Phaser.Utils.mixinPrototype(Phaser.Physics.Arcade.prototype, Phaser.Physics.Arcade.TilemapCollision.prototype);
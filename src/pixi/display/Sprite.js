@@ -500,45 +500,65 @@ PIXI.Sprite.prototype._renderCanvas = function (renderSession, matrix)
     var cw = this.texture.crop.width;
     var ch = this.texture.crop.height;
 
-    if (this.texture.rotated)
-    {
-        var a = wt.a;
-        var b = wt.b;
-        var c = wt.c;
-        var d = wt.d;
-        var e = cw;
-
-        // Offset before rotating
-        tx = wt.c * ch + tx;
-        ty = wt.d * ch + ty;
-
-        // Rotate matrix by 90 degrees
-        // We use precalculated values for sine and cosine of rad(90)
-        wt.a = a * 6.123233995736766e-17 + -c;
-        wt.b = b * 6.123233995736766e-17 + -d;
-        wt.c = a + c * 6.123233995736766e-17;
-        wt.d = b + d * 6.123233995736766e-17;
-
-        // Update cropping dimensions.
-        cw = ch;
-        ch = e;
-    }
+    var a = wt.a;
+    var b = wt.b;
+    var c = wt.c;
+    var d = wt.d;
 
     //  Allow for pixel rounding
     if (renderSession.roundPixels)
     {
-        renderSession.context.setTransform(wt.a, wt.b, wt.c, wt.d, tx | 0, ty | 0);
         dx |= 0;
         dy |= 0;
     }
-    else
-    {
-        renderSession.context.setTransform(wt.a, wt.b, wt.c, wt.d, tx, ty);
-    }
 
     dx /= resolution;
     dy /= resolution;
 
+    if (this.texture.rotated)
+    {
+        //  The frame is stored rotated by 90 degrees in the texture, so it is drawn rotated back, from its corner at the top left of the sprite
+        var w = cw / resolution;
+        var h = ch / resolution;
+
+        if (this.texture.rotatedAnticlockwise)
+        {
+            tx += wt.a * (dx + w) + wt.c * dy;
+            ty += wt.b * (dx + w) + wt.d * dy;
+
+            a = wt.c;
+            b = wt.d;
+            c = -wt.a;
+            d = -wt.b;
+        }
+        else
+        {
+            tx += wt.a * dx + wt.c * (dy + h);
+            ty += wt.b * dx + wt.d * (dy + h);
+
+            a = -wt.c;
+            b = -wt.d;
+            c = wt.a;
+            d = wt.b;
+        }
+
+        dx = 0;
+        dy = 0;
+
+        //  The frame is as wide in the texture as it is high
+        cw = this.texture.crop.height;
+        ch = this.texture.crop.width;
+    }
+
+    if (renderSession.roundPixels)
+    {
+        renderSession.context.setTransform(a, b, c, d, tx | 0, ty | 0);
+    }
+    else
+    {
+        renderSession.context.setTransform(a, b, c, d, tx, ty);
+    }
+
     cw |= 0;
     ch |= 0;
 
@@ -262,10 +262,16 @@ PIXI.WebGLRenderer.prototype.initContext = function ()
     var etc1 = gl.getExtension('WEBGL_compressed_texture_etc1') || gl.getExtension('WEBKIT_WEBGL_compressed_texture_etc1');
     var pvrtc = gl.getExtension('WEBGL_compressed_texture_pvrtc') || gl.getExtension('WEBKIT_WEBGL_compressed_texture_pvrtc');
     var s3tc = gl.getExtension('WEBGL_compressed_texture_s3tc') || gl.getExtension('WEBKIT_WEBGL_compressed_texture_s3tc');
+    var etc2 = gl.getExtension('WEBGL_compressed_texture_etc');
+    var astc = gl.getExtension('WEBGL_compressed_texture_astc');
+    var bptc = gl.getExtension('EXT_texture_compression_bptc');
 
     if (etc1) { this.extensions.compression.ETC1 = etc1; }
     if (pvrtc) { this.extensions.compression.PVRTC = pvrtc; }
     if (s3tc) { this.extensions.compression.S3TC = s3tc; }
+    if (etc2) { this.extensions.compression.ETC2 = etc2; }
+    if (astc) { this.extensions.compression.ASTC = astc; }
+    if (bptc) { this.extensions.compression.BPTC = bptc; }
 };
 
 /**
@@ -138,11 +138,23 @@ PIXI.Texture = function (baseTexture, frame, crop, trim)
      * Rotation allows you to use rotated frames in texture atlas packing, it has nothing to do with
      * Sprite rotation.
      *
+     * A rotated frame is stored rotated by 90 degrees in the base texture. The x and y of the crop are then those of
+     * the rotated frame in the base texture, and its width and height those of the frame before it was rotated.
+     *
      * @property rotated
      * @type Boolean
      */
     this.rotated = false;
 
+    /**
+     * If the frame is rotated, true if it is rotated anticlockwise in the base texture, as in libGDX and Spine atlases,
+     * rather than clockwise, as in TexturePacker ones.
+     *
+     * @property rotatedAnticlockwise
+     * @type Boolean
+     */
+    this.rotatedAnticlockwise = false;
+
     if (baseTexture.hasLoaded)
     {
         if (this.noFrame) { frame = new PIXI.Rectangle(0, 0, baseTexture.width, baseTexture.height); }
@@ -203,7 +215,11 @@ PIXI.Texture.prototype.setFrame = function (frame)
     this.crop.width = frame.width;
     this.crop.height = frame.height;
 
-    if (!this.trim && (frame.x + frame.width > this.baseTexture.width || frame.y + frame.height > this.baseTexture.height))
+    //  Rotated frames are as wide in the base texture as they are high
+    var frameWidth = (this.rotated) ? frame.height : frame.width;
+    var frameHeight = (this.rotated) ? frame.width : frame.height;
+
+    if (!this.trim && (frame.x + frameWidth > this.baseTexture.width || frame.y + frameHeight > this.baseTexture.height))
     {
         if (!PIXI.TextureSilentFail)
         {
@@ -236,6 +252,12 @@ PIXI.Texture.prototype.setFrame = function (frame)
  */
 PIXI.Texture.prototype._updateUvs = function ()
 {
+    if (this.rotated)
+    {
+        this._updateUvsInverted();
+        return;
+    }
+
     if(!this._uvs) { this._uvs = new PIXI.TextureUvs(); }
 
     var frame = this.crop;
@@ -256,7 +278,8 @@ PIXI.Texture.prototype._updateUvs = function ()
 };
 
 /**
- * Updates the internal WebGL UV cache.
+ * Updates the internal WebGL UV cache of a frame that is rotated by 90 degrees in the base texture.
+ * The UVs are those of the corners of the frame once rotated back: top left, top right, bottom right and bottom left.
  *
  * @method PIXI.Texture#_updateUvsInverted
  * @private
@@ -270,17 +293,42 @@ PIXI.Texture.prototype._updateUvsInverted = function ()
     var tw = this.baseTexture.width;
     var th = this.baseTexture.height;
 
-    this._uvs.x0 = frame.x / tw;
-    this._uvs.y0 = frame.y / th;
+    //  The area of the frame in the base texture
+    var left = frame.x / tw;
+    var top = frame.y / th;
+    var right = (frame.x + frame.height) / tw;
+    var bottom = (frame.y + frame.width) / th;
 
-    this._uvs.x1 = (frame.x + frame.height) / tw;
-    this._uvs.y1 = frame.y / th;
+    if (this.rotatedAnticlockwise)
+    {
+        //  The top left corner of the frame is at the bottom left of the area
+        this._uvs.x0 = left;
+        this._uvs.y0 = bottom;
 
-    this._uvs.x2 = (frame.x + frame.height) / tw;
-    this._uvs.y2 = (frame.y + frame.width) / th;
+        this._uvs.x1 = left;
+        this._uvs.y1 = top;
 
-    this._uvs.x3 = frame.x / tw;
-    this._uvs.y3 = (frame.y + frame.width) / th;
+        this._uvs.x2 = right;
+        this._uvs.y2 = top;
+
+        this._uvs.x3 = right;
+        this._uvs.y3 = bottom;
+    }
+    else
+    {
+        //  The top left corner of the frame is at the top right of the area
+        this._uvs.x0 = right;
+        this._uvs.y0 = top;
+
+        this._uvs.x1 = right;
+        this._uvs.y1 = bottom;
+
+        this._uvs.x2 = left;
+        this._uvs.y2 = bottom;
+
+        this._uvs.x3 = left;
+        this._uvs.y3 = top;
+    }
 
 };
 
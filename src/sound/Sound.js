@@ -37,6 +37,11 @@ Phaser.Sound = function (game, key, volume, loop, connect)
     */
     this.key = key;
 
+    if (key)
+    {
+        game.cache.addReference(key, Phaser.Cache.SOUND, this);
+    }
+
     /**
     * @property {boolean} loop - Whether or not the sound or current sound marker will loop.
     */
@@ -1150,6 +1155,11 @@ Phaser.Sound.prototype = {
         this._removeFromSoundManager = remove;
         this.stop();
 
+        if (this.key)
+        {
+            this.game.cache.removeReference(this.key, Phaser.Cache.SOUND, this);
+        }
+
         if (remove)
         {
             this.game.sound.remove(this);
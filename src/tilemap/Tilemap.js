@@ -38,6 +38,17 @@ Phaser.Tilemap = function (game, key, tileWidth, tileHeight, width, height)
     */
     this.key = key;
 
+    /**
+    * @property {string[]} _imageKeys - The keys of the Cache images this map holds a reference to.
+    * @private
+    */
+    this._imageKeys = [];
+
+    if (key)
+    {
+        game.cache.addReference(key, Phaser.Cache.TILEMAP, this);
+    }
+
     var data = Phaser.TilemapParser.parse(this.game, key, tileWidth, tileHeight, width, height);
 
     if (data === null)
@@ -66,12 +77,65 @@ Phaser.Tilemap = function (game, key, tileWidth, tileHeight, width, height)
     this.tileHeight = data.tileHeight;
 
     /**
-    * @property {string} orientation - The orientation of the map data (as specified in Tiled), usually 'orthogonal'.
+    * @property {string} orientation - The orientation of the map data (as specified in Tiled): {@link Phaser.Tilemap.ORTHOGONAL}, {@link Phaser.Tilemap.ISOMETRIC}, {@link Phaser.Tilemap.STAGGERED} or {@link Phaser.Tilemap.HEXAGONAL}.
     */
     this.orientation = data.orientation;
 
     /**
-    * @property {number} format - The format of the map data, either Phaser.Tilemap.CSV or Phaser.Tilemap.TILED_JSON.
+    * @property {string} staggerAxis - For staggered and hexagonal maps, the axis that is staggered: 'x' or 'y'.
+    */
+    this.staggerAxis = data.staggerAxis || 'y';
+
+    /**
+    * @property {string} staggerIndex - For staggered and hexagonal maps, whether the 'odd' or 'even' rows (or columns) are shifted.
+    */
+    this.staggerIndex = data.staggerIndex || 'odd';
+
+    /**
+    * @property {number} hexSideLength - For hexagonal maps, the length of the flat side of a hexagon tile (in pixels).
+    */
+    this.hexSideLength = data.hexSideLength || 0;
+
+    /**
+    * @property {boolean} infinite - True if the map data came from an infinite Tiled map, whose tile layers are stored in chunks.
+    */
+    this.infinite = !!data.infinite;
+
+    /**
+    * The Tiled x coordinate (in tiles) of the left-most column of the map.
+    *
+    * Tiled infinite maps can extend to negative coordinates, so their tiles are moved to start at 0,0 in Phaser,
+    * along with the map objects. Subtract this value from a Tiled x coordinate to get the Phaser one.
+    * It is 0 for all other maps.
+    *
+    * @property {integer} originX
+    */
+    this.originX = data.originX || 0;
+
+    /**
+    * The Tiled y coordinate (in tiles) of the top row of the map. See {@link #originX}.
+    *
+    * @property {integer} originY
+    */
+    this.originY = data.originY || 0;
+
+    /**
+    * The x coordinate of the Tiled parallax origin of the map (in pixels): the center of the view at which layers with a parallax factor
+    * are drawn at their own position. See {@link Phaser.TilemapLayer#parallaxOrigin}.
+    *
+    * @property {number} parallaxOriginX
+    */
+    this.parallaxOriginX = data.parallaxOriginX || 0;
+
+    /**
+    * The y coordinate of the Tiled parallax origin of the map (in pixels). See {@link #parallaxOriginX}.
+    *
+    * @property {number} parallaxOriginY
+    */
+    this.parallaxOriginY = data.parallaxOriginY || 0;
+
+    /**
+    * @property {number} format - The format of the map data, either Phaser.Tilemap.CSV, Phaser.Tilemap.TILED_JSON or Phaser.Tilemap.TILED_XML.
     */
     this.format = data.format;
 
@@ -120,11 +184,44 @@ Phaser.Tilemap = function (game, key, tileWidth, tileHeight, width, height)
     */
     this.objects = data.objects;
 
+    /**
+    * The positions of the object layers among the Tiled layers, in drawing order, keyed by layer name. {@link #toTiledJSON} uses them,
+    * together with the `drawIndex` of the tile and image layers, to export the layers in their original order.
+    * @property {object} objectIndexes
+    */
+    this.objectIndexes = data.objectIndexes || {};
+
     /**
     * @property {array} collideIndexes - An array of tile indexes that collide.
     */
     this.collideIndexes = [];
 
+    /**
+    * The slope types of the tile indexes with a slope, keyed by tile index. Arcade Physics collides bodies with the shape of these tiles
+    * instead of their full square. See {@link #setSlope}.
+    * @property {object} slopes
+    */
+    this.slopes = {};
+
+    /**
+    * The tile indexes that Arcade Physics bodies only collide with from above, such as platforms that can be jumped through. See {@link #setOneWay}.
+    * @property {integer[]} oneWayIndexes
+    */
+    this.oneWayIndexes = [];
+
+    /**
+    * The autotile rules of this map. When there are any, {@link #putTile} and {@link #removeTile} update the tiles around the changed one.
+    * See {@link #addAutotile} and {@link #addWangAutotile}.
+    * @property {Phaser.TilemapAutotile[]} autotiles
+    */
+    this.autotiles = [];
+
+    /**
+    * The pathfinders of this map, which are updated when the tiles or collision of their layer change. See {@link #createPathfinder}.
+    * @property {Phaser.TilemapPathfinder[]} pathfinders
+    */
+    this.pathfinders = [];
+
     /**
     * @property {array} collision - An array of collision data (polylines, etc).
     */
@@ -168,6 +265,8 @@ Phaser.Tilemap = function (game, key, tileWidth, tileHeight, width, height)
     */
     this._tempB = 0;
 
+    this.setSlopesFromProperties();
+
 };
 
 /**
@@ -182,6 +281,55 @@ Phaser.Tilemap.CSV = 0;
 */
 Phaser.Tilemap.TILED_JSON = 1;
 
+/**
+* The Tiled TMX (XML) map format. See {@link Phaser.TilemapParser.convertTMX}.
+* @constant
+* @type {number}
+*/
+Phaser.Tilemap.TILED_XML = 2;
+
+/**
+* The classes used by {@link Phaser.Tilemap#createFromObjectLayer} to create the objects of an object layer, keyed by the
+* Tiled object type (called class since Tiled 1.9). Each class must extend Phaser.Sprite and have the same constructor parameters,
+* and is also given the Tiled object as an extra sixth parameter.
+*
+* @example
+* Phaser.Tilemap.objectClasses['Enemy'] = Enemy;
+* Phaser.Tilemap.objectClasses['Coin'] = Coin;
+* @type {object}
+*/
+Phaser.Tilemap.objectClasses = {};
+
+/**
+* A map orientation where tiles are laid out in a regular grid.
+* @constant
+* @type {string}
+*/
+Phaser.Tilemap.ORTHOGONAL = 'orthogonal';
+
+/**
+* A map orientation where diamond-shaped tiles are laid out along diagonal axes, forming a diamond-shaped map.
+* @constant
+* @type {string}
+*/
+Phaser.Tilemap.ISOMETRIC = 'isometric';
+
+/**
+* A map orientation where diamond-shaped tiles are laid out in rows (or columns) with every other row shifted by half a tile, forming a rectangular map.
+* See {@link Phaser.Tilemap#staggerAxis} and {@link Phaser.Tilemap#staggerIndex}.
+* @constant
+* @type {string}
+*/
+Phaser.Tilemap.STAGGERED = 'staggered';
+
+/**
+* A map orientation where hexagonal tiles are laid out in staggered rows (or columns).
+* See {@link Phaser.Tilemap#staggerAxis}, {@link Phaser.Tilemap#staggerIndex} and {@link Phaser.Tilemap#hexSideLength}.
+* @constant
+* @type {string}
+*/
+Phaser.Tilemap.HEXAGONAL = 'hexagonal';
+
 /**
 * @constant
 * @type {number}
@@ -206,6 +354,27 @@ Phaser.Tilemap.SOUTH = 2;
 */
 Phaser.Tilemap.WEST = 3;
 
+/**
+* A temporary Point used when positioning tiles.
+* @private
+* @type {Phaser.Point}
+*/
+Phaser.Tilemap._tilePoint = new Phaser.Point();
+
+/**
+* The x offsets of the neighbours of a tile, in the order of the bits of an autotile mask: N, NE, E, SE, S, SW, W, NW.
+* @private
+* @type {integer[]}
+*/
+Phaser.Tilemap._autotileX = [ 0, 1, 1, 1, 0, -1, -1, -1 ];
+
+/**
+* The y offsets of the neighbours of a tile, in the order of the bits of an autotile mask.
+* @private
+* @type {integer[]}
+*/
+Phaser.Tilemap._autotileY = [ -1, -1, 0, 1, 1, 1, 0, -1 ];
+
 Phaser.Tilemap.prototype = {
 
     /**
@@ -248,8 +417,305 @@ Phaser.Tilemap.prototype = {
 
         this.tileWidth = tileWidth;
         this.tileHeight = tileHeight;
-        this.widthInPixels = this.width * tileWidth;
-        this.heightInPixels = this.height * tileHeight;
+
+        var size = this.getPixelSize(this.width, this.height);
+
+        this.widthInPixels = size.x;
+        this.heightInPixels = size.y;
+
+    },
+
+    /**
+    * Calculates the size in pixels of an area of map tiles, taking the map {@link #orientation} into account.
+    *
+    * @method Phaser.Tilemap#getPixelSize
+    * @param {integer} width - The width of the area (in tiles).
+    * @param {integer} height - The height of the area (in tiles).
+    * @param {Phaser.Point|object} [point] - The Point/object to update. If not given a new Point is created.
+    * @return {Phaser.Point|object} A Point/object with `x` set to the width and `y` set to the height of the area (in pixels).
+    */
+    getPixelSize: function (width, height, point)
+    {
+
+        if (point === undefined) { point = new Phaser.Point(); }
+
+        var tw = this.tileWidth;
+        var th = this.tileHeight;
+
+        if (this.orientation === Phaser.Tilemap.ISOMETRIC)
+        {
+            point.x = (width + height) * tw / 2;
+            point.y = (width + height) * th / 2;
+        }
+        else if (this.isStaggered())
+        {
+            var side = this.getHexSideLength();
+
+            if (this.staggerAxis === 'x')
+            {
+                var sideOffsetX = (tw - side) / 2;
+
+                point.x = width * (sideOffsetX + side) + sideOffsetX;
+                point.y = height * th + ((width > 1) ? th / 2 : 0);
+            }
+            else
+            {
+                var sideOffsetY = (th - side) / 2;
+
+                point.x = width * tw + ((height > 1) ? tw / 2 : 0);
+                point.y = height * (sideOffsetY + side) + sideOffsetY;
+            }
+        }
+        else
+        {
+            point.x = width * tw;
+            point.y = height * th;
+        }
+
+        return point;
+
+    },
+
+    /**
+    * Returns true if the map tiles are laid out in staggered rows or columns, i.e. the map {@link #orientation} is
+    * {@link Phaser.Tilemap.STAGGERED} or {@link Phaser.Tilemap.HEXAGONAL}.
+    *
+    * @method Phaser.Tilemap#isStaggered
+    * @return {boolean} True if the map is staggered.
+    */
+    isStaggered: function ()
+    {
+
+        return (this.orientation === Phaser.Tilemap.STAGGERED || this.orientation === Phaser.Tilemap.HEXAGONAL);
+
+    },
+
+    /**
+    * The length of the flat side of a hexagonal tile, or 0 if the map isn't hexagonal.
+    *
+    * @method Phaser.Tilemap#getHexSideLength
+    * @protected
+    * @return {number} The side length (in pixels).
+    */
+    getHexSideLength: function ()
+    {
+
+        return (this.orientation === Phaser.Tilemap.HEXAGONAL) ? this.hexSideLength : 0;
+
+    },
+
+    /**
+    * Tests if the given row (or column) of a staggered map is shifted, according to {@link #staggerIndex}.
+    *
+    * @method Phaser.Tilemap#isStaggeredIndex
+    * @protected
+    * @param {integer} index - The row index (if {@link #staggerAxis} is 'y') or the column index (if it is 'x').
+    * @return {boolean} True if the row or column is shifted.
+    */
+    isStaggeredIndex: function (index)
+    {
+
+        var odd = (index & 1) === 1;
+
+        return (this.staggerIndex === 'even') ? !odd : odd;
+
+    },
+
+    /**
+    * Converts a map location (in tiles) to the position (in pixels) of the top-left corner of the tile's bounding box,
+    * taking the map {@link #orientation} into account.
+    *
+    * The bounding box of every tile is {@link #tileWidth} x {@link #tileHeight} pixels; in isometric, staggered and hexagonal maps
+    * the tile shape (a diamond or hexagon) is inscribed within it.
+    *
+    * @method Phaser.Tilemap#tileToWorldXY
+    * @param {integer} x - The x map coordinate (in tiles).
+    * @param {integer} y - The y map coordinate (in tiles).
+    * @param {Phaser.Point|object} [point] - The Point/object to update. If not given a new Point is created.
+    * @return {Phaser.Point|object} A Point/object with its `x` and `y` properties set (in pixels).
+    */
+    tileToWorldXY: function (x, y, point)
+    {
+
+        if (point === undefined) { point = new Phaser.Point(); }
+
+        var tw = this.tileWidth;
+        var th = this.tileHeight;
+
+        if (this.orientation === Phaser.Tilemap.ISOMETRIC)
+        {
+            point.x = (x - y + this.height - 1) * tw / 2;
+            point.y = (x + y) * th / 2;
+        }
+        else if (this.isStaggered())
+        {
+            var side = this.getHexSideLength();
+
+            if (this.staggerAxis === 'x')
+            {
+                point.x = x * ((tw - side) / 2 + side);
+                point.y = y * th + (this.isStaggeredIndex(x) ? th / 2 : 0);
+            }
+            else
+            {
+                point.x = x * tw + (this.isStaggeredIndex(y) ? tw / 2 : 0);
+                point.y = y * ((th - side) / 2 + side);
+            }
+        }
+        else
+        {
+            point.x = x * tw;
+            point.y = y * th;
+        }
+
+        return point;
+
+    },
+
+    /**
+    * Converts a position (in pixels, relative to the map origin) to the map location (in tiles) of the tile containing it,
+    * taking the map {@link #orientation} into account.
+    *
+    * The result isn't clamped to the map bounds.
+    *
+    * @method Phaser.Tilemap#worldToTileXY
+    * @param {number} x - The x position (in pixels).
+    * @param {number} y - The y position (in pixels).
+    * @param {Phaser.Point|object} [point] - The Point/object to update. If not given a new Point is created.
+    * @return {Phaser.Point|object} A Point/object with its `x` and `y` properties set (in tiles).
+    */
+    worldToTileXY: function (x, y, point)
+    {
+
+        if (point === undefined) { point = new Phaser.Point(); }
+
+        var tw = this.tileWidth;
+        var th = this.tileHeight;
+
+        if (this.orientation === Phaser.Tilemap.ISOMETRIC)
+        {
+            x -= this.height * tw / 2;
+
+            point.x = Math.floor((y / th) + (x / tw));
+            point.y = Math.floor((y / th) - (x / tw));
+        }
+        else if (this.isStaggered())
+        {
+            var side = this.getHexSideLength();
+            var staggerX = (this.staggerAxis === 'x');
+
+            //  Work along the staggered axis (u) and the other axis (v) so both stagger axes share the same math
+            var u = staggerX ? x : y;
+            var v = staggerX ? y : x;
+            var tu = staggerX ? tw : th;
+            var tv = staggerX ? th : tw;
+
+            var sideOffset = (tu - side) / 2;
+            var step = sideOffset + side;
+            var row = Math.floor(u / step);
+            var best = Infinity;
+
+            //  The point lies within the bounding boxes of exactly one tile in this row and one in the previous row
+            for (var r = row - 1; r <= row; r++)
+            {
+                var shift = this.isStaggeredIndex(r) ? tv / 2 : 0;
+                var col = Math.floor((v - shift) / tv);
+
+                var du = Math.abs(u - (r * step + tu / 2));
+                var dv = Math.abs(v - (col * tv + shift + tv / 2));
+
+                //  0 at the tile center, 1 on the edges of the tile shape
+                var distance = (dv / (tv / 2)) + (Math.max(0, du - side / 2) / sideOffset);
+
+                if (distance < best)
+                {
+                    best = distance;
+                    point.x = staggerX ? r : col;
+                    point.y = staggerX ? col : r;
+                }
+            }
+        }
+        else
+        {
+            point.x = Math.floor(x / tw);
+            point.y = Math.floor(y / th);
+        }
+
+        return point;
+
+    },
+
+    /**
+    * Gets the outline of a tile (in pixels) as a flat array of vertex coordinates: `[x0, y0, x1, y1, ..]`.
+    *
+    * For orthogonal maps this is the tile rectangle; for isometric and staggered maps it is a diamond, and for hexagonal maps a hexagon.
+    *
+    * @method Phaser.Tilemap#getTilePolygon
+    * @param {Phaser.Tile} tile - The tile.
+    * @param {number[]} [output] - An array to store the coordinates in. If not given a new array is created.
+    * @return {number[]} The vertex coordinates, in clockwise order.
+    */
+    getTilePolygon: function (tile, output)
+    {
+
+        if (output === undefined) { output = []; }
+
+        var left = tile.worldX;
+        var top = tile.worldY;
+        var right = tile.worldX + tile.width;
+        var bottom = tile.worldY + tile.height;
+        var cx = left + tile.width / 2;
+        var cy = top + tile.height / 2;
+
+        output.length = 0;
+
+        if (this.orientation === Phaser.Tilemap.HEXAGONAL)
+        {
+            if (this.staggerAxis === 'x')
+            {
+                var sideOffsetX = (tile.width - this.hexSideLength * tile.width / this.tileWidth) / 2;
+
+                output.push(left + sideOffsetX, top, right - sideOffsetX, top, right, cy, right - sideOffsetX, bottom, left + sideOffsetX, bottom, left, cy);
+            }
+            else
+            {
+                var sideOffsetY = (tile.height - this.hexSideLength * tile.height / this.tileHeight) / 2;
+
+                output.push(cx, top, right, top + sideOffsetY, right, bottom - sideOffsetY, cx, bottom, left, bottom - sideOffsetY, left, top + sideOffsetY);
+            }
+        }
+        else if (this.orientation === Phaser.Tilemap.ISOMETRIC || this.orientation === Phaser.Tilemap.STAGGERED)
+        {
+            output.push(cx, top, right, cy, cx, bottom, left, cy);
+        }
+        else
+        {
+            output.push(left, top, right, top, right, bottom, left, bottom);
+        }
+
+        return output;
+
+    },
+
+    /**
+    * Sets the tile's {@link Phaser.Tile#worldX worldX} and {@link Phaser.Tile#worldY worldY} from its map location, taking the map {@link #orientation} into account.
+    *
+    * @method Phaser.Tilemap#updateTileWorldXY
+    * @protected
+    * @param {Phaser.Tile} tile - The tile to update.
+    * @param {number} [scaleX=1] - A scale to apply to the horizontal position.
+    * @param {number} [scaleY=1] - A scale to apply to the vertical position.
+    */
+    updateTileWorldXY: function (tile, scaleX, scaleY)
+    {
+
+        if (scaleX === undefined) { scaleX = 1; }
+        if (scaleY === undefined) { scaleY = 1; }
+
+        var point = this.tileToWorldXY(tile.x, tile.y, Phaser.Tilemap._tilePoint);
+
+        tile.worldX = point.x * scaleX;
+        tile.worldY = point.y * scaleY;
 
     },
 
@@ -291,6 +757,7 @@ Phaser.Tilemap.prototype = {
         }
 
         var img = null;
+        var base = null;
 
         if (key === undefined || key === null)
         {
@@ -300,6 +767,7 @@ Phaser.Tilemap.prototype = {
         if (key instanceof Phaser.BitmapData)
         {
             img = key.canvas;
+            base = key.baseTexture;
         }
         else
         {
@@ -310,27 +778,34 @@ Phaser.Tilemap.prototype = {
             }
 
             img = this.game.cache.getImage(key);
+            base = this.game.cache.getBaseTexture(key);
+
+            if (this._imageKeys.indexOf(key) === -1)
+            {
+                this.game.cache.addReference(key, Phaser.Cache.IMAGE, this);
+                this._imageKeys.push(key);
+            }
         }
 
         var idx = this.getTilesetIndex(tileset);
 
-        if (idx === null && this.format === Phaser.Tilemap.TILED_JSON)
+        if (idx === null && (this.format === Phaser.Tilemap.TILED_JSON || this.format === Phaser.Tilemap.TILED_XML))
         {
-            console.warn('Phaser.Tilemap.addTilesetImage: No data found in the JSON matching the tileset name: "' + tileset + '"');
+            console.warn('Phaser.Tilemap.addTilesetImage: No data found in the map matching the tileset name: "' + tileset + '"');
             console.log('Tilesets: ', this.tilesets);
             return null;
         }
 
         if (this.tilesets[idx])
         {
-            this.tilesets[idx].setImage(img);
+            this.tilesets[idx].setImage(img, base);
             return this.tilesets[idx];
         }
         else
         {
             var newSet = new Phaser.Tileset(tileset, gid, tileWidth, tileHeight, tileMargin, tileSpacing, {});
 
-            newSet.setImage(img);
+            newSet.setImage(img, base);
 
             this.tilesets.push(newSet);
 
@@ -441,40 +916,128 @@ Phaser.Tilemap.prototype = {
             {
                 var sprite = new CustomClass(this.game, parseFloat(obj.x, 10), parseFloat(obj.y, 10), key, frame);
 
-                sprite.name = obj.name;
-                sprite.autoCull = autoCull;
-                sprite.exists = exists;
-                sprite.visible = obj.visible;
-
-                if (adjustSize)
-                {
-                    if (obj.width)
-                    {
-                        sprite.width = obj.width;
-                    }
-
-                    if (obj.height)
-                    {
-                        sprite.height = obj.height;
-                    }
-                }
-
-                if (obj.rotation)
-                {
-                    sprite.angle = obj.rotation;
-                }
-
-                if (adjustY)
-                {
-                    sprite.y -= sprite.height;
-                }
-
-                group.add(sprite);
-
-                for (var property in obj.properties)
-                {
-                    group.set(sprite, property, obj.properties[property], false, false, 0, true);
-                }
+                this.setupObject(sprite, obj, exists, autoCull, group, adjustY, adjustSize);
+            }
+        }
+
+    },
+
+    /**
+    * Creates an instance of the class registered in {@link Phaser.Tilemap.objectClasses} for the type of every object in an Object Group,
+    * including the shape objects without a tile. Objects of a type without a registered class are skipped, so to create the objects
+    * without a type as well register a class for the empty type ''.
+    *
+    * As with {@link Phaser.Tilemap#createFromObjects} the name, visibility, size, rotation and custom properties of each object are copied across.
+    *
+    * @method Phaser.Tilemap#createFromObjectLayer
+    * @param {string} name - The name of the Object Group to create the objects from.
+    * @param {string} [key] - The Game.cache key of the image given to the constructors.
+    * @param {number|string} [frame] - The frame given to the constructors.
+    * @param {Phaser.Group} [group=Phaser.World] - Group to add the objects to. If not specified they will be added to the World group.
+    * @param {boolean} [adjustY=true] - Tiled positions tile objects by their bottom-left corner. This parameter moves them up by their height. Other objects are positioned by their top-left corner and are never moved.
+    * @param {boolean} [adjustSize=true] - By default the width and height of the objects are transferred to the instances. This parameter controls that behavior.
+    * @return {object} The created objects in arrays keyed by their type, or null if the Object Group doesn't exist.
+    */
+    createFromObjectLayer: function (name, key, frame, group, adjustY, adjustSize)
+    {
+
+        if (group === undefined) { group = this.game.world; }
+        if (adjustY === undefined) { adjustY = true; }
+        if (adjustSize === undefined) { adjustSize = true; }
+
+        if (!this.objects[name])
+        {
+            console.warn('Tilemap.createFromObjectLayer: Invalid objectgroup name given: ' + name);
+            return null;
+        }
+
+        var created = {};
+
+        for (var i = 0; i < this.objects[name].length; i++)
+        {
+            var obj = this.objects[name][i];
+            var type = obj.type || '';
+
+            if (!Phaser.Tilemap.objectClasses.hasOwnProperty(type))
+            {
+                continue;
+            }
+
+            var instance = new Phaser.Tilemap.objectClasses[type](this.game, obj.x, obj.y, key, frame, obj);
+
+            this.setupObject(instance, obj, true, false, group, adjustY && !!obj.gid, adjustSize);
+
+            if (!created[type])
+            {
+                created[type] = [];
+            }
+
+            created[type].push(instance);
+        }
+
+        return created;
+
+    },
+
+    /**
+    * Copies the properties of a Tiled object to the Sprite created from it and adds the Sprite to a group.
+    *
+    * @method Phaser.Tilemap#setupObject
+    * @private
+    * @param {Phaser.Sprite} sprite - The Sprite created from the object.
+    * @param {object} obj - The object data.
+    * @param {boolean} exists - The exists state of the Sprite.
+    * @param {boolean} autoCull - The autoCull state of the Sprite.
+    * @param {Phaser.Group} group - Group to add the Sprite to.
+    * @param {boolean} adjustY - Moves the Sprite up by its height.
+    * @param {boolean} adjustSize - Sets the size of the Sprite to the size of the object.
+    */
+    setupObject: function (sprite, obj, exists, autoCull, group, adjustY, adjustSize)
+    {
+
+        sprite.name = obj.name;
+        sprite.autoCull = autoCull;
+        sprite.exists = exists;
+        sprite.visible = obj.visible;
+
+        if (adjustSize)
+        {
+            if (obj.width)
+            {
+                sprite.width = obj.width;
+            }
+
+            if (obj.height)
+            {
+                sprite.height = obj.height;
+            }
+        }
+
+        if (obj.rotation)
+        {
+            sprite.angle = obj.rotation;
+        }
+
+        if (adjustY)
+        {
+            sprite.y -= sprite.height;
+        }
+
+        group.add(sprite);
+
+        //  Since Tiled 1.2 the properties are an array of objects with name, type and value properties
+        if (Array.isArray(obj.properties))
+        {
+            for (var i = 0; i < obj.properties.length; i++)
+            {
+                group.set(sprite, obj.properties[i].name, obj.properties[i].value, false, false, 0, true);
+            }
+        }
+        else
+        {
+            for (var property in obj.properties)
+            {
+                group.set(sprite, property, obj.properties[property], false, false, 0, true);
             }
         }
 
@@ -693,6 +1256,14 @@ Phaser.Tilemap.prototype = {
 
         };
 
+        if (this.orientation !== Phaser.Tilemap.ORTHOGONAL)
+        {
+            var size = this.getPixelSize(width, height);
+
+            layer.widthInPixels = size.x;
+            layer.heightInPixels = size.y;
+        }
+
         var row;
         var output = [];
 
@@ -702,7 +1273,14 @@ Phaser.Tilemap.prototype = {
 
             for (var x = 0; x < width; x++)
             {
-                row.push(new Phaser.Tile(layer, -1, x, y, tileWidth, tileHeight));
+                var tile = new Phaser.Tile(layer, -1, x, y, tileWidth, tileHeight);
+
+                if (this.orientation !== Phaser.Tilemap.ORTHOGONAL)
+                {
+                    this.updateTileWorldXY(tile);
+                }
+
+                row.push(tile);
             }
 
             output.push(row);
@@ -1066,6 +1644,111 @@ Phaser.Tilemap.prototype = {
 
     },
 
+    /**
+    * Sets the slope type of one or more tile indexes, in all layers. Arcade Physics collides bodies with the shape of a sloped tile,
+    * such as a 45 degree triangle or the bottom half of the tile, instead of its full square, so they can walk up and down it.
+    * The available types are the keys of {@link Phaser.Physics.Arcade.TilemapCollision.SLOPES}, such as 'HALF_BOTTOM_LEFT'.
+    *
+    * The tiles still need to be set to collide, with {@link #setCollision} or similar. Slopes are only used in orthogonal maps.
+    * Tileset tiles with a `slope` property get its value as their slope type when the map is created.
+    *
+    * @method Phaser.Tilemap#setSlope
+    * @param {integer|integer[]} indexes - Either a single tile index, or an array of tile indexes.
+    * @param {?string} type - The slope type, or null to remove the slope from the tiles.
+    */
+    setSlope: function (indexes, type)
+    {
+
+        if (!Array.isArray(indexes))
+        {
+            indexes = [ indexes ];
+        }
+
+        for (var i = 0; i < indexes.length; i++)
+        {
+            if (type)
+            {
+                this.slopes[indexes[i]] = type;
+            }
+            else
+            {
+                delete this.slopes[indexes[i]];
+            }
+        }
+
+    },
+
+    /**
+    * Sets one or more tile indexes as one-way, in all layers. Arcade Physics bodies only collide with one-way tiles when they land on them
+    * from above, so they can jump up through them and drop onto them. One-way tiles can also have a slope, see {@link #setSlope}.
+    *
+    * The tiles still need to be set to collide, with {@link #setCollision} or similar. One-way tiles are only used in orthogonal maps.
+    * Tileset tiles with a `oneWay` property set to true are one-way when the map is created.
+    *
+    * @method Phaser.Tilemap#setOneWay
+    * @param {integer|integer[]} indexes - Either a single tile index, or an array of tile indexes.
+    * @param {boolean} [oneWay=true] - True to make the tiles one-way, false to make them collide from all sides again.
+    */
+    setOneWay: function (indexes, oneWay)
+    {
+
+        if (oneWay === undefined) { oneWay = true; }
+
+        if (!Array.isArray(indexes))
+        {
+            indexes = [ indexes ];
+        }
+
+        for (var i = 0; i < indexes.length; i++)
+        {
+            var p = this.oneWayIndexes.indexOf(indexes[i]);
+
+            if (oneWay && p === -1)
+            {
+                this.oneWayIndexes.push(indexes[i]);
+            }
+            else if (!oneWay && p > -1)
+            {
+                this.oneWayIndexes.splice(p, 1);
+            }
+        }
+
+    },
+
+    /**
+    * Sets the slope types and one-way tile indexes from the `slope` and `oneWay` properties of the tiles of the map tilesets.
+    * This is called when the map is created, so only call it again if the tile properties changed.
+    *
+    * @method Phaser.Tilemap#setSlopesFromProperties
+    */
+    setSlopesFromProperties: function ()
+    {
+
+        var tilesets = this.tilesets || [];
+
+        for (var i = 0; i < tilesets.length; i++)
+        {
+            var set = tilesets[i];
+
+            for (var id in set.tileProperties)
+            {
+                var properties = set.tileProperties[id];
+                var index = set.firstgid + parseInt(id, 10);
+
+                if (properties.slope)
+                {
+                    this.setSlope(index, properties.slope);
+                }
+
+                if (properties.oneWay !== undefined)
+                {
+                    this.setOneWay(index, properties.oneWay === true || properties.oneWay === 'true');
+                }
+            }
+        }
+
+    },
+
     /**
     * Gets the TilemapLayer index as used in the setCollision calls.
     *
@@ -1137,8 +1820,12 @@ Phaser.Tilemap.prototype = {
     * @method Phaser.Tilemap#calculateFaces
     * @protected
     * @param {number} layer - The index of the TilemapLayer to operate on.
+    * @param {integer} [x=0] - The left of the area to update (in tiles). By default the whole layer is updated.
+    * @param {integer} [y=0] - The top of the area to update (in tiles).
+    * @param {integer} [width] - The width of the area to update (in tiles).
+    * @param {integer} [height] - The height of the area to update (in tiles).
     */
-    calculateFaces: function (layer)
+    calculateFaces: function (layer, x, y, width, height)
     {
 
         if (this.preventingRecalculate)
@@ -1147,14 +1834,24 @@ Phaser.Tilemap.prototype = {
             return;
         }
 
+        if (x === undefined) { x = 0; }
+        if (y === undefined) { y = 0; }
+        if (width === undefined) { width = this.layers[layer].width; }
+        if (height === undefined) { height = this.layers[layer].height; }
+
         var above = null;
         var below = null;
         var left = null;
         var right = null;
 
-        for (var y = 0, h = this.layers[layer].height; y < h; y++)
+        var top = Math.max(0, y);
+        var bottom = Math.min(this.layers[layer].height, y + height);
+        var start = Math.max(0, x);
+        var end = Math.min(this.layers[layer].width, x + width);
+
+        for (y = top; y < bottom; y++)
         {
-            for (var x = 0, w = this.layers[layer].width; x < w; x++)
+            for (x = start; x < end; x++)
             {
                 var tile = this.layers[layer].data[y][x];
 
@@ -1200,6 +1897,8 @@ Phaser.Tilemap.prototype = {
             }
         }
 
+        this.updatePathfinders(layer, start, top, end - start, bottom - top);
+
     },
 
     /**
@@ -1286,6 +1985,140 @@ Phaser.Tilemap.prototype = {
 
     },
 
+    /**
+    * Loads and unloads the chunks of a streamed layer of an infinite map, so that only the chunks overlapping the given area
+    * have tiles. Chunks are only streamed if {@link Phaser.TilemapParser.STREAM_CHUNKS} was set when the map was created.
+    *
+    * A TilemapLayer calls this automatically as the camera moves, so you only need to call it yourself to load an area
+    * ahead of time or to stream a layer that isn't displayed.
+    *
+    * @method Phaser.Tilemap#updateChunks
+    * @param {integer} left - The left of the area to load (in tiles).
+    * @param {integer} top - The top of the area to load (in tiles).
+    * @param {integer} right - The right of the area to load (in tiles, inclusive).
+    * @param {integer} bottom - The bottom of the area to load (in tiles, inclusive).
+    * @param {number|string|Phaser.TilemapLayer} [layer] - The layer to update.
+    * @return {boolean} True if any chunks were loaded or unloaded.
+    */
+    updateChunks: function (left, top, right, bottom, layer)
+    {
+
+        layer = this.getLayer(layer);
+
+        var chunks = this.layers[layer].chunks;
+        var changed = false;
+
+        if (!chunks || !this.layers[layer].streaming)
+        {
+            return false;
+        }
+
+        for (var i = 0; i < chunks.length; i++)
+        {
+            var chunk = chunks[i];
+            var visible = chunk.x <= right && chunk.x + chunk.width > left && chunk.y <= bottom && chunk.y + chunk.height > top;
+
+            if (visible && !chunk.loaded)
+            {
+                this.loadChunk(chunk, layer);
+                changed = true;
+            }
+            else if (!visible && chunk.loaded)
+            {
+                this.unloadChunk(chunk, layer);
+                changed = true;
+            }
+        }
+
+        return changed;
+
+    },
+
+    /**
+    * Creates the tiles of a chunk of a streamed layer, applying the map collision indexes and tileset properties to them.
+    *
+    * @method Phaser.Tilemap#loadChunk
+    * @protected
+    * @param {object} chunk - The chunk, one of the layer's `chunks`.
+    * @param {number} layer - The index of the layer the chunk belongs to.
+    */
+    loadChunk: function (chunk, layer)
+    {
+
+        var data = this.layers[layer].data;
+
+        for (var y = 0; y < chunk.height; y++)
+        {
+            var row = data[chunk.y + y];
+
+            for (var x = 0; x < chunk.width; x++)
+            {
+                var tile = Phaser.TilemapParser.createTile(this, this.layers[layer], chunk.data[y * chunk.width + x], chunk.x + x, chunk.y + y);
+
+                if (tile && tile.index > -1)
+                {
+                    if (this.collideIndexes.indexOf(tile.index) > -1)
+                    {
+                        tile.setCollision(true, true, true, true);
+                    }
+
+                    var set = this.tiles[tile.index] && this.tilesets[this.tiles[tile.index][2]];
+
+                    if (set && set.tileProperties && set.tileProperties[tile.index - set.firstgid])
+                    {
+                        tile.properties = Phaser.Utils.mixin(set.tileProperties[tile.index - set.firstgid], tile.properties);
+                    }
+                }
+
+                row[chunk.x + x] = tile;
+            }
+        }
+
+        chunk.loaded = true;
+
+        this.layers[layer].dirty = true;
+
+        this.calculateFaces(layer, chunk.x - 1, chunk.y - 1, chunk.width + 2, chunk.height + 2);
+
+    },
+
+    /**
+    * Removes the tiles of a chunk of a streamed layer. The index and flip flags of each tile are kept so the chunk can be loaded again;
+    * any other changes made to the tiles are lost.
+    *
+    * @method Phaser.Tilemap#unloadChunk
+    * @protected
+    * @param {object} chunk - The chunk, one of the layer's `chunks`.
+    * @param {number} layer - The index of the layer the chunk belongs to.
+    */
+    unloadChunk: function (chunk, layer)
+    {
+
+        var data = this.layers[layer].data;
+
+        for (var y = 0; y < chunk.height; y++)
+        {
+            var row = data[chunk.y + y];
+
+            for (var x = 0; x < chunk.width; x++)
+            {
+                var tile = row[chunk.x + x];
+
+                //  Store the tile as a global tile ID, with the flip flags in the high bits
+                chunk.data[y * chunk.width + x] = (tile && tile.index > 0) ? tile.index + (tile.flippedVal || 0) * 0x20000000 : 0;
+
+                delete row[chunk.x + x];
+            }
+        }
+
+        chunk.loaded = false;
+
+        this.layers[layer].dirty = true;
+
+        this.calculateFaces(layer, chunk.x - 1, chunk.y - 1, chunk.width + 2, chunk.height + 2);
+
+    },
+
     /**
     * Sets the current layer to the given index.
     *
@@ -1318,7 +2151,7 @@ Phaser.Tilemap.prototype = {
 
         layer = this.getLayer(layer);
 
-        if (this.layers[layer].data[y] === undefined || this.layers[layer].data[y][x] === undefined)
+        if (!this.layers[layer].data[y] || !this.layers[layer].data[y][x])
         {
             return false;
         }
@@ -1349,10 +2182,20 @@ Phaser.Tilemap.prototype = {
 
                 this.layers[layer].data[y][x] = new Phaser.Tile(this.layers[layer], -1, x, y, this.tileWidth, this.tileHeight);
 
+                if (this.orientation !== Phaser.Tilemap.ORTHOGONAL)
+                {
+                    this.updateTileWorldXY(this.layers[layer].data[y][x]);
+                }
+
                 this.layers[layer].dirty = true;
 
                 this.calculateFaces(layer);
 
+                if (this.autotiles.length > 0)
+                {
+                    this.autotile(x - 1, y - 1, 3, 3, layer);
+                }
+
                 return tile;
             }
         }
@@ -1362,6 +2205,8 @@ Phaser.Tilemap.prototype = {
     /**
     * Removes the tile located at the given coordinates and updates the collision data. The coordinates are given in pixel values.
     *
+    * In isometric, staggered and hexagonal maps the tile is found with {@link #worldToTileXY} and `tileWidth` and `tileHeight` are ignored.
+    *
     * @method Phaser.Tilemap#removeTileWorldXY
     * @param {number} x - X position to insert the tile (given in pixels)
     * @param {number} y - Y position to insert the tile (given in pixels)
@@ -1375,44 +2220,347 @@ Phaser.Tilemap.prototype = {
 
         layer = this.getLayer(layer);
 
-        x = this.game.math.snapToFloor(x, tileWidth) / tileWidth;
-        y = this.game.math.snapToFloor(y, tileHeight) / tileHeight;
+        if (this.orientation === Phaser.Tilemap.ORTHOGONAL)
+        {
+            x = this.game.math.snapToFloor(x, tileWidth) / tileWidth;
+            y = this.game.math.snapToFloor(y, tileHeight) / tileHeight;
+        }
+        else
+        {
+            var point = this.worldToTileXY(x, y, Phaser.Tilemap._tilePoint);
+
+            x = point.x;
+            y = point.y;
+        }
 
         return this.removeTile(x, y, layer);
 
     },
 
     /**
-    * Puts a tile of the given index value at the coordinate specified.
-    * If you pass `null` as the tile it will pass your call over to Tilemap.removeTile instead.
+    * Creates a pathfinder for a layer of this map and adds it to the PluginManager, so its queued searches are worked on each frame.
+    * See {@link Phaser.TilemapPathfinder}.
     *
-    * @method Phaser.Tilemap#putTile
-    * @param {Phaser.Tile|number|null} tile - The index of this tile to set or a Phaser.Tile object. If a Tile object, all of its data will be copied. If null the tile is removed from the map.
-    * @param {number} x - X position to place the tile (given in tile units, not pixels)
-    * @param {number} y - Y position to place the tile (given in tile units, not pixels)
-    * @param {number|string|Phaser.TilemapLayer} [layer] - The layer to modify.
-    * @return {Phaser.Tile} The Tile object that was created or added to this map.
+    * @method Phaser.Tilemap#createPathfinder
+    * @param {number|string|Phaser.TilemapLayer} [layer] - The layer to find paths in.
+    * @param {object} [options] - The settings of the pathfinder, such as `diagonal`, `cutCorners`, `algorithm` and `costs`.
+    * @return {Phaser.TilemapPathfinder} The new pathfinder.
     */
-    putTile: function (tile, x, y, layer)
+    createPathfinder: function (layer, options)
     {
 
-        if (tile === null)
-        {
-            return this.removeTile(x, y, layer);
-        }
+        return this.game.plugins.add(Phaser.TilemapPathfinder, this, layer, options);
 
-        layer = this.getLayer(layer);
+    },
 
-        if (x >= 0 && x < this.layers[layer].width && y >= 0 && y < this.layers[layer].height)
-        {
-            var index;
+    /**
+    * Updates the grids of the pathfinders of a layer after its tiles or their collision changed.
+    *
+    * @method Phaser.Tilemap#updatePathfinders
+    * @protected
+    * @param {number} layer - The index of the layer.
+    * @param {integer} x - The left of the changed area (in tiles).
+    * @param {integer} y - The top of the changed area (in tiles).
+    * @param {integer} width - The width of the changed area (in tiles).
+    * @param {integer} height - The height of the changed area (in tiles).
+    */
+    updatePathfinders: function (layer, x, y, width, height)
+    {
 
-            if (tile instanceof Phaser.Tile)
+        for (var i = 0; i < this.pathfinders.length; i++)
+        {
+            if (this.pathfinders[i].layer === layer)
             {
-                index = tile.index;
+                this.pathfinders[i].updateGrid(x, y, width, height);
+            }
+        }
 
-                if (this.hasTile(x, y, layer))
-                {
+    },
+
+    /**
+    * Adds an autotile rule to this map. Afterwards, putting or removing a tile updates the tiles of the terrain around it,
+    * so you can put any tile of the terrain and the right one is picked for you.
+    *
+    * See {@link Phaser.TilemapAutotile} for the types of rule and the format of `tiles`.
+    *
+    * @method Phaser.Tilemap#addAutotile
+    * @param {integer} type - The type of rule: Phaser.TilemapAutotile.BLOB or Phaser.TilemapAutotile.MARCHING_SQUARES.
+    * @param {integer[]|object} tiles - The tile indexes of the terrain.
+    * @param {integer[]} [members] - Other tile indexes that count as part of the terrain, but are never placed by the rule.
+    * @return {Phaser.TilemapAutotile} The new rule.
+    */
+    addAutotile: function (type, tiles, members)
+    {
+
+        var autotile = new Phaser.TilemapAutotile(type, tiles, members);
+
+        this.autotiles.push(autotile);
+
+        return autotile;
+
+    },
+
+    /**
+    * Adds an autotile rule for a color of a Tiled wangset (Tiled 1.5 and later). Afterwards, putting or removing a tile updates the tiles
+    * of that color around it, picking the tiles whose wang IDs best match their neighbours.
+    *
+    * @method Phaser.Tilemap#addWangAutotile
+    * @param {string} tileset - The name of the tileset with the wangset.
+    * @param {string|integer} [wangset=0] - The name or index of the wangset.
+    * @param {string|integer} [color=1] - The name of the color, or its number (starting from 1, as in Tiled).
+    * @return {?Phaser.TilemapAutotile} The new rule, or null if the tileset, wangset or color wasn't found.
+    */
+    addWangAutotile: function (tileset, wangset, color)
+    {
+
+        if (wangset === undefined) { wangset = 0; }
+        if (color === undefined) { color = 1; }
+
+        var set = this.tilesets[this.getTilesetIndex(tileset)];
+
+        if (!set)
+        {
+            console.warn('Tilemap.addWangAutotile: Invalid tileset name given: ' + tileset);
+            return null;
+        }
+
+        if (typeof wangset === 'string')
+        {
+            wangset = this.getIndex(set.wangsets, wangset);
+        }
+
+        var data = set.wangsets[wangset];
+
+        if (!data)
+        {
+            console.warn('Tilemap.addWangAutotile: Invalid wangset given: ' + wangset);
+            return null;
+        }
+
+        if (typeof color === 'string')
+        {
+            var colorIndex = this.getIndex(data.colors, color);
+
+            color = (colorIndex === null) ? 0 : colorIndex + 1;
+        }
+
+        if (!data.colors[color - 1])
+        {
+            console.warn('Tilemap.addWangAutotile: Invalid color given: ' + color);
+            return null;
+        }
+
+        var tiles = [];
+
+        for (var i = 0; i < data.wangtiles.length; i++)
+        {
+            if (data.wangtiles[i].wangid.indexOf(color) > -1)
+            {
+                tiles.push({ index: set.firstgid + data.wangtiles[i].tileid, wangid: data.wangtiles[i].wangid });
+            }
+        }
+
+        if (tiles.length === 0)
+        {
+            console.warn('Tilemap.addWangAutotile: The wangset ' + data.name + ' has no tiles of the color ' + color);
+            return null;
+        }
+
+        var autotile = new Phaser.TilemapAutotile(Phaser.TilemapAutotile.WANG, tiles, null, color, data.type);
+
+        this.autotiles.push(autotile);
+
+        return autotile;
+
+    },
+
+    /**
+    * Removes an autotile rule from this map.
+    *
+    * @method Phaser.Tilemap#removeAutotile
+    * @param {Phaser.TilemapAutotile} autotile - The rule to remove.
+    */
+    removeAutotile: function (autotile)
+    {
+
+        var i = this.autotiles.indexOf(autotile);
+
+        if (i > -1)
+        {
+            this.autotiles.splice(i, 1);
+        }
+
+    },
+
+    /**
+    * Updates the tiles of an area of a layer with the autotile rules of this map. Each tile that is part of the terrain of a rule
+    * is replaced with the tile the rule picks for its neighbours. The rest are left alone.
+    *
+    * This is called automatically around the tiles changed by {@link #putTile} and {@link #removeTile}. You can call it yourself
+    * to update a whole layer, for example after loading a map or after changing its tiles in other ways.
+    *
+    * @method Phaser.Tilemap#autotile
+    * @param {integer} [x=0] - The left of the area to update (in tiles).
+    * @param {integer} [y=0] - The top of the area to update (in tiles).
+    * @param {integer} [width] - The width of the area to update (in tiles). By default the area extends to the right of the layer.
+    * @param {integer} [height] - The height of the area to update (in tiles). By default the area extends to the bottom of the layer.
+    * @param {number|string|Phaser.TilemapLayer} [layer] - The layer to update.
+    */
+    autotile: function (x, y, width, height, layer)
+    {
+
+        layer = this.getLayer(layer);
+
+        var data = this.layers[layer];
+
+        if (x === undefined) { x = 0; }
+        if (y === undefined) { y = 0; }
+        if (width === undefined) { width = data.width - x; }
+        if (height === undefined) { height = data.height - y; }
+
+        var left = Math.max(0, x);
+        var top = Math.max(0, y);
+        var right = Math.min(data.width, x + width);
+        var bottom = Math.min(data.height, y + height);
+
+        //  The new indexes are worked out first, so the tiles don't depend on the order they are updated in
+        var changes = [];
+
+        for (var ty = top; ty < bottom; ty++)
+        {
+            for (var tx = left; tx < right; tx++)
+            {
+                var tile = this.getTile(tx, ty, layer);
+                var autotile = tile && this.getAutotile(tile.index);
+
+                if (!autotile)
+                {
+                    continue;
+                }
+
+                var index = autotile.getIndex(this.getAutotileMask(autotile, tx, ty, layer));
+
+                if (index > -1 && index !== tile.index)
+                {
+                    changes.push(tile, index);
+                }
+            }
+        }
+
+        for (var i = 0; i < changes.length; i += 2)
+        {
+            changes[i].index = changes[i + 1];
+
+            if (this.collideIndexes.indexOf(changes[i].index) > -1)
+            {
+                changes[i].setCollision(true, true, true, true);
+            }
+            else
+            {
+                changes[i].resetCollision();
+            }
+        }
+
+        if (changes.length > 0)
+        {
+            data.dirty = true;
+
+            this.calculateFaces(layer, left - 1, top - 1, right - left + 2, bottom - top + 2);
+        }
+
+    },
+
+    /**
+    * Gets the autotile rule whose terrain a tile index is part of.
+    *
+    * @method Phaser.Tilemap#getAutotile
+    * @param {integer} index - The tile index.
+    * @return {?Phaser.TilemapAutotile} The first rule containing the index, or null if there isn't one.
+    */
+    getAutotile: function (index)
+    {
+
+        for (var i = 0; i < this.autotiles.length; i++)
+        {
+            if (this.autotiles[i].contains(index))
+            {
+                return this.autotiles[i];
+            }
+        }
+
+        return null;
+
+    },
+
+    /**
+    * Gets the neighbour mask of a cell for an autotile rule. The cells outside of the layer count as part of the terrain,
+    * so that the terrain runs on past the edges of the map.
+    *
+    * @method Phaser.Tilemap#getAutotileMask
+    * @protected
+    * @param {Phaser.TilemapAutotile} autotile - The autotile rule.
+    * @param {integer} x - The x coordinate of the cell (in tiles).
+    * @param {integer} y - The y coordinate of the cell (in tiles).
+    * @param {number} layer - The index of the layer.
+    * @return {integer} The mask: `N = 1, NE = 2, E = 4, SE = 8, S = 16, SW = 32, W = 64, NW = 128`.
+    */
+    getAutotileMask: function (autotile, x, y, layer)
+    {
+
+        var data = this.layers[layer];
+        var mask = 0;
+
+        for (var i = 0; i < 8; i++)
+        {
+            var nx = x + Phaser.Tilemap._autotileX[i];
+            var ny = y + Phaser.Tilemap._autotileY[i];
+            var tile;
+
+            if (nx < 0 || ny < 0 || nx >= data.width || ny >= data.height)
+            {
+                mask |= 1 << i;
+            }
+            else if ((tile = this.getTile(nx, ny, layer)) && autotile.contains(tile.index))
+            {
+                mask |= 1 << i;
+            }
+        }
+
+        return mask;
+
+    },
+
+    /**
+    * Puts a tile of the given index value at the coordinate specified.
+    * If you pass `null` as the tile it will pass your call over to Tilemap.removeTile instead.
+    *
+    * @method Phaser.Tilemap#putTile
+    * @param {Phaser.Tile|number|null} tile - The index of this tile to set or a Phaser.Tile object. If a Tile object, all of its data will be copied. If null the tile is removed from the map.
+    * @param {number} x - X position to place the tile (given in tile units, not pixels)
+    * @param {number} y - Y position to place the tile (given in tile units, not pixels)
+    * @param {number|string|Phaser.TilemapLayer} [layer] - The layer to modify.
+    * @return {Phaser.Tile} The Tile object that was created or added to this map.
+    */
+    putTile: function (tile, x, y, layer)
+    {
+
+        if (tile === null)
+        {
+            return this.removeTile(x, y, layer);
+        }
+
+        layer = this.getLayer(layer);
+
+        if (x >= 0 && x < this.layers[layer].width && y >= 0 && y < this.layers[layer].height)
+        {
+            var index;
+
+            if (tile instanceof Phaser.Tile)
+            {
+                index = tile.index;
+
+                if (this.hasTile(x, y, layer))
+                {
                     this.layers[layer].data[y][x].copy(tile);
                 }
                 else
@@ -1434,6 +2582,11 @@ Phaser.Tilemap.prototype = {
                 }
             }
 
+            if (this.orientation !== Phaser.Tilemap.ORTHOGONAL)
+            {
+                this.updateTileWorldXY(this.layers[layer].data[y][x]);
+            }
+
             if (this.collideIndexes.indexOf(index) > -1)
             {
                 this.layers[layer].data[y][x].setCollision(true, true, true, true);
@@ -1447,6 +2600,11 @@ Phaser.Tilemap.prototype = {
 
             this.calculateFaces(layer);
 
+            if (this.autotiles.length > 0)
+            {
+                this.autotile(x - 1, y - 1, 3, 3, layer);
+            }
+
             return this.layers[layer].data[y][x];
         }
 
@@ -1457,6 +2615,8 @@ Phaser.Tilemap.prototype = {
     /**
     * Puts a tile into the Tilemap layer. The coordinates are given in pixel values.
     *
+    * In isometric, staggered and hexagonal maps the tile is found with {@link #worldToTileXY} and `tileWidth` and `tileHeight` are ignored.
+    *
     * @method Phaser.Tilemap#putTileWorldXY
     * @param {Phaser.Tile|number} tile - The index of this tile to set or a Phaser.Tile object.
     * @param {number} x - X position to insert the tile (given in pixels)
@@ -1471,8 +2631,18 @@ Phaser.Tilemap.prototype = {
 
         layer = this.getLayer(layer);
 
-        x = this.game.math.snapToFloor(x, tileWidth) / tileWidth;
-        y = this.game.math.snapToFloor(y, tileHeight) / tileHeight;
+        if (this.orientation === Phaser.Tilemap.ORTHOGONAL)
+        {
+            x = this.game.math.snapToFloor(x, tileWidth) / tileWidth;
+            y = this.game.math.snapToFloor(y, tileHeight) / tileHeight;
+        }
+        else
+        {
+            var point = this.worldToTileXY(x, y, Phaser.Tilemap._tilePoint);
+
+            x = point.x;
+            y = point.y;
+        }
 
         return this.putTile(tile, x, y, layer);
 
@@ -1565,7 +2735,12 @@ Phaser.Tilemap.prototype = {
 
         if (x >= 0 && x < this.layers[layer].width && y >= 0 && y < this.layers[layer].height)
         {
-            if (this.layers[layer].data[y][x].index === -1)
+            if (!this.layers[layer].data[y][x])
+            {
+                //  An unloaded chunk of a streamed layer, or an empty tile with TilemapParser.INSERT_NULL
+                return null;
+            }
+            else if (this.layers[layer].data[y][x].index === -1)
             {
                 if (nonNull)
                 {
@@ -1591,6 +2766,8 @@ Phaser.Tilemap.prototype = {
     /**
     * Gets a tile from the Tilemap layer. The coordinates are given in pixel values.
     *
+    * In isometric, staggered and hexagonal maps the tile is found with {@link #worldToTileXY} and `tileWidth` and `tileHeight` are ignored.
+    *
     * @method Phaser.Tilemap#getTileWorldXY
     * @param {number} x - X position to get the tile from (given in pixels)
     * @param {number} y - Y position to get the tile from (given in pixels)
@@ -1608,8 +2785,18 @@ Phaser.Tilemap.prototype = {
 
         layer = this.getLayer(layer);
 
-        x = this.game.math.snapToFloor(x, tileWidth) / tileWidth;
-        y = this.game.math.snapToFloor(y, tileHeight) / tileHeight;
+        if (this.orientation === Phaser.Tilemap.ORTHOGONAL)
+        {
+            x = this.game.math.snapToFloor(x, tileWidth) / tileWidth;
+            y = this.game.math.snapToFloor(y, tileHeight) / tileHeight;
+        }
+        else
+        {
+            var point = this.worldToTileXY(x, y, Phaser.Tilemap._tilePoint);
+
+            x = point.x;
+            y = point.y;
+        }
 
         return this.getTile(x, y, layer, nonNull);
 
@@ -1974,6 +3161,559 @@ Phaser.Tilemap.prototype = {
 
     },
 
+    /**
+    * Exports this map to the Tiled JSON format (Tiled 1.2 and later), so that a map edited in the game can be saved and opened again in Tiled or Phaser.
+    *
+    * The export includes:
+    *
+    * - The tile layers, with the current tiles and their flip flags. Infinite maps are written in chunks of 16 x 16 tiles.
+    * - The image layers and object layers. Object layers named after a tile layer, which hold the collision shapes of its tiles, are skipped.
+    * - The tilesets, with the tile properties of {@link Phaser.Tileset#tileProperties} and a `collides` property set for the tile indexes
+    *   in {@link #collideIndexes}. The other tileset data loaded from Tiled (such as the image path, animations and wangsets) is kept,
+    *   and external tilesets are written as references to their files.
+    *
+    * The properties of individual tiles in a layer and the collision of tiles changed without their index can't be expressed in Tiled
+    * and are not exported. Layers within group layers are exported at the top level with the offsets, opacity and visibility of their groups applied.
+    *
+    * The layers keep the drawing order they had in Tiled. Layers added since the map was loaded, such as those of {@link #createBlankLayer}, are written on top.
+    *
+    * @method Phaser.Tilemap#toTiledJSON
+    * @return {object} The Tiled JSON map data. Use `JSON.stringify` to save it.
+    */
+    toTiledJSON: function ()
+    {
+
+        var source = null;
+
+        if (this.key && this.game.cache.checkTilemapKey(this.key))
+        {
+            var cached = this.game.cache.getTilemapData(this.key);
+
+            if (cached.format === Phaser.Tilemap.TILED_JSON || cached.format === Phaser.Tilemap.TILED_XML)
+            {
+                source = cached.data;
+            }
+        }
+
+        var json = {
+            type: 'map',
+            version: (source && source.version) || '1.2',
+            orientation: this.orientation,
+            renderorder: (source && source.renderorder) || 'right-down',
+            width: this.width,
+            height: this.height,
+            tilewidth: this.tileWidth,
+            tileheight: this.tileHeight,
+            infinite: this.infinite,
+            properties: Phaser.TilemapParser.toTiledProperties(this.properties || {}),
+            tilesets: this.getTiledTilesets(source),
+            layers: []
+        };
+
+        if (this.orientation === Phaser.Tilemap.STAGGERED || this.orientation === Phaser.Tilemap.HEXAGONAL)
+        {
+            json.staggeraxis = this.staggerAxis;
+            json.staggerindex = this.staggerIndex;
+
+            if (this.orientation === Phaser.Tilemap.HEXAGONAL)
+            {
+                json.hexsidelength = this.hexSideLength;
+            }
+        }
+
+        if (source && source.backgroundcolor)
+        {
+            json.backgroundcolor = source.backgroundcolor;
+        }
+
+        if (this.parallaxOriginX || this.parallaxOriginY)
+        {
+            json.parallaxoriginx = this.parallaxOriginX;
+            json.parallaxoriginy = this.parallaxOriginY;
+        }
+
+        //  The layers are written in the order they were drawn in Tiled, and the layers added since the map was loaded go on top
+        var entries = [];
+        var i;
+
+        for (i = 0; i < this.images.length; i++)
+        {
+            var image = this.images[i];
+
+            var imageLayer = this.getTiledLayerStyle(image, {
+                id: 0,
+                type: 'imagelayer',
+                name: image.name,
+                image: image.image,
+                x: 0,
+                y: 0,
+                offsetx: image.offsetX || 0,
+                offsety: image.offsetY || 0,
+                opacity: image.alpha,
+                visible: image.visible,
+                properties: Phaser.TilemapParser.toTiledProperties(image.properties || {})
+            });
+
+            entries.push({ index: image.drawIndex, layer: imageLayer });
+        }
+
+        for (i = 0; i < this.layers.length; i++)
+        {
+            var layer = this.layers[i];
+            var output = {
+                id: 0,
+                type: 'tilelayer',
+                name: layer.name,
+                x: 0,
+                y: 0,
+                width: layer.width,
+                height: layer.height,
+                offsetx: layer.offsetX || 0,
+                offsety: layer.offsetY || 0,
+                opacity: layer.alpha,
+                visible: layer.visible,
+                properties: Phaser.TilemapParser.toTiledProperties(layer.properties || {})
+            };
+
+            var data = this.getTiledLayerData(layer);
+
+            if (this.infinite)
+            {
+                output.startx = this.originX;
+                output.starty = this.originY;
+                output.chunks = this.getTiledChunks(data, layer.width, layer.height);
+            }
+            else
+            {
+                output.data = data;
+            }
+
+            entries.push({ index: layer.drawIndex, layer: this.getTiledLayerStyle(layer, output) });
+        }
+
+        var objectId = 1;
+        var objectLayers = [];
+        var name;
+
+        //  Keep the IDs of the objects that have them, and give the others new ones
+        for (name in this.objects)
+        {
+            if (this.getLayerIndex(name) === null)
+            {
+                objectLayers.push(name);
+
+                for (var j = 0; j < this.objects[name].length; j++)
+                {
+                    objectId = Math.max(objectId, (this.objects[name][j].id || 0) + 1);
+                }
+            }
+        }
+
+        var offset = Phaser.TilemapParser.getOriginOffset(this);
+
+        for (i = 0; i < objectLayers.length; i++)
+        {
+            name = objectLayers[i];
+
+            var objects = [];
+
+            for (var k = 0; k < this.objects[name].length; k++)
+            {
+                var object = this.getTiledObject(this.objects[name][k], offset);
+
+                if (object.id === undefined)
+                {
+                    object.id = objectId++;
+                }
+
+                objects.push(object);
+            }
+
+            var objectLayer = {
+                id: 0,
+                type: 'objectgroup',
+                name: name,
+                draworder: 'topdown',
+                x: 0,
+                y: 0,
+                opacity: 1,
+                visible: true,
+                objects: objects
+            };
+
+            entries.push({ index: this.objectIndexes[name], layer: objectLayer });
+        }
+
+        for (i = 0; i < entries.length; i++)
+        {
+            entries[i].order = i;
+
+            if (typeof entries[i].index !== 'number')
+            {
+                entries[i].index = Infinity;
+            }
+        }
+
+        entries.sort(function (a, b)
+        {
+            return (a.index === b.index) ? a.order - b.order : a.index - b.index;
+        });
+
+        var id = 1;
+
+        for (i = 0; i < entries.length; i++)
+        {
+            entries[i].layer.id = id++;
+
+            json.layers.push(entries[i].layer);
+        }
+
+        json.nextlayerid = id;
+        json.nextobjectid = objectId;
+
+        return json;
+
+    },
+
+    /**
+    * Gets the tilesets of this map in the Tiled JSON format, for {@link #toTiledJSON}.
+    *
+    * @method Phaser.Tilemap#getTiledTilesets
+    * @private
+    * @param {?object} source - The Tiled JSON data the map was created from, if any.
+    * @return {object[]} The JSON tilesets.
+    */
+    getTiledTilesets: function (source)
+    {
+
+        var tilesets = [];
+        var i;
+
+        //  The tilesets loaded from Tiled keep the data Phaser doesn't use
+        var original = {};
+
+        if (source && source.tilesets)
+        {
+            for (i = 0; i < source.tilesets.length; i++)
+            {
+                original[source.tilesets[i].firstgid] = source.tilesets[i];
+            }
+        }
+
+        //  Image collections don't have a Phaser.Tileset, so they are written as they were loaded
+        var collections = this.imagecollections || [];
+
+        for (i = 0; i < collections.length; i++)
+        {
+            var collection = original[collections[i].firstgid];
+
+            if (collection)
+            {
+                tilesets.push(collection.source ? { firstgid: collection.firstgid, source: collection.source } : Phaser.Utils.extend(true, {}, collection));
+            }
+        }
+
+        for (i = 0; i < this.tilesets.length; i++)
+        {
+            var set = this.tilesets[i];
+            var data = original[set.firstgid];
+
+            if (data && data.source)
+            {
+                tilesets.push({ firstgid: set.firstgid, source: data.source });
+                continue;
+            }
+
+            var output = data ? Phaser.Utils.extend(true, {}, data) : {
+                name: set.name,
+                image: set.name,
+                imagewidth: set.image ? set.image.width : set.columns * (set.tileWidth + set.tileSpacing) - set.tileSpacing + set.tileMargin * 2,
+                imageheight: set.image ? set.image.height : set.rows * (set.tileHeight + set.tileSpacing) - set.tileSpacing + set.tileMargin * 2
+            };
+
+            output.firstgid = set.firstgid;
+            output.tilewidth = set.tileWidth;
+            output.tileheight = set.tileHeight;
+            output.margin = set.tileMargin;
+            output.spacing = set.tileSpacing;
+            output.columns = set.columns;
+            output.tilecount = set.total;
+            output.properties = Phaser.TilemapParser.toTiledProperties(set.properties || {});
+
+            output.tiles = this.getTiledTiles(set, output.tiles);
+
+            delete output.tileproperties;
+            delete output.tilepropertytypes;
+
+            tilesets.push(output);
+        }
+
+        tilesets.sort(function (a, b)
+        {
+            return a.firstgid - b.firstgid;
+        });
+
+        return tilesets;
+
+    },
+
+    /**
+    * Gets the tiles of a tileset in the Tiled JSON format, with their current properties and collision, for {@link #toTiledJSON}.
+    *
+    * @method Phaser.Tilemap#getTiledTiles
+    * @private
+    * @param {Phaser.Tileset} set - The tileset.
+    * @param {object|object[]} [tiles] - The tiles of the tileset as they were loaded, in either the format of Tiled 1.2 or an earlier version.
+    * @return {object[]} The JSON tiles, in the format of Tiled 1.2 and later.
+    */
+    getTiledTiles: function (set, tiles)
+    {
+
+        var byId = {};
+        var id;
+
+        for (var key in tiles)
+        {
+            id = Phaser.TilemapParser.getTileId(tiles, key);
+            byId[id] = Phaser.Utils.extend({}, tiles[key], { id: id });
+
+            delete byId[id].properties;
+        }
+
+        for (id in set.tileProperties)
+        {
+            byId[id] = byId[id] || { id: parseInt(id, 10) };
+            byId[id].properties = Phaser.TilemapParser.toTiledProperties(set.tileProperties[id]);
+        }
+
+        for (var i = 0; i < this.collideIndexes.length; i++)
+        {
+            var index = this.collideIndexes[i];
+
+            if (set.containsTileIndex(index))
+            {
+                id = index - set.firstgid;
+
+                byId[id] = byId[id] || { id: id };
+                byId[id].properties = (byId[id].properties || []).filter(function (property)
+                {
+                    return property.name !== 'collides';
+                });
+
+                byId[id].properties.push({ name: 'collides', type: 'bool', value: true });
+            }
+        }
+
+        var output = [];
+
+        for (id in byId)
+        {
+            output.push(byId[id]);
+        }
+
+        output.sort(function (a, b)
+        {
+            return a.id - b.id;
+        });
+
+        return output;
+
+    },
+
+    /**
+    * Gets the global tile IDs of a layer, including the flip flags, for {@link #toTiledJSON}.
+    *
+    * @method Phaser.Tilemap#getTiledLayerData
+    * @private
+    * @param {object} layer - The layer data.
+    * @return {number[]} The global tile IDs, row by row. Empty tiles are 0.
+    */
+    getTiledLayerData: function (layer)
+    {
+
+        var data = [];
+        var x;
+        var y;
+
+        for (y = 0; y < layer.height; y++)
+        {
+            for (x = 0; x < layer.width; x++)
+            {
+                var tile = layer.data[y] && layer.data[y][x];
+
+                data.push((tile && tile.index > 0) ? tile.index + (tile.flippedVal || 0) * 0x20000000 : 0);
+            }
+        }
+
+        //  The tiles of the chunks of a streamed layer that aren't loaded are only in the chunk data
+        if (layer.streaming)
+        {
+            for (var i = 0; i < layer.chunks.length; i++)
+            {
+                var chunk = layer.chunks[i];
+
+                if (chunk.loaded)
+                {
+                    continue;
+                }
+
+                for (y = 0; y < chunk.height; y++)
+                {
+                    for (x = 0; x < chunk.width; x++)
+                    {
+                        data[(chunk.y + y) * layer.width + chunk.x + x] = chunk.data[y * chunk.width + x];
+                    }
+                }
+            }
+        }
+
+        return data;
+
+    },
+
+    /**
+    * Splits the global tile IDs of a layer of an infinite map into the chunks of the Tiled JSON format, for {@link #toTiledJSON}.
+    * The chunks are 16 x 16 tiles and placed in Tiled coordinates. Chunks without any tiles are left out.
+    *
+    * @method Phaser.Tilemap#getTiledChunks
+    * @private
+    * @param {number[]} data - The global tile IDs of the layer.
+    * @param {integer} width - The width of the layer (in tiles).
+    * @param {integer} height - The height of the layer (in tiles).
+    * @return {object[]} The JSON chunks.
+    */
+    getTiledChunks: function (data, width, height)
+    {
+
+        var size = 16;
+        var chunks = [];
+        var left = Math.floor(this.originX / size) * size;
+        var top = Math.floor(this.originY / size) * size;
+
+        for (var cy = top; cy < this.originY + height; cy += size)
+        {
+            for (var cx = left; cx < this.originX + width; cx += size)
+            {
+                var chunk = { x: cx, y: cy, width: size, height: size, data: [] };
+                var empty = true;
+
+                for (var y = 0; y < size; y++)
+                {
+                    for (var x = 0; x < size; x++)
+                    {
+                        var lx = cx - this.originX + x;
+                        var ly = cy - this.originY + y;
+                        var gid = (lx >= 0 && ly >= 0 && lx < width && ly < height) ? data[ly * width + lx] : 0;
+
+                        chunk.data.push(gid);
+
+                        if (gid !== 0)
+                        {
+                            empty = false;
+                        }
+                    }
+                }
+
+                if (!empty)
+                {
+                    chunks.push(chunk);
+                }
+            }
+        }
+
+        return chunks;
+
+    },
+
+    /**
+    * Adds the parallax factors and tint color of a tile or image layer to its Tiled JSON layer, for {@link #toTiledJSON}.
+    * They are only added when they differ from the Tiled defaults.
+    *
+    * @method Phaser.Tilemap#getTiledLayerStyle
+    * @private
+    * @param {object} layer - The layer data.
+    * @param {object} output - The JSON layer.
+    * @return {object} The JSON layer.
+    */
+    getTiledLayerStyle: function (layer, output)
+    {
+
+        if ((layer.parallaxX !== undefined && layer.parallaxX !== 1) || (layer.parallaxY !== undefined && layer.parallaxY !== 1))
+        {
+            output.parallaxx = (layer.parallaxX === undefined) ? 1 : layer.parallaxX;
+            output.parallaxy = (layer.parallaxY === undefined) ? 1 : layer.parallaxY;
+        }
+
+        if (layer.tintColor)
+        {
+            output.tintcolor = layer.tintColor;
+        }
+
+        return output;
+
+    },
+
+    /**
+    * Converts an object of an Object Group back to the Tiled JSON format, for {@link #toTiledJSON}.
+    *
+    * @method Phaser.Tilemap#getTiledObject
+    * @private
+    * @param {object} obj - The object data.
+    * @param {object} offset - The offset added to the object coordinates when the map was parsed, from {@link Phaser.TilemapParser.getOriginOffset}.
+    * @return {object} The JSON object.
+    */
+    getTiledObject: function (obj, offset)
+    {
+
+        var object = {
+            id: obj.id,
+            name: obj.name || '',
+            type: obj.type || '',
+            x: obj.x - offset.x,
+            y: obj.y - offset.y,
+            width: obj.width || 0,
+            height: obj.height || 0,
+            rotation: obj.rotation || 0,
+            visible: obj.visible !== false
+        };
+
+        if (obj.gid)
+        {
+            object.gid = obj.gid;
+        }
+        else if (obj.ellipse)
+        {
+            object.ellipse = true;
+        }
+        else if (obj.point)
+        {
+            object.point = true;
+        }
+        else if (obj.text)
+        {
+            object.text = Phaser.Utils.extend({}, obj.text);
+        }
+        else if (obj.polygon || obj.polyline)
+        {
+            var shape = obj.polygon ? 'polygon' : 'polyline';
+
+            object[shape] = [];
+
+            for (var i = 0; i < obj[shape].length; i++)
+            {
+                object[shape].push({ x: obj[shape][i][0], y: obj[shape][i][1] });
+            }
+        }
+
+        if (obj.properties)
+        {
+            object.properties = Phaser.TilemapParser.toTiledProperties(obj.properties);
+        }
+
+        return object;
+
+    },
+
     /**
     * Dumps the tilemap data out to the console.
     *
@@ -2017,7 +3757,8 @@ Phaser.Tilemap.prototype = {
     },
 
     /**
-    * Removes all layer data from this tile map and nulls the game reference.
+    * Removes all layer data from this tile map, destroys its pathfinders, releases its references to the
+    * map data and tileset images in the Cache and nulls the game reference.
     * Note: You are responsible for destroying any TilemapLayer objects you generated yourself, as Tilemap doesn't keep a reference to them.
     *
     * @method Phaser.Tilemap#destroy
@@ -2025,6 +3766,23 @@ Phaser.Tilemap.prototype = {
     destroy: function ()
     {
 
+        if (this.key)
+        {
+            this.game.cache.removeReference(this.key, Phaser.Cache.TILEMAP, this);
+        }
+
+        for (var i = 0; i < this._imageKeys.length; i++)
+        {
+            this.game.cache.removeReference(this._imageKeys[i], Phaser.Cache.IMAGE, this);
+        }
+
+        this._imageKeys = [];
+
+        while (this.pathfinders.length > 0)
+        {
+            this.pathfinders[0].destroy();
+        }
+
         this.removeAllLayers();
         this.data = [];
         this.game = null;
@@ -0,0 +1,266 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* An autotile rule picks the tile to show for a cell of a terrain, such as ground or water, from the cells around it.
+* Once a rule is added to a map with {@link Phaser.Tilemap#addAutotile} or {@link Phaser.Tilemap#addWangAutotile}
+* the tiles of its terrain are updated whenever a tile is put or removed next to them.
+*
+* The neighbours of a cell are given as an 8-bit mask, with a bit set for each neighbour that is part of the same terrain:
+* `N = 1, NE = 2, E = 4, SE = 8, S = 16, SW = 32, W = 64, NW = 128`. This is also the order of the Tiled wang IDs.
+* The neighbours are those of the tile grid, so autotiling is intended for orthogonal and isometric maps.
+*
+* There are three types of rule:
+*
+* - {@link Phaser.TilemapAutotile.BLOB} - The classic 47 tile set. A corner only counts when the edges either side of it are set too,
+*   which leaves 47 distinct masks. `tiles` is either an array of the 47 tile indexes in the order of {@link Phaser.TilemapAutotile.BLOB_MASKS},
+*   or an object of tile indexes keyed by mask.
+* - {@link Phaser.TilemapAutotile.MARCHING_SQUARES} - The 16 tile set, which only looks at the edge neighbours. `tiles` is an array of the
+*   16 tile indexes, for the masks `N = 1, E = 2, S = 4, W = 8`.
+* - {@link Phaser.TilemapAutotile.WANG} - A color of a Tiled wangset, usually created by {@link Phaser.Tilemap#addWangAutotile}. `tiles` is an
+*   array of objects with the tile `index` and its `wangid`, and the tile whose wang ID best matches the neighbours is used.
+*
+* @class Phaser.TilemapAutotile
+* @constructor
+* @param {integer} type - The type of rule: Phaser.TilemapAutotile.BLOB, Phaser.TilemapAutotile.MARCHING_SQUARES or Phaser.TilemapAutotile.WANG.
+* @param {integer[]|object|object[]} tiles - The tiles of the terrain, as described above.
+* @param {integer[]} [members] - Other tile indexes that count as part of the terrain, but are never placed by the rule.
+* @param {integer} [color] - The wang color of the terrain. Only used by Phaser.TilemapAutotile.WANG rules.
+* @param {string} [wangType='mixed'] - The type of the wangset: 'corner', 'edge' or 'mixed'. Only used by Phaser.TilemapAutotile.WANG rules.
+*/
+Phaser.TilemapAutotile = function (type, tiles, members, color, wangType)
+{
+
+    /**
+    * @property {integer} type - The type of rule.
+    */
+    this.type = type;
+
+    /**
+    * @property {integer[]|object|object[]} tiles - The tiles of the terrain.
+    */
+    this.tiles = tiles;
+
+    /**
+    * @property {integer} color - The wang color of the terrain, for Phaser.TilemapAutotile.WANG rules.
+    */
+    this.color = color || 0;
+
+    /**
+    * @property {string} wangType - The type of the wangset, for Phaser.TilemapAutotile.WANG rules.
+    */
+    this.wangType = wangType || 'mixed';
+
+    /**
+    * @property {integer[]} members - The tile indexes that are part of the terrain.
+    */
+    this.members = (members || []).slice();
+
+    /**
+    * @property {array} _cache - The tile index picked for each mask.
+    * @private
+    */
+    this._cache = [];
+
+    for (var key in tiles)
+    {
+        var index = (type === Phaser.TilemapAutotile.WANG) ? tiles[key].index : tiles[key];
+
+        if (this.members.indexOf(index) === -1)
+        {
+            this.members.push(index);
+        }
+    }
+
+};
+
+/**
+* The 47 tile blob type.
+* @constant
+* @type {integer}
+*/
+Phaser.TilemapAutotile.BLOB = 0;
+
+/**
+* The 16 tile marching squares type.
+* @constant
+* @type {integer}
+*/
+Phaser.TilemapAutotile.MARCHING_SQUARES = 1;
+
+/**
+* The Tiled wangset type.
+* @constant
+* @type {integer}
+*/
+Phaser.TilemapAutotile.WANG = 2;
+
+/**
+* Clears the corner bits of a neighbour mask whose edges either side aren't both set.
+*
+* @method Phaser.TilemapAutotile.reduceMask
+* @param {integer} mask - The neighbour mask.
+* @return {integer} The reduced mask.
+*/
+Phaser.TilemapAutotile.reduceMask = function (mask)
+{
+
+    //  Each corner bit sits between the two edge bits it depends on: NE (2) between N (1) and E (4), and so on
+    for (var corner = 1; corner < 8; corner += 2)
+    {
+        var before = 1 << (corner - 1);
+        var after = 1 << ((corner + 1) % 8);
+
+        if ((mask & before) === 0 || (mask & after) === 0)
+        {
+            mask &= ~(1 << corner);
+        }
+    }
+
+    return mask;
+
+};
+
+/**
+* The 47 distinct reduced masks of the blob type, in ascending order. This is the order of the `tiles` array of Phaser.TilemapAutotile.BLOB rules.
+*
+* @constant
+* @type {integer[]}
+*/
+Phaser.TilemapAutotile.BLOB_MASKS = (function ()
+{
+
+    var masks = [];
+
+    for (var mask = 0; mask < 256; mask++)
+    {
+        if (Phaser.TilemapAutotile.reduceMask(mask) === mask)
+        {
+            masks.push(mask);
+        }
+    }
+
+    return masks;
+
+})();
+
+Phaser.TilemapAutotile.prototype = {
+
+    /**
+    * Checks if a tile index is part of the terrain of this rule.
+    *
+    * @method Phaser.TilemapAutotile#contains
+    * @param {integer} index - The tile index.
+    * @return {boolean} True if the tile is part of the terrain.
+    */
+    contains: function (index)
+    {
+
+        return this.members.indexOf(index) > -1;
+
+    },
+
+    /**
+    * Gets the tile index to use for a cell of the terrain.
+    *
+    * @method Phaser.TilemapAutotile#getIndex
+    * @param {integer} mask - The neighbour mask of the cell: `N = 1, NE = 2, E = 4, SE = 8, S = 16, SW = 32, W = 64, NW = 128`.
+    * @return {integer} The tile index, or -1 if the rule has no tile for the mask.
+    */
+    getIndex: function (mask)
+    {
+
+        if (this._cache[mask] !== undefined)
+        {
+            return this._cache[mask];
+        }
+
+        var index = -1;
+
+        if (this.type === Phaser.TilemapAutotile.BLOB)
+        {
+            var reduced = Phaser.TilemapAutotile.reduceMask(mask);
+
+            if (Array.isArray(this.tiles))
+            {
+                index = this.tiles[Phaser.TilemapAutotile.BLOB_MASKS.indexOf(reduced)];
+            }
+            else
+            {
+                index = this.tiles[reduced];
+            }
+        }
+        else if (this.type === Phaser.TilemapAutotile.MARCHING_SQUARES)
+        {
+            index = this.tiles[(mask & 1) | (mask & 4) >> 1 | (mask & 16) >> 2 | (mask & 64) >> 3];
+        }
+        else if (this.type === Phaser.TilemapAutotile.WANG)
+        {
+            index = this.getWangIndex(Phaser.TilemapAutotile.reduceMask(mask));
+        }
+
+        if (index === undefined)
+        {
+            index = -1;
+        }
+
+        this._cache[mask] = index;
+
+        return index;
+
+    },
+
+    /**
+    * Gets the wang tile that best matches a reduced neighbour mask. Each edge and corner set in the mask should have the color of this rule,
+    * and each one that isn't set any other color. Only the corners of 'corner' wangsets and the edges of 'edge' wangsets are compared.
+    *
+    * @method Phaser.TilemapAutotile#getWangIndex
+    * @private
+    * @param {integer} mask - The reduced neighbour mask.
+    * @return {integer} The tile index, or -1 if the wangset has no tiles with the color of this rule.
+    */
+    getWangIndex: function (mask)
+    {
+
+        var first = (this.wangType === 'corner') ? 1 : 0;
+        var step = (this.wangType === 'mixed') ? 1 : 2;
+        var best = -1;
+        var bestScore = -1;
+
+        for (var i = 0; i < this.tiles.length; i++)
+        {
+            var wangid = this.tiles[i].wangid;
+
+            if (wangid.indexOf(this.color) === -1)
+            {
+                continue;
+            }
+
+            var score = 0;
+
+            for (var p = first; p < 8; p += step)
+            {
+                //  Color 0 is a wildcard
+                if (wangid[p] === 0 || ((mask & (1 << p)) !== 0) === (wangid[p] === this.color))
+                {
+                    score++;
+                }
+            }
+
+            if (score > bestScore)
+            {
+                best = this.tiles[i].index;
+                bestScore = score;
+            }
+        }
+
+        return best;
+
+    }
+
+};
+
+Phaser.TilemapAutotile.prototype.constructor = Phaser.TilemapAutotile;
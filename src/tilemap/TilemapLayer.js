@@ -94,12 +94,18 @@ Phaser.TilemapLayer = function (game, tilemap, index, width, height)
     *     Using a canvas bitblt/copy when the source and destinations region overlap produces unexpected behavior
     *     in some browsers, notably Safari. 
     *
+    * @property {boolean} [enableWebGLBatch=true] - When using the WebGL renderer the visible tiles are drawn as a batch of quads,
+    *     straight from the tileset textures, instead of being rendered to the layer canvas and uploaded as a texture whenever the view changes.
+    *     The canvas is still used when debug rendering is enabled, and always with the Canvas renderer. As the tiles are scaled individually,
+    *     tilesets without spacing between the tiles may show seams when the layer is scaled or the camera zoomed, unless their images use NEAREST scaling.
+    *
     * @default
     */
     this.renderSettings = {
         enableScrollDelta: true,
         overdrawRatio: 0.20,
-        copyCanvas: null
+        copyCanvas: null,
+        enableWebGLBatch: true
     };
 
     /**
@@ -146,19 +152,21 @@ Phaser.TilemapLayer = function (game, tilemap, index, width, height)
 
     /**
     * Speed at which this layer scrolls horizontally, relative to the camera (e.g. scrollFactorX of 0.5 scrolls half as quickly as the 'normal' camera-locked layers do).
+    * It starts as the parallax factor of the Tiled layer, if it has one. See {@link #parallaxOrigin}.
     * @property {number} scrollFactorX
     * @public
     * @default
     */
-    this.scrollFactorX = 1;
+    this.scrollFactorX = (this.layer.parallaxX === undefined) ? 1 : this.layer.parallaxX;
 
     /**
     * Speed at which this layer scrolls vertically, relative to the camera (e.g. scrollFactorY of 0.5 scrolls half as quickly as the 'normal' camera-locked layers do)
+    * It starts as the parallax factor of the Tiled layer, if it has one. See {@link #parallaxOrigin}.
     * @property {number} scrollFactorY
     * @public
     * @default
     */
-    this.scrollFactorY = 1;
+    this.scrollFactorY = (this.layer.parallaxY === undefined) ? 1 : this.layer.parallaxY;
 
     /**
     * If true tiles will be force rendered, even if such is not believed to be required.
@@ -174,6 +182,28 @@ Phaser.TilemapLayer = function (game, tilemap, index, width, height)
     */
     this.rayStepRate = 4;
 
+    /**
+    * For a streamed layer of an infinite map, the distance (in pixels) around the view within which map chunks are kept loaded.
+    * Tiles, and so collisions, only exist in the loaded chunks. See {@link Phaser.TilemapParser.STREAM_CHUNKS}.
+    * @property {number} chunkPadding
+    * @default
+    */
+    this.chunkPadding = 256;
+
+    /**
+    * The time (in ms) that the tile animations of this layer have been playing for. It doesn't advance while the animations are paused.
+    * Tile animations are defined in Tiled and held in {@link Phaser.Tileset#tileAnimations}.
+    * @property {number} animationTime
+    */
+    this.animationTime = 0;
+
+    /**
+    * If true the tile animations of this layer are paused. See {@link #pauseAnimations} and {@link #resumeAnimations}.
+    * @property {boolean} animationsPaused
+    * @default
+    */
+    this.animationsPaused = false;
+
     /**
     * Flag controlling if the layer tiles wrap at the edges.
     * @property {boolean} _wrap
@@ -204,7 +234,25 @@ Phaser.TilemapLayer = function (game, tilemap, index, width, height)
         ch: tilemap.tileHeight,
 
         // Cached tilesets from index -> Tileset
-        tilesets: []
+        tilesets: [],
+
+        // Tile animations, built from the tilesets when first needed, and the current frame index of each animated index
+        animations: null,
+        animatedIndexes: [],
+
+        // The animated indexes drawn on the layer canvas, which only needs redrawing when one of them changes frame
+        drawnAnimations: [],
+
+        // Reused by the isometric, staggered and hexagonal map calculations
+        range: { left: 0, top: 0, right: 0, bottom: 0 },
+        point: new Phaser.Point(),
+        polygon: [],
+
+        // WebGL batch rendering: the batch sprite of each tileset (also cached by tile index), the layer and tile transforms
+        batchSprites: [],
+        batchTiles: [],
+        matrix: new PIXI.Matrix(),
+        tileMatrix: new PIXI.Matrix()
 
     };
 
@@ -223,11 +271,34 @@ Phaser.TilemapLayer = function (game, tilemap, index, width, height)
     this._scrollY = 0;
 
     /**
-     * The position offset of the layer's tiles.
+     * The position offset of the layer's tiles (in pixels), set from the Tiled layer offsets. It isn't affected by the scroll factors.
      * @property {Phaser.Point}
      */
     this.tileOffset = new Phaser.Point(this.layer.offsetX || 0, this.layer.offsetY || 0);
 
+    /**
+    * The camera position at which a layer with scroll factors other than 1 is drawn at its own position, like a layer that scrolls with the camera.
+    *
+    * For Tiled layers with a parallax factor this is set from the parallax origin of the map ({@link Phaser.Tilemap#parallaxOriginX}),
+    * which Tiled measures from the center of the view, using the size of the camera when the layer is created. Otherwise it is 0,0.
+    *
+    * @property {Phaser.Point} parallaxOrigin
+    */
+    this.parallaxOrigin = new Phaser.Point();
+
+    if (this.scrollFactorX !== 1 || this.scrollFactorY !== 1)
+    {
+        this.parallaxOrigin.set(tilemap.parallaxOriginX - game.camera.view.width / 2, tilemap.parallaxOriginY - game.camera.view.height / 2);
+    }
+
+    var tint = Phaser.TilemapParser.parseTintColor(this.layer.tintColor);
+
+    if (tint)
+    {
+        this.tint = tint.color;
+        this.alpha = tint.a;
+    }
+
     /**
     * Used for caching the tiles / array of tiles.
     * @property {Phaser.Tile[]} _results
@@ -305,8 +376,181 @@ Phaser.TilemapLayer.prototype.postUpdate = function ()
         this.position.y = (this.game.camera.view.y + this.cameraOffset.y) / this.game.camera.scale.y;
     }
 
-    this._scrollX = (this.game.camera.view.x - this.tileOffset.x) * this.scrollFactorX / this.scale.x;
-    this._scrollY = (this.game.camera.view.y - this.tileOffset.y) * this.scrollFactorY / this.scale.y;
+    this.updateScroll();
+
+    if (this.layer.streaming)
+    {
+        this.streamChunks();
+    }
+
+    this.updateAnimations();
+
+};
+
+/**
+* Updates the scroll position of the layer from the camera, its scroll factors, {@link #parallaxOrigin} and {@link #tileOffset}.
+* Called automatically by postUpdate and the renderers.
+*
+* @method Phaser.TilemapLayer#updateScroll
+* @protected
+*/
+Phaser.TilemapLayer.prototype.updateScroll = function ()
+{
+
+    var view = this.game.camera.view;
+
+    this._scrollX = (view.x * this.scrollFactorX + (1 - this.scrollFactorX) * this.parallaxOrigin.x - this.tileOffset.x) / this.scale.x;
+    this._scrollY = (view.y * this.scrollFactorY + (1 - this.scrollFactorY) * this.parallaxOrigin.y - this.tileOffset.y) / this.scale.y;
+
+};
+
+/**
+* Advances the tile animations of this layer, unless they're paused, and marks the layer as dirty when an animated tile it has drawn changes frame.
+* Called automatically by postUpdate.
+*
+* @method Phaser.TilemapLayer#updateAnimations
+* @protected
+*/
+Phaser.TilemapLayer.prototype.updateAnimations = function ()
+{
+
+    var mc = this._mc;
+
+    if (mc.animations === null)
+    {
+        mc.animations = this.createAnimations();
+    }
+
+    if (mc.animations.length === 0)
+    {
+        return;
+    }
+
+    if (!this.animationsPaused)
+    {
+        this.animationTime += this.game.time.elapsedMS;
+    }
+
+    for (var i = 0; i < mc.animations.length; i++)
+    {
+        var animation = mc.animations[i];
+        var frames = animation.frames;
+        var time = this.animationTime % animation.duration;
+        var f = 0;
+
+        while (f < frames.length - 1 && time >= frames[f].duration)
+        {
+            time -= frames[f].duration;
+            f++;
+        }
+
+        if (mc.animatedIndexes[animation.index] !== frames[f].index)
+        {
+            mc.animatedIndexes[animation.index] = frames[f].index;
+
+            if (mc.drawnAnimations[animation.index])
+            {
+                this.dirty = true;
+            }
+        }
+    }
+
+};
+
+/**
+* Collects the tile animations of the map tilesets, converting their tile IDs to tile indexes.
+*
+* @method Phaser.TilemapLayer#createAnimations
+* @private
+* @return {object[]} The animations, each with the animated tile `index`, its `frames` and their total `duration` (in ms).
+*/
+Phaser.TilemapLayer.prototype.createAnimations = function ()
+{
+
+    var animations = [];
+    var tilesets = this.map.tilesets;
+
+    for (var i = 0; i < tilesets.length; i++)
+    {
+        var set = tilesets[i];
+
+        for (var id in set.tileAnimations)
+        {
+            var frames = [];
+            var duration = 0;
+
+            for (var f = 0; f < set.tileAnimations[id].length; f++)
+            {
+                var frame = set.tileAnimations[id][f];
+
+                frames.push({ index: set.firstgid + frame.tileId, duration: frame.duration });
+                duration += frame.duration;
+            }
+
+            if (duration > 0)
+            {
+                animations.push({ index: set.firstgid + parseInt(id, 10), frames: frames, duration: duration });
+            }
+        }
+    }
+
+    return animations;
+
+};
+
+/**
+* Pauses the tile animations of this layer. Animated tiles keep showing their current frame.
+*
+* @method Phaser.TilemapLayer#pauseAnimations
+*/
+Phaser.TilemapLayer.prototype.pauseAnimations = function ()
+{
+
+    this.animationsPaused = true;
+
+};
+
+/**
+* Resumes the tile animations of this layer after they were paused with {@link #pauseAnimations}.
+*
+* @method Phaser.TilemapLayer#resumeAnimations
+*/
+Phaser.TilemapLayer.prototype.resumeAnimations = function ()
+{
+
+    this.animationsPaused = false;
+
+};
+
+/**
+* Loads the chunks of a streamed infinite map layer that are within {@link #chunkPadding} of the view and unloads the rest.
+* Called automatically by postUpdate. See {@link Phaser.Tilemap#updateChunks}.
+*
+* @method Phaser.TilemapLayer#streamChunks
+* @protected
+*/
+Phaser.TilemapLayer.prototype.streamChunks = function ()
+{
+
+    var padding = this.chunkPadding;
+    var left = this._scrollX - padding;
+    var top = this._scrollY - padding;
+    var right = this._scrollX + this.canvas.width + padding;
+    var bottom = this._scrollY + this.canvas.height + padding;
+
+    if (this.map.orientation !== Phaser.Tilemap.ORTHOGONAL)
+    {
+        var range = this.getProjectedTileRange(left, top, right, bottom, 0);
+
+        this.map.updateChunks(range.left, range.top, range.right, range.bottom, this.index);
+    }
+    else
+    {
+        var tw = this._mc.tileWidth;
+        var th = this._mc.tileHeight;
+
+        this.map.updateChunks(Math.floor(left / tw), Math.floor(top / th), Math.floor(right / tw), Math.floor(bottom / th), this.index);
+    }
 
 };
 
@@ -326,8 +570,7 @@ Phaser.TilemapLayer.prototype._renderCanvas = function (renderSession)
         this.position.y = (this.game.camera.view.y + this.cameraOffset.y) / this.game.camera.scale.y;
     }
 
-    this._scrollX = (this.game.camera.view.x - this.tileOffset.x) * this.scrollFactorX / this.scale.x;
-    this._scrollY = (this.game.camera.view.y - this.tileOffset.y) * this.scrollFactorY / this.scale.y;
+    this.updateScroll();
 
     this.render();
 
@@ -336,9 +579,11 @@ Phaser.TilemapLayer.prototype._renderCanvas = function (renderSession)
 };
 
 /**
-* Automatically called by the Canvas Renderer.
+* Automatically called by the WebGL Renderer.
 * Overrides the Sprite._renderWebGL function.
 *
+* Unless `renderSettings.enableWebGLBatch` is false, or debug rendering is enabled, the tiles are drawn by {@link #renderBatch}.
+*
 * @method Phaser.TilemapLayer#_renderWebGL
 * @private
 */
@@ -351,12 +596,66 @@ Phaser.TilemapLayer.prototype._renderWebGL = function (renderSession)
         this.position.y = (this.game.camera.view.y + this.cameraOffset.y) / this.game.camera.scale.y;
     }
     
-    this._scrollX = (this.game.camera.view.x - this.tileOffset.x) * this.scrollFactorX / this.scale.x;
-    this._scrollY = (this.game.camera.view.y - this.tileOffset.y) * this.scrollFactorY / this.scale.y;
+    this.updateScroll();
 
-    this.render();
+    if (!this.renderSettings.enableWebGLBatch || this.debug)
+    {
+        this.render();
+
+        PIXI.Sprite.prototype._renderWebGL.call(this, renderSession);
+
+        return;
+    }
+
+    if (!this.visible || this.alpha <= 0 || !this.renderable)
+    {
+        return;
+    }
+
+    var spriteBatch = renderSession.spriteBatch;
+    var i;
+
+    if (this._mask || this._filters)
+    {
+        if (this._filters)
+        {
+            spriteBatch.flush();
+            renderSession.filterManager.pushFilter(this._filterBlock);
+        }
+
+        if (this._mask)
+        {
+            spriteBatch.stop();
+            renderSession.maskManager.pushMask(this.mask, renderSession);
+            spriteBatch.start();
+        }
+
+        this.renderBatch(renderSession);
+
+        for (i = 0; i < this.children.length; i++)
+        {
+            this.children[i]._renderWebGL(renderSession);
+        }
+
+        spriteBatch.stop();
+
+        if (this._mask) { renderSession.maskManager.popMask(this._mask, renderSession); }
+        if (this._filters) { renderSession.filterManager.popFilter(); }
+
+        spriteBatch.start();
+    }
+    else
+    {
+        this.renderBatch(renderSession);
 
-    PIXI.Sprite.prototype._renderWebGL.call(this, renderSession);
+        for (i = 0; i < this.children.length; i++)
+        {
+            this.children[i]._renderWebGL(renderSession);
+        }
+    }
+
+    //  The canvas isn't kept up to date, so it's fully redrawn if it's needed again
+    this.dirty = true;
 
 };
 
@@ -476,7 +775,7 @@ Phaser.TilemapLayer.prototype._fixX = function (x)
         return x - this.position.x;
     }
 
-    return this._scrollX + (x - (this._scrollX / this.scrollFactorX));
+    return x - (1 - this.scrollFactorX) * (this.game.camera.view.x - this.parallaxOrigin.x) / this.scale.x;
 
 };
 
@@ -496,7 +795,7 @@ Phaser.TilemapLayer.prototype._unfixX = function (x)
         return x;
     }
 
-    return (this._scrollX / this.scrollFactorX) + (x - this._scrollX);
+    return x + (1 - this.scrollFactorX) * (this.game.camera.view.x - this.parallaxOrigin.x) / this.scale.x;
 
 };
 
@@ -522,7 +821,7 @@ Phaser.TilemapLayer.prototype._fixY = function (y)
         return y - this.position.y;
     }
     
-    return this._scrollY + (y - (this._scrollY / this.scrollFactorY));
+    return y - (1 - this.scrollFactorY) * (this.game.camera.view.y - this.parallaxOrigin.y) / this.scale.y;
 
 };
 
@@ -542,13 +841,15 @@ Phaser.TilemapLayer.prototype._unfixY = function (y)
         return y;
     }
 
-    return (this._scrollY / this.scrollFactorY) + (y - this._scrollY);
+    return y + (1 - this.scrollFactorY) * (this.game.camera.view.y - this.parallaxOrigin.y) / this.scale.y;
 
 };
 
 /**
 * Convert a pixel value to a tile coordinate.
 *
+* This only works for orthogonal maps. Use {@link #getTileXY} for isometric, staggered and hexagonal maps.
+*
 * @method Phaser.TilemapLayer#getTileX
 * @public
 * @param {number} x - X position of the point in target tile (in pixels).
@@ -565,6 +866,8 @@ Phaser.TilemapLayer.prototype.getTileX = function (x)
 /**
 * Convert a pixel value to a tile coordinate.
 *
+* This only works for orthogonal maps. Use {@link #getTileXY} for isometric, staggered and hexagonal maps.
+*
 * @method Phaser.TilemapLayer#getTileY
 * @public
 * @param {number} y - Y position of the point in target tile (in pixels).
@@ -591,6 +894,11 @@ Phaser.TilemapLayer.prototype.getTileY = function (y)
 Phaser.TilemapLayer.prototype.getTileXY = function (x, y, point)
 {
 
+    if (this.map.orientation !== Phaser.Tilemap.ORTHOGONAL)
+    {
+        return this.map.worldToTileXY(this._fixX(x) / this.scale.x, this._fixY(y) / this.scale.y, point);
+    }
+
     point.x = this.getTileX(x);
     point.y = this.getTileY(y);
 
@@ -672,6 +980,11 @@ Phaser.TilemapLayer.prototype.getTiles = function (x, y, width, height, collides
     x = this._fixX(x);
     y = this._fixY(y);
 
+    if (this.map.orientation !== Phaser.Tilemap.ORTHOGONAL)
+    {
+        return this.getProjectedTiles(x, y, width, height, fetchAll, collides, interestingFace);
+    }
+
     //  Convert the pixel values into tile coordinates
     var tx = Math.floor(x / (this._mc.cw * this.scale.x));
     var ty = Math.floor(y / (this._mc.ch * this.scale.y));
@@ -705,6 +1018,100 @@ Phaser.TilemapLayer.prototype.getTiles = function (x, y, width, height, collides
 
 };
 
+/**
+* Get all tiles of an isometric, staggered or hexagonal map whose bounding boxes intersect the given area. Called by {@link #getTiles}.
+*
+* @method Phaser.TilemapLayer#getProjectedTiles
+* @private
+* @param {number} x - X position of the top left corner (in pixels, adjusted for scrollFactor).
+* @param {number} y - Y position of the top left corner (in pixels, adjusted for scrollFactor).
+* @param {number} width - Width of the area to get (in pixels).
+* @param {number} height - Height of the area to get (in pixels).
+* @param {boolean} fetchAll - If true, return all tiles regardless of their collision flags.
+* @param {boolean} collides - If true, _only_ return tiles that collide on one or more faces.
+* @param {boolean} interestingFace - If true, _only_ return tiles that have interesting faces.
+* @return {array<Phaser.Tile>} An array of Tiles.
+*/
+Phaser.TilemapLayer.prototype.getProjectedTiles = function (x, y, width, height, fetchAll, collides, interestingFace)
+{
+
+    var range = this.getProjectedTileRange(x / this.scale.x, y / this.scale.y, (x + width) / this.scale.x, (y + height) / this.scale.y, 0);
+
+    while (this._results.length)
+    {
+        this._results.pop();
+    }
+
+    for (var wy = range.top; wy <= range.bottom; wy++)
+    {
+        var row = this.layer.data[wy];
+
+        for (var wx = range.left; wx <= range.right; wx++)
+        {
+            var tile = row[wx];
+
+            if (tile && tile.intersects(x, y, x + width, y + height))
+            {
+                if (fetchAll || tile.isInteresting(collides, interestingFace))
+                {
+                    this._results.push(tile);
+                }
+            }
+        }
+    }
+
+    return this._results.slice();
+
+};
+
+/**
+* Finds the range of map locations (in tiles) needed to cover the given area of an isometric, staggered or hexagonal map.
+* The range is clamped to the layer bounds.
+*
+* @method Phaser.TilemapLayer#getProjectedTileRange
+* @private
+* @param {number} left - The left of the area (in unscaled pixels).
+* @param {number} top - The top of the area (in unscaled pixels).
+* @param {number} right - The right of the area (in unscaled pixels).
+* @param {number} bottom - The bottom of the area (in unscaled pixels).
+* @param {number} [overdraw=0] - Extra distance (in pixels) below the area for tiles whose images are taller than the map tiles.
+* @return {object} The range, with `left`, `top`, `right` and `bottom` properties (in tiles). Reused between calls.
+*/
+Phaser.TilemapLayer.prototype.getProjectedTileRange = function (left, top, right, bottom, overdraw)
+{
+
+    if (overdraw === undefined) { overdraw = 0; }
+
+    var map = this.map;
+    var range = this._mc.range;
+    var point = this._mc.point;
+
+    range.left = Infinity;
+    range.top = Infinity;
+    range.right = -Infinity;
+    range.bottom = -Infinity;
+
+    //  Check each corner of the area
+    for (var i = 0; i < 4; i++)
+    {
+        map.worldToTileXY((i & 1) ? right : left, (i & 2) ? bottom + overdraw : top, point);
+
+        range.left = Math.min(range.left, point.x);
+        range.top = Math.min(range.top, point.y);
+        range.right = Math.max(range.right, point.x);
+        range.bottom = Math.max(range.bottom, point.y);
+    }
+
+    //  Allow for tiles whose bounding boxes poke into the area from neighbouring cells
+    range.left = Math.max(0, range.left - 1);
+    range.top = Math.max(0, range.top - 1);
+    range.right = Math.min(this.layer.width - 1, range.right + 1);
+    range.bottom = Math.min(this.layer.height - 1, range.bottom + 1);
+
+    return range;
+
+};
+
 /**
 * Returns the appropriate tileset for the index, updating the internal cache as required.
 * This should only be called if `tilesets[index]` evaluates to undefined.
@@ -745,9 +1152,9 @@ Phaser.TilemapLayer.prototype.resolveTileset = function (tileIndex)
 };
 
 /**
-* The TilemapLayer caches tileset look-ups.
+* The TilemapLayer caches tileset look-ups and tile animations.
 *
-* Call this method of clear the cache if tilesets have been added or updated after the layer has been rendered.
+* Call this method of clear the cache if tilesets (or their animations) have been added or updated after the layer has been rendered.
 *
 * @method Phaser.TilemapLayer#resetTilesetCache
 * @public
@@ -756,12 +1163,23 @@ Phaser.TilemapLayer.prototype.resetTilesetCache = function ()
 {
 
     var tilesets = this._mc.tilesets;
+    var animatedIndexes = this._mc.animatedIndexes;
 
     while (tilesets.length)
     {
         tilesets.pop();
     }
 
+    animatedIndexes.length = 0;
+
+    this._mc.drawnAnimations.length = 0;
+    this._mc.batchSprites.length = 0;
+    this._mc.batchTiles.length = 0;
+
+    this._mc.animations = null;
+
+    this.dirty = true;
+
 };
 
 /**
@@ -785,11 +1203,23 @@ Phaser.TilemapLayer.prototype.setScale = function (xScale, yScale)
         {
             var tile = row[x];
 
+            if (!tile)
+            {
+                continue;
+            }
+
             tile.width = this.map.tileWidth * xScale;
             tile.height = this.map.tileHeight * yScale;
 
-            tile.worldX = tile.x * tile.width;
-            tile.worldY = tile.y * tile.height;
+            if (this.map.orientation === Phaser.Tilemap.ORTHOGONAL)
+            {
+                tile.worldX = tile.x * tile.width;
+                tile.worldY = tile.y * tile.height;
+            }
+            else
+            {
+                this.map.updateTileWorldXY(tile, xScale, yScale);
+            }
         }
     }
 
@@ -889,6 +1319,8 @@ Phaser.TilemapLayer.prototype.renderRegion = function (scrollX, scrollY, left, t
     var th = this._mc.tileHeight;
 
     var tilesets = this._mc.tilesets;
+    var animatedIndexes = this._mc.animatedIndexes;
+    var drawnAnimations = this._mc.drawnAnimations;
     var lastAlpha = NaN;
 
     if (!this._wrap)
@@ -943,6 +1375,12 @@ Phaser.TilemapLayer.prototype.renderRegion = function (scrollX, scrollY, left, t
 
             var index = tile.index;
 
+            if (animatedIndexes[index] !== undefined)
+            {
+                drawnAnimations[index] = true;
+                index = animatedIndexes[index];
+            }
+
             var set = tilesets[index];
 
             if (set === undefined)
@@ -1099,25 +1537,504 @@ Phaser.TilemapLayer.prototype.renderFull = function ()
 
     this.context.clearRect(0, 0, renderW, renderH);
 
-    this.renderRegion(scrollX, scrollY, left, top, right, bottom);
+    //  Recorded again as the tiles are drawn
+    this._mc.drawnAnimations.length = 0;
+
+    if (this.map.orientation !== Phaser.Tilemap.ORTHOGONAL)
+    {
+        this.renderProjected(scrollX, scrollY, renderW, renderH);
+    }
+    else
+    {
+        this.renderRegion(scrollX, scrollY, left, top, right, bottom);
+    }
 
 };
 
 /**
-* Renders the tiles to the layer canvas and pushes to the display.
+* Render the visible tiles of an isometric, staggered or hexagonal map.
 *
-* @method Phaser.TilemapLayer#render
-* @protected
+* Tiles are drawn in the same order as in Tiled so that tile images taller than the map tiles overlap correctly.
+* Tile images are aligned to the bottom of the tile (and centered, for isometric maps).
+*
+* @method Phaser.TilemapLayer#renderProjected
+* @private
+* @param {integer} scrollX - Render x offset/scroll.
+* @param {integer} scrollY - Render y offset/scroll.
+* @param {integer} renderW - The width of the area to render.
+* @param {integer} renderH - The height of the area to render.
 */
-Phaser.TilemapLayer.prototype.render = function ()
+Phaser.TilemapLayer.prototype.renderProjected = function (scrollX, scrollY, renderW, renderH)
 {
 
-    var redrawAll = false;
+    var context = this.context;
+    var map = this.map;
+    var tw = map.tileWidth;
+    var th = map.tileHeight;
+    var isometric = (map.orientation === Phaser.Tilemap.ISOMETRIC);
+    var staggerX = (map.staggerAxis === 'x' && !isometric);
 
-    if (!this.visible)
-    {
-        return;
-    }
+    var tilesets = this._mc.tilesets;
+    var animatedIndexes = this._mc.animatedIndexes;
+    var drawnAnimations = this._mc.drawnAnimations;
+    var point = this._mc.point;
+    var lastAlpha = NaN;
+
+    var overdraw = 0;
+
+    for (var i = 0; i < map.tilesets.length; i++)
+    {
+        overdraw = Math.max(overdraw, map.tilesets[i].tileHeight - th);
+    }
+
+    var range = this.getProjectedTileRange(scrollX, scrollY, scrollX + renderW, scrollY + renderH, overdraw);
+
+    //  Staggered columns are drawn in two passes per row: the raised columns first, then the lowered ones
+    var passes = staggerX ? 2 : 1;
+
+    for (var y = range.top; y <= range.bottom; y++)
+    {
+        var row = this.layer.data[y];
+
+        for (var pass = 0; pass < passes; pass++)
+        {
+            for (var x = range.left; x <= range.right; x++)
+            {
+                if (staggerX && (map.isStaggeredIndex(x) ? 1 : 0) !== pass)
+                {
+                    continue;
+                }
+
+                var tile = row[x];
+
+                if (!tile || tile.index < 0)
+                {
+                    continue;
+                }
+
+                var index = tile.index;
+
+                if (animatedIndexes[index] !== undefined)
+                {
+                    drawnAnimations[index] = true;
+                    index = animatedIndexes[index];
+                }
+
+                var set = tilesets[index];
+
+                if (set === undefined)
+                {
+                    set = this.resolveTileset(index);
+                }
+
+                map.tileToWorldXY(x, y, point);
+
+                var sw = set ? set.tileWidth : tw;
+                var sh = set ? set.tileHeight : th;
+                var tx = point.x - scrollX + (isometric ? (tw - sw) / 2 : 0);
+                var ty = point.y - scrollY + th - sh;
+
+                if (tx >= renderW || ty >= renderH || tx + sw <= 0 || ty + sh <= 0)
+                {
+                    continue;
+                }
+
+                if (tile.alpha !== lastAlpha && !this.debug)
+                {
+                    context.globalAlpha = tile.alpha;
+                    lastAlpha = tile.alpha;
+                }
+
+                if (set)
+                {
+                    if (tile.rotation || tile.flipped)
+                    {
+                        context.save();
+                        context.translate(tx + sw / 2, ty + sh / 2);
+                        context.rotate(tile.rotation);
+
+                        if (tile.flipped)
+                        {
+                            context.scale(-1, 1);
+                        }
+
+                        set.draw(context, -sw / 2, -sh / 2, index);
+                        context.restore();
+                    }
+                    else
+                    {
+                        set.draw(context, tx, ty, index);
+                    }
+                }
+                else if (this.debugSettings.missingImageFill)
+                {
+                    context.fillStyle = this.debugSettings.missingImageFill;
+                    context.fillRect(tx, ty, sw, sh);
+                }
+
+                if (tile.debug && this.debugSettings.debuggedTileOverfill)
+                {
+                    context.fillStyle = this.debugSettings.debuggedTileOverfill;
+                    context.fillRect(tx, ty, sw, sh);
+                }
+            }
+        }
+    }
+
+};
+
+/**
+* Draws the visible tiles with the WebGL sprite batch, straight from the tileset textures.
+* Called automatically by _renderWebGL instead of render, unless `renderSettings.enableWebGLBatch` is false or debug rendering is enabled.
+*
+* The tiles are drawn in the same order and at the same positions as on the layer canvas, and are clipped to its area.
+* Tiles without a tileset image are skipped.
+*
+* @method Phaser.TilemapLayer#renderBatch
+* @private
+* @param {object} renderSession - The WebGL render session.
+*/
+Phaser.TilemapLayer.prototype.renderBatch = function (renderSession)
+{
+
+    var map = this.map;
+    var mc = this._mc;
+
+    var renderW = this.canvas.width;
+    var renderH = this.canvas.height;
+
+    //  Scrolling bias; whole pixels only
+    var scrollX = this._scrollX | 0;
+    var scrollY = this._scrollY | 0;
+
+    var tilesets = mc.tilesets;
+    var animatedIndexes = mc.animatedIndexes;
+
+    //  The transform from the layer canvas to the world, as the sprite batch would apply it to the canvas texture
+    var wt = this.worldTransform;
+    var resolution = this.texture.baseTexture.resolution;
+    var matrix = mc.matrix;
+    var ax = -this.anchor.x * this.texture.frame.width;
+    var ay = -this.anchor.y * this.texture.frame.height;
+
+    matrix.a = wt.a / resolution;
+    matrix.b = wt.b / resolution;
+    matrix.c = wt.c / resolution;
+    matrix.d = wt.d / resolution;
+    matrix.tx = matrix.a * ax + matrix.c * ay + wt.tx;
+    matrix.ty = matrix.b * ax + matrix.d * ay + wt.ty;
+
+    var x, y, row, tile, index, set;
+
+    if (map.orientation !== Phaser.Tilemap.ORTHOGONAL)
+    {
+        var tw = map.tileWidth;
+        var th = map.tileHeight;
+        var isometric = (map.orientation === Phaser.Tilemap.ISOMETRIC);
+        var staggerX = (map.staggerAxis === 'x' && !isometric);
+        var point = mc.point;
+        var overdraw = 0;
+
+        for (var i = 0; i < map.tilesets.length; i++)
+        {
+            overdraw = Math.max(overdraw, map.tilesets[i].tileHeight - th);
+        }
+
+        var range = this.getProjectedTileRange(scrollX, scrollY, scrollX + renderW, scrollY + renderH, overdraw);
+        var passes = staggerX ? 2 : 1;
+
+        for (y = range.top; y <= range.bottom; y++)
+        {
+            row = this.layer.data[y];
+
+            for (var pass = 0; pass < passes; pass++)
+            {
+                for (x = range.left; x <= range.right; x++)
+                {
+                    if (staggerX && (map.isStaggeredIndex(x) ? 1 : 0) !== pass)
+                    {
+                        continue;
+                    }
+
+                    tile = row[x];
+
+                    if (!tile || tile.index < 0)
+                    {
+                        continue;
+                    }
+
+                    index = tile.index;
+
+                    if (animatedIndexes[index] !== undefined)
+                    {
+                        index = animatedIndexes[index];
+                    }
+
+                    set = tilesets[index];
+
+                    if (set === undefined)
+                    {
+                        set = this.resolveTileset(index);
+                    }
+
+                    if (!set)
+                    {
+                        continue;
+                    }
+
+                    map.tileToWorldXY(x, y, point);
+
+                    var sw = set.tileWidth;
+                    var sh = set.tileHeight;
+
+                    this.batchTile(
+                        renderSession, tile, index, set,
+                        point.x - scrollX + (isometric ? (tw - sw) / 2 : 0), point.y - scrollY + th - sh,
+                        sw / 2, sh / 2
+                    );
+                }
+            }
+        }
+
+        return;
+    }
+
+    var width = this.layer.width;
+    var height = this.layer.height;
+    var cw = mc.tileWidth;
+    var ch = mc.tileHeight;
+
+    var left = Math.floor(scrollX / cw);
+    var right = Math.floor((renderW - 1 + scrollX) / cw);
+    var top = Math.floor(scrollY / ch);
+    var bottom = Math.floor((renderH - 1 + scrollY) / ch);
+
+    if (!this._wrap)
+    {
+        left = Math.max(0, left);
+        right = Math.min(width - 1, right);
+        top = Math.max(0, top);
+        bottom = Math.min(height - 1, bottom);
+    }
+
+    for (var cy = top; cy <= bottom; cy++)
+    {
+        //  Normalized for wrapping layers
+        y = ((cy % height) + height) % height;
+        row = this.layer.data[y];
+
+        for (var cx = left; cx <= right; cx++)
+        {
+            x = ((cx % width) + width) % width;
+            tile = row[x];
+
+            if (!tile || tile.index < 0)
+            {
+                continue;
+            }
+
+            index = tile.index;
+
+            if (animatedIndexes[index] !== undefined)
+            {
+                index = animatedIndexes[index];
+            }
+
+            set = tilesets[index];
+
+            if (set === undefined)
+            {
+                set = this.resolveTileset(index);
+            }
+
+            if (set)
+            {
+                this.batchTile(renderSession, tile, index, set, (cx * cw) - scrollX, (cy * ch) - scrollY, tile.centerX, tile.centerY);
+            }
+        }
+    }
+
+};
+
+/**
+* Adds a tile to the WebGL sprite batch. The tile is rotated and flipped about its pivot like on the layer canvas,
+* and the part of it outside of the layer canvas area is cropped.
+*
+* @method Phaser.TilemapLayer#batchTile
+* @private
+* @param {object} renderSession - The WebGL render session.
+* @param {Phaser.Tile} tile - The tile to draw.
+* @param {integer} index - The tile index to draw, which is the current frame for animated tiles.
+* @param {Phaser.Tileset} set - The tileset of the tile index.
+* @param {number} tx - The x coordinate of the tile image on the layer canvas.
+* @param {number} ty - The y coordinate of the tile image on the layer canvas.
+* @param {number} px - The x coordinate of the pivot of the tile, relative to the tile image.
+* @param {number} py - The y coordinate of the pivot of the tile, relative to the tile image.
+*/
+Phaser.TilemapLayer.prototype.batchTile = function (renderSession, tile, index, set, tx, ty, px, py)
+{
+
+    var coordIndex = (index - set.firstgid) << 1;
+
+    if (coordIndex < 0 || (coordIndex + 1) >= set.drawCoords.length)
+    {
+        return;
+    }
+
+    var sprite = this.getBatchSprite(index, set);
+    var baseTexture = sprite.texture.baseTexture;
+
+    if (baseTexture._dirty[renderSession.gl.id] && !renderSession.renderer.updateTexture(baseTexture))
+    {
+        return;
+    }
+
+    //  The orientation of the tile image: rotated, then mirrored
+    var a = 1;
+    var b = 0;
+    var c = 0;
+    var d = 1;
+
+    if (tile.rotation || tile.flipped)
+    {
+        var cos = Math.round(Math.cos(tile.rotation));
+        var sin = Math.round(Math.sin(tile.rotation));
+        var flip = tile.flipped ? -1 : 1;
+
+        a = flip * cos;
+        b = flip * sin;
+        c = -sin;
+        d = cos;
+    }
+
+    //  Where the top-left of the tile image ends up on the layer canvas
+    var ox = tx + px - (a * px + c * py);
+    var oy = ty + py - (b * px + d * py);
+
+    //  The canvas area, in tile image coordinates, so the tile can be cropped to it
+    var x0 = -a * ox - b * oy;
+    var y0 = -c * ox - d * oy;
+    var x1 = x0 + a * this.canvas.width + b * this.canvas.height;
+    var y1 = y0 + c * this.canvas.width + d * this.canvas.height;
+
+    var left = Math.max(0, Math.min(x0, x1));
+    var top = Math.max(0, Math.min(y0, y1));
+    var right = Math.min(set.tileWidth, Math.max(x0, x1));
+    var bottom = Math.min(set.tileHeight, Math.max(y0, y1));
+
+    if (left >= right || top >= bottom)
+    {
+        return;
+    }
+
+    var texture = sprite.texture;
+
+    texture.crop.x = set.drawCoords[coordIndex] + left;
+    texture.crop.y = set.drawCoords[coordIndex + 1] + top;
+    texture.crop.width = texture.frame.width = right - left;
+    texture.crop.height = texture.frame.height = bottom - top;
+    texture._updateUvs();
+
+    sprite.tint = this.tint;
+    sprite.worldAlpha = this.worldAlpha * tile.alpha;
+    sprite.blendMode = this.blendMode;
+    sprite.shader = this.shader;
+
+    //  The layer transform, then the tile orientation from the top-left of the cropped tile image
+    var lt = this._mc.matrix;
+    var m = this._mc.tileMatrix;
+    var r = baseTexture.resolution;
+
+    ox += a * left + c * top;
+    oy += b * left + d * top;
+
+    m.a = (lt.a * a + lt.c * b) * r;
+    m.b = (lt.b * a + lt.d * b) * r;
+    m.c = (lt.a * c + lt.c * d) * r;
+    m.d = (lt.b * c + lt.d * d) * r;
+    m.tx = lt.a * ox + lt.c * oy + lt.tx;
+    m.ty = lt.b * ox + lt.d * oy + lt.ty;
+
+    renderSession.spriteBatch.render(sprite, m);
+
+};
+
+/**
+* Gets the object given to the WebGL sprite batch for the tiles of a tileset. It has the texture of the tileset image, whose frame is set
+* for each tile, and the layer tint, alpha and blend mode. The tileset base texture is created if it doesn't have one yet.
+*
+* @method Phaser.TilemapLayer#getBatchSprite
+* @private
+* @param {integer} index - The tile index.
+* @param {Phaser.Tileset} set - The tileset of the tile index.
+* @return {object} The batch sprite of the tileset.
+*/
+Phaser.TilemapLayer.prototype.getBatchSprite = function (index, set)
+{
+
+    var batchTiles = this._mc.batchTiles;
+    var sprite = batchTiles[index];
+
+    if (sprite && sprite.tileset === set && sprite.texture.baseTexture === set.baseTexture)
+    {
+        return sprite;
+    }
+
+    if (!set.baseTexture)
+    {
+        set.baseTexture = new PIXI.BaseTexture(set.image, null, this.game.resolution);
+    }
+
+    var batchSprites = this._mc.batchSprites;
+
+    sprite = null;
+
+    for (var i = 0; i < batchSprites.length; i++)
+    {
+        if (batchSprites[i].tileset === set && batchSprites[i].texture.baseTexture === set.baseTexture)
+        {
+            sprite = batchSprites[i];
+            break;
+        }
+    }
+
+    if (!sprite)
+    {
+        sprite = {
+            tileset: set,
+            texture: new PIXI.Texture(set.baseTexture, new PIXI.Rectangle(0, 0, set.tileWidth, set.tileHeight)),
+            anchor: new Phaser.Point(),
+            tint: 0xffffff,
+            worldAlpha: 1,
+            blendMode: PIXI.blendModes.NORMAL,
+            shader: null,
+            children: []
+        };
+
+        batchSprites.push(sprite);
+    }
+
+    batchTiles[index] = sprite;
+
+    return sprite;
+
+};
+
+/**
+* Renders the tiles to the layer canvas and pushes to the display.
+*
+* @method Phaser.TilemapLayer#render
+* @protected
+*/
+Phaser.TilemapLayer.prototype.render = function ()
+{
+
+    var redrawAll = false;
+
+    if (!this.visible)
+    {
+        return;
+    }
 
     if (this.dirty || this.layer.dirty)
     {
@@ -1168,6 +2085,7 @@ Phaser.TilemapLayer.prototype.render = function ()
 
     if (!redrawAll &&
         this.renderSettings.enableScrollDelta &&
+        this.map.orientation === Phaser.Tilemap.ORTHOGONAL &&
         (Math.abs(shiftX) + Math.abs(shiftY)) < Math.min(renderWidth, renderHeight))
     {
         this.renderDeltaScroll(shiftX, shiftY);
@@ -1186,6 +2104,12 @@ Phaser.TilemapLayer.prototype.render = function ()
 
     this.texture.baseTexture.dirty();
 
+    //  The Canvas renderer caches a tinted copy of the texture, which is now out of date
+    if (this.tint !== 0xFFFFFF)
+    {
+        this.texture.requiresReTint = true;
+    }
+
     this.dirty = false;
 
     this.context.restore();
@@ -1212,6 +2136,12 @@ Phaser.TilemapLayer.prototype.renderDebug = function ()
     var renderW = this.canvas.width;
     var renderH = this.canvas.height;
 
+    if (this.map.orientation !== Phaser.Tilemap.ORTHOGONAL)
+    {
+        this.renderProjectedDebug(scrollX, scrollY, renderW, renderH);
+        return;
+    }
+
     var width = this.layer.width;
     var height = this.layer.height;
     var tw = this._mc.tileWidth;
@@ -1299,9 +2229,80 @@ Phaser.TilemapLayer.prototype.renderDebug = function ()
 
 };
 
+/**
+* Renders the debug overlay of an isometric, staggered or hexagonal map. Colliding tiles are outlined with their tile shape.
+*
+* @method Phaser.TilemapLayer#renderProjectedDebug
+* @private
+* @param {integer} scrollX - Render x offset/scroll.
+* @param {integer} scrollY - Render y offset/scroll.
+* @param {integer} renderW - The width of the area to render.
+* @param {integer} renderH - The height of the area to render.
+*/
+Phaser.TilemapLayer.prototype.renderProjectedDebug = function (scrollX, scrollY, renderW, renderH)
+{
+
+    var context = this.context;
+    var map = this.map;
+    var point = this._mc.point;
+    var polygon = this._mc.polygon;
+    var range = this.getProjectedTileRange(scrollX, scrollY, scrollX + renderW, scrollY + renderH, 0);
+
+    //  The tile outline in unscaled layer space
+    var box = { worldX: 0, worldY: 0, width: map.tileWidth, height: map.tileHeight };
+
+    context.strokeStyle = this.debugSettings.facingEdgeStroke;
+
+    for (var y = range.top; y <= range.bottom; y++)
+    {
+        var row = this.layer.data[y];
+
+        for (var x = range.left; x <= range.right; x++)
+        {
+            var tile = row[x];
+
+            if (!tile || tile.index < 0 || !tile.collides)
+            {
+                continue;
+            }
+
+            map.tileToWorldXY(x, y, point);
+
+            box.worldX = point.x - scrollX;
+            box.worldY = point.y - scrollY;
+
+            map.getTilePolygon(box, polygon);
+
+            context.beginPath();
+            context.moveTo(polygon[0], polygon[1]);
+
+            for (var i = 2; i < polygon.length; i += 2)
+            {
+                context.lineTo(polygon[i], polygon[i + 1]);
+            }
+
+            context.closePath();
+
+            if (this.debugSettings.collidingTileOverfill)
+            {
+                context.fillStyle = this.debugSettings.collidingTileOverfill;
+                context.fill();
+            }
+
+            if (this.debugSettings.facingEdgeStroke)
+            {
+                context.stroke();
+            }
+        }
+    }
+
+};
+
 /**
 * Flag controlling if the layer tiles wrap at the edges. Only works if the World size matches the Map size.
 *
+* Wrapping is not supported for isometric, staggered or hexagonal maps.
+*
 * @property {boolean} wrap
 * @memberof Phaser.TilemapLayer
 * @public
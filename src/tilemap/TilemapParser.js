@@ -25,6 +25,46 @@ Phaser.TilemapParser = {
      */
     INSERT_NULL: false,
 
+    /**
+     * When parsing an infinite Tiled map the TilemapParser can either create the tiles of every chunk up-front (false, the default)
+     * or keep the chunks in their compact form and only create the tiles of the chunks around the camera as it moves (true).
+     * Streaming keeps the memory use of very large maps down, but tiles (and so collisions) only exist within the loaded chunks
+     * and changes made to the tiles of a chunk are reduced to their index and flip flags when it is unloaded.
+     *
+     * See {@link Phaser.Tilemap#updateChunks}.
+     *
+     * @constant
+     * @type {boolean}
+     */
+    STREAM_CHUNKS: false,
+
+    /**
+    * The functions used to decompress base64 encoded Tiled layer data, keyed by the layer `compression` value.
+    * Each function is given the decoded bytes as a Uint8Array and must return the decompressed bytes as a Uint8Array.
+    *
+    * You can add your own here to support other compression formats.
+    *
+    * @property {object} decompressors
+    */
+    decompressors: {
+
+        zlib: function (bytes)
+        {
+            return Phaser.Inflate.inflate(bytes);
+        },
+
+        gzip: function (bytes)
+        {
+            return Phaser.Inflate.gunzip(bytes);
+        },
+
+        zstd: function (bytes)
+        {
+            return Phaser.Zstd.decompress(bytes);
+        }
+
+    },
+
     /**
     * Parse tilemap data from the cache and creates data for a Tilemap object.
     *
@@ -67,6 +107,10 @@ Phaser.TilemapParser = {
             {
                 return this.parseTiledJSON(map.data);
             }
+            else if (map.format === Phaser.Tilemap.TILED_XML)
+            {
+                return this.parseTiledXML(map.data);
+            }
         }
         else
         {
@@ -124,213 +168,1933 @@ Phaser.TilemapParser = {
         map.widthInPixels = width * tileWidth;
         map.heightInPixels = height * tileHeight;
 
-        map.layers[0].width = width;
-        map.layers[0].height = height;
-        map.layers[0].widthInPixels = map.widthInPixels;
-        map.layers[0].heightInPixels = map.heightInPixels;
-        map.layers[0].data = output;
+        map.layers[0].width = width;
+        map.layers[0].height = height;
+        map.layers[0].widthInPixels = map.widthInPixels;
+        map.layers[0].heightInPixels = map.heightInPixels;
+        map.layers[0].data = output;
+
+        return map;
+
+    },
+
+    /**
+    * Returns an empty map data object.
+    *
+    * @method Phaser.TilemapParser.getEmptyData
+    * @return {object} Generated map data.
+    */
+    getEmptyData: function (tileWidth, tileHeight, width, height)
+    {
+
+        return {
+            width: (width !== undefined && width !== null) ? width : 0,
+            height: (height !== undefined && height !== null) ? height : 0,
+            tileWidth: (tileWidth !== undefined && tileWidth !== null) ? tileWidth : 0,
+            tileHeight: (tileHeight !== undefined && tileHeight !== null) ? tileHeight : 0,
+            orientation: Phaser.Tilemap.ORTHOGONAL,
+            staggerAxis: 'y',
+            staggerIndex: 'odd',
+            hexSideLength: 0,
+            infinite: false,
+            originX: 0,
+            originY: 0,
+            parallaxOriginX: 0,
+            parallaxOriginY: 0,
+            version: '1',
+            properties: {},
+            widthInPixels: 0,
+            heightInPixels: 0,
+            layers: [
+                {
+                    name: 'layer',
+                    x: 0,
+                    y: 0,
+                    width: 0,
+                    height: 0,
+                    widthInPixels: 0,
+                    heightInPixels: 0,
+                    alpha: 1,
+                    visible: true,
+                    properties: {},
+                    indexes: [],
+                    callbacks: [],
+                    bodies: [],
+                    data: []
+                }
+            ],
+            images: [],
+            objects: {},
+            objectIndexes: {},
+            collision: {},
+            tilesets: [],
+            tiles: []
+        };
+
+    },
+
+    _slice: function (obj, fields)
+    {
+        var sliced = {};
+
+        for (var k in fields)
+        {
+            var key = fields[k];
+
+            if (typeof obj[key] !== 'undefined')
+            {
+                sliced[key] = obj[key];
+            }
+        }
+
+        return sliced;
+    },
+
+    /**
+    * Resolves a path relative to the file at `base`, such as the path of an object template relative to its map.
+    *
+    * @method Phaser.TilemapParser.resolvePath
+    * @param {string} base - The path or URL of the file the path is relative to.
+    * @param {string} path - The path to resolve. Absolute paths and URLs are returned unchanged.
+    * @return {string} The resolved path.
+    */
+    resolvePath: function (base, path)
+    {
+
+        if ((/^(?:[a-z]+:|\/)/i).test(path))
+        {
+            return path;
+        }
+
+        //  The directory of the base file
+        var parts = base.split('?')[0].split('/');
+
+        parts.pop();
+
+        var segments = path.split('/');
+
+        for (var i = 0; i < segments.length; i++)
+        {
+            var segment = segments[i];
+
+            if (segment === '..' && parts.length > 0 && parts[parts.length - 1] !== '..' && parts[parts.length - 1] !== '')
+            {
+                parts.pop();
+            }
+            else if (segment !== '.')
+            {
+                parts.push(segment);
+            }
+        }
+
+        return parts.join('/');
+
+    },
+
+    /**
+    * Gets the paths of the external tilesets (.tsx or JSON files) used by a Tiled JSON map.
+    *
+    * @method Phaser.TilemapParser.getTilesetPaths
+    * @param {object} json - The JSON map data.
+    * @return {string[]} The tileset paths, relative to the map, without duplicates.
+    */
+    getTilesetPaths: function (json)
+    {
+
+        var paths = [];
+        var tilesets = json.tilesets || [];
+
+        for (var i = 0; i < tilesets.length; i++)
+        {
+            if (tilesets[i].source && paths.indexOf(tilesets[i].source) === -1)
+            {
+                paths.push(tilesets[i].source);
+            }
+        }
+
+        return paths;
+
+    },
+
+    /**
+    * Replaces the external tilesets of a Tiled JSON map with the contents of the tileset files, so the map can be parsed as if
+    * the tilesets were embedded. This is called automatically for maps loaded by {@link Phaser.Loader#tilemap}.
+    *
+    * The merged tilesets keep their `source`, and the image paths within them are made relative to the map.
+    *
+    * @method Phaser.TilemapParser.resolveTilesets
+    * @param {object} json - The JSON map data. Its tilesets are updated in place.
+    * @param {object} tilesets - The tilesets, keyed by the paths used in the map. Each is either the JSON tileset data or a .tsx XML Document.
+    * @return {object} The JSON map data.
+    */
+    resolveTilesets: function (json, tilesets)
+    {
+
+        var sets = json.tilesets || [];
+
+        for (var i = 0; i < sets.length; i++)
+        {
+            var path = sets[i].source;
+
+            if (!path || !tilesets[path])
+            {
+                continue;
+            }
+
+            var set = Phaser.Utils.extend(true, {}, this.parseTileset(tilesets[path]));
+
+            set.firstgid = sets[i].firstgid;
+            set.source = path;
+
+            if (set.image)
+            {
+                set.image = this.resolvePath(path, set.image);
+            }
+
+            for (var id in set.tiles)
+            {
+                if (set.tiles[id].image)
+                {
+                    set.tiles[id].image = this.resolvePath(path, set.tiles[id].image);
+                }
+            }
+
+            sets[i] = set;
+        }
+
+        return json;
+
+    },
+
+    /**
+    * Converts a Tiled .tsx tileset to the JSON tileset format. JSON tilesets are returned as they are.
+    *
+    * The `tiles` of the converted tileset are keyed by tile ID and the properties of its tiles are in `tileproperties`,
+    * as in the JSON format before Tiled 1.2.
+    *
+    * @method Phaser.TilemapParser.parseTileset
+    * @param {object|Document} data - The JSON tileset data or a .tsx XML Document.
+    * @return {object} The JSON tileset, without a `firstgid`.
+    */
+    parseTileset: function (data)
+    {
+
+        if (!data.documentElement)
+        {
+            return data;
+        }
+
+        return this.parseXMLTileset(data.documentElement);
+
+    },
+
+    /**
+    * Converts a Tiled XML `tileset` element to the JSON tileset format. See {@link Phaser.TilemapParser.parseTileset}.
+    *
+    * @method Phaser.TilemapParser.parseXMLTileset
+    * @param {Element} node - The `tileset` element.
+    * @return {object} The JSON tileset, without a `firstgid`.
+    */
+    parseXMLTileset: function (node)
+    {
+
+        var set = {
+            name: node.getAttribute('name'),
+            tilewidth: parseInt(node.getAttribute('tilewidth'), 10),
+            tileheight: parseInt(node.getAttribute('tileheight'), 10),
+            spacing: parseInt(node.getAttribute('spacing'), 10) || 0,
+            margin: parseInt(node.getAttribute('margin'), 10) || 0,
+            tilecount: parseInt(node.getAttribute('tilecount'), 10) || 0,
+            columns: parseInt(node.getAttribute('columns'), 10) || 0,
+            properties: {}
+        };
+
+        for (var i = 0; i < node.childNodes.length; i++)
+        {
+            var child = node.childNodes[i];
+
+            switch (child.nodeName)
+            {
+                case 'image':
+                    set.image = child.getAttribute('source');
+                    set.imagewidth = parseInt(child.getAttribute('width'), 10);
+                    set.imageheight = parseInt(child.getAttribute('height'), 10);
+
+                    if (child.hasAttribute('trans'))
+                    {
+                        set.transparentcolor = '#' + child.getAttribute('trans');
+                    }
+                    break;
+
+                case 'tileoffset':
+                    set.tileoffset = { x: parseInt(child.getAttribute('x'), 10), y: parseInt(child.getAttribute('y'), 10) };
+                    break;
+
+                case 'properties':
+                    set.properties = this.getPropertyValues(this.parseXMLProperties(child));
+                    break;
+
+                case 'tile':
+                    this.parseXMLTile(child, set);
+                    break;
+
+                case 'wangsets':
+                    set.wangsets = this.parseXMLWangsets(child);
+                    break;
+            }
+        }
+
+        return set;
+
+    },
+
+    /**
+    * Adds a Tiled XML `tile` element of a tileset to the JSON tileset.
+    *
+    * @method Phaser.TilemapParser.parseXMLTile
+    * @param {Element} node - The `tile` element.
+    * @param {object} set - The JSON tileset.
+    */
+    parseXMLTile: function (node, set)
+    {
+
+        var id = parseInt(node.getAttribute('id'), 10);
+        var tile = {};
+
+        if (node.hasAttribute('type') || node.hasAttribute('class'))
+        {
+            tile.type = node.getAttribute('type') || node.getAttribute('class');
+        }
+
+        for (var i = 0; i < node.childNodes.length; i++)
+        {
+            var child = node.childNodes[i];
+
+            switch (child.nodeName)
+            {
+                case 'properties':
+                    set.tileproperties = set.tileproperties || {};
+                    set.tileproperties[id] = this.getPropertyValues(this.parseXMLProperties(child));
+                    break;
+
+                case 'image':
+                    tile.image = child.getAttribute('source');
+                    tile.imagewidth = parseInt(child.getAttribute('width'), 10);
+                    tile.imageheight = parseInt(child.getAttribute('height'), 10);
+                    break;
+
+                case 'objectgroup':
+                    tile.objectgroup = { type: 'objectgroup', name: child.getAttribute('name') || '', x: 0, y: 0, objects: [] };
+
+                    for (var j = 0; j < child.childNodes.length; j++)
+                    {
+                        if (child.childNodes[j].nodeName === 'object')
+                        {
+                            tile.objectgroup.objects.push(this.parseXMLObject(child.childNodes[j]));
+                        }
+                    }
+                    break;
+
+                case 'animation':
+                    tile.animation = [];
+
+                    for (var k = 0; k < child.childNodes.length; k++)
+                    {
+                        var frame = child.childNodes[k];
+
+                        if (frame.nodeName === 'frame')
+                        {
+                            tile.animation.push({
+                                tileid: parseInt(frame.getAttribute('tileid'), 10),
+                                duration: parseInt(frame.getAttribute('duration'), 10)
+                            });
+                        }
+                    }
+                    break;
+            }
+        }
+
+        set.tiles = set.tiles || {};
+        set.tiles[id] = tile;
+
+    },
+
+    /**
+    * Converts a Tiled XML `wangsets` element to the JSON format of Tiled 1.5 and later.
+    *
+    * @method Phaser.TilemapParser.parseXMLWangsets
+    * @param {Element} node - The `wangsets` element.
+    * @return {object[]} The wangsets, each with `name`, `type`, `tile`, `colors` and `wangtiles` properties.
+    */
+    parseXMLWangsets: function (node)
+    {
+
+        var wangsets = [];
+
+        for (var i = 0; i < node.childNodes.length; i++)
+        {
+            var child = node.childNodes[i];
+
+            if (child.nodeName !== 'wangset')
+            {
+                continue;
+            }
+
+            var wangset = {
+                name: child.getAttribute('name'),
+                type: child.getAttribute('type') || 'mixed',
+                tile: parseInt(child.getAttribute('tile'), 10),
+                colors: [],
+                wangtiles: []
+            };
+
+            for (var j = 0; j < child.childNodes.length; j++)
+            {
+                var item = child.childNodes[j];
+
+                if (item.nodeName === 'wangcolor')
+                {
+                    wangset.colors.push({
+                        name: item.getAttribute('name'),
+                        color: item.getAttribute('color'),
+                        tile: parseInt(item.getAttribute('tile'), 10),
+                        probability: parseFloat(item.getAttribute('probability')) || 1
+                    });
+                }
+                else if (item.nodeName === 'wangtile')
+                {
+                    var wangid = item.getAttribute('wangid').split(',');
+
+                    for (var k = 0; k < wangid.length; k++)
+                    {
+                        wangid[k] = parseInt(wangid[k], 10);
+                    }
+
+                    wangset.wangtiles.push({ tileid: parseInt(item.getAttribute('tileid'), 10), wangid: wangid });
+                }
+            }
+
+            wangsets.push(wangset);
+        }
+
+        return wangsets;
+
+    },
+
+    /**
+    * Converts Tiled properties in the format of Tiled 1.2 and later to an object of property values keyed by property name.
+    *
+    * @method Phaser.TilemapParser.getPropertyValues
+    * @param {object[]} properties - The properties, each with `name`, `type` and `value` properties.
+    * @return {object} The property values.
+    */
+    getPropertyValues: function (properties)
+    {
+
+        var values = {};
+
+        for (var i = 0; i < properties.length; i++)
+        {
+            values[properties[i].name] = properties[i].value;
+        }
+
+        return values;
+
+    },
+
+    /**
+    * Converts Tiled properties to the format of Tiled 1.2 and later. The type of each property given as an object of values is worked out from its value.
+    *
+    * @method Phaser.TilemapParser.toTiledProperties
+    * @param {object|object[]} properties - The properties, either as an object of property values keyed by name or already in the format of Tiled 1.2.
+    * @return {object[]} The properties, each with `name`, `type` and `value` properties.
+    */
+    toTiledProperties: function (properties)
+    {
+
+        if (Array.isArray(properties))
+        {
+            return properties.slice();
+        }
+
+        var output = [];
+
+        for (var name in properties)
+        {
+            var value = properties[name];
+            var type = 'string';
+
+            if (typeof value === 'boolean')
+            {
+                type = 'bool';
+            }
+            else if (typeof value === 'number')
+            {
+                type = (value % 1 === 0) ? 'int' : 'float';
+            }
+            else if (typeof value !== 'string')
+            {
+                value = String(value);
+            }
+
+            output.push({ name: name, type: type, value: value });
+        }
+
+        return output;
+
+    },
+
+    /**
+    * Gets the paths of the external object templates used by the objects of a Tiled JSON map, including those within group layers.
+    *
+    * @method Phaser.TilemapParser.getTemplatePaths
+    * @param {object} json - The JSON map data.
+    * @return {string[]} The template paths, relative to the map, without duplicates.
+    */
+    getTemplatePaths: function (json)
+    {
+
+        var paths = [];
+        var layers = this.flattenLayers(json.layers || []);
+
+        for (var i = 0; i < layers.length; i++)
+        {
+            var objects = (layers[i].type === 'objectgroup' && layers[i].objects) || [];
+
+            for (var j = 0; j < objects.length; j++)
+            {
+                if (objects[j].template && paths.indexOf(objects[j].template) === -1)
+                {
+                    paths.push(objects[j].template);
+                }
+            }
+        }
+
+        return paths;
+
+    },
+
+    /**
+    * Replaces the objects of a Tiled JSON map that are instances of an object template with the template object merged with the
+    * values the instance overrides. This is called automatically for maps loaded by {@link Phaser.Loader#tilemap}.
+    *
+    * Tile objects of templates are moved to the matching tileset of the map, found by its source file or else by its name.
+    *
+    * @method Phaser.TilemapParser.resolveTemplates
+    * @param {object} json - The JSON map data. Its objects are updated in place.
+    * @param {object} templates - The templates, keyed by the paths used in the map. Each is either the JSON template data or a .tx XML Document.
+    * @return {object} The JSON map data.
+    */
+    resolveTemplates: function (json, templates)
+    {
+
+        var parsed = {};
+        var path;
+
+        for (path in templates)
+        {
+            parsed[path] = this.parseTemplate(templates[path]);
+        }
+
+        //  The flattened copies of layers within groups share their objects arrays with the original layers
+        var layers = this.flattenLayers(json.layers || []);
+
+        for (var i = 0; i < layers.length; i++)
+        {
+            var objects = (layers[i].type === 'objectgroup' && layers[i].objects) || [];
+
+            for (var j = 0; j < objects.length; j++)
+            {
+                path = objects[j].template;
+
+                if (path && parsed[path])
+                {
+                    objects[j] = this.applyTemplate(objects[j], parsed[path], path, json.tilesets || []);
+                }
+            }
+        }
+
+        return json;
+
+    },
+
+    /**
+    * Converts a Tiled object template to the JSON template format. JSON templates are returned as they are.
+    *
+    * @method Phaser.TilemapParser.parseTemplate
+    * @param {object|Document} data - The JSON template data or a .tx XML Document.
+    * @return {object} The JSON template, with an `object` and an optional `tileset` with `firstgid` and `source` properties.
+    */
+    parseTemplate: function (data)
+    {
+
+        if (!data.documentElement)
+        {
+            return data;
+        }
+
+        var template = { type: 'template' };
+        var children = data.documentElement.childNodes;
+
+        for (var i = 0; i < children.length; i++)
+        {
+            var node = children[i];
+
+            if (node.nodeName === 'tileset')
+            {
+                template.tileset = {
+                    firstgid: parseInt(node.getAttribute('firstgid'), 10),
+                    source: node.getAttribute('source')
+                };
+            }
+            else if (node.nodeName === 'object')
+            {
+                template.object = this.parseXMLObject(node);
+            }
+        }
+
+        return template;
+
+    },
+
+    /**
+    * Merges an object template into an object that is an instance of it. The values set in the instance override those of the template.
+    *
+    * @method Phaser.TilemapParser.applyTemplate
+    * @param {object} object - The JSON object that uses the template.
+    * @param {object} template - The JSON template.
+    * @param {string} path - The path of the template, relative to the map.
+    * @param {object[]} tilesets - The JSON tilesets of the map.
+    * @return {object} A new JSON object.
+    */
+    applyTemplate: function (object, template, path, tilesets)
+    {
+
+        var result = Phaser.Utils.extend(true, {}, template.object);
+
+        delete result.id;
+
+        //  The gid of a template tile object is relative to the template's own tileset
+        if (result.gid && template.tileset)
+        {
+            var source = this.resolvePath(path, template.tileset.source);
+            var name = source.split('/').pop().replace(/\.[^.]*$/, '');
+            var tileset = null;
+
+            for (var i = 0; i < tilesets.length; i++)
+            {
+                if (tilesets[i].source ? this.resolvePath('', tilesets[i].source) === source : tilesets[i].name === name)
+                {
+                    tileset = tilesets[i];
+                    break;
+                }
+            }
+
+            if (tileset)
+            {
+                //  The flip flags in the high bits are kept
+                result.gid = result.gid - template.tileset.firstgid + tileset.firstgid;
+            }
+            else
+            {
+                console.warn('TilemapParser.applyTemplate - The map has no tileset matching \'' + template.tileset.source + '\' used by the template \'' + path + '\'');
+            }
+        }
+
+        for (var key in object)
+        {
+            if (key !== 'template' && key !== 'properties')
+            {
+                result[key] = object[key];
+            }
+        }
+
+        if (object.properties)
+        {
+            result.properties = this.mergeProperties(result.properties, object.properties);
+        }
+
+        return result;
+
+    },
+
+    /**
+    * Merges two sets of Tiled properties. They can either both be objects (the format before Tiled 1.2) or both arrays of
+    * objects with `name`, `type` and `value` properties; otherwise `properties` replaces `base`.
+    *
+    * @method Phaser.TilemapParser.mergeProperties
+    * @param {object|object[]} base - The properties to start from.
+    * @param {object|object[]} properties - The properties that override those of `base`.
+    * @return {object|object[]} The merged properties.
+    */
+    mergeProperties: function (base, properties)
+    {
+
+        if (Array.isArray(base) && Array.isArray(properties))
+        {
+            var result = base.slice();
+
+            for (var i = 0; i < properties.length; i++)
+            {
+                for (var j = 0; j < result.length; j++)
+                {
+                    if (result[j].name === properties[i].name)
+                    {
+                        result.splice(j, 1);
+                        break;
+                    }
+                }
+
+                result.push(properties[i]);
+            }
+
+            return result;
+        }
+        else if (base && properties && !Array.isArray(base) && !Array.isArray(properties))
+        {
+            return Phaser.Utils.extend({}, base, properties);
+        }
+
+        return properties;
+
+    },
+
+    /**
+    * Converts a Tiled XML `object` element to the JSON object format. Only the attributes that are set are included,
+    * so that the object can be merged with a template.
+    *
+    * @method Phaser.TilemapParser.parseXMLObject
+    * @param {Element} node - The `object` element.
+    * @return {object} The JSON object.
+    */
+    parseXMLObject: function (node)
+    {
+
+        var object = {};
+        var numbers = [ 'id', 'x', 'y', 'width', 'height', 'rotation', 'gid' ];
+        var strings = [ 'name', 'type', 'template' ];
+        var i;
+
+        for (i = 0; i < numbers.length; i++)
+        {
+            if (node.hasAttribute(numbers[i]))
+            {
+                object[numbers[i]] = parseFloat(node.getAttribute(numbers[i]));
+            }
+        }
+
+        for (i = 0; i < strings.length; i++)
+        {
+            if (node.hasAttribute(strings[i]))
+            {
+                object[strings[i]] = node.getAttribute(strings[i]);
+            }
+        }
+
+        //  Tiled 1.9 saves the type of an object as its class
+        if (object.type === undefined && node.hasAttribute('class'))
+        {
+            object.type = node.getAttribute('class');
+        }
+
+        if (node.hasAttribute('visible'))
+        {
+            object.visible = node.getAttribute('visible') !== '0';
+        }
+
+        for (i = 0; i < node.childNodes.length; i++)
+        {
+            var child = node.childNodes[i];
+
+            switch (child.nodeName)
+            {
+                case 'properties':
+                    object.properties = this.parseXMLProperties(child);
+                    break;
+
+                case 'ellipse':
+                case 'point':
+                    object[child.nodeName] = true;
+                    break;
+
+                case 'polygon':
+                case 'polyline':
+                    object[child.nodeName] = this.parseXMLPoints(child.getAttribute('points'));
+                    break;
+
+                case 'text':
+                    object.text = this.parseXMLText(child);
+                    break;
+            }
+        }
+
+        return object;
+
+    },
+
+    /**
+    * Converts a Tiled XML `properties` element to the JSON format of Tiled 1.2 and later.
+    *
+    * @method Phaser.TilemapParser.parseXMLProperties
+    * @param {Element} node - The `properties` element.
+    * @return {object[]} The properties, each with `name`, `type` and `value` properties.
+    */
+    parseXMLProperties: function (node)
+    {
+
+        var properties = [];
+
+        for (var i = 0; i < node.childNodes.length; i++)
+        {
+            var child = node.childNodes[i];
+
+            if (child.nodeName !== 'property')
+            {
+                continue;
+            }
+
+            var type = child.getAttribute('type') || 'string';
+
+            //  Multi-line strings are stored as the element content instead of the value attribute
+            var value = child.hasAttribute('value') ? child.getAttribute('value') : child.textContent;
+
+            if (type === 'int' || type === 'float')
+            {
+                value = parseFloat(value);
+            }
+            else if (type === 'bool')
+            {
+                value = (value === 'true');
+            }
+
+            properties.push({ name: child.getAttribute('name'), type: type, value: value });
+        }
+
+        return properties;
+
+    },
+
+    /**
+    * Converts the `points` attribute of a Tiled XML `polygon` or `polyline` element to the JSON format.
+    *
+    * @method Phaser.TilemapParser.parseXMLPoints
+    * @param {string} points - The points, such as "0,0 32,0 32,32".
+    * @return {object[]} The points, each with `x` and `y` properties.
+    */
+    parseXMLPoints: function (points)
+    {
+
+        var output = [];
+        var pairs = points.trim().split(/\s+/);
+
+        for (var i = 0; i < pairs.length; i++)
+        {
+            var xy = pairs[i].split(',');
+
+            output.push({ x: parseFloat(xy[0]), y: parseFloat(xy[1]) });
+        }
+
+        return output;
+
+    },
+
+    /**
+    * Converts a Tiled XML `text` element to the JSON format.
+    *
+    * @method Phaser.TilemapParser.parseXMLText
+    * @param {Element} node - The `text` element.
+    * @return {object} The text and its style. Only the style attributes that are set are included.
+    */
+    parseXMLText: function (node)
+    {
+
+        var text = { text: node.textContent };
+        var flags = [ 'wrap', 'bold', 'italic', 'underline', 'strikeout', 'kerning' ];
+        var strings = [ 'fontfamily', 'color', 'halign', 'valign' ];
+        var i;
+
+        for (i = 0; i < flags.length; i++)
+        {
+            if (node.hasAttribute(flags[i]))
+            {
+                text[flags[i]] = node.getAttribute(flags[i]) === '1';
+            }
+        }
+
+        for (i = 0; i < strings.length; i++)
+        {
+            if (node.hasAttribute(strings[i]))
+            {
+                text[strings[i]] = node.getAttribute(strings[i]);
+            }
+        }
+
+        if (node.hasAttribute('pixelsize'))
+        {
+            text.pixelsize = parseInt(node.getAttribute('pixelsize'), 10);
+        }
+
+        return text;
+
+    },
+
+    /**
+    * Parses an object group in Tiled JSON files. Object groups can be found in both layers and tilesets. Called internally in parseTiledJSON.
+    * @method Phaser.TilemapParser.parseObjectGroup
+    * @param {object} objectGroup - A JSON object group.
+    * @param {object} objectsCollection - An object into which new array of Tiled map objects will be added.
+    * @param {object} collisionCollection - An object into which new array of collision objects will be added. Currently only polylines are added.
+    * @param {string} [nameKey=objectGroup.name] - Key under which to store objects in collisions in objectsCollection and collisionCollection
+    * @param {object} [relativePosition={x: 0, y: 0}] - Coordinates the object group's position is relative to.
+    * @return {object} A object literal containing the objectsCollection and collisionCollection
+    */
+    parseObjectGroup: function (objectGroup, objectsCollection, collisionCollection, nameKey, relativePosition)
+    {
+
+        var nameKey = nameKey || objectGroup.name;
+        var relativePosition = relativePosition || {x: 0, y: 0};
+        var slice = this._slice;
+
+        if (!nameKey)
+        {
+            console.warn('No name found for objectGroup', objectGroup);
+        }
+
+        if (relativePosition.x === undefined || relativePosition.y === undefined)
+        {
+            console.warn('Malformed xy properties in relativePosition', relativePosition);
+        }
+
+        objectsCollection[nameKey] = objectsCollection[nameKey] || [];
+        collisionCollection[nameKey] = collisionCollection[nameKey] || [];
+
+        for (var v = 0, len = objectGroup.objects.length; v < len; v++)
+        {
+            var o = objectGroup.objects[v];
+
+            if (o.template)
+            {
+                console.warn('TilemapParser.parseObjectGroup - The object template \'' + o.template + '\' has not been loaded, see TilemapParser.resolveTemplates');
+            }
+
+            //  Tiled 1.9 saves the type of an object as its class
+            if (o.type === undefined && o['class'] !== undefined)
+            {
+                o = Phaser.Utils.extend({}, o, { type: o['class'] });
+            }
+
+            //  Object Tiles
+            if (o.gid)
+            {
+                var object = {
+                    gid: o.gid,
+                    id: o.id,
+                    name: o.name,
+                    type: o.type || '',
+                    x: o.x + relativePosition.x,
+                    y: o.y + relativePosition.y,
+                    width: o.width,
+                    height: o.height,
+                    visible: o.visible,
+                    properties: o.properties
+                };
+
+                if (o.rotation)
+                {
+                    object.rotation = o.rotation;
+                }
+
+                objectsCollection[nameKey].push(object);
+            }
+            else if (o.polyline)
+            {
+                var object = {
+                    id: o.id,
+                    name: o.name,
+                    type: o.type,
+                    x: o.x + relativePosition.x,
+                    y: o.y + relativePosition.y,
+                    width: o.width,
+                    height: o.height,
+                    visible: o.visible,
+                    properties: o.properties
+                };
+
+                if (o.rotation)
+                {
+                    object.rotation = o.rotation;
+                }
+
+                object.polyline = [];
+
+                //  Parse the polyline into an array
+                for (var p = 0; p < o.polyline.length; p++)
+                {
+                    object.polyline.push([ o.polyline[p].x, o.polyline[p].y ]);
+                }
+
+                collisionCollection[nameKey].push(object);
+                objectsCollection[nameKey].push(object);
+            }
+
+            // polygon
+            else if (o.polygon)
+            {
+                var object = slice(o, [ 'id', 'name', 'type', 'x', 'y', 'visible', 'rotation', 'properties' ]);
+
+                object.x += relativePosition.x;
+                object.y += relativePosition.y;
+
+                //  Parse the polygon into an array
+                object.polygon = [];
+
+                for (var p = 0; p < o.polygon.length; p++)
+                {
+                    object.polygon.push([ o.polygon[p].x, o.polygon[p].y ]);
+                }
+
+                collisionCollection[nameKey].push(object);
+                objectsCollection[nameKey].push(object);
+            }
+
+            // point
+            else if (o.point)
+            {
+                var object = slice(o, [ 'id', 'name', 'type', 'x', 'y', 'visible', 'rotation', 'properties' ]);
+                object.x += relativePosition.x;
+                object.y += relativePosition.y;
+
+                object.point = true;
+
+                objectsCollection[nameKey].push(object);
+            }
+
+            // text
+            else if (o.text)
+            {
+                var object = slice(o, [ 'id', 'name', 'type', 'x', 'y', 'width', 'height', 'visible', 'rotation', 'properties' ]);
+                object.x += relativePosition.x;
+                object.y += relativePosition.y;
+
+                //  The text and its style: wrap, fontfamily, pixelsize, color, bold, italic, underline, strikeout, kerning, halign and valign
+                object.text = Phaser.Utils.extend({}, o.text);
+
+                objectsCollection[nameKey].push(object);
+            }
+
+            // ellipse
+            else if (o.ellipse)
+            {
+                var object = slice(o, [ 'id', 'name', 'type', 'ellipse', 'x', 'y', 'width', 'height', 'visible', 'rotation', 'properties' ]);
+                object.x += relativePosition.x;
+                object.y += relativePosition.y;
+
+                collisionCollection[nameKey].push(object);
+                objectsCollection[nameKey].push(object);
+            }
+
+            // otherwise it's a rectangle
+            else
+            {
+                var object = slice(o, [ 'id', 'name', 'type', 'x', 'y', 'width', 'height', 'visible', 'rotation', 'properties' ]);
+                object.x += relativePosition.x;
+                object.y += relativePosition.y;
+
+                object.rectangle = true;
+                collisionCollection[nameKey].push(object);
+                objectsCollection[nameKey].push(object);
+            }
+        }
+
+        return {
+            objectsCollection: objectsCollection,
+            collisionCollection: collisionCollection
+        };
+    },
+
+    /**
+    * Decodes base64 encoded, and optionally compressed, Tiled tile data into an array of global tile IDs.
+    *
+    * @method Phaser.TilemapParser.decodeLayerData
+    * @param {string} data - The base64 encoded data.
+    * @param {string} [compression] - The compression of the data: 'zlib', 'gzip', 'zstd' or any other key of {@link Phaser.TilemapParser.decompressors}.
+    * @param {string} [name] - The name of the layer the data belongs to, used in warnings.
+    * @return {?number[]} The global tile IDs, or null if the data couldn't be decoded.
+    */
+    decodeLayerData: function (data, compression, name)
+    {
+
+        var binaryString = window.atob(data);
+        var len = binaryString.length;
+        var bytes = new Uint8Array(len);
+
+        for (var i = 0; i < len; i++)
+        {
+            bytes[i] = binaryString.charCodeAt(i);
+        }
+
+        if (compression)
+        {
+            if (!this.decompressors.hasOwnProperty(compression))
+            {
+                console.warn('TilemapParser.parseTiledJSON - Layer compression \'' + compression + '\' is unsupported, skipping layer \'' + name + '\'');
+                return null;
+            }
+
+            try
+            {
+                bytes = this.decompressors[compression](bytes);
+            }
+            catch (e)
+            {
+                console.warn('TilemapParser.parseTiledJSON - Could not decompress layer \'' + name + '\': ' + e.message);
+                return null;
+            }
+        }
+
+        var gids = new Array(bytes.length >> 2);
+
+        // Interpret bytes as little-endian encoded uint32 values.
+        for (var j = 0; j < gids.length; j++)
+        {
+            var k = j * 4;
+
+            gids[j] = (bytes[k] | bytes[k + 1] << 8 | bytes[k + 2] << 16 | bytes[k + 3] << 24) >>> 0;
+        }
+
+        return gids;
+
+    },
+
+    /**
+    * Flattens the group layers of a Tiled map into a single list of layers.
+    *
+    * The layers within a group are shallow copies of the JSON layers with the offsets of their groups added to their own, their opacity,
+    * parallax factors and tint color multiplied by those of their groups, and their `visible` property false if any of their groups is hidden.
+    * Each copy also gets a `group` property describing its group, with the `name`, `properties`, `offsetX`, `offsetY`, `alpha`, `parallaxX`,
+    * `parallaxY`, `tintColor` and `visible` values of the group (including those of its own groups) and the parent `group`, or null if the
+    * group isn't nested. Layers outside of groups are returned as they are.
+    *
+    * @method Phaser.TilemapParser.flattenLayers
+    * @param {object[]} layers - The JSON layers.
+    * @param {object} [group] - The group the layers belong to.
+    * @return {object[]} The layers, in drawing order, without any group layers.
+    */
+    flattenLayers: function (layers, group)
+    {
+
+        var output = [];
+
+        for (var i = 0; i < layers.length; i++)
+        {
+            var layer = layers[i];
+            var opacity = (layer.opacity === undefined) ? 1 : layer.opacity;
+            var parallaxX = (layer.parallaxx === undefined) ? 1 : layer.parallaxx;
+            var parallaxY = (layer.parallaxy === undefined) ? 1 : layer.parallaxy;
+
+            if (layer.type === 'group')
+            {
+                var child = {
+                    name: layer.name,
+                    properties: layer.properties || {},
+                    offsetX: (group ? group.offsetX : 0) + (layer.offsetx || 0),
+                    offsetY: (group ? group.offsetY : 0) + (layer.offsety || 0),
+                    alpha: (group ? group.alpha : 1) * opacity,
+                    parallaxX: (group ? group.parallaxX : 1) * parallaxX,
+                    parallaxY: (group ? group.parallaxY : 1) * parallaxY,
+                    tintColor: this.multiplyTintColors(group ? group.tintColor : null, layer.tintcolor),
+                    visible: (group ? group.visible : true) && layer.visible !== false,
+                    group: group || null
+                };
+
+                output = output.concat(this.flattenLayers(layer.layers || [], child));
+            }
+            else if (group)
+            {
+                var copy = Phaser.Utils.extend({}, layer);
+
+                copy.offsetx = group.offsetX + (layer.offsetx || 0);
+                copy.offsety = group.offsetY + (layer.offsety || 0);
+                copy.opacity = group.alpha * opacity;
+                copy.parallaxx = group.parallaxX * parallaxX;
+                copy.parallaxy = group.parallaxY * parallaxY;
+                copy.tintcolor = this.multiplyTintColors(group.tintColor, layer.tintcolor);
+                copy.visible = group.visible && layer.visible !== false;
+                copy.group = group;
+
+                output.push(copy);
+            }
+            else
+            {
+                output.push(layer);
+            }
+        }
+
+        return output;
+
+    },
+
+    /**
+    * Parses a Tiled tint color, which is in the `#RRGGBB` or `#AARRGGBB` format.
+    *
+    * @method Phaser.TilemapParser.parseTintColor
+    * @param {string} [color] - The Tiled color.
+    * @return {?object} A color object with the r, g, b and a (0 - 1) values and the `color` integer (see {@link Phaser.Color.createColor}),
+    *     or null if no valid color is given.
+    */
+    parseTintColor: function (color)
+    {
+
+        var result = (/^#?([a-f\d]{2})?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i).exec(color || '');
+
+        if (!result)
+        {
+            return null;
+        }
+
+        var out = Phaser.Color.createColor(parseInt(result[2], 16), parseInt(result[3], 16), parseInt(result[4], 16));
+
+        //  createColor treats an alpha of 0 as 1
+        out.a = (result[1] === undefined) ? 1 : parseInt(result[1], 16) / 255;
+
+        return Phaser.Color.updateColor(out);
+
+    },
+
+    /**
+    * Multiplies two Tiled tint colors, as Tiled does for the tint colors of layers within group layers.
+    *
+    * @method Phaser.TilemapParser.multiplyTintColors
+    * @param {string} [a] - The first color, in the `#RRGGBB` or `#AARRGGBB` format.
+    * @param {string} [b] - The second color, in the `#RRGGBB` or `#AARRGGBB` format.
+    * @return {string|undefined} The resulting color in the `#AARRGGBB` format, the valid color if only one of them is, or undefined if neither is.
+    */
+    multiplyTintColors: function (a, b)
+    {
+
+        var first = this.parseTintColor(a);
+        var second = this.parseTintColor(b);
+
+        if (!first || !second)
+        {
+            return first ? a : (second ? b : undefined);
+        }
+
+        var hex = Phaser.Color.componentToHex;
+
+        return '#' +
+            hex(Math.round(first.a * second.a * 255)) +
+            hex(Math.round(first.r * second.r / 255)) +
+            hex(Math.round(first.g * second.g / 255)) +
+            hex(Math.round(first.b * second.b / 255));
+
+    },
+
+    /**
+    * Gets the bounds (in tiles) of a Tiled map. For infinite maps this is the area covered by the chunks of all of its tile layers,
+    * which may start at negative coordinates.
+    *
+    * @method Phaser.TilemapParser.getChunkBounds
+    * @param {object} json - The JSON map data.
+    * @param {object[]} [layers=json.layers] - The JSON layers of the map, with any group layers flattened.
+    * @return {object} The bounds, with `x`, `y`, `width` and `height` properties (in tiles).
+    */
+    getChunkBounds: function (json, layers)
+    {
+
+        if (layers === undefined) { layers = json.layers; }
+
+        var left = Infinity;
+        var top = Infinity;
+        var right = -Infinity;
+        var bottom = -Infinity;
+
+        for (var i = 0; i < layers.length; i++)
+        {
+            var chunks = layers[i].chunks;
+
+            if (layers[i].type !== 'tilelayer' || !chunks)
+            {
+                continue;
+            }
+
+            for (var c = 0; c < chunks.length; c++)
+            {
+                left = Math.min(left, chunks[c].x);
+                top = Math.min(top, chunks[c].y);
+                right = Math.max(right, chunks[c].x + chunks[c].width);
+                bottom = Math.max(bottom, chunks[c].y + chunks[c].height);
+            }
+        }
+
+        if (left === Infinity)
+        {
+            return { x: 0, y: 0, width: json.width, height: json.height };
+        }
+
+        //  Keep the parity of the staggered rows (or columns) the same as in Tiled
+        if (json.orientation === Phaser.Tilemap.STAGGERED || json.orientation === Phaser.Tilemap.HEXAGONAL)
+        {
+            if (json.staggeraxis === 'x')
+            {
+                left -= left & 1;
+            }
+            else
+            {
+                top -= top & 1;
+            }
+        }
+
+        return { x: left, y: top, width: right - left, height: bottom - top };
+
+    },
+
+    /**
+    * Gets the offset (in pixels) to add to Tiled object coordinates so that they line up with the tiles of the map,
+    * whose top-left location is moved to 0,0 when the map is {@link Phaser.Tilemap#infinite infinite}.
+    *
+    * @method Phaser.TilemapParser.getOriginOffset
+    * @param {object} map - The parsed map data.
+    * @return {object} The offset, with `x` and `y` properties (in pixels).
+    */
+    getOriginOffset: function (map)
+    {
+
+        var tw = map.tileWidth;
+        var th = map.tileHeight;
+        var side = (map.orientation === Phaser.Tilemap.HEXAGONAL) ? map.hexSideLength : 0;
+
+        if (map.orientation === Phaser.Tilemap.ISOMETRIC)
+        {
+            //  Tiled measures both axes of isometric object coordinates in tile heights
+            tw = th;
+        }
+        else if (map.orientation === Phaser.Tilemap.STAGGERED || map.orientation === Phaser.Tilemap.HEXAGONAL)
+        {
+            if (map.staggerAxis === 'x')
+            {
+                tw = (tw - side) / 2 + side;
+            }
+            else
+            {
+                th = (th - side) / 2 + side;
+            }
+        }
+
+        return { x: -map.originX * tw, y: -map.originY * th };
+
+    },
+
+    /**
+    * Decodes the chunks of a Tiled infinite map layer. The chunk locations are made relative to the map origin.
+    *
+    * @method Phaser.TilemapParser.parseChunks
+    * @param {object} json - The JSON layer data.
+    * @param {object} map - The parsed map data.
+    * @return {?object[]} The chunks, each with `x`, `y`, `width`, `height` (in tiles), `data` (an array of global tile IDs)
+    *     and `loaded` properties, or null if the chunk data couldn't be decoded.
+    */
+    parseChunks: function (json, map)
+    {
+
+        var chunks = [];
+
+        for (var i = 0; i < json.chunks.length; i++)
+        {
+            var chunk = json.chunks[i];
+            var data = chunk.data;
+
+            if (json.encoding === 'base64')
+            {
+                data = this.decodeLayerData(data, json.compression, json.name);
+
+                if (data === null)
+                {
+                    return null;
+                }
+            }
+
+            chunks.push({
+                x: chunk.x - map.originX,
+                y: chunk.y - map.originY,
+                width: chunk.width,
+                height: chunk.height,
+                data: data.slice(),
+                loaded: false
+            });
+        }
+
+        return chunks;
+
+    },
+
+    /**
+    * Copies the global tile IDs of a set of chunks into a single array covering the whole layer. Locations without a chunk are empty (0).
+    *
+    * @method Phaser.TilemapParser.mergeChunks
+    * @param {object[]} chunks - The chunks, as returned by {@link Phaser.TilemapParser.parseChunks}.
+    * @param {integer} width - The width of the layer (in tiles).
+    * @param {integer} height - The height of the layer (in tiles).
+    * @return {number[]} The global tile IDs of the layer, row by row.
+    */
+    mergeChunks: function (chunks, width, height)
+    {
+
+        var data = [];
+        var i;
+
+        for (i = 0; i < width * height; i++)
+        {
+            data.push(0);
+        }
+
+        for (i = 0; i < chunks.length; i++)
+        {
+            var chunk = chunks[i];
+
+            for (var y = 0; y < chunk.height; y++)
+            {
+                for (var x = 0; x < chunk.width; x++)
+                {
+                    data[(chunk.y + y) * width + chunk.x + x] = chunk.data[y * chunk.width + x];
+                }
+            }
+        }
+
+        return data;
+
+    },
+
+    /**
+    * Creates the Tile for a Tiled global tile ID, which may include the flip flags in its high bits.
+    * For an empty ID (0) this returns either null or a Tile with an index of -1, according to {@link Phaser.TilemapParser.INSERT_NULL}.
+    *
+    * @method Phaser.TilemapParser.createTile
+    * @param {Phaser.Tilemap|object} map - The map, used to position tiles in isometric, staggered and hexagonal maps.
+    * @param {object} layer - The layer data the tile belongs to.
+    * @param {number} gid - The global tile ID.
+    * @param {integer} x - The x map coordinate (in tiles).
+    * @param {integer} y - The y map coordinate (in tiles).
+    * @return {?Phaser.Tile} The new Tile.
+    */
+    createTile: function (map, layer, gid, x, y)
+    {
+
+        var rotation = 0;
+        var flipped = false;
+        var flippedVal = 0;
+
+        //  If true the current tile is flipped or rotated (Tiled TMX format)
+        if (gid > 0x20000000)
+        {
+            // FlippedX
+            if (gid > 0x80000000)
+            {
+                gid -= 0x80000000;
+                flippedVal += 4;
+            }
+
+            // FlippedY
+            if (gid > 0x40000000)
+            {
+                gid -= 0x40000000;
+                flippedVal += 2;
+            }
+
+            // FlippedAD (anti-diagonal = top-right is swapped with bottom-left corners)
+            if (gid > 0x20000000)
+            {
+                gid -= 0x20000000;
+                flippedVal += 1;
+            }
+
+            switch (flippedVal)
+            {
+                case 5:
+                    rotation = Math.PI / 2;
+                    break;
+
+                case 6:
+                    rotation = Math.PI;
+                    break;
+
+                case 3:
+                    rotation = 3 * Math.PI / 2;
+                    break;
+
+                case 4:
+                    rotation = 0;
+                    flipped = true;
+                    break;
+
+                case 7:
+                    rotation = Math.PI / 2;
+                    flipped = true;
+                    break;
+
+                case 2:
+                    rotation = Math.PI;
+                    flipped = true;
+                    break;
+
+                case 1:
+                    rotation = 3 * Math.PI / 2;
+                    flipped = true;
+                    break;
+            }
+        }
+
+        var tile;
+
+        //  index, x, y, width, height
+        if (gid > 0)
+        {
+            tile = new Phaser.Tile(layer, gid, x, y, map.tileWidth, map.tileHeight);
+
+            tile.rotation = rotation;
+            tile.flipped = flipped;
+
+            if (flippedVal !== 0)
+            {
+                //  The WebGL renderer uses this to flip UV coordinates before drawing
+                tile.flippedVal = flippedVal;
+            }
+        }
+        else if (Phaser.TilemapParser.INSERT_NULL)
+        {
+            return null;
+        }
+        else
+        {
+            tile = new Phaser.Tile(layer, -1, x, y, map.tileWidth, map.tileHeight);
+        }
+
+        if (map.orientation !== Phaser.Tilemap.ORTHOGONAL)
+        {
+            map.updateTileWorldXY(tile);
+        }
+
+        return tile;
+
+    },
+
+    /**
+    * Parses the animations of the tiles of a Tiled tileset.
+    *
+    * @method Phaser.TilemapParser.parseTileAnimations
+    * @param {object|object[]} tiles - The `tiles` of the JSON tileset data, either an object keyed by tile ID or an array of tiles with `id` properties.
+    * @return {object} The animations, keyed by tile ID. See {@link Phaser.Tileset#tileAnimations}.
+    */
+    parseTileAnimations: function (tiles)
+    {
+
+        var animations = {};
+
+        for (var ti in tiles)
+        {
+            var animation = tiles[ti].animation;
+
+            if (!animation || animation.length === 0)
+            {
+                continue;
+            }
+
+            var id = (tiles[ti].id !== undefined) ? tiles[ti].id : parseInt(ti, 10);
+
+            animations[id] = [];
+
+            for (var f = 0; f < animation.length; f++)
+            {
+                animations[id].push({ tileId: animation[f].tileid, duration: animation[f].duration });
+            }
+        }
+
+        return animations;
+
+    },
+
+    /**
+    * Gets the ID of a tile of a Tiled tileset. Before Tiled 1.2 the tiles were stored in an object keyed by ID; since then they are an array
+    * of tiles with an `id` property.
+    *
+    * @method Phaser.TilemapParser.getTileId
+    * @param {object|object[]} tiles - The tiles of the tileset.
+    * @param {string} key - The key of the tile in `tiles`.
+    * @return {integer} The tile ID.
+    */
+    getTileId: function (tiles, key)
+    {
+
+        return (tiles[key].id !== undefined) ? tiles[key].id : parseInt(key, 10);
+
+    },
+
+    /**
+    * Gets the properties of the tiles of a Tiled tileset saved by Tiled 1.2 and later, in the format of the `tileproperties` of earlier versions.
+    *
+    * @method Phaser.TilemapParser.parseTileProperties
+    * @param {object[]} tiles - The tiles of the tileset.
+    * @return {object} The property values of each tile, keyed by tile ID.
+    */
+    parseTileProperties: function (tiles)
+    {
+
+        var properties = {};
+
+        for (var i = 0; i < tiles.length; i++)
+        {
+            var tile = tiles[i];
+
+            if (tile.properties)
+            {
+                properties[tile.id] = Array.isArray(tile.properties) ? this.getPropertyValues(tile.properties) : tile.properties;
+            }
+        }
+
+        return properties;
+
+    },
+
+    /**
+    * Parses a Tiled TMX (XML) file into valid map data, by converting it to the JSON format first.
+    *
+    * @method Phaser.TilemapParser.parseTiledXML
+    * @param {Document|object} xml - The TMX Document, or the JSON map data it has already been converted to by {@link Phaser.TilemapParser.convertTMX}.
+    * @return {object} Generated and parsed map data.
+    */
+    parseTiledXML: function (xml)
+    {
+
+        var map = this.parseTiledJSON(xml.documentElement ? this.convertTMX(xml) : xml);
+
+        if (map)
+        {
+            map.format = Phaser.Tilemap.TILED_XML;
+        }
+
+        return map;
+
+    },
+
+    /**
+    * Converts a Tiled TMX (XML) map to the Tiled JSON format, with its layer data either as an array of global tile IDs
+    * (for CSV and XML encoded layers) or as a base64 string (for base64 encoded layers, which are decoded when the map is parsed).
+    *
+    * External tilesets and object templates are left as references, as they are in JSON maps.
+    *
+    * @method Phaser.TilemapParser.convertTMX
+    * @param {Document} xml - The TMX Document.
+    * @return {object} The JSON map data.
+    */
+    convertTMX: function (xml)
+    {
+
+        var node = xml.documentElement;
+
+        var json = this.getXMLAttributes(node, {
+            version: 'string',
+            tiledversion: 'string',
+            orientation: 'string',
+            renderorder: 'string',
+            width: 'int',
+            height: 'int',
+            tilewidth: 'int',
+            tileheight: 'int',
+            hexsidelength: 'int',
+            staggeraxis: 'string',
+            staggerindex: 'string',
+            backgroundcolor: 'string',
+            parallaxoriginx: 'float',
+            parallaxoriginy: 'float',
+            nextlayerid: 'int',
+            nextobjectid: 'int',
+            infinite: 'bool'
+        });
+
+        json.type = 'map';
+        json.tilesets = [];
+        json.layers = this.convertTMXLayers(node);
+
+        for (var i = 0; i < node.childNodes.length; i++)
+        {
+            var child = node.childNodes[i];
+
+            if (child.nodeName === 'properties')
+            {
+                json.properties = this.parseXMLProperties(child);
+            }
+            else if (child.nodeName === 'tileset')
+            {
+                var firstgid = parseInt(child.getAttribute('firstgid'), 10);
+
+                if (child.hasAttribute('source'))
+                {
+                    json.tilesets.push({ firstgid: firstgid, source: child.getAttribute('source') });
+                }
+                else
+                {
+                    var set = this.parseXMLTileset(child);
+
+                    set.firstgid = firstgid;
+
+                    json.tilesets.push(set);
+                }
+            }
+        }
+
+        return json;
+
+    },
+
+    /**
+    * Converts the layer elements within a TMX `map` or `group` element to the Tiled JSON format.
+    *
+    * @method Phaser.TilemapParser.convertTMXLayers
+    * @param {Element} node - The `map` or `group` element.
+    * @return {object[]} The JSON layers.
+    */
+    convertTMXLayers: function (node)
+    {
+
+        var layers = [];
+        var types = { layer: 'tilelayer', objectgroup: 'objectgroup', imagelayer: 'imagelayer', group: 'group' };
+
+        for (var i = 0; i < node.childNodes.length; i++)
+        {
+            var child = node.childNodes[i];
+            var type = types[child.nodeName];
+
+            if (!type)
+            {
+                continue;
+            }
+
+            var layer = this.getXMLAttributes(child, {
+                id: 'int',
+                name: 'string',
+                x: 'int',
+                y: 'int',
+                width: 'int',
+                height: 'int',
+                offsetx: 'float',
+                offsety: 'float',
+                parallaxx: 'float',
+                parallaxy: 'float',
+                tintcolor: 'string',
+                color: 'string',
+                draworder: 'string'
+            });
+
+            layer.type = type;
+            layer.name = layer.name || '';
+            layer.x = layer.x || 0;
+            layer.y = layer.y || 0;
+            layer.opacity = child.hasAttribute('opacity') ? parseFloat(child.getAttribute('opacity')) : 1;
+            layer.visible = child.getAttribute('visible') !== '0';
+
+            if (type === 'objectgroup')
+            {
+                layer.objects = [];
+            }
+            else if (type === 'group')
+            {
+                layer.layers = this.convertTMXLayers(child);
+            }
+
+            for (var j = 0; j < child.childNodes.length; j++)
+            {
+                var item = child.childNodes[j];
+
+                switch (item.nodeName)
+                {
+                    case 'properties':
+                        layer.properties = this.parseXMLProperties(item);
+                        break;
+
+                    case 'data':
+                        this.convertTMXLayerData(item, layer);
+                        break;
+
+                    case 'object':
+                        layer.objects.push(this.convertTMXObject(item));
+                        break;
+
+                    case 'image':
+                        layer.image = item.getAttribute('source');
+                        break;
+                }
+            }
 
-        return map;
+            layers.push(layer);
+        }
+
+        return layers;
 
     },
 
     /**
-    * Returns an empty map data object.
+    * Adds the tile data of a TMX `data` element to a JSON tile layer, as `data` or (for infinite maps) `chunks`.
     *
-    * @method Phaser.TilemapParser.getEmptyData
-    * @return {object} Generated map data.
+    * @method Phaser.TilemapParser.convertTMXLayerData
+    * @param {Element} node - The `data` element.
+    * @param {object} layer - The JSON layer.
     */
-    getEmptyData: function (tileWidth, tileHeight, width, height)
+    convertTMXLayerData: function (node, layer)
     {
 
-        return {
-            width: (width !== undefined && width !== null) ? width : 0,
-            height: (height !== undefined && height !== null) ? height : 0,
-            tileWidth: (tileWidth !== undefined && tileWidth !== null) ? tileWidth : 0,
-            tileHeight: (tileHeight !== undefined && tileHeight !== null) ? tileHeight : 0,
-            orientation: 'orthogonal',
-            version: '1',
-            properties: {},
-            widthInPixels: 0,
-            heightInPixels: 0,
-            layers: [
-                {
-                    name: 'layer',
-                    x: 0,
-                    y: 0,
-                    width: 0,
-                    height: 0,
-                    widthInPixels: 0,
-                    heightInPixels: 0,
-                    alpha: 1,
-                    visible: true,
-                    properties: {},
-                    indexes: [],
-                    callbacks: [],
-                    bodies: [],
-                    data: []
-                }
-            ],
-            images: [],
-            objects: {},
-            collision: {},
-            tilesets: [],
-            tiles: []
-        };
+        var encoding = node.getAttribute('encoding');
 
-    },
+        if (encoding === 'base64')
+        {
+            layer.encoding = 'base64';
 
-    _slice: function (obj, fields)
-    {
-        var sliced = {};
+            if (node.hasAttribute('compression'))
+            {
+                layer.compression = node.getAttribute('compression');
+            }
+        }
 
-        for (var k in fields)
+        for (var i = 0; i < node.childNodes.length; i++)
         {
-            var key = fields[k];
+            var chunk = node.childNodes[i];
 
-            if (typeof obj[key] !== 'undefined')
+            if (chunk.nodeName === 'chunk')
             {
-                sliced[key] = obj[key];
+                layer.chunks = layer.chunks || [];
+
+                layer.chunks.push({
+                    x: parseInt(chunk.getAttribute('x'), 10),
+                    y: parseInt(chunk.getAttribute('y'), 10),
+                    width: parseInt(chunk.getAttribute('width'), 10),
+                    height: parseInt(chunk.getAttribute('height'), 10),
+                    data: this.convertTMXTileData(chunk, encoding)
+                });
             }
         }
 
-        return sliced;
+        if (!layer.chunks)
+        {
+            layer.data = this.convertTMXTileData(node, encoding);
+        }
+
     },
 
     /**
-    * Parses an object group in Tiled JSON files. Object groups can be found in both layers and tilesets. Called internally in parseTiledJSON.
-    * @method Phaser.TilemapParser.parseObjectGroup
-    * @param {object} objectGroup - A JSON object group.
-    * @param {object} objectsCollection - An object into which new array of Tiled map objects will be added.
-    * @param {object} collisionCollection - An object into which new array of collision objects will be added. Currently only polylines are added.
-    * @param {string} [nameKey=objectGroup.name] - Key under which to store objects in collisions in objectsCollection and collisionCollection
-    * @param {object} [relativePosition={x: 0, y: 0}] - Coordinates the object group's position is relative to.
-    * @return {object} A object literal containing the objectsCollection and collisionCollection
+    * Converts the tiles of a TMX `data` or `chunk` element to the Tiled JSON format.
+    *
+    * @method Phaser.TilemapParser.convertTMXTileData
+    * @param {Element} node - The `data` or `chunk` element.
+    * @param {?string} encoding - The encoding of the data: 'csv', 'base64', or null for `tile` elements.
+    * @return {number[]|string} The global tile IDs, or the base64 string.
     */
-    parseObjectGroup: function (objectGroup, objectsCollection, collisionCollection, nameKey, relativePosition)
+    convertTMXTileData: function (node, encoding)
     {
 
-        var nameKey = nameKey || objectGroup.name;
-        var relativePosition = relativePosition || {x: 0, y: 0};
-        var slice = this._slice;
+        var i;
+        var data = [];
 
-        if (!nameKey)
+        if (encoding === 'base64')
         {
-            console.warn('No name found for objectGroup', objectGroup);
+            return node.textContent.replace(/\s+/g, '');
         }
-
-        if (relativePosition.x === undefined || relativePosition.y === undefined)
+        else if (encoding === 'csv')
         {
-            console.warn('Malformed xy properties in relativePosition', relativePosition);
-        }
+            var values = node.textContent.trim().split(',');
 
-        objectsCollection[nameKey] = objectsCollection[nameKey] || [];
-        collisionCollection[nameKey] = collisionCollection[nameKey] || [];
-
-        for (var v = 0, len = objectGroup.objects.length; v < len; v++)
+            for (i = 0; i < values.length; i++)
+            {
+                data.push(parseInt(values[i], 10));
+            }
+        }
+        else
         {
-            var o = objectGroup.objects[v];
-
-            //  Object Tiles
-            if (o.gid)
+            for (i = 0; i < node.childNodes.length; i++)
             {
-                var object = {
-                    gid: o.gid,
-                    name: o.name,
-                    type: o.type || '',
-                    x: o.x + relativePosition.x,
-                    y: o.y + relativePosition.y,
-                    width: o.width,
-                    height: o.height,
-                    visible: o.visible,
-                    properties: o.properties
-                };
-
-                if (o.rotation)
+                if (node.childNodes[i].nodeName === 'tile')
                 {
-                    object.rotation = o.rotation;
+                    data.push(parseInt(node.childNodes[i].getAttribute('gid'), 10) || 0);
                 }
-
-                objectsCollection[nameKey].push(object);
             }
-            else if (o.polyline)
-            {
-                var object = {
-                    name: o.name,
-                    type: o.type,
-                    x: o.x + relativePosition.x,
-                    y: o.y + relativePosition.y,
-                    width: o.width,
-                    height: o.height,
-                    visible: o.visible,
-                    properties: o.properties
-                };
+        }
 
-                if (o.rotation)
-                {
-                    object.rotation = o.rotation;
-                }
+        return data;
 
-                object.polyline = [];
+    },
 
-                //  Parse the polyline into an array
-                for (var p = 0; p < o.polyline.length; p++)
-                {
-                    object.polyline.push([ o.polyline[p].x, o.polyline[p].y ]);
-                }
+    /**
+    * Converts a TMX `object` element to the Tiled JSON format. Objects that are not instances of a template get the default values
+    * of the attributes that aren't set, as in JSON maps.
+    *
+    * @method Phaser.TilemapParser.convertTMXObject
+    * @param {Element} node - The `object` element.
+    * @return {object} The JSON object.
+    */
+    convertTMXObject: function (node)
+    {
 
-                collisionCollection[nameKey].push(object);
-                objectsCollection[nameKey].push(object);
-            }
+        var object = this.parseXMLObject(node);
 
-            // polygon
-            else if (o.polygon)
+        if (object.template)
+        {
+            return object;
+        }
+
+        var defaults = { name: '', type: '', x: 0, y: 0, width: 0, height: 0, rotation: 0, visible: true };
+
+        for (var key in defaults)
+        {
+            if (object[key] === undefined)
             {
-                var object = slice(o, [ 'name', 'type', 'x', 'y', 'visible', 'rotation', 'properties' ]);
+                object[key] = defaults[key];
+            }
+        }
 
-                object.x += relativePosition.x;
-                object.y += relativePosition.y;
+        return object;
 
-                //  Parse the polygon into an array
-                object.polygon = [];
+    },
 
-                for (var p = 0; p < o.polygon.length; p++)
-                {
-                    object.polygon.push([ o.polygon[p].x, o.polygon[p].y ]);
-                }
+    /**
+    * Gets the values of a set of attributes of an XML element. Attributes that aren't set are left out.
+    *
+    * @method Phaser.TilemapParser.getXMLAttributes
+    * @param {Element} node - The element.
+    * @param {object} attributes - The attribute types ('int', 'float', 'bool' or 'string'), keyed by attribute name.
+    * @return {object} The attribute values.
+    */
+    getXMLAttributes: function (node, attributes)
+    {
 
-                collisionCollection[nameKey].push(object);
-                objectsCollection[nameKey].push(object);
-            }
+        var values = {};
 
-            // ellipse
-            else if (o.ellipse)
+        for (var name in attributes)
+        {
+            if (!node.hasAttribute(name))
             {
-                var object = slice(o, [ 'name', 'type', 'ellipse', 'x', 'y', 'width', 'height', 'visible', 'rotation', 'properties' ]);
-                object.x += relativePosition.x;
-                object.y += relativePosition.y;
-
-                collisionCollection[nameKey].push(object);
-                objectsCollection[nameKey].push(object);
+                continue;
             }
 
-            // otherwise it's a rectangle
-            else
+            var value = node.getAttribute(name);
+
+            switch (attributes[name])
             {
-                var object = slice(o, [ 'name', 'type', 'x', 'y', 'width', 'height', 'visible', 'rotation', 'properties' ]);
-                object.x += relativePosition.x;
-                object.y += relativePosition.y;
+                case 'int':
+                    value = parseInt(value, 10);
+                    break;
 
-                object.rectangle = true;
-                collisionCollection[nameKey].push(object);
-                objectsCollection[nameKey].push(object);
+                case 'float':
+                    value = parseFloat(value);
+                    break;
+
+                case 'bool':
+                    value = (value === '1' || value === 'true');
+                    break;
             }
+
+            values[name] = value;
         }
 
-        return {
-            objectsCollection: objectsCollection,
-            collisionCollection: collisionCollection
-        };
+        return values;
+
     },
 
     /**
@@ -342,67 +2106,86 @@ Phaser.TilemapParser = {
     parseTiledJSON: function (json)
     {
 
-        if (json.orientation !== 'orthogonal')
+        if (json.orientation !== Phaser.Tilemap.ORTHOGONAL &&
+            json.orientation !== Phaser.Tilemap.ISOMETRIC &&
+            json.orientation !== Phaser.Tilemap.STAGGERED &&
+            json.orientation !== Phaser.Tilemap.HEXAGONAL)
         {
-            console.warn('TilemapParser.parseTiledJSON - Only orthogonal map types are supported in this version of Phaser');
+            console.warn('TilemapParser.parseTiledJSON - Unsupported map orientation: ' + json.orientation);
             return null;
         }
 
+        //  The layers within group layers are parsed like any other, with the offsets, opacity and visibility of their groups applied
+        var jsonLayers = this.flattenLayers(json.layers);
+
+        //  Infinite maps store their tile layers in chunks, which can lie at negative coordinates
+        var bounds = this.getChunkBounds(json, jsonLayers);
+
         //  Map data will consist of: layers, objects, images, tilesets, sizes
         var map = {
-            width: json.width,
-            height: json.height,
+            width: bounds.width,
+            height: bounds.height,
             tileWidth: json.tilewidth,
             tileHeight: json.tileheight,
             orientation: json.orientation,
+            staggerAxis: json.staggeraxis || 'y',
+            staggerIndex: json.staggerindex || 'odd',
+            hexSideLength: json.hexsidelength || 0,
+            infinite: !!json.infinite,
+            originX: bounds.x,
+            originY: bounds.y,
+            parallaxOriginX: json.parallaxoriginx || 0,
+            parallaxOriginY: json.parallaxoriginy || 0,
             format: Phaser.Tilemap.TILED_JSON,
             version: json.version,
-            properties: json.properties,
-            widthInPixels: json.width * json.tilewidth,
-            heightInPixels: json.height * json.tileheight
+            properties: json.properties
         };
 
+        //  Borrow the orientation-aware helpers of Phaser.Tilemap to position the tiles
+        var projection = Phaser.Utils.extend(Object.create(Phaser.Tilemap.prototype), map);
+        var size = projection.getPixelSize(map.width, map.height);
+
+        map.widthInPixels = size.x;
+        map.heightInPixels = size.y;
+
         //  Tile Layers
         var layers = [];
 
-        for (var i = 0; i < json.layers.length; i++)
+        for (var i = 0; i < jsonLayers.length; i++)
         {
-            if (json.layers[i].type !== 'tilelayer')
+            if (jsonLayers[i].type !== 'tilelayer')
             {
                 continue;
             }
 
-            var curl = json.layers[i];
+            var curl = jsonLayers[i];
+            var chunks = null;
+            var data = curl.data;
 
-            // Base64 decode data if necessary
-            // NOTE: uncompressed base64 only.
+            if (curl.chunks)
+            {
+                chunks = this.parseChunks(curl, map);
 
-            if (!curl.compression && curl.encoding && curl.encoding === 'base64')
+                if (chunks === null)
+                {
+                    continue;
+                }
+            }
+            else if (curl.encoding && curl.encoding === 'base64')
             {
-                var binaryString = window.atob(curl.data);
-                var len = binaryString.length;
-                var bytes = new Array(len);
+                // Base64 decode (and decompress) data if necessary
+                var gids = this.decodeLayerData(curl.data, curl.compression, curl.name);
 
-                // Interpret binaryString as an array of bytes representing
-                // little-endian encoded uint32 values.
-                for (var j = 0; j < len; j += 4)
+                if (gids === null)
                 {
-                    bytes[j / 4] = (
-                        binaryString.charCodeAt(j) |
-                        binaryString.charCodeAt(j + 1) << 8 |
-                        binaryString.charCodeAt(j + 2) << 16 |
-                        binaryString.charCodeAt(j + 3) << 24
-                    ) >>> 0;
+                    continue;
                 }
 
-                curl.data = bytes;
+                curl.data = gids;
+                data = gids;
 
                 delete curl.encoding;
-            }
-            else if (curl.compression)
-            {
-                console.warn('TilemapParser.parseTiledJSON - Layer compression is unsupported, skipping layer \'' + curl.name + '\'');
-                continue;
+                delete curl.compression;
             }
 
             var layer = {
@@ -410,137 +2193,72 @@ Phaser.TilemapParser = {
                 name: curl.name,
                 x: curl.x,
                 y: curl.y,
-                width: curl.width,
-                height: curl.height,
-                widthInPixels: curl.width * json.tilewidth,
-                heightInPixels: curl.height * json.tileheight,
+                width: (chunks) ? map.width : curl.width,
+                height: (chunks) ? map.height : curl.height,
+                widthInPixels: 0,
+                heightInPixels: 0,
                 alpha: curl.opacity,
                 offsetX: curl.offsetx,
                 offsetY: curl.offsety,
+                parallaxX: (curl.parallaxx === undefined) ? 1 : curl.parallaxx,
+                parallaxY: (curl.parallaxy === undefined) ? 1 : curl.parallaxy,
+                tintColor: curl.tintcolor || null,
                 visible: curl.visible,
                 properties: {},
                 indexes: [],
                 callbacks: [],
-                bodies: []
+                bodies: [],
+                chunks: chunks,
+                streaming: !!chunks && Phaser.TilemapParser.STREAM_CHUNKS,
+                group: curl.group || null,
+                drawIndex: i
 
             };
 
+            projection.getPixelSize(layer.width, layer.height, size);
+
+            layer.widthInPixels = size.x;
+            layer.heightInPixels = size.y;
+
             if (curl.properties)
             {
                 layer.properties = curl.properties;
             }
 
-            var x = 0;
-            var row = [];
             var output = [];
-            var rotation, flipped, flippedVal, gid;
-
-            //  Loop through the data field in the JSON.
-
-            //  This is an array containing the tile indexes, one after the other. -1 = no tile, everything else = the tile index (starting at 1 for Tiled, 0 for CSV)
-            //  If the map contains multiple tilesets then the indexes are relative to that which the set starts from.
-            //  Need to set which tileset in the cache = which tileset in the JSON, if you do this manually it means you can use the same map data but a new tileset.
+            var t = 0;
 
-            for (var t = 0, len = curl.data.length; t < len; t++)
+            if (layer.streaming)
             {
-                rotation = 0;
-                flipped = false;
-                gid = curl.data[t];
-                flippedVal = 0;
-
-                //  If true the current tile is flipped or rotated (Tiled TMX format)
-                if (gid > 0x20000000)
+                //  The rows are filled in as the chunks are loaded by Phaser.Tilemap#updateChunks
+                for (t = 0; t < layer.height; t++)
                 {
-                    // FlippedX
-                    if (gid > 0x80000000)
-                    {
-                        gid -= 0x80000000;
-                        flippedVal += 4;
-                    }
-
-                    // FlippedY
-                    if (gid > 0x40000000)
-                    {
-                        gid -= 0x40000000;
-                        flippedVal += 2;
-                    }
-
-                    // FlippedAD (anti-diagonal = top-right is swapped with bottom-left corners)
-                    if (gid > 0x20000000)
-                    {
-                        gid -= 0x20000000;
-                        flippedVal += 1;
-                    }
-
-                    switch (flippedVal)
-                    {
-                        case 5:
-                            rotation = Math.PI / 2;
-                            break;
-
-                        case 6:
-                            rotation = Math.PI;
-                            break;
-
-                        case 3:
-                            rotation = 3 * Math.PI / 2;
-                            break;
-
-                        case 4:
-                            rotation = 0;
-                            flipped = true;
-                            break;
-
-                        case 7:
-                            rotation = Math.PI / 2;
-                            flipped = true;
-                            break;
-
-                        case 2:
-                            rotation = Math.PI;
-                            flipped = true;
-                            break;
-
-                        case 1:
-                            rotation = 3 * Math.PI / 2;
-                            flipped = true;
-                            break;
-                    }
+                    output.push([]);
                 }
-
-                //  index, x, y, width, height
-                if (gid > 0)
+            }
+            else
+            {
+                if (chunks)
                 {
-                    var tile = new Phaser.Tile(layer, gid, x, output.length, json.tilewidth, json.tileheight);
+                    data = this.mergeChunks(chunks, layer.width, layer.height);
+                }
 
-                    tile.rotation = rotation;
-                    tile.flipped = flipped;
+                //  Loop through the data field in the JSON.
 
-                    if (flippedVal !== 0)
-                    {
-                        //  The WebGL renderer uses this to flip UV coordinates before drawing
-                        tile.flippedVal = flippedVal;
-                    }
+                //  This is an array containing the tile indexes, one after the other. -1 = no tile, everything else = the tile index (starting at 1 for Tiled, 0 for CSV)
+                //  If the map contains multiple tilesets then the indexes are relative to that which the set starts from.
+                //  Need to set which tileset in the cache = which tileset in the JSON, if you do this manually it means you can use the same map data but a new tileset.
 
-                    row.push(tile);
-                }
-                else
-                if (Phaser.TilemapParser.INSERT_NULL)
-                {
-                    row.push(null);
-                }
-                else
+                for (var y = 0; y < layer.height; y++)
                 {
-                    row.push(new Phaser.Tile(layer, -1, x, output.length, json.tilewidth, json.tileheight));
-                }
+                    var row = [];
 
-                x++;
+                    for (var x = 0; x < layer.width; x++)
+                    {
+                        row.push(this.createTile(projection, layer, data[t++], x, y));
+                    }
 
-                if (x === curl.width)
-                {
                     output.push(row);
-                    x = 0;
-                    row = [];
                 }
             }
 
@@ -554,14 +2272,14 @@ Phaser.TilemapParser = {
         //  Images
         var images = [];
 
-        for (var i = 0; i < json.layers.length; i++)
+        for (var i = 0; i < jsonLayers.length; i++)
         {
-            if (json.layers[i].type !== 'imagelayer')
+            if (jsonLayers[i].type !== 'imagelayer')
             {
                 continue;
             }
 
-            var curi = json.layers[i];
+            var curi = jsonLayers[i];
 
             var image = {
 
@@ -569,9 +2287,16 @@ Phaser.TilemapParser = {
                 image: curi.image,
                 x: curi.x,
                 y: curi.y,
+                offsetX: curi.offsetx || 0,
+                offsetY: curi.offsety || 0,
+                parallaxX: (curi.parallaxx === undefined) ? 1 : curi.parallaxx,
+                parallaxY: (curi.parallaxy === undefined) ? 1 : curi.parallaxy,
+                tintColor: curi.tintcolor || null,
                 alpha: curi.opacity,
                 visible: curi.visible,
-                properties: {}
+                properties: {},
+                group: curi.group || null,
+                drawIndex: i
 
             };
 
@@ -597,9 +2322,10 @@ Phaser.TilemapParser = {
             //  name, firstgid, width, height, margin, spacing, properties
             var set = json.tilesets[i];
 
-            if (set.source)
+            //  External tilesets that have been resolved keep their source
+            if (set.source && !set.image && !set.tiles)
             {
-                console.warn('Phaser.TilemapParser - Phaser can\'t load external tilesets (%s). Use the Embed Tileset button and then export the map again.', set.source);
+                console.warn('Phaser.TilemapParser - The external tileset (%s) has not been loaded, see TilemapParser.resolveTilesets', set.source);
             }
             else if (set.image)
             {
@@ -609,6 +2335,21 @@ Phaser.TilemapParser = {
                 {
                     newSet.tileProperties = set.tileproperties;
                 }
+                else if (Array.isArray(set.tiles))
+                {
+                    //  Since Tiled 1.2 the tile properties are stored with the tiles
+                    newSet.tileProperties = this.parseTileProperties(set.tiles);
+                }
+
+                if (set.tiles)
+                {
+                    newSet.tileAnimations = this.parseTileAnimations(set.tiles);
+                }
+
+                if (set.wangsets)
+                {
+                    newSet.wangsets = set.wangsets;
+                }
 
                 // For a normal sliced tileset the row/count/size information is computed when updated.
                 // This is done (again) after the image is set.
@@ -623,7 +2364,7 @@ Phaser.TilemapParser = {
                 for (var ti in set.tiles)
                 {
                     var image = set.tiles[ti].image;
-                    var gid = set.firstgid + parseInt(ti, 10);
+                    var gid = set.firstgid + this.getTileId(set.tiles, ti);
                     newCollection.addImage(gid, image);
                 }
 
@@ -644,7 +2385,7 @@ Phaser.TilemapParser = {
                     continue;
                 }
 
-                tilesetGroupObjects[parseInt(ti, 10) + set.firstgid] = objectGroup;
+                tilesetGroupObjects[this.getTileId(set.tiles, ti) + set.firstgid] = objectGroup;
             }
 
             //  We've got a new Tileset, so set the lastgid into the previous one
@@ -666,20 +2407,37 @@ Phaser.TilemapParser = {
 
         //  Objects & Collision Data (polylines, etc)
         var objects = {};
+        var objectIndexes = {};
         var collision = {};
 
-        for (var i = 0; i < json.layers.length; i++)
+        for (var i = 0; i < jsonLayers.length; i++)
         {
-            if (json.layers[i].type !== 'objectgroup')
+            if (jsonLayers[i].type !== 'objectgroup')
             {
                 continue;
             }
 
-            var objectGroup = json.layers[i];
-            this.parseObjectGroup(objectGroup, objects, collision);
+            var objectGroup = jsonLayers[i];
+            var relativePosition = this.getOriginOffset(map);
+
+            //  Only the offsets of the groups are applied to objects, not the offset of the object layer itself
+            if (objectGroup.group)
+            {
+                relativePosition.x += objectGroup.group.offsetX;
+                relativePosition.y += objectGroup.group.offsetY;
+            }
+
+            this.parseObjectGroup(objectGroup, objects, collision, objectGroup.name, relativePosition);
+
+            //  Object layers with the same name share one array of objects, which keeps the place of the first
+            if (!objectIndexes.hasOwnProperty(objectGroup.name))
+            {
+                objectIndexes[objectGroup.name] = i;
+            }
         }
 
         map.objects = objects;
+        map.objectIndexes = objectIndexes;
         map.collision = collision;
 
         map.tiles = [];
@@ -0,0 +1,986 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* The Tilemap Pathfinder finds paths between the tiles of a Tilemap layer.
+*
+* It keeps a navigation grid with the cost of moving onto each tile of the layer. Tiles that collide are blocked,
+* and the cost of the others comes from {@link #costs} or a tile property (see {@link #costProperty}), with 1 as the default.
+* A cost of 0 or less, or Infinity, also blocks a tile. The grid is updated whenever the map recalculates the collision
+* faces of an area, so changes made with {@link Phaser.Tilemap#putTile}, {@link Phaser.Tilemap#removeTile} or
+* {@link Phaser.Tilemap#setCollision} are picked up automatically. Call {@link #updateGrid} after changing the costs.
+*
+* Paths are found with A* or, on maps where every walkable tile costs the same, the faster Jump Point Search (see {@link #algorithm}).
+* Without a callback {@link #findPath} returns the path straight away. With a callback the search is queued and spread over
+* as many frames as it needs, doing at most {@link #iterationsPerFrame} steps each frame.
+*
+* ```javascript
+* var pathfinder = map.createPathfinder(layer, { diagonal: true });
+*
+* pathfinder.findPath(1, 1, 20, 12, function (path) {
+*     if (path) { console.log('Path of', path.length, 'tiles'); }
+* });
+* ```
+*
+* The grid follows the tile coordinates of the map, so in isometric, staggered and hexagonal maps the neighbours of a tile are those of the tile grid.
+*
+* @class Phaser.TilemapPathfinder
+* @constructor
+* @extends Phaser.Plugin
+* @param {Phaser.Game} game - A reference to the currently running game.
+* @param {Phaser.PluginManager} parent - The Phaser Plugin Manager which looks after this plugin.
+*/
+Phaser.TilemapPathfinder = function (game, parent)
+{
+
+    Phaser.Plugin.call(this, game, parent);
+
+    /**
+    * @property {Phaser.Tilemap} map - The map of the layer.
+    */
+    this.map = null;
+
+    /**
+    * @property {integer} layer - The index of the map layer the grid is built from.
+    */
+    this.layer = 0;
+
+    /**
+    * @property {integer} width - The width of the grid in tiles.
+    */
+    this.width = 0;
+
+    /**
+    * @property {integer} height - The height of the grid in tiles.
+    */
+    this.height = 0;
+
+    /**
+    * @property {number[]} grid - The cost of moving onto each tile, row by row. Blocked tiles have a cost of 0.
+    */
+    this.grid = [];
+
+    /**
+    * @property {number} minCost - The lowest cost of a walkable tile in the grid, which scales the distance estimates of A*
+    * so that paths over tiles cheaper than 1 are still the cheapest.
+    * @readonly
+    */
+    this.minCost = 1;
+
+    /**
+    * @property {integer} algorithm - The search to use: Phaser.TilemapPathfinder.ASTAR or Phaser.TilemapPathfinder.JPS.
+    * Jump Point Search treats every walkable tile as having the same cost, and A* is always used when {@link #cutCorners} is set.
+    * @default
+    */
+    this.algorithm = Phaser.TilemapPathfinder.ASTAR;
+
+    /**
+    * @property {boolean} diagonal - Can paths move diagonally between tiles?
+    * @default
+    */
+    this.diagonal = false;
+
+    /**
+    * @property {boolean} cutCorners - If false a path can only move diagonally when both tiles beside the move are walkable.
+    * If true it only needs one of them to be, so paths can cut the corners of blocked tiles.
+    * @default
+    */
+    this.cutCorners = false;
+
+    /**
+    * @property {boolean} collides - Are tiles that collide blocked?
+    * @default
+    */
+    this.collides = true;
+
+    /**
+    * @property {object} costs - The cost of tiles by tile index. These take priority over the {@link #costProperty} of the tiles.
+    */
+    this.costs = {};
+
+    /**
+    * @property {string} costProperty - The name of the tile property (for example set in Tiled) to take the cost of a tile from.
+    * @default
+    */
+    this.costProperty = 'cost';
+
+    /**
+    * @property {integer} iterationsPerFrame - The number of tiles the queued searches may visit in each frame.
+    * @default
+    */
+    this.iterationsPerFrame = 500;
+
+    /**
+    * @property {array} searches - The queued searches, in the order they were started.
+    * @private
+    */
+    this.searches = [];
+
+};
+
+Phaser.TilemapPathfinder.prototype = Object.create(Phaser.Plugin.prototype);
+Phaser.TilemapPathfinder.prototype.constructor = Phaser.TilemapPathfinder;
+
+/**
+* The A* search.
+* @constant
+* @type {integer}
+*/
+Phaser.TilemapPathfinder.ASTAR = 0;
+
+/**
+* The Jump Point Search.
+* @constant
+* @type {integer}
+*/
+Phaser.TilemapPathfinder.JPS = 1;
+
+/**
+* Sets up the pathfinder for a layer and builds its grid. Called by the PluginManager, see {@link Phaser.Tilemap#createPathfinder}.
+*
+* @method Phaser.TilemapPathfinder#init
+* @param {Phaser.Tilemap} map - The map to find paths in.
+* @param {number|string|Phaser.TilemapLayer} [layer] - The layer to build the grid from.
+* @param {object} [options] - Values for {@link #algorithm}, {@link #diagonal}, {@link #cutCorners}, {@link #collides}, {@link #costs},
+*     {@link #costProperty} and {@link #iterationsPerFrame}.
+*/
+Phaser.TilemapPathfinder.prototype.init = function (map, layer, options)
+{
+
+    this.map = map;
+    this.layer = map.getLayer(layer);
+
+    var keys = [ 'algorithm', 'diagonal', 'cutCorners', 'collides', 'costs', 'costProperty', 'iterationsPerFrame' ];
+
+    for (var i = 0; i < keys.length; i++)
+    {
+        if (options && options[keys[i]] !== undefined)
+        {
+            this[keys[i]] = options[keys[i]];
+        }
+    }
+
+    map.pathfinders.push(this);
+
+    this.updateGrid();
+
+};
+
+/**
+* Updates the costs of an area of the grid from the tiles of the layer. Any queued searches are restarted.
+*
+* @method Phaser.TilemapPathfinder#updateGrid
+* @param {integer} [x=0] - The left of the area to update (in tiles). By default the whole grid is updated.
+* @param {integer} [y=0] - The top of the area to update (in tiles).
+* @param {integer} [width] - The width of the area to update (in tiles).
+* @param {integer} [height] - The height of the area to update (in tiles).
+*/
+Phaser.TilemapPathfinder.prototype.updateGrid = function (x, y, width, height)
+{
+
+    var layer = this.map.layers[this.layer];
+
+    if (this.width !== layer.width || this.height !== layer.height)
+    {
+        //  The layer was resized, so rebuild all of it
+        this.width = layer.width;
+        this.height = layer.height;
+        this.grid.length = this.width * this.height;
+
+        x = undefined;
+    }
+
+    //  The lowest cost only has to be looked for again if a tile of that cost changed
+    var rescan = (x === undefined);
+
+    if (x === undefined)
+    {
+        x = 0;
+        y = 0;
+        width = this.width;
+        height = this.height;
+    }
+
+    var right = Math.min(this.width, x + width);
+    var bottom = Math.min(this.height, y + height);
+
+    for (var ty = Math.max(0, y); ty < bottom; ty++)
+    {
+        for (var tx = Math.max(0, x); tx < right; tx++)
+        {
+            var index = ty * this.width + tx;
+            var previous = this.grid[index];
+            var cost = this.getTileCost(layer.data[ty] && layer.data[ty][tx]);
+
+            this.grid[index] = cost;
+
+            if (cost > 0 && cost < this.minCost)
+            {
+                this.minCost = cost;
+            }
+            else if (previous === this.minCost && cost !== previous)
+            {
+                rescan = true;
+            }
+        }
+    }
+
+    if (rescan)
+    {
+        this.minCost = Infinity;
+
+        for (var i = 0; i < this.grid.length; i++)
+        {
+            if (this.grid[i] > 0 && this.grid[i] < this.minCost)
+            {
+                this.minCost = this.grid[i];
+            }
+        }
+
+        if (this.minCost === Infinity)
+        {
+            this.minCost = 1;
+        }
+    }
+
+    for (i = 0; i < this.searches.length; i++)
+    {
+        this.resetSearch(this.searches[i]);
+    }
+
+};
+
+/**
+* Gets the cost of moving onto a tile, following the rules described by {@link Phaser.TilemapPathfinder}.
+*
+* @method Phaser.TilemapPathfinder#getTileCost
+* @param {Phaser.Tile} tile - The tile. Empty or missing tiles cost 1.
+* @return {number} The cost of the tile, or 0 if it is blocked.
+*/
+Phaser.TilemapPathfinder.prototype.getTileCost = function (tile)
+{
+
+    if (!tile || tile.index < 0)
+    {
+        return 1;
+    }
+
+    if (this.collides && tile.collides)
+    {
+        return 0;
+    }
+
+    var cost = this.costs[tile.index];
+
+    if (cost === undefined && this.costProperty)
+    {
+        cost = tile.properties[this.costProperty];
+
+        if (cost === undefined)
+        {
+            //  Tiles placed with putTile don't get the properties of their tileset
+            for (var i = 0; i < this.map.tilesets.length; i++)
+            {
+                var set = this.map.tilesets[i];
+
+                if (set.containsTileIndex(tile.index) && set.tileProperties[tile.index - set.firstgid])
+                {
+                    cost = set.tileProperties[tile.index - set.firstgid][this.costProperty];
+                    break;
+                }
+            }
+        }
+    }
+
+    if (cost === undefined)
+    {
+        return 1;
+    }
+
+    cost = Number(cost);
+
+    return (cost > 0 && cost < Infinity) ? cost : 0;
+
+};
+
+/**
+* Checks if a tile of the grid can be moved onto.
+*
+* @method Phaser.TilemapPathfinder#isWalkable
+* @param {integer} x - The x coordinate of the tile.
+* @param {integer} y - The y coordinate of the tile.
+* @return {boolean} True if the tile is within the grid and isn't blocked.
+*/
+Phaser.TilemapPathfinder.prototype.isWalkable = function (x, y)
+{
+
+    return (x >= 0 && x < this.width && y >= 0 && y < this.height && this.grid[y * this.width + x] > 0);
+
+};
+
+/**
+* Finds a path between two tiles.
+*
+* Without a callback the search is run straight away and the path returned. With a callback it is queued, and the callback
+* is called with the path (or null) in a later frame, once the search is complete.
+*
+* @method Phaser.TilemapPathfinder#findPath
+* @param {integer} startX - The x coordinate of the tile to start from.
+* @param {integer} startY - The y coordinate of the tile to start from.
+* @param {integer} endX - The x coordinate of the tile to go to.
+* @param {integer} endY - The y coordinate of the tile to go to.
+* @param {function} [callback] - The function to call with the path and the search object when the search is complete.
+* @param {object} [callbackContext] - The context in which the callback is called.
+* @return {Phaser.Point[]|object|null} Without a callback, the tiles of the path from start to end (in tile coordinates),
+*     or null if there isn't one. With a callback, the search object, which can be passed to {@link #cancel}.
+*/
+Phaser.TilemapPathfinder.prototype.findPath = function (startX, startY, endX, endY, callback, callbackContext)
+{
+
+    var search = {
+        startX: startX,
+        startY: startY,
+        endX: endX,
+        endY: endY,
+        callback: callback,
+        callbackContext: callbackContext,
+        path: null,
+        done: false
+    };
+
+    this.resetSearch(search);
+
+    if (callback)
+    {
+        this.searches.push(search);
+
+        return search;
+    }
+
+    while (!search.done)
+    {
+        this.step(search, Infinity);
+    }
+
+    return search.path;
+
+};
+
+/**
+* Cancels a queued search. Its callback won't be called.
+*
+* @method Phaser.TilemapPathfinder#cancel
+* @param {object} search - The search object returned by {@link #findPath}.
+*/
+Phaser.TilemapPathfinder.prototype.cancel = function (search)
+{
+
+    var i = this.searches.indexOf(search);
+
+    if (i > -1)
+    {
+        this.searches.splice(i, 1);
+    }
+
+};
+
+/**
+* Cancels all queued searches.
+*
+* @method Phaser.TilemapPathfinder#cancelAll
+*/
+Phaser.TilemapPathfinder.prototype.cancelAll = function ()
+{
+
+    this.searches.length = 0;
+
+};
+
+/**
+* Internal update method, called by the PluginManager. Works on the queued searches, oldest first, and calls the callbacks of
+* those that are complete.
+*
+* @method Phaser.TilemapPathfinder#update
+* @protected
+*/
+Phaser.TilemapPathfinder.prototype.update = function ()
+{
+
+    var iterations = this.iterationsPerFrame;
+
+    while (this.searches.length > 0 && iterations > 0)
+    {
+        var search = this.searches[0];
+
+        iterations -= this.step(search, iterations);
+
+        if (search.done)
+        {
+            this.searches.shift();
+
+            search.callback.call(search.callbackContext, search.path, search);
+        }
+    }
+
+};
+
+/**
+* Clears the progress of a search so it starts again, for example after the grid changed.
+*
+* @method Phaser.TilemapPathfinder#resetSearch
+* @private
+* @param {object} search - The search object.
+*/
+Phaser.TilemapPathfinder.prototype.resetSearch = function (search)
+{
+
+    var start = search.startY * this.width + search.startX;
+
+    search.jump = (this.algorithm === Phaser.TilemapPathfinder.JPS && !this.cutCorners);
+    search.minCost = (search.jump) ? 1 : this.minCost;
+    search.open = [];
+    search.scores = [];
+    search.cost = {};
+    search.from = {};
+    search.closed = {};
+    search.path = null;
+    search.done = false;
+
+    search.cost[start] = 0;
+
+    this.pushOpen(search, start, this.estimate(search.startX, search.startY, search.endX, search.endY, search.minCost));
+
+    if (!this.isWalkable(search.startX, search.startY) || !this.isWalkable(search.endX, search.endY))
+    {
+        search.open.length = 0;
+        search.done = true;
+    }
+
+};
+
+/**
+* Works on a search until it is complete or has visited the given number of tiles.
+*
+* @method Phaser.TilemapPathfinder#step
+* @private
+* @param {object} search - The search object.
+* @param {number} iterations - The most tiles to visit.
+* @return {integer} The number of tiles visited.
+*/
+Phaser.TilemapPathfinder.prototype.step = function (search, iterations)
+{
+
+    var count = 0;
+    var end = search.endY * this.width + search.endX;
+    var neighbours = [];
+
+    while (count < iterations)
+    {
+        if (search.open.length === 0)
+        {
+            search.done = true;
+            break;
+        }
+
+        var current = this.popOpen(search);
+
+        count++;
+
+        if (current === end)
+        {
+            search.path = this.getPath(search);
+            search.done = true;
+            break;
+        }
+        else if (search.closed[current])
+        {
+            //  A tile is added again when a cheaper way to it is found, and this is the older one
+            continue;
+        }
+
+        search.closed[current] = true;
+
+        var x = current % this.width;
+        var y = (current - x) / this.width;
+
+        this.getNeighbours(search, x, y, neighbours);
+
+        for (var i = 0; i < neighbours.length; i += 2)
+        {
+            var nx = neighbours[i];
+            var ny = neighbours[i + 1];
+
+            if (search.jump)
+            {
+                var jumped = this.jump(search, nx, ny, nx - x, ny - y);
+
+                if (jumped === -1)
+                {
+                    continue;
+                }
+
+                nx = jumped % this.width;
+                ny = (jumped - nx) / this.width;
+            }
+
+            var next = ny * this.width + nx;
+
+            if (search.closed[next])
+            {
+                continue;
+            }
+
+            //  Jump Point Search moves in straight or 45 degree lines, over tiles of cost 1
+            var dx = Math.abs(nx - x);
+            var dy = Math.abs(ny - y);
+            var distance = Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+            var cost = search.cost[current] + (search.jump ? distance : distance * this.grid[next]);
+
+            if (search.cost[next] === undefined || cost < search.cost[next])
+            {
+                search.cost[next] = cost;
+                search.from[next] = current;
+
+                this.pushOpen(search, next, cost + this.estimate(nx, ny, search.endX, search.endY, search.minCost));
+            }
+        }
+    }
+
+    return count;
+
+};
+
+/**
+* Estimates the cost of moving between two tiles, as the shortest distance over tiles of the given cost.
+*
+* @method Phaser.TilemapPathfinder#estimate
+* @private
+* @param {integer} x1 - The x coordinate of the first tile.
+* @param {integer} y1 - The y coordinate of the first tile.
+* @param {integer} x2 - The x coordinate of the second tile.
+* @param {integer} y2 - The y coordinate of the second tile.
+* @param {number} [minCost=1] - The lowest cost of a tile. The estimate must not be more than the real cost for paths to be the cheapest.
+* @return {number} The estimated cost.
+*/
+Phaser.TilemapPathfinder.prototype.estimate = function (x1, y1, x2, y2, minCost)
+{
+
+    if (minCost === undefined) { minCost = 1; }
+
+    var dx = Math.abs(x2 - x1);
+    var dy = Math.abs(y2 - y1);
+
+    if (this.diagonal)
+    {
+        return (Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy)) * minCost;
+    }
+
+    return (dx + dy) * minCost;
+
+};
+
+/**
+* Adds a tile to the open list of a search. The list is a binary heap ordered by score.
+*
+* @method Phaser.TilemapPathfinder#pushOpen
+* @private
+* @param {object} search - The search object.
+* @param {integer} index - The grid index of the tile.
+* @param {number} score - The estimated cost of a path through the tile.
+*/
+Phaser.TilemapPathfinder.prototype.pushOpen = function (search, index, score)
+{
+
+    var open = search.open;
+    var scores = search.scores;
+    var i = open.length;
+
+    while (i > 0)
+    {
+        var parent = (i - 1) >> 1;
+
+        if (scores[parent] <= score)
+        {
+            break;
+        }
+
+        open[i] = open[parent];
+        scores[i] = scores[parent];
+        i = parent;
+    }
+
+    open[i] = index;
+    scores[i] = score;
+
+};
+
+/**
+* Removes the tile with the lowest score from the open list of a search.
+*
+* @method Phaser.TilemapPathfinder#popOpen
+* @private
+* @param {object} search - The search object.
+* @return {integer} The grid index of the tile.
+*/
+Phaser.TilemapPathfinder.prototype.popOpen = function (search)
+{
+
+    var open = search.open;
+    var scores = search.scores;
+    var first = open[0];
+    var last = open.pop();
+    var score = scores.pop();
+
+    if (open.length > 0)
+    {
+        var i = 0;
+
+        while (true)
+        {
+            var child = i * 2 + 1;
+
+            if (child >= open.length)
+            {
+                break;
+            }
+
+            if (child + 1 < open.length && scores[child + 1] < scores[child])
+            {
+                child++;
+            }
+
+            if (scores[child] >= score)
+            {
+                break;
+            }
+
+            open[i] = open[child];
+            scores[i] = scores[child];
+            i = child;
+        }
+
+        open[i] = last;
+        scores[i] = score;
+    }
+
+    return first;
+
+};
+
+/**
+* Checks if a path can move diagonally from a tile, given the tiles beside the move.
+*
+* @method Phaser.TilemapPathfinder#canMoveDiagonally
+* @private
+* @param {integer} x - The x coordinate of the tile.
+* @param {integer} y - The y coordinate of the tile.
+* @param {integer} dx - The horizontal direction of the move, -1 or 1.
+* @param {integer} dy - The vertical direction of the move, -1 or 1.
+* @return {boolean} True if the move is allowed.
+*/
+Phaser.TilemapPathfinder.prototype.canMoveDiagonally = function (x, y, dx, dy)
+{
+
+    if (!this.isWalkable(x + dx, y + dy))
+    {
+        return false;
+    }
+
+    if (this.cutCorners)
+    {
+        return this.isWalkable(x + dx, y) || this.isWalkable(x, y + dy);
+    }
+
+    return this.isWalkable(x + dx, y) && this.isWalkable(x, y + dy);
+
+};
+
+/**
+* Gets the walkable neighbours of a tile to visit next. Jump Point Search only visits those in the direction the path was moving
+* and those made necessary by blocked tiles.
+*
+* @method Phaser.TilemapPathfinder#getNeighbours
+* @private
+* @param {object} search - The search object.
+* @param {integer} x - The x coordinate of the tile.
+* @param {integer} y - The y coordinate of the tile.
+* @param {integer[]} output - The array to store the neighbours in, as x and y pairs.
+* @return {integer[]} The neighbours.
+*/
+Phaser.TilemapPathfinder.prototype.getNeighbours = function (search, x, y, output)
+{
+
+    output.length = 0;
+
+    var from = search.from[y * this.width + x];
+
+    if (search.jump && from !== undefined)
+    {
+        var px = from % this.width;
+        var dx = Phaser.Math.sign(x - px);
+        var dy = Phaser.Math.sign(y - (from - px) / this.width);
+
+        if (dx !== 0 && dy !== 0)
+        {
+            this.addNeighbour(output, x, y + dy);
+            this.addNeighbour(output, x + dx, y);
+
+            if (this.canMoveDiagonally(x, y, dx, dy))
+            {
+                output.push(x + dx, y + dy);
+            }
+        }
+        else if (dx !== 0)
+        {
+            if (this.diagonal)
+            {
+                this.addForcedNeighbours(output, x, y, dx, 0);
+            }
+            else
+            {
+                this.addNeighbour(output, x + dx, y);
+                this.addNeighbour(output, x, y - 1);
+                this.addNeighbour(output, x, y + 1);
+            }
+        }
+        else
+        {
+            if (this.diagonal)
+            {
+                this.addForcedNeighbours(output, x, y, 0, dy);
+            }
+            else
+            {
+                this.addNeighbour(output, x, y + dy);
+                this.addNeighbour(output, x - 1, y);
+                this.addNeighbour(output, x + 1, y);
+            }
+        }
+
+        return output;
+    }
+
+    this.addNeighbour(output, x, y - 1);
+    this.addNeighbour(output, x + 1, y);
+    this.addNeighbour(output, x, y + 1);
+    this.addNeighbour(output, x - 1, y);
+
+    if (this.diagonal)
+    {
+        for (var i = 0; i < 4; i++)
+        {
+            var ddx = (i === 0 || i === 3) ? -1 : 1;
+            var ddy = (i < 2) ? -1 : 1;
+
+            if (this.canMoveDiagonally(x, y, ddx, ddy))
+            {
+                output.push(x + ddx, y + ddy);
+            }
+        }
+    }
+
+    return output;
+
+};
+
+/**
+* Adds a tile to a list of neighbours if it is walkable.
+*
+* @method Phaser.TilemapPathfinder#addNeighbour
+* @private
+* @param {integer[]} output - The neighbours, as x and y pairs.
+* @param {integer} x - The x coordinate of the tile.
+* @param {integer} y - The y coordinate of the tile.
+*/
+Phaser.TilemapPathfinder.prototype.addNeighbour = function (output, x, y)
+{
+
+    if (this.isWalkable(x, y))
+    {
+        output.push(x, y);
+    }
+
+};
+
+/**
+* Adds the neighbours of a tile reached by a straight move when diagonal moves are allowed: the next tile, the tiles to either side,
+* and the diagonals between them.
+*
+* @method Phaser.TilemapPathfinder#addForcedNeighbours
+* @private
+* @param {integer[]} output - The neighbours, as x and y pairs.
+* @param {integer} x - The x coordinate of the tile.
+* @param {integer} y - The y coordinate of the tile.
+* @param {integer} dx - The horizontal direction of the move.
+* @param {integer} dy - The vertical direction of the move.
+*/
+Phaser.TilemapPathfinder.prototype.addForcedNeighbours = function (output, x, y, dx, dy)
+{
+
+    //  The two sides of the move
+    var ax = dy;
+    var ay = dx;
+    var next = this.isWalkable(x + dx, y + dy);
+
+    for (var side = -1; side <= 1; side += 2)
+    {
+        if (this.isWalkable(x + ax * side, y + ay * side))
+        {
+            if (next)
+            {
+                output.push(x + dx + ax * side, y + dy + ay * side);
+            }
+
+            output.push(x + ax * side, y + ay * side);
+        }
+    }
+
+    if (next)
+    {
+        output.push(x + dx, y + dy);
+    }
+
+};
+
+/**
+* Moves from a tile in a straight or diagonal line until reaching a jump point: the end of the search, or a tile with a neighbour
+* that can only be reached through it.
+*
+* @method Phaser.TilemapPathfinder#jump
+* @private
+* @param {object} search - The search object.
+* @param {integer} x - The x coordinate of the tile to start from.
+* @param {integer} y - The y coordinate of the tile to start from.
+* @param {integer} dx - The horizontal direction of the move, -1, 0 or 1.
+* @param {integer} dy - The vertical direction of the move, -1, 0 or 1.
+* @return {integer} The grid index of the jump point, or -1 if the line is blocked first.
+*/
+Phaser.TilemapPathfinder.prototype.jump = function (search, x, y, dx, dy)
+{
+
+    while (this.isWalkable(x, y))
+    {
+        if (x === search.endX && y === search.endY)
+        {
+            return y * this.width + x;
+        }
+
+        if (dx !== 0 && dy !== 0)
+        {
+            if (this.jump(search, x + dx, y, dx, 0) !== -1 || this.jump(search, x, y + dy, 0, dy) !== -1)
+            {
+                return y * this.width + x;
+            }
+
+            if (!this.isWalkable(x + dx, y) || !this.isWalkable(x, y + dy))
+            {
+                return -1;
+            }
+        }
+        else if (dx !== 0)
+        {
+            if ((this.isWalkable(x, y - 1) && !this.isWalkable(x - dx, y - 1)) || (this.isWalkable(x, y + 1) && !this.isWalkable(x - dx, y + 1)))
+            {
+                return y * this.width + x;
+            }
+        }
+        else
+        {
+            if ((this.isWalkable(x - 1, y) && !this.isWalkable(x - 1, y - dy)) || (this.isWalkable(x + 1, y) && !this.isWalkable(x + 1, y - dy)))
+            {
+                return y * this.width + x;
+            }
+
+            //  Without diagonal moves the horizontal lines have to be checked from every tile of a vertical one
+            if (!this.diagonal && (this.jump(search, x + 1, y, 1, 0) !== -1 || this.jump(search, x - 1, y, -1, 0) !== -1))
+            {
+                return y * this.width + x;
+            }
+        }
+
+        x += dx;
+        y += dy;
+    }
+
+    return -1;
+
+};
+
+/**
+* Builds the path of a complete search, filling in the tiles between the jump points of Jump Point Search.
+*
+* @method Phaser.TilemapPathfinder#getPath
+* @private
+* @param {object} search - The search object.
+* @return {Phaser.Point[]} The tiles of the path, from the start to the end.
+*/
+Phaser.TilemapPathfinder.prototype.getPath = function (search)
+{
+
+    var path = [];
+    var index = search.endY * this.width + search.endX;
+
+    while (index !== undefined)
+    {
+        var x = index % this.width;
+        var y = (index - x) / this.width;
+        var from = search.from[index];
+
+        path.unshift(new Phaser.Point(x, y));
+
+        if (from !== undefined)
+        {
+            var fx = from % this.width;
+            var fy = (from - fx) / this.width;
+            var dx = Phaser.Math.sign(fx - x);
+            var dy = Phaser.Math.sign(fy - y);
+
+            for (x += dx, y += dy; x !== fx || y !== fy; x += dx, y += dy)
+            {
+                path.unshift(new Phaser.Point(x, y));
+            }
+        }
+
+        index = from;
+    }
+
+    return path;
+
+};
+
+/**
+* Destroys this pathfinder. It removes itself from the PluginManager and its map, and cancels all queued searches.
+*
+* @method Phaser.TilemapPathfinder#destroy
+*/
+Phaser.TilemapPathfinder.prototype.destroy = function ()
+{
+
+    if (this.parent)
+    {
+        this.parent.remove(this, false);
+    }
+
+    if (this.map)
+    {
+        var i = this.map.pathfinders.indexOf(this);
+
+        if (i > -1)
+        {
+            this.map.pathfinders.splice(i, 1);
+        }
+    }
+
+    this.searches.length = 0;
+    this.grid.length = 0;
+    this.map = null;
+
+    this.game = null;
+    this.parent = null;
+    this.active = false;
+    this.visible = false;
+
+};
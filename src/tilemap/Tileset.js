@@ -77,6 +77,22 @@ Phaser.Tileset = function (name, firstgid, width, height, margin, spacing, prope
     */
     this.properties = properties || {};
 
+    /**
+    * The animations of the tiles in this tileset, keyed by the tile ID within the tileset (the tile index minus `firstgid`).
+    * Each animation is an array of frames, and each frame an object with the `tileId` of the tile to show and its `duration` (in ms).
+    * They are typically defined in the Tiled editor and are played by {@link Phaser.TilemapLayer}.
+    * @property {object} tileAnimations
+    */
+    this.tileAnimations = {};
+
+    /**
+    * The Tiled wangsets of this tileset (Tiled 1.5 and later), each with a `name`, `type` ('corner', 'edge' or 'mixed'),
+    * `colors` and `wangtiles`. Each wang tile has the `tileid` of the tile within the tileset and its `wangid`, an array of the colors of
+    * its edges and corners: top, top-right, right, bottom-right, bottom, bottom-left, left, top-left. They are used by {@link Phaser.Tilemap#addWangAutotile}.
+    * @property {object[]} wangsets
+    */
+    this.wangsets = [];
+
     /**
     * The cached image that contains the individual tiles. Use {@link Phaser.Tileset.setImage setImage} to set.
     * @property {?object} image
@@ -85,6 +101,15 @@ Phaser.Tileset = function (name, firstgid, width, height, margin, spacing, prope
     // Modified internally
     this.image = null;
 
+    /**
+    * The texture of the tileset image, used by the batched WebGL rendering of {@link Phaser.TilemapLayer}.
+    * It is set by {@link Phaser.Tileset.setImage setImage}, or created by the first layer that needs it.
+    * @property {?PIXI.BaseTexture} baseTexture
+    * @readonly
+    */
+    // Modified internally
+    this.baseTexture = null;
+
     /**
     * The number of tile rows in the the tileset.
     * @property {integer}
@@ -178,11 +203,13 @@ Phaser.Tileset.prototype = {
     * @method Phaser.Tileset#setImage
     * @public
     * @param {Image} image - The image that contains the tiles.
+    * @param {PIXI.BaseTexture} [baseTexture] - The texture of the image, if it already has one, such as the base texture of a cached image.
     */
-    setImage: function (image)
+    setImage: function (image, baseTexture)
     {
 
         this.image = image;
+        this.baseTexture = baseTexture || null;
         this.updateTileData(image.width, image.height);
 
     },
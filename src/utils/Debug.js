@@ -1235,6 +1235,83 @@ Phaser.Utils.Debug.prototype = {
 
     },
 
+    /**
+    * Prints the {@link Phaser.Cache#getReport Cache report}: the estimated memory used by the Cache and,
+    * for each cache holding anything, its entries from the largest down with their dimensions, estimated size
+    * and the number of objects referencing them.
+    *
+    * Keep an eye on this while moving between States to find assets that are never released.
+    *
+    * @method Phaser.Utils.Debug#cache
+    * @param {number} [x=0] - The X value the debug info will start from.
+    * @param {number} [y=0] - The Y value the debug info will start from.
+    * @param {string} [color='rgb(255,255,255)'] - The color the debug text will drawn in.
+    * @param {integer[]} [caches] - The caches to list, i.e. `[ Phaser.Cache.IMAGE, Phaser.Cache.SOUND ]`. All of them if not given.
+    * @param {integer} [maxEntries=10] - The most entries to list for each cache. The rest are summed up on one line.
+    */
+    cache: function (x, y, color, caches, maxEntries)
+    {
+
+        if (maxEntries === undefined) { maxEntries = 10; }
+
+        var report = this.game.cache.getReport(caches);
+
+        var size = function (bytes)
+        {
+            if (bytes >= 1048576)
+            {
+                return (bytes / 1048576).toFixed(2) + ' MB';
+            }
+            else if (bytes < 1024)
+            {
+                return bytes + ' B';
+            }
+
+            return (bytes / 1024).toFixed(1) + ' KB';
+        };
+
+        this.start(x, y, color);
+
+        this.line('Cache: ' + report.count + ' entries, ' + size(report.bytes));
+
+        for (var name in report.caches)
+        {
+            var section = report.caches[name];
+
+            if (section.count === 0)
+            {
+                continue;
+            }
+
+            this.line(name + ' (' + section.count + '): ' + size(section.bytes));
+
+            for (var i = 0; i < section.entries.length && i < maxEntries; i++)
+            {
+                var entry = section.entries[i];
+
+                this.line('  ' + entry.key +
+                    (entry.width === null ? '' : ' ' + entry.width + ' x ' + entry.height) +
+                    ' ' + size(entry.bytes) +
+                    ' refs: ' + entry.references.length);
+            }
+
+            if (section.count > maxEntries)
+            {
+                var rest = 0;
+
+                for (i = maxEntries; i < section.count; i++)
+                {
+                    rest += section.entries[i].bytes;
+                }
+
+                this.line('  ... ' + (section.count - maxEntries) + ' more ' + size(rest));
+            }
+        }
+
+        this.stop();
+
+    },
+
     /**
     * Destroy this object.
     *
@@ -0,0 +1,535 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* Decompresses DEFLATE data (RFC 1951), as well as the zlib (RFC 1950) and gzip (RFC 1952) formats that wrap it.
+*
+* This is a small, synchronous decoder intended for modestly sized data such as compressed Tiled layers.
+*
+* @class Phaser.Inflate
+* @static
+*/
+Phaser.Inflate = {
+
+    /**
+    * Base lengths for the length symbols 257 - 285.
+    * @constant
+    * @type {integer[]}
+    * @private
+    */
+    LENGTH_BASE: [ 3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258 ],
+
+    /**
+    * Extra bits for the length symbols 257 - 285.
+    * @constant
+    * @type {integer[]}
+    * @private
+    */
+    LENGTH_EXTRA: [ 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0 ],
+
+    /**
+    * Base distances for the distance symbols 0 - 29.
+    * @constant
+    * @type {integer[]}
+    * @private
+    */
+    DIST_BASE: [ 1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577 ],
+
+    /**
+    * Extra bits for the distance symbols 0 - 29.
+    * @constant
+    * @type {integer[]}
+    * @private
+    */
+    DIST_EXTRA: [ 0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13 ],
+
+    /**
+    * The order in which code length code lengths are stored in a dynamic block.
+    * @constant
+    * @type {integer[]}
+    * @private
+    */
+    CODE_LENGTH_ORDER: [ 16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15 ],
+
+    /**
+    * The Huffman tables for fixed blocks, created when first needed.
+    * @type {?object}
+    * @private
+    */
+    _fixed: null,
+
+    /**
+    * Decompresses zlib data, as produced by Tiled's `zlib` layer compression.
+    *
+    * @method Phaser.Inflate.inflate
+    * @param {Uint8Array} input - The compressed data.
+    * @return {Uint8Array} The decompressed data.
+    */
+    inflate: function (input)
+    {
+
+        if (input.length < 2 || (input[0] & 0x0f) !== 8 || ((input[0] << 8) | input[1]) % 31 !== 0)
+        {
+            throw new Error('Phaser.Inflate - Invalid zlib header');
+        }
+
+        if (input[1] & 0x20)
+        {
+            throw new Error('Phaser.Inflate - zlib preset dictionaries are not supported');
+        }
+
+        return this.inflateRaw(input, 2);
+
+    },
+
+    /**
+    * Decompresses gzip data, as produced by Tiled's `gzip` layer compression. Only the first member is decompressed.
+    *
+    * @method Phaser.Inflate.gunzip
+    * @param {Uint8Array} input - The compressed data.
+    * @return {Uint8Array} The decompressed data.
+    */
+    gunzip: function (input)
+    {
+
+        if (input.length < 18 || input[0] !== 0x1f || input[1] !== 0x8b || input[2] !== 8)
+        {
+            throw new Error('Phaser.Inflate - Invalid gzip header');
+        }
+
+        var flags = input[3];
+        var pos = 10;
+
+        //  FEXTRA
+        if (flags & 4)
+        {
+            pos += 2 + (input[pos] | (input[pos + 1] << 8));
+        }
+
+        //  FNAME and FCOMMENT are zero-terminated strings
+        for (var field = 8; field <= 16; field <<= 1)
+        {
+            if (flags & field)
+            {
+                while (pos < input.length && input[pos] !== 0)
+                {
+                    pos++;
+                }
+
+                pos++;
+            }
+        }
+
+        //  FHCRC
+        if (flags & 2)
+        {
+            pos += 2;
+        }
+
+        return this.inflateRaw(input, pos);
+
+    },
+
+    /**
+    * Decompresses raw DEFLATE data.
+    *
+    * @method Phaser.Inflate.inflateRaw
+    * @param {Uint8Array} input - The compressed data.
+    * @param {integer} [offset=0] - The position of the first byte of compressed data in `input`.
+    * @return {Uint8Array} The decompressed data.
+    */
+    inflateRaw: function (input, offset)
+    {
+
+        if (offset === undefined) { offset = 0; }
+
+        var state = {
+            input: input,
+            pos: offset,
+            bitBuf: 0,
+            bitCount: 0,
+            output: new Uint8Array(Math.max(1024, input.length * 4)),
+            outPos: 0
+        };
+
+        var last;
+
+        do
+        {
+            last = this.bits(state, 1);
+
+            var type = this.bits(state, 2);
+
+            if (type === 0)
+            {
+                this.stored(state);
+            }
+            else if (type === 1)
+            {
+                this.codes(state, this.getFixedTables());
+            }
+            else if (type === 2)
+            {
+                this.codes(state, this.dynamicTables(state));
+            }
+            else
+            {
+                throw new Error('Phaser.Inflate - Invalid block type');
+            }
+        }
+        while (!last);
+
+        return state.output.subarray(0, state.outPos);
+
+    },
+
+    /**
+    * Reads `count` bits, least significant bit first.
+    *
+    * @method Phaser.Inflate.bits
+    * @private
+    * @param {object} state - The decoder state.
+    * @param {integer} count - The number of bits to read (0 - 16).
+    * @return {integer} The value read.
+    */
+    bits: function (state, count)
+    {
+
+        var buf = state.bitBuf;
+
+        while (state.bitCount < count)
+        {
+            if (state.pos >= state.input.length)
+            {
+                throw new Error('Phaser.Inflate - Unexpected end of data');
+            }
+
+            buf |= state.input[state.pos++] << state.bitCount;
+            state.bitCount += 8;
+        }
+
+        state.bitBuf = buf >>> count;
+        state.bitCount -= count;
+
+        return buf & ((1 << count) - 1);
+
+    },
+
+    /**
+    * Makes room in the output buffer for at least `count` more bytes.
+    *
+    * @method Phaser.Inflate.reserve
+    * @private
+    * @param {object} state - The decoder state.
+    * @param {integer} count - The number of bytes needed.
+    */
+    reserve: function (state, count)
+    {
+
+        var needed = state.outPos + count;
+
+        if (needed > state.output.length)
+        {
+            var output = new Uint8Array(Math.max(needed, state.output.length * 2));
+
+            output.set(state.output);
+
+            state.output = output;
+        }
+
+    },
+
+    /**
+    * Copies a stored (uncompressed) block to the output.
+    *
+    * @method Phaser.Inflate.stored
+    * @private
+    * @param {object} state - The decoder state.
+    */
+    stored: function (state)
+    {
+
+        //  Discard the remaining bits of the current byte
+        state.bitBuf = 0;
+        state.bitCount = 0;
+
+        var input = state.input;
+        var pos = state.pos;
+
+        if (pos + 4 > input.length)
+        {
+            throw new Error('Phaser.Inflate - Unexpected end of data');
+        }
+
+        var length = input[pos] | (input[pos + 1] << 8);
+        var check = input[pos + 2] | (input[pos + 3] << 8);
+
+        if (length !== (~check & 0xffff))
+        {
+            throw new Error('Phaser.Inflate - Invalid stored block length');
+        }
+
+        pos += 4;
+
+        if (pos + length > input.length)
+        {
+            throw new Error('Phaser.Inflate - Unexpected end of data');
+        }
+
+        this.reserve(state, length);
+
+        state.output.set(input.subarray(pos, pos + length), state.outPos);
+        state.outPos += length;
+        state.pos = pos + length;
+
+    },
+
+    /**
+    * Builds a canonical Huffman decoding table from a list of code lengths.
+    *
+    * @method Phaser.Inflate.buildTable
+    * @private
+    * @param {integer[]} lengths - The code length of each symbol (0 if unused).
+    * @return {object} The table, with `counts` (the number of codes of each length) and `symbols` (sorted by code).
+    */
+    buildTable: function (lengths)
+    {
+
+        var counts = new Uint16Array(16);
+        var offsets = new Uint16Array(16);
+        var symbols = new Uint16Array(lengths.length);
+        var i;
+
+        for (i = 0; i < lengths.length; i++)
+        {
+            counts[lengths[i]]++;
+        }
+
+        counts[0] = 0;
+
+        for (i = 1; i < 15; i++)
+        {
+            offsets[i + 1] = offsets[i] + counts[i];
+        }
+
+        for (i = 0; i < lengths.length; i++)
+        {
+            if (lengths[i] !== 0)
+            {
+                symbols[offsets[lengths[i]]++] = i;
+            }
+        }
+
+        return { counts: counts, symbols: symbols };
+
+    },
+
+    /**
+    * Decodes one symbol using the given Huffman table.
+    *
+    * @method Phaser.Inflate.decodeSymbol
+    * @private
+    * @param {object} state - The decoder state.
+    * @param {object} table - A table created by {@link Phaser.Inflate.buildTable}.
+    * @return {integer} The decoded symbol.
+    */
+    decodeSymbol: function (state, table)
+    {
+
+        var code = 0;
+        var first = 0;
+        var index = 0;
+
+        for (var len = 1; len < 16; len++)
+        {
+            code |= this.bits(state, 1);
+
+            var count = table.counts[len];
+
+            if (code - first < count)
+            {
+                return table.symbols[index + code - first];
+            }
+
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+
+        throw new Error('Phaser.Inflate - Invalid Huffman code');
+
+    },
+
+    /**
+    * Returns the (cached) literal/length and distance tables used by fixed Huffman blocks.
+    *
+    * @method Phaser.Inflate.getFixedTables
+    * @private
+    * @return {object} The tables, as `lengths` and `distances`.
+    */
+    getFixedTables: function ()
+    {
+
+        if (!this._fixed)
+        {
+            var lengths = [];
+            var i;
+
+            for (i = 0; i < 288; i++)
+            {
+                lengths[i] = (i < 144) ? 8 : (i < 256) ? 9 : (i < 280) ? 7 : 8;
+            }
+
+            var distances = [];
+
+            for (i = 0; i < 30; i++)
+            {
+                distances[i] = 5;
+            }
+
+            this._fixed = { lengths: this.buildTable(lengths), distances: this.buildTable(distances) };
+        }
+
+        return this._fixed;
+
+    },
+
+    /**
+    * Reads the literal/length and distance tables of a dynamic Huffman block.
+    *
+    * @method Phaser.Inflate.dynamicTables
+    * @private
+    * @param {object} state - The decoder state.
+    * @return {object} The tables, as `lengths` and `distances`.
+    */
+    dynamicTables: function (state)
+    {
+
+        var literalCount = this.bits(state, 5) + 257;
+        var distanceCount = this.bits(state, 5) + 1;
+        var codeCount = this.bits(state, 4) + 4;
+        var lengths = [];
+        var i;
+
+        for (i = 0; i < 19; i++)
+        {
+            lengths[this.CODE_LENGTH_ORDER[i]] = (i < codeCount) ? this.bits(state, 3) : 0;
+        }
+
+        var codeTable = this.buildTable(lengths);
+
+        lengths = [];
+
+        while (lengths.length < literalCount + distanceCount)
+        {
+            var symbol = this.decodeSymbol(state, codeTable);
+            var repeat;
+            var value = 0;
+
+            if (symbol < 16)
+            {
+                lengths.push(symbol);
+                continue;
+            }
+            else if (symbol === 16)
+            {
+                if (lengths.length === 0)
+                {
+                    throw new Error('Phaser.Inflate - Invalid code length repeat');
+                }
+
+                value = lengths[lengths.length - 1];
+                repeat = 3 + this.bits(state, 2);
+            }
+            else if (symbol === 17)
+            {
+                repeat = 3 + this.bits(state, 3);
+            }
+            else
+            {
+                repeat = 11 + this.bits(state, 7);
+            }
+
+            while (repeat--)
+            {
+                lengths.push(value);
+            }
+        }
+
+        return {
+            lengths: this.buildTable(lengths.slice(0, literalCount)),
+            distances: this.buildTable(lengths.slice(literalCount, literalCount + distanceCount))
+        };
+
+    },
+
+    /**
+    * Decodes the literals and back-references of a compressed block.
+    *
+    * @method Phaser.Inflate.codes
+    * @private
+    * @param {object} state - The decoder state.
+    * @param {object} tables - The `lengths` and `distances` Huffman tables for the block.
+    */
+    codes: function (state, tables)
+    {
+
+        while (true)
+        {
+            var symbol = this.decodeSymbol(state, tables.lengths);
+
+            if (symbol < 256)
+            {
+                this.reserve(state, 1);
+                state.output[state.outPos++] = symbol;
+            }
+            else if (symbol === 256)
+            {
+                return;
+            }
+            else
+            {
+                symbol -= 257;
+
+                if (symbol >= 29)
+                {
+                    throw new Error('Phaser.Inflate - Invalid length symbol');
+                }
+
+                var length = this.LENGTH_BASE[symbol] + this.bits(state, this.LENGTH_EXTRA[symbol]);
+
+                symbol = this.decodeSymbol(state, tables.distances);
+
+                if (symbol >= 30)
+                {
+                    throw new Error('Phaser.Inflate - Invalid distance symbol');
+                }
+
+                var distance = this.DIST_BASE[symbol] + this.bits(state, this.DIST_EXTRA[symbol]);
+
+                if (distance > state.outPos)
+                {
+                    throw new Error('Phaser.Inflate - Distance too far back');
+                }
+
+                this.reserve(state, length);
+
+                var output = state.output;
+                var pos = state.outPos;
+
+                //  Byte by byte, as the source and destination may overlap
+                for (var i = 0; i < length; i++)
+                {
+                    output[pos + i] = output[pos + i - distance];
+                }
+
+                state.outPos += length;
+            }
+        }
+
+    }
+
+};
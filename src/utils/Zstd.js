@@ -0,0 +1,1021 @@
+/**
+* @author       Richard Davey <rich@photonstorm.com>
+* @copyright    2016 Photon Storm Ltd.
+* @license      {@link https://github.com/photonstorm/phaser/blob/master/license.txt|MIT License}
+*/
+
+/**
+* Decompresses Zstandard data (RFC 8878).
+*
+* This is a small, synchronous decoder intended for modestly sized data such as compressed Tiled layers.
+* Dictionaries are not supported and content checksums are not verified.
+*
+* @class Phaser.Zstd
+* @static
+*/
+Phaser.Zstd = {
+
+    /**
+    * The magic number of a Zstandard frame.
+    * @constant
+    * @type {integer}
+    */
+    MAGIC: 0xfd2fb528,
+
+    /**
+    * Baselines and extra bits of the literals length codes, interlaced.
+    * @constant
+    * @type {integer[]}
+    * @private
+    */
+    LITERALS_LENGTH_CODES: [
+        0, 0, 1, 0, 2, 0, 3, 0, 4, 0, 5, 0, 6, 0, 7, 0, 8, 0, 9, 0, 10, 0, 11, 0, 12, 0, 13, 0, 14, 0, 15, 0,
+        16, 1, 18, 1, 20, 1, 22, 1, 24, 2, 28, 2, 32, 3, 40, 3, 48, 4, 64, 6, 128, 7, 256, 8, 512, 9, 1024, 10,
+        2048, 11, 4096, 12, 8192, 13, 16384, 14, 32768, 15, 65536, 16
+    ],
+
+    /**
+    * Baselines and extra bits of the match length codes, interlaced.
+    * @constant
+    * @type {integer[]}
+    * @private
+    */
+    MATCH_LENGTH_CODES: [
+        3, 0, 4, 0, 5, 0, 6, 0, 7, 0, 8, 0, 9, 0, 10, 0, 11, 0, 12, 0, 13, 0, 14, 0, 15, 0, 16, 0, 17, 0, 18, 0,
+        19, 0, 20, 0, 21, 0, 22, 0, 23, 0, 24, 0, 25, 0, 26, 0, 27, 0, 28, 0, 29, 0, 30, 0, 31, 0, 32, 0, 33, 0, 34, 0,
+        35, 1, 37, 1, 39, 1, 41, 1, 43, 2, 47, 2, 51, 3, 59, 3, 67, 4, 83, 4, 99, 5, 131, 7, 259, 8, 515, 9, 1027, 10,
+        2051, 11, 4099, 12, 8195, 13, 16387, 14, 32771, 15, 65539, 16
+    ],
+
+    /**
+    * The predefined distribution of the literals length codes.
+    * @constant
+    * @type {integer[]}
+    * @private
+    */
+    LITERALS_LENGTH_DEFAULT: [ 4, 3, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1, 1, 1, 2, 2, 2, 2, 2, 2, 2, 2, 2, 3, 2, 1, 1, 1, 1, 1, -1, -1, -1, -1 ],
+
+    /**
+    * The predefined distribution of the match length codes.
+    * @constant
+    * @type {integer[]}
+    * @private
+    */
+    MATCH_LENGTH_DEFAULT: [
+        1, 4, 3, 2, 2, 2, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1,
+        1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1, -1, -1
+    ],
+
+    /**
+    * The predefined distribution of the offset codes.
+    * @constant
+    * @type {integer[]}
+    * @private
+    */
+    OFFSET_DEFAULT: [ 1, 1, 1, 1, 1, 1, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1 ],
+
+    /**
+    * Decompresses Zstandard data. Concatenated frames are decompressed one after the other and skippable frames are ignored.
+    *
+    * @method Phaser.Zstd.decompress
+    * @param {Uint8Array} input - The compressed data.
+    * @return {Uint8Array} The decompressed data.
+    */
+    decompress: function (input)
+    {
+
+        var state = {
+            input: input,
+            pos: 0,
+            output: new Uint8Array(Math.max(1024, input.length * 4)),
+            outPos: 0
+        };
+
+        while (state.pos < input.length)
+        {
+            var magic = this.readUint32(input, state.pos);
+
+            state.pos += 4;
+
+            if ((magic & 0xfffffff0) === 0x184d2a50)
+            {
+                //  Skippable frame
+                state.pos += 4 + this.readUint32(input, state.pos);
+            }
+            else if (magic === this.MAGIC)
+            {
+                this.decodeFrame(state);
+            }
+            else
+            {
+                throw new Error('Phaser.Zstd - Invalid frame magic number');
+            }
+        }
+
+        return state.output.subarray(0, state.outPos);
+
+    },
+
+    /**
+    * Reads a little-endian unsigned 32-bit integer.
+    *
+    * @method Phaser.Zstd.readUint32
+    * @private
+    * @param {Uint8Array} data - The data to read from.
+    * @param {integer} pos - The byte position to read.
+    * @return {integer} The value read.
+    */
+    readUint32: function (data, pos)
+    {
+
+        if (pos + 4 > data.length)
+        {
+            throw new Error('Phaser.Zstd - Unexpected end of data');
+        }
+
+        return (data[pos] | (data[pos + 1] << 8) | (data[pos + 2] << 16) | (data[pos + 3] << 24)) >>> 0;
+
+    },
+
+    /**
+    * Reads `count` bits starting from the bit position `pos` (least significant bit first) of the data starting at `start`.
+    * Bits before the start of the data (negative positions) are read as 0.
+    *
+    * @method Phaser.Zstd.getBits
+    * @private
+    * @param {Uint8Array} data - The data to read from.
+    * @param {integer} start - The byte position of the start of the data.
+    * @param {integer} pos - The bit position to read, relative to `start`.
+    * @param {integer} count - The number of bits to read.
+    * @return {integer} The value read.
+    */
+    getBits: function (data, start, pos, count)
+    {
+
+        var scale = 1;
+
+        if (pos < 0)
+        {
+            scale = Math.pow(2, -pos);
+            count += pos;
+            pos = 0;
+        }
+
+        var value = 0;
+        var multiplier = 1;
+
+        while (count > 0)
+        {
+            var shift = pos & 7;
+            var take = Math.min(8 - shift, count);
+
+            value += ((data[start + (pos >> 3)] >> shift) & ((1 << take) - 1)) * multiplier;
+
+            multiplier *= (1 << take);
+            pos += take;
+            count -= take;
+        }
+
+        return value * scale;
+
+    },
+
+    /**
+    * Creates a reader for a bitstream that is read backwards, from its last bit to its first, as used by Zstandard entropy coded data.
+    *
+    * @method Phaser.Zstd.createReverseReader
+    * @private
+    * @param {Uint8Array} data - The data to read from.
+    * @param {integer} start - The byte position of the start of the bitstream.
+    * @param {integer} end - The byte position after the end of the bitstream.
+    * @return {object} The reader, with `data`, `start` and `pos` (the number of unread bits).
+    */
+    createReverseReader: function (data, start, end)
+    {
+
+        if (end <= start || end > data.length || data[end - 1] === 0)
+        {
+            throw new Error('Phaser.Zstd - Invalid bitstream');
+        }
+
+        //  The highest set bit of the last byte marks the end of the bitstream
+        var last = data[end - 1];
+        var padding = 0;
+
+        while (last < 0x80)
+        {
+            last <<= 1;
+            padding++;
+        }
+
+        return { data: data, start: start, pos: (end - start) * 8 - padding - 1 };
+
+    },
+
+    /**
+    * Reads `count` bits from a reverse bitstream.
+    *
+    * @method Phaser.Zstd.readReverse
+    * @private
+    * @param {object} reader - A reader created by {@link Phaser.Zstd.createReverseReader}.
+    * @param {integer} count - The number of bits to read.
+    * @return {integer} The value read.
+    */
+    readReverse: function (reader, count)
+    {
+
+        reader.pos -= count;
+
+        return this.getBits(reader.data, reader.start, reader.pos, count);
+
+    },
+
+    /**
+    * Makes room in the output buffer for at least `count` more bytes.
+    *
+    * @method Phaser.Zstd.reserve
+    * @private
+    * @param {object} state - The decoder state.
+    * @param {integer} count - The number of bytes needed.
+    */
+    reserve: function (state, count)
+    {
+
+        var needed = state.outPos + count;
+
+        if (needed > state.output.length)
+        {
+            var output = new Uint8Array(Math.max(needed, state.output.length * 2));
+
+            output.set(state.output);
+
+            state.output = output;
+        }
+
+    },
+
+    /**
+    * Decodes one frame, after its magic number.
+    *
+    * @method Phaser.Zstd.decodeFrame
+    * @private
+    * @param {object} state - The decoder state.
+    */
+    decodeFrame: function (state)
+    {
+
+        var input = state.input;
+        var descriptor = input[state.pos++];
+        var sizeFlag = descriptor >> 6;
+        var singleSegment = (descriptor >> 5) & 1;
+        var checksum = (descriptor >> 2) & 1;
+        var dictionarySize = [ 0, 1, 2, 4 ][descriptor & 3];
+
+        if (descriptor & 8)
+        {
+            throw new Error('Phaser.Zstd - Invalid frame header');
+        }
+
+        if (!singleSegment)
+        {
+            //  Window descriptor; the whole output is kept so it isn't needed
+            state.pos++;
+        }
+
+        var dictionary = this.getBits(input, state.pos, 0, dictionarySize * 8);
+
+        if (dictionary !== 0)
+        {
+            throw new Error('Phaser.Zstd - Dictionaries are not supported');
+        }
+
+        state.pos += dictionarySize;
+
+        var contentSizeBytes = [ singleSegment, 2, 4, 8 ][sizeFlag];
+        var contentSize = this.getBits(input, state.pos, 0, contentSizeBytes * 8) + ((contentSizeBytes === 2) ? 256 : 0);
+
+        state.pos += contentSizeBytes;
+
+        if (contentSizeBytes > 0)
+        {
+            this.reserve(state, contentSize);
+        }
+
+        //  Each frame has its own repeat offsets and entropy tables
+        var context = {
+            offsets: [ 1, 4, 8 ],
+            huffman: null,
+            tables: [ null, null, null ]
+        };
+
+        var last = 0;
+
+        while (!last)
+        {
+            if (state.pos + 3 > input.length)
+            {
+                throw new Error('Phaser.Zstd - Unexpected end of data');
+            }
+
+            var header = input[state.pos] | (input[state.pos + 1] << 8) | (input[state.pos + 2] << 16);
+            var type = (header >> 1) & 3;
+            var size = header >> 3;
+
+            last = header & 1;
+            state.pos += 3;
+
+            if (type === 0)
+            {
+                //  Raw block
+                if (state.pos + size > input.length)
+                {
+                    throw new Error('Phaser.Zstd - Unexpected end of data');
+                }
+
+                this.reserve(state, size);
+                state.output.set(input.subarray(state.pos, state.pos + size), state.outPos);
+                state.outPos += size;
+                state.pos += size;
+            }
+            else if (type === 1)
+            {
+                //  RLE block, `size` is the number of repeats of a single byte
+                this.reserve(state, size);
+
+                for (var i = 0; i < size; i++)
+                {
+                    state.output[state.outPos++] = input[state.pos];
+                }
+
+                state.pos++;
+            }
+            else if (type === 2)
+            {
+                if (state.pos + size > input.length)
+                {
+                    throw new Error('Phaser.Zstd - Unexpected end of data');
+                }
+
+                this.decodeBlock(state, context, state.pos, state.pos + size);
+                state.pos += size;
+            }
+            else
+            {
+                throw new Error('Phaser.Zstd - Invalid block type');
+            }
+        }
+
+        if (checksum)
+        {
+            state.pos += 4;
+        }
+
+    },
+
+    /**
+    * Decodes a compressed block.
+    *
+    * @method Phaser.Zstd.decodeBlock
+    * @private
+    * @param {object} state - The decoder state.
+    * @param {object} context - The frame context.
+    * @param {integer} start - The byte position of the block content.
+    * @param {integer} end - The byte position after the block content.
+    */
+    decodeBlock: function (state, context, start, end)
+    {
+
+        var literals = this.decodeLiterals(state.input, start, context);
+
+        this.executeSequences(state, context, literals.data, literals.end, end);
+
+    },
+
+    /**
+    * Decodes the literals section of a compressed block.
+    *
+    * @method Phaser.Zstd.decodeLiterals
+    * @private
+    * @param {Uint8Array} input - The compressed data.
+    * @param {integer} pos - The byte position of the literals section.
+    * @param {object} context - The frame context.
+    * @return {object} The literals (`data`) and the byte position after the literals section (`end`).
+    */
+    decodeLiterals: function (input, pos, context)
+    {
+
+        var b0 = input[pos];
+        var type = b0 & 3;
+        var sizeFormat = (b0 >> 2) & 3;
+        var regenerated;
+        var compressed;
+        var streams = 4;
+        var data;
+        var i;
+
+        if (type < 2)
+        {
+            //  Raw or RLE literals
+            if ((sizeFormat & 1) === 0)
+            {
+                regenerated = b0 >> 3;
+                pos += 1;
+            }
+            else if (sizeFormat === 1)
+            {
+                regenerated = (b0 >> 4) + (input[pos + 1] << 4);
+                pos += 2;
+            }
+            else
+            {
+                regenerated = (b0 >> 4) + (input[pos + 1] << 4) + (input[pos + 2] << 12);
+                pos += 3;
+            }
+
+            if (type === 0)
+            {
+                if (pos + regenerated > input.length)
+                {
+                    throw new Error('Phaser.Zstd - Unexpected end of data');
+                }
+
+                return { data: input.subarray(pos, pos + regenerated), end: pos + regenerated };
+            }
+
+            data = new Uint8Array(regenerated);
+
+            for (i = 0; i < regenerated; i++)
+            {
+                data[i] = input[pos];
+            }
+
+            return { data: data, end: pos + 1 };
+        }
+
+        //  Compressed or treeless literals
+        var header = this.getBits(input, pos, 0, 40);
+
+        if (sizeFormat < 2)
+        {
+            streams = (sizeFormat === 0) ? 1 : 4;
+            regenerated = (header >> 4) & 0x3ff;
+            compressed = (header >> 14) & 0x3ff;
+            pos += 3;
+        }
+        else if (sizeFormat === 2)
+        {
+            regenerated = (header >> 4) & 0x3fff;
+            compressed = (header >>> 18) & 0x3fff;
+            pos += 4;
+        }
+        else
+        {
+            regenerated = (header >> 4) & 0x3ffff;
+            compressed = Math.floor(header / 0x400000);
+            pos += 5;
+        }
+
+        var end = pos + compressed;
+
+        if (end > input.length)
+        {
+            throw new Error('Phaser.Zstd - Unexpected end of data');
+        }
+
+        if (type === 2)
+        {
+            context.huffman = this.readHuffmanTable(input, pos);
+            pos = context.huffman.end;
+        }
+        else if (!context.huffman)
+        {
+            throw new Error('Phaser.Zstd - Missing Huffman table');
+        }
+
+        data = new Uint8Array(regenerated);
+
+        if (streams === 1)
+        {
+            this.decodeHuffmanStream(context.huffman, input, pos, end, data, 0, regenerated);
+        }
+        else
+        {
+            var sizes = [ input[pos] | (input[pos + 1] << 8), input[pos + 2] | (input[pos + 3] << 8), input[pos + 4] | (input[pos + 5] << 8) ];
+            var streamSize = Math.floor((regenerated + 3) / 4);
+            var streamStart = pos + 6;
+            var outPos = 0;
+
+            sizes.push(end - streamStart - sizes[0] - sizes[1] - sizes[2]);
+
+            for (i = 0; i < 4; i++)
+            {
+                var count = (i < 3) ? streamSize : regenerated - streamSize * 3;
+
+                this.decodeHuffmanStream(context.huffman, input, streamStart, streamStart + sizes[i], data, outPos, count);
+
+                streamStart += sizes[i];
+                outPos += count;
+            }
+        }
+
+        return { data: data, end: end };
+
+    },
+
+    /**
+    * Reads a Huffman tree description and builds its decoding table.
+    *
+    * @method Phaser.Zstd.readHuffmanTable
+    * @private
+    * @param {Uint8Array} input - The compressed data.
+    * @param {integer} pos - The byte position of the tree description.
+    * @return {object} The table, with `symbols`, `bits`, `maxBits` and `end` (the byte position after the tree description).
+    */
+    readHuffmanTable: function (input, pos)
+    {
+
+        var headerByte = input[pos++];
+        var weights = [];
+        var i;
+
+        if (headerByte < 128)
+        {
+            //  The weights are FSE compressed
+            var end = pos + headerByte;
+            var table = this.readFSETable(input, pos, 255, 6);
+            var reader = this.createReverseReader(input, table.end, end);
+            var states = [ this.readReverse(reader, table.log), this.readReverse(reader, table.log) ];
+
+            //  Two interleaved states, until the bitstream runs out
+            for (i = 0; true; i ^= 1)
+            {
+                weights.push(table.symbols[states[i]]);
+                states[i] = table.base[states[i]] + this.readReverse(reader, table.bits[states[i]]);
+
+                if (reader.pos < 0)
+                {
+                    weights.push(table.symbols[states[i ^ 1]]);
+                    break;
+                }
+
+                if (weights.length > 255)
+                {
+                    throw new Error('Phaser.Zstd - Invalid Huffman weights');
+                }
+            }
+
+            pos = end;
+        }
+        else
+        {
+            //  The weights are stored directly, 4 bits each
+            var count = headerByte - 127;
+
+            for (i = 0; i < count; i++)
+            {
+                var byte = input[pos + (i >> 1)];
+
+                weights.push((i & 1) ? (byte & 15) : (byte >> 4));
+            }
+
+            pos += Math.ceil(count / 2);
+        }
+
+        //  The weight of the last symbol is implied by the others
+        var total = 0;
+
+        for (i = 0; i < weights.length; i++)
+        {
+            if (weights[i] > 0)
+            {
+                total += 1 << (weights[i] - 1);
+            }
+        }
+
+        var maxBits = 0;
+
+        while ((1 << maxBits) <= total)
+        {
+            maxBits++;
+        }
+
+        var remainder = (1 << maxBits) - total;
+        var lastWeight = 0;
+
+        while ((1 << lastWeight) < remainder)
+        {
+            lastWeight++;
+        }
+
+        if (total === 0 || maxBits > 11 || (1 << lastWeight) !== remainder)
+        {
+            throw new Error('Phaser.Zstd - Invalid Huffman weights');
+        }
+
+        weights.push(lastWeight + 1);
+
+        //  Symbols with the lowest weights (longest codes) come first
+        var size = 1 << maxBits;
+        var symbols = new Uint8Array(size);
+        var bits = new Uint8Array(size);
+        var rankStart = [];
+        var next = 0;
+        var w;
+
+        for (w = 1; w <= maxBits; w++)
+        {
+            rankStart[w] = next;
+
+            for (i = 0; i < weights.length; i++)
+            {
+                if (weights[i] === w)
+                {
+                    next += 1 << (w - 1);
+                }
+            }
+        }
+
+        for (i = 0; i < weights.length; i++)
+        {
+            w = weights[i];
+
+            if (w === 0)
+            {
+                continue;
+            }
+
+            var length = 1 << (w - 1);
+
+            for (var j = rankStart[w]; j < rankStart[w] + length; j++)
+            {
+                symbols[j] = i;
+                bits[j] = maxBits + 1 - w;
+            }
+
+            rankStart[w] += length;
+        }
+
+        return { symbols: symbols, bits: bits, maxBits: maxBits, end: pos };
+
+    },
+
+    /**
+    * Decodes a Huffman coded stream of literals.
+    *
+    * @method Phaser.Zstd.decodeHuffmanStream
+    * @private
+    * @param {object} table - The Huffman table.
+    * @param {Uint8Array} input - The compressed data.
+    * @param {integer} start - The byte position of the stream.
+    * @param {integer} end - The byte position after the stream.
+    * @param {Uint8Array} output - The array to write the literals to.
+    * @param {integer} outPos - The position in `output` to write the first literal.
+    * @param {integer} count - The number of literals to decode.
+    */
+    decodeHuffmanStream: function (table, input, start, end, output, outPos, count)
+    {
+
+        var reader = this.createReverseReader(input, start, end);
+        var maxBits = table.maxBits;
+
+        for (var i = 0; i < count; i++)
+        {
+            var code = this.getBits(input, start, reader.pos - maxBits, maxBits);
+
+            output[outPos + i] = table.symbols[code];
+            reader.pos -= table.bits[code];
+        }
+
+        if (reader.pos !== 0)
+        {
+            throw new Error('Phaser.Zstd - Invalid Huffman stream');
+        }
+
+    },
+
+    /**
+    * Reads an FSE table description and builds its decoding table.
+    *
+    * @method Phaser.Zstd.readFSETable
+    * @private
+    * @param {Uint8Array} input - The compressed data.
+    * @param {integer} pos - The byte position of the table description.
+    * @param {integer} maxSymbol - The largest symbol allowed.
+    * @param {integer} maxLog - The largest accuracy log allowed.
+    * @return {object} The decoding table, with `end` set to the byte position after the table description.
+    */
+    readFSETable: function (input, pos, maxSymbol, maxLog)
+    {
+
+        var bitPos = 4;
+        var log = (input[pos] & 15) + 5;
+        var remaining = 1 << log;
+        var distribution = [];
+
+        if (log > maxLog)
+        {
+            throw new Error('Phaser.Zstd - Invalid FSE table');
+        }
+
+        while (remaining > 0 && distribution.length <= maxSymbol)
+        {
+            var bits = 1;
+
+            while ((1 << bits) <= remaining + 1)
+            {
+                bits++;
+            }
+
+            var value = this.getBits(input, pos, bitPos, bits);
+            var threshold = (1 << bits) - 1 - (remaining + 1);
+            var lowMask = (1 << (bits - 1)) - 1;
+
+            bitPos += bits;
+
+            if ((value & lowMask) < threshold)
+            {
+                //  Small values only use bits - 1 bits
+                bitPos--;
+                value &= lowMask;
+            }
+            else if (value > lowMask)
+            {
+                value -= threshold;
+            }
+
+            var probability = value - 1;
+
+            remaining -= Math.abs(probability);
+            distribution.push(probability);
+
+            if (probability === 0)
+            {
+                //  Zero probabilities are followed by a 2-bit repeat count of further zeros
+                var repeat;
+
+                do
+                {
+                    repeat = this.getBits(input, pos, bitPos, 2);
+                    bitPos += 2;
+
+                    for (var i = 0; i < repeat; i++)
+                    {
+                        distribution.push(0);
+                    }
+                }
+                while (repeat === 3);
+            }
+        }
+
+        if (remaining !== 0 || distribution.length > maxSymbol + 1)
+        {
+            throw new Error('Phaser.Zstd - Invalid FSE table');
+        }
+
+        var table = this.buildFSETable(distribution, log);
+
+        table.end = pos + Math.ceil(bitPos / 8);
+
+        return table;
+
+    },
+
+    /**
+    * Builds an FSE decoding table from a normalized distribution.
+    *
+    * @method Phaser.Zstd.buildFSETable
+    * @private
+    * @param {integer[]} distribution - The normalized probability of each symbol; -1 denotes a "less than 1" probability.
+    * @param {integer} log - The accuracy log of the table.
+    * @return {object} The table, with `symbols`, `bits`, `base` and `log`.
+    */
+    buildFSETable: function (distribution, log)
+    {
+
+        var size = 1 << log;
+        var symbols = new Uint8Array(size);
+        var bits = new Uint8Array(size);
+        var base = new Uint16Array(size);
+        var next = [];
+        var high = size;
+        var s;
+
+        //  "Less than 1" probability symbols go at the end of the table
+        for (s = 0; s < distribution.length; s++)
+        {
+            if (distribution[s] === -1)
+            {
+                symbols[--high] = s;
+                next[s] = 1;
+            }
+        }
+
+        var step = (size >> 1) + (size >> 3) + 3;
+        var mask = size - 1;
+        var pos = 0;
+
+        for (s = 0; s < distribution.length; s++)
+        {
+            if (distribution[s] <= 0)
+            {
+                continue;
+            }
+
+            next[s] = distribution[s];
+
+            for (var i = 0; i < distribution[s]; i++)
+            {
+                symbols[pos] = s;
+
+                do
+                {
+                    pos = (pos + step) & mask;
+                }
+                while (pos >= high);
+            }
+        }
+
+        if (pos !== 0)
+        {
+            throw new Error('Phaser.Zstd - Invalid FSE table');
+        }
+
+        for (var state = 0; state < size; state++)
+        {
+            var n = next[symbols[state]]++;
+            var highBit = 0;
+
+            while ((2 << highBit) <= n)
+            {
+                highBit++;
+            }
+
+            bits[state] = log - highBit;
+            base[state] = (n << bits[state]) - size;
+        }
+
+        return { symbols: symbols, bits: bits, base: base, log: log };
+
+    },
+
+    /**
+    * Decodes the sequences section of a compressed block and executes the sequences, writing the block content to the output.
+    *
+    * @method Phaser.Zstd.executeSequences
+    * @private
+    * @param {object} state - The decoder state.
+    * @param {object} context - The frame context.
+    * @param {Uint8Array} literals - The literals of the block.
+    * @param {integer} pos - The byte position of the sequences section.
+    * @param {integer} end - The byte position after the block content.
+    */
+    executeSequences: function (state, context, literals, pos, end)
+    {
+
+        var input = state.input;
+        var count = input[pos++];
+        var literalPos = 0;
+
+        if (count >= 128)
+        {
+            if (count === 255)
+            {
+                count = input[pos] + (input[pos + 1] << 8) + 0x7f00;
+                pos += 2;
+            }
+            else
+            {
+                count = ((count - 128) << 8) + input[pos++];
+            }
+        }
+
+        if (count > 0)
+        {
+            var modes = input[pos++];
+            var tables = context.tables;
+            var defaults = [ this.LITERALS_LENGTH_DEFAULT, this.OFFSET_DEFAULT, this.MATCH_LENGTH_DEFAULT ];
+            var defaultLogs = [ 6, 5, 6 ];
+            var maxLogs = [ 9, 8, 9 ];
+            var maxSymbols = [ 35, 31, 52 ];
+
+            //  The literals length, offset and match length tables, in that order
+            for (var t = 0; t < 3; t++)
+            {
+                var mode = (modes >> (6 - t * 2)) & 3;
+
+                if (mode === 0)
+                {
+                    tables[t] = this.buildFSETable(defaults[t], defaultLogs[t]);
+                }
+                else if (mode === 1)
+                {
+                    tables[t] = { symbols: [ input[pos++] ], bits: [ 0 ], base: [ 0 ], log: 0 };
+                }
+                else if (mode === 2)
+                {
+                    tables[t] = this.readFSETable(input, pos, maxSymbols[t], maxLogs[t]);
+                    pos = tables[t].end;
+                }
+                else if (!tables[t])
+                {
+                    throw new Error('Phaser.Zstd - Missing FSE table');
+                }
+            }
+
+            var reader = this.createReverseReader(input, pos, end);
+            var llTable = tables[0];
+            var ofTable = tables[1];
+            var mlTable = tables[2];
+            var llState = this.readReverse(reader, llTable.log);
+            var ofState = this.readReverse(reader, ofTable.log);
+            var mlState = this.readReverse(reader, mlTable.log);
+            var offsets = context.offsets;
+
+            for (var i = 0; i < count; i++)
+            {
+                var ofCode = ofTable.symbols[ofState];
+                var mlCode = mlTable.symbols[mlState];
+                var llCode = llTable.symbols[llState];
+
+                if (ofCode > 31 || mlCode > 52 || llCode > 35)
+                {
+                    throw new Error('Phaser.Zstd - Invalid sequence');
+                }
+
+                var offsetValue = Math.pow(2, ofCode) + this.readReverse(reader, ofCode);
+                var matchLength = this.MATCH_LENGTH_CODES[mlCode * 2] + this.readReverse(reader, this.MATCH_LENGTH_CODES[mlCode * 2 + 1]);
+                var literalLength = this.LITERALS_LENGTH_CODES[llCode * 2] + this.readReverse(reader, this.LITERALS_LENGTH_CODES[llCode * 2 + 1]);
+                var offset;
+
+                if (offsetValue > 3)
+                {
+                    offset = offsetValue - 3;
+                    offsets[2] = offsets[1];
+                    offsets[1] = offsets[0];
+                    offsets[0] = offset;
+                }
+                else
+                {
+                    //  A repeat offset; the meaning shifts by one when there are no literals
+                    var repeat = offsetValue - 1 + ((literalLength === 0) ? 1 : 0);
+
+                    if (repeat === 0)
+                    {
+                        offset = offsets[0];
+                    }
+                    else
+                    {
+                        offset = (repeat < 3) ? offsets[repeat] : offsets[0] - 1;
+
+                        if (repeat > 1)
+                        {
+                            offsets[2] = offsets[1];
+                        }
+
+                        offsets[1] = offsets[0];
+                        offsets[0] = offset;
+                    }
+                }
+
+                if (i < count - 1)
+                {
+                    llState = llTable.base[llState] + this.readReverse(reader, llTable.bits[llState]);
+                    mlState = mlTable.base[mlState] + this.readReverse(reader, mlTable.bits[mlState]);
+                    ofState = ofTable.base[ofState] + this.readReverse(reader, ofTable.bits[ofState]);
+                }
+
+                if (literalPos + literalLength > literals.length || offset === 0 || offset > state.outPos + literalLength)
+                {
+                    throw new Error('Phaser.Zstd - Invalid sequence');
+                }
+
+                this.reserve(state, literalLength + matchLength);
+
+                var output = state.output;
+
+                output.set(literals.subarray(literalPos, literalPos + literalLength), state.outPos);
+                state.outPos += literalLength;
+                literalPos += literalLength;
+
+                //  Byte by byte, as the source and destination may overlap
+                for (var m = 0; m < matchLength; m++)
+                {
+                    output[state.outPos] = output[state.outPos - offset];
+                    state.outPos++;
+                }
+            }
+
+            if (reader.pos !== 0)
+            {
+                throw new Error('Phaser.Zstd - Invalid sequences bitstream');
+            }
+        }
+
+        //  Any remaining literals follow the last sequence
+        this.reserve(state, literals.length - literalPos);
+        state.output.set(literals.subarray(literalPos), state.outPos);
+        state.outPos += literals.length - literalPos;
+
+    }
+
+};
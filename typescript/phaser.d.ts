@@ -184,6 +184,7 @@ declare module Phaser {
         updateIfVisible: boolean;
 
         add(name: string, frames?: number[] | string[], frameRate?: number, loop?: boolean, useNumericIndex?: boolean): Phaser.Animation;
+        addAtlasAnimations(names?: string[], frameRate?: number): Phaser.Animation[];
         copyFrameData(frameData: Phaser.FrameData, frame: string | number): boolean;
         destroy(): void;
         getAnimation(name: string): Phaser.Animation;
@@ -199,8 +200,12 @@ declare module Phaser {
     class AnimationParser {
 
         static JSONData(game: Phaser.Game, json: any): Phaser.FrameData;
+        static JSONDataAseprite(game: Phaser.Game, json: any): Phaser.FrameData;
         static JSONDataHash(game: Phaser.Game, json: any): Phaser.FrameData;
+        static JSONDataMultiPack(game: Phaser.Game, json: any): Phaser.FrameData;
         static JSONDataPyxel(game: Phaser.Game, json: any): Phaser.FrameData;
+        static LibGDXData(game: Phaser.Game, atlas: string | any[]): Phaser.FrameData;
+        static parseLibGDX(text: string): any[];
         static spriteSheet(game: Phaser.Game, key: string, frameWidth: number, frameHeight: number, frameMax?: number, margin?: number, spacing?: number, skipFrames?: number): Phaser.FrameData;
         static XMLData(game: Phaser.Game, xml: any): Phaser.FrameData;
 
@@ -536,6 +541,7 @@ declare module Phaser {
         static JSON: number;
         static PHYSICS: number;
         static READY_TIMEOUT: number;
+        static REFERENCED: number[];
         static RENDER_TEXTURE: number;
         static SHADER: number;
         static SOUND: number;
@@ -553,8 +559,10 @@ declare module Phaser {
         autoResolveURL: boolean;
         game: Phaser.Game;
         onReady: Phaser.Signal;
+        onRemoveUnused: Phaser.Signal;
         onSoundUnlock: Phaser.Signal;
 
+        addReference(key: string, cache: number, owner: any): number;
         addBinary(key: string, binaryData: any): void;
         addBitmapData(key: string, bitmapData: Phaser.BitmapData, frameData?: Phaser.FrameData): Phaser.BitmapData;
         addBitmapFont(key: string, url: string, data: any, atlasData: any, atlasType: string, xSpacing?: number, ySpacing?: number): void;
@@ -631,6 +639,10 @@ declare module Phaser {
         isSpriteSheet(key: string): boolean;
         reloadSound(key: string): void;
         reloadSoundComplete(key: string): void;
+        getReferenceCount(key: string, cache: number): number;
+        getReport(caches?: number[]): { count: number; bytes: number; caches: any; };
+        getReferences(key: string, cache: number): any[];
+        getTextureMemory(base: PIXI.BaseTexture): number;
         removeBinary(key: string): void;
         removeBitmapData(key: string): void;
         removeBitmapFont(key: string): void;
@@ -638,6 +650,7 @@ declare module Phaser {
         removeImage(key: string, destroyBaseTexture?: boolean): void;
         removeJSON(key: string): void;
         removePhysics(key: string): void;
+        removeReference(key: string, cache: number, owner: any): number;
         removeRenderTexture(key: string): void;
         removeShader(key: string): void;
         removeSound(key: string): void;
@@ -645,6 +658,7 @@ declare module Phaser {
         removeText(key: string): void;
         removeTextureAtlas(key: string): void;
         removeTilemap(key: string): void;
+        removeUnused(caches?: number[]): { total: number; keys: any; textureMemory: number; gpuMemory: number; };
         removeXML(key: string): void;
         removeVideo(key: string): void;
         updateFrameData(key: string, frameData: any, cache?: number): void;
@@ -1421,6 +1435,7 @@ declare module Phaser {
 
         constructor(index: number, x: number, y: number, width: number, height: number, name: string);
 
+        baseTexture: PIXI.BaseTexture;
         bottom: number;
         centerX: number;
         centerY: number;
@@ -1430,12 +1445,14 @@ declare module Phaser {
         name: string;
         right: number;
         rotated: boolean;
+        rotatedAnticlockwise: boolean;
         sourceSizeH: number;
         sourceSizeW: number;
         spriteSourceSizeH: number;
         spriteSourceSizeW: number;
         spriteSourceSizeX: number;
         spriteSourceSizeY: number;
+        textureIndex: number;
         trimmed: boolean;
         uuid: string;
         width: number;
@@ -1451,6 +1468,8 @@ declare module Phaser {
 
     class FrameData {
 
+        animations: any;
+        slices: any;
         total: number;
 
         addFrame(frame: Frame): Phaser.Frame;
@@ -1461,6 +1480,7 @@ declare module Phaser {
         getFrameIndexes(frames?: number[], useNumericIndex?: boolean, output?: number[]): number[];
         getFrameRange(start: number, end: number, output: Phaser.Frame[]): Phaser.Frame[];
         getFrames(frames?: number[], useNumericIndex?: boolean, output?: Phaser.Frame[]): Phaser.Frame[];
+        getSlice(name: string, frame?: number): any;
 
     }
 
@@ -2087,6 +2107,14 @@ declare module Phaser {
 
     }
 
+    class Inflate {
+
+        static gunzip(input: Uint8Array): Uint8Array;
+        static inflate(input: Uint8Array): Uint8Array;
+        static inflateRaw(input: Uint8Array, offset?: number): Uint8Array;
+
+    }
+
     class Input {
 
         constructor(game: Phaser.Game);
@@ -2598,20 +2626,36 @@ declare module Phaser {
 
         static PHYSICS_LIME_CORONA_JSON: number;
         static PHYSICS_PHASER_JSON: number;
+        static PRIORITY_HIGH: number;
+        static PRIORITY_LOW: number;
+        static PRIORITY_NORMAL: number;
         static TEXTURE_ATLAS_JSON_ARRAY: number;
         static TEXTURE_ATLAS_JSON_HASH: number;
         static TEXTURE_ATLAS_XML_STARLING: number;
         static TEXTURE_ATLAS_JSON_PYXEL: number;
-
+        static TEXTURE_ATLAS_JSON_ASEPRITE: number;
+        static TEXTURE_ATLAS_LIBGDX: number;
+        static TEXTURE_ATLAS_JSON_MULTIPACK: number;
+        static VERSION_FILENAME: number;
+        static VERSION_QUERY: number;
+        static INTEGRITY_ALGORITHMS: any;
+
+        backgroundLoader: Phaser.Loader;
         baseURL: string;
+        basisTranscoder: () => any;
         cache: Phaser.Cache;
+        checkIntegrity: boolean;
         crossOrigin: boolean | string;
         enableParallel: boolean;
+        fallbackURLs: string[];
         game: Phaser.Game;
         hasLoaded: boolean;
         headers: any;
         isLoading: boolean;
         maxParallelDownloads: number;
+        maxRetries: number;
+        notifyState: boolean;
+        offlineCache: Phaser.OfflineCache;
         onBeforeLoadComplete: Phaser.Signal;
         onFileStart: Phaser.Signal;
         onFileComplete: Phaser.Signal;
@@ -2624,27 +2668,47 @@ declare module Phaser {
         progress: number;
         progressFloat: number;
         resetLocked: boolean;
+        retryBackoff: number;
+        retryDelay: number;
+        timeout: number;
         useXDomainRequest: boolean;
+        version: string;
+        versionMode: number;
 
         asyncComplete(file: any, errorMessage?: string): void;
         addSyncPoint(type: string, key: string): Phaser.Loader;
         addToFileList(type: string, key: string, url?: string, properties?: any, overwrite?: boolean, extension?: string): Phaser.Loader;
         atlas(key: string, textureURL?: string, atlasURL?: string, atlasData?: any, format?: number): Phaser.Loader;
+        atlasAseprite(key: string, textureURL?: string, atlasURL?: string, atlasData?: any): Phaser.Loader;
         atlasJSONArray(key: string, textureURL?: string, atlasURL?: string, atlasData?: any): Phaser.Loader;
         atlasJSONHash(key: string, textureURL?: string, atlasURL?: string, atlasData?: any): Phaser.Loader;
+        atlasLibGDX(key: string, atlasURL?: string, atlasData?: string, texturePath?: string): Phaser.Loader;
+        atlasMultiPack(key: string, atlasURL?: string, atlasData?: any, texturePath?: string): Phaser.Loader;
         atlasXML(key: string, textureURL?: string, atlasURL?: string, atlasData?: any): Phaser.Loader;
         audio(key: string, urls: string | string[] | any, autoDecode?: boolean): Phaser.Loader;
         audiosprite(key: string, urls: string[], jsonURL?: string, jsonData?: string | any, autoDecode?: boolean): Phaser.Loader;
         binary(key: string, url?: string, callback?: Function, callbackContext?: any): Phaser.Loader;
         bitmapFont(key: string, textureURL?: string, atlasURL?: string, atlasData?: any, xSpacing?: number, ySpacing?: number): Phaser.Loader;
         checkKeyExists(type: string, key: string): boolean;
+        createAsyncLoader(): Phaser.Loader;
+        createCachedResponse(record: any): any;
+        createFileError(file: any, message: string): Error;
+        createResponse(xhr: XMLHttpRequest, type: string): any;
         csvLoadComplete(file: any, xhr: XMLHttpRequest): void;
         fileComplete(file: any, xhr: XMLHttpRequest): void;
         fileError(file: any, xhr: XMLHttpRequest, reason: string): void;
         finishedLoading(abnormal?: boolean): void;
+        font(key: string, url?: string | string[], family?: string, descriptors?: any): Phaser.Loader;
+        fontError(file: any, xhr?: XMLHttpRequest, reason?: string): void;
+        fontLoadComplete(file: any, xhr: XMLHttpRequest): void;
         getAsset(type: string, key: string): any;
         getAssetIndex(type: string, key: string): number;
         getAudioURL(urls: any[]): void;
+        getFallbackURL(url: string, fallbackURLs: string[]): string;
+        getFileCache(type: string): number;
+        getOfflineCache(url: string): Phaser.OfflineCache;
+        getOfflineCacheKey(file: any, url: string): string;
+        loadBasisTranscoder(): any;
         image(key: string, url?: string | any, overwrite?: boolean): Phaser.Loader;
         imageFromBitmapData(key: string, bitmapData: Phaser.BitmapData, overwrite?: boolean): Phaser.Loader;
         imageFromGrid(key: string, width: number, height: number, cellWidth: number, cellHeight: number, color?: string): Phaser.Loader;
@@ -2652,22 +2716,36 @@ declare module Phaser {
         images(keys: string[], urls?: string[]): Phaser.Loader;
         json(key: string, url?: string, overwrite?: boolean): Phaser.Loader;
         jsonLoadComplete(file: any, xhr: XMLHttpRequest): void;
+        loadAsync(callback: (loader: Phaser.Loader) => void, callbackContext?: any): any;
         loadAudioTag(file: any): void;
         loadFile(file: any): void;
-        loadImageTag(file: any): void;
+        loadFileAsync(type: string, ...args: any[]): any;
+        loadImageTag(file: any, url?: string): void;
+        loadInBackground(callback: (loader: Phaser.Loader) => void, callbackContext?: any): any;
+        loadNextTilemapFile(file: any): void;
+        loadTilemapFiles(file: any, data: any): void;
         pack(key: string, url?: string, data?: any, callbackContext?: any): Phaser.Loader;
         parseXml(data: string): XMLDocument;
+        pause(): void;
         physics(key: string, url?: string, data?: any, format?: string): Phaser.Loader;
         processLoadQueue(): void;
         processPack(pack: any): void;
+        releaseFile(type: string, key: string): void;
         removeAll(): void;
-        removeFile(type: string, key: string): void;
+        removeFile(type: string, key: string): any;
         replaceInFileList(type: string, key: string, url: string, properties: any): void;
         reset(hard?: boolean, clearEvents?: boolean): void;
         resize(): void;
+        resume(): void;
+        retryRequest(file: any, url: string, status: number, request: (url: string) => void): boolean;
+        runCallback(file: any, callback: Function): void;
         script(key: string, url?: String, callback?: Function, callbackContext?: any): Phaser.Loader;
         shader(key: string, url?: String, overwrite?: boolean): Phaser.Loader;
+        setFilePriority(type: string, key: string, priority: number): Phaser.Loader;
+        setFilePolicy(type: string, key: string, policy: { maxRetries?: number; retryDelay?: number; timeout?: number; fallbackURLs?: string[]; }): Phaser.Loader;
+        setFileVersion(type: string, key: string, version?: string, integrity?: string): Phaser.Loader;
         setPreloadSprite(sprite: Phaser.Sprite | Phaser.Image, direction?: number): void;
+        settleWaiting(file: any): void;
         spritesheet(key: string, url: string, frameWidth: number, frameHeight: number, frameMax?: number, margin?: number, spacing?: number, skipFrames?: number): Phaser.Loader;
         start(): void;
         text(key: string, url?: string, overwrite?: boolean): Phaser.Loader;
@@ -2677,9 +2755,14 @@ declare module Phaser {
         totalLoadedPacks(): number;
         totalQueuedFiles(): number;
         totalQueuedPacks(): number;
+        transcodeTexture(file: any, data: ArrayBuffer): void;
         transformUrl(url: string, file?: any): string;
         updateProgress(): void;
+        verifyIntegrity(data: ArrayBuffer, integrity: string): any;
+        versionUrl(url: string, version: string): string;
         video(key: string, urls: string | string[] | any, loadEvent?: string, asBlob?: boolean): Phaser.Loader;
+        waitFor(type: string, key: string): any;
+        withPriority(priority: number, callback: Function, callbackContext?: any): Phaser.Loader;
         withSyncPoint(callback: Function, callbackContext?: any): Phaser.Loader;
         xml(key: string, url?: string, overwrite?: boolean): Phaser.Loader;
         xhrLoad(file: any, url: string, type: string, onload: Function, onerror?: Function): void;
@@ -2692,6 +2775,11 @@ declare module Phaser {
         static bitmapFont(xml: any, baseTexture: PIXI.BaseTexture, xSpacing?: number, ySpacing?: number, frame?: Phaser.Frame, resolution?: number): any;
         static xmlBitmapFont(xml: any, baseTexture: PIXI.BaseTexture, xSpacing?: number, ySpacing?: number, frame?: Phaser.Frame, resolution?: number): any;
         static jsonBitmapFont(json: any, baseTexture: PIXI.BaseTexture, xSpacing?: number, ySpacing?: number, frame?: Phaser.Frame, resolution?: number): any;
+        static ktx2(arrayBuffer: ArrayBuffer, basis: any, compression: any): any;
+
+        static BASIS_FORMATS: any;
+        static BASIS_ORDER: { etc1s: string[]; uastc: string[]; };
+        static BASIS_RGBA32: number;
 
     }
 
@@ -2896,6 +2984,29 @@ declare module Phaser {
 
     }
 
+    class OfflineCache {
+
+        constructor(name?: string, maxSize?: number);
+
+        static VERSION: number;
+
+        available: boolean;
+        maxSize: number;
+        name: string;
+
+        clear(): any;
+        destroy(): void;
+        evict(maxSize?: number): any;
+        get(url: string): any;
+        getEntries(): any;
+        getSize(): any;
+        open(): any;
+        put(url: string, data: ArrayBuffer, type?: string, asset?: string): any;
+        remove(url: string): any;
+        transaction(mode: string, callback: (entries: any, data: any) => any, failed?: any): any;
+
+    }
+
     class Particle extends Phaser.Sprite {
 
         constructor(game: Phaser.Game, x: number, y: number, key?: any, frame?: any);
@@ -3282,6 +3393,14 @@ declare module Phaser {
                 right: boolean;
 
             }
+
+            class TilemapCollision {
+
+                static SLOPES: { [type: string]: number[] };
+
+                TILE_BIAS: number;
+
+            }
         }
 
         class Ninja {
@@ -5004,6 +5123,7 @@ declare module Phaser {
         state: Phaser.StateManager;
         time: Phaser.Time;
         tweens: Phaser.TweenManager;
+        unloadUnusedAssets: boolean | number[];
         world: Phaser.World;
 
         create(game: Phaser.Game): void;
@@ -5252,11 +5372,19 @@ declare module Phaser {
 
         static CSV: number;
         static TILED_JSON: number;
+        static TILED_XML: number;
+        static ORTHOGONAL: string;
+        static ISOMETRIC: string;
+        static STAGGERED: string;
+        static HEXAGONAL: string;
         static NORTH: number;
         static EAST: number;
         static SOUTH: number;
         static WEST: number;
 
+        static objectClasses: { [type: string]: any };
+
+        autotiles: Phaser.TilemapAutotile[];
         collision: any[];
         collideIndexes: any[];
         currentLayer: number;
@@ -5266,15 +5394,27 @@ declare module Phaser {
         game: Phaser.Game;
         height: number;
         heightInPixels: number;
+        hexSideLength: number;
         images: any[];
         imagecollections: ImageCollection[];
+        infinite: boolean;
         key: string;
         layer: Phaser.TilemapLayer[];
         layers: any[];
+        objectIndexes: any;
         objects: any[];
+        oneWayIndexes: number[];
         orientation: string;
+        originX: number;
+        originY: number;
+        parallaxOriginX: number;
+        parallaxOriginY: number;
+        pathfinders: Phaser.TilemapPathfinder[];
         properties: any;
         rayStepRate: number;
+        slopes: { [index: number]: string };
+        staggerAxis: string;
+        staggerIndex: string;
         tileHeight: number;
         tiles: Phaser.Tile[];
         tilesets: Phaser.Tileset[];
@@ -5283,36 +5423,56 @@ declare module Phaser {
         width: number;
         widthInPixels: number;
 
+        addAutotile(type: number, tiles: any, members?: number[]): Phaser.TilemapAutotile;
         addTilesetImage(tileset: string, key?: string | Phaser.BitmapData, tileWidth?: number, tileHeight?: number, tileMargin?: number, tileSpacing?: number, gid?: number): Phaser.Tileset;
-        calculateFaces(layer: number): void;
+        addWangAutotile(tileset: string, wangset?: string | number, color?: string | number): Phaser.TilemapAutotile;
+        autotile(x?: number, y?: number, width?: number, height?: number, layer?: any): void;
+        calculateFaces(layer: number, x?: number, y?: number, width?: number, height?: number): void;
         copy(x: number, y: number, width: number, height: number, layer?: any): Phaser.Tile[];
         create(name: string, width: number, height: number, tileWidth: number, tileHeight: number, group?: Phaser.Group): Phaser.TilemapLayer;
         createBlankLayer(name: string, width: number, height: number, tileWidth: number, tileHeight: number, group?: Phaser.Group): Phaser.TilemapLayer;
+        createFromObjectLayer(name: string, key?: string, frame?: any, group?: Phaser.Group, adjustY?: boolean, adjustSize?: boolean): { [type: string]: any[] };
         createFromObjects(name: string, gid: number, key: string, frame?: any, exists?: boolean, autoCull?: boolean, group?: Phaser.Group, CustomClass?: any, adjustY?: boolean, adjustSize?: boolean): void;
         createFromTiles(tiles: any, replacements: any, key: string, layer?: any, group?: Phaser.Group, properties?: any): number;
         createLayer(layer: any, width?: number, height?: number, group?: Phaser.Group): Phaser.TilemapLayer;
+        createPathfinder(layer?: number | string | Phaser.TilemapLayer, options?: TilemapPathfinderOptions): Phaser.TilemapPathfinder;
         destroy(): void;
         dump(): void;
         fill(index: number, x: number, y: number, width: number, height: number, layer?: any): void;
         forEach(callback: Function, context: any, x: number, y: Number, width: number, height: number, layer?: any): void;
+        getAutotile(index: number): Phaser.TilemapAutotile;
+        getAutotileMask(autotile: Phaser.TilemapAutotile, x: number, y: number, layer: number): number;
         getImageIndex(name: string): number;
         getIndex(location: any[], name: string): number;
         getLayer(layer: any): number;
         getLayerIndex(name: string): number;
+        getHexSideLength(): number;
         getObjectIndex(name: string): number;
+        getPixelSize(width: number, height: number, point?: Phaser.Point): Phaser.Point;
         getTile(x: number, y: number, layer?: any, nonNull?: boolean): Phaser.Tile;
         getTileAbove(layer: number, x: number, y: number): Phaser.Tile;
         getTileBelow(layer: number, x: number, y: number): Phaser.Tile;
         getTileLeft(layer: number, x: number, y: number): Phaser.Tile;
         getTileRight(layer: number, x: number, y: number): Phaser.Tile;
+        getTilePolygon(tile: Phaser.Tile, output?: number[]): number[];
+        getTiledChunks(data: number[], width: number, height: number): any[];
+        getTiledLayerData(layer: any): number[];
+        getTiledLayerStyle(layer: any, output: any): any;
+        getTiledObject(obj: any, offset: { x: number; y: number; }): any;
+        getTiledTiles(set: Phaser.Tileset, tiles?: any): any[];
+        getTiledTilesets(source: any): any[];
         getTilesetIndex(name: string): number;
         getTileWorldXY(x: number, y: number, tileWidth?: number, tileHeight?: number, layer?: number | string | Phaser.TilemapLayer, nonNull?: boolean): Phaser.Tile;
         hasTile(x: number, y: number, layer: Phaser.TilemapLayer): boolean;
+        isStaggered(): boolean;
+        isStaggeredIndex(index: number): boolean;
+        loadChunk(chunk: any, layer: number): void;
         paste(x: number, y: number, tileblock: Phaser.Tile[], layer?: any): void;
         putTile(tile: any, x: number, y: number, layer?: any): Phaser.Tile;
         putTileWorldXY(tile: any, x: number, y: number, tileWidth: number, tileHeight: number, layer?: any): void;
         random(x: number, y: number, width: number, height: number, layer?: any): void;
         removeAllLayers(): void;
+        removeAutotile(autotile: Phaser.TilemapAutotile): void;
         removeTile(x: number, y: number, layer?: any): Phaser.Tile;
         removeTileWorldXY(x: number, y: number, tileWidth: number, tileHeight: number, layer?: any): Phaser.Tile;
         replace(source: number, dest: number, x: number, y: number, width: number, height: number, layer?: any): void;
@@ -5322,12 +5482,46 @@ declare module Phaser {
         setCollisionByExclusion(indexes: any[], collides?: boolean, layer?: any, recalculate?: boolean): void;
         setCollisionByIndex(index: number, collides?: boolean, layer?: number, recalculate?: boolean): void;
         setLayer(layer: any): void;
+        setOneWay(indexes: number | number[], oneWay?: boolean): void;
         setPreventRecalculate(value: boolean): void;
+        setSlope(indexes: number | number[], type: string): void;
+        setSlopesFromProperties(): void;
         setTileIndexCallback(indexes: any, callback: Function, callbackContext?: any, layer?: any): void;
         setTileLocationCallback(x: number, y: number, width: number, height: number, callback: Function, callbackContext?: any, layer?: any): void;
         setTileSize(tileWidth: number, tileHeight: number): void;
+        setupObject(sprite: Phaser.Sprite, obj: any, exists: boolean, autoCull: boolean, group: Phaser.Group, adjustY: boolean, adjustSize: boolean): void;
         shuffle(x: number, y: number, width: number, height: number, layer: any): void;
         swap(tileA: number, tileB: number, x: number, y: number, width: number, height: number, layer?: any): void;
+        toTiledJSON(): any;
+        tileToWorldXY(x: number, y: number, point?: Phaser.Point): Phaser.Point;
+        unloadChunk(chunk: any, layer: number): void;
+        updateChunks(left: number, top: number, right: number, bottom: number, layer?: number | string | Phaser.TilemapLayer): boolean;
+        updatePathfinders(layer: number, x: number, y: number, width: number, height: number): void;
+        updateTileWorldXY(tile: Phaser.Tile, scaleX?: number, scaleY?: number): void;
+        worldToTileXY(x: number, y: number, point?: Phaser.Point): Phaser.Point;
+
+    }
+
+    class TilemapAutotile {
+
+        constructor(type: number, tiles: any, members?: number[], color?: number, wangType?: string);
+
+        static BLOB: number;
+        static MARCHING_SQUARES: number;
+        static WANG: number;
+        static BLOB_MASKS: number[];
+
+        static reduceMask(mask: number): number;
+
+        color: number;
+        members: number[];
+        tiles: any;
+        type: number;
+        wangType: string;
+
+        contains(index: number): boolean;
+        getIndex(mask: number): number;
+        getWangIndex(mask: number): number;
 
     }
 
@@ -5335,8 +5529,11 @@ declare module Phaser {
 
         constructor(game: Phaser.Game, tilemap: Phaser.Tilemap, index: number, width?: number, height?: number);
 
+        animationsPaused: boolean;
+        animationTime: number;
         cameraOffset: Phaser.Point;
         canvas: HTMLCanvasElement;
+        chunkPadding: number;
         collisionHeight: number;
         collisionWidth: number;
         context: CanvasRenderingContext2D;
@@ -5354,8 +5551,9 @@ declare module Phaser {
         layer: Phaser.TilemapLayer;
         map: Phaser.Tilemap;
         name: string;
+        parallaxOrigin: Phaser.Point;
         physicsType: number;
-        renderSettings: { enableScrollDelta: boolean; overdrawRatio: number; copyCanvas: any; };
+        renderSettings: { enableScrollDelta: boolean; overdrawRatio: number; copyCanvas: any; enableWebGLBatch: boolean; };
         scrollFactorX: number;
         scrollFactorY: number;
         scrollX: number;
@@ -5369,13 +5567,18 @@ declare module Phaser {
         getTileX(x: number): number;
         getTileXY(x: number, y: number, point: Phaser.Point): Phaser.Point;
         getTileY(y: number): number;
+        pauseAnimations(): void;
         postUpdate(): void;
         render(): void;
         resize(width: number, height: number): void;
         resizeWorld(): void;
+        resumeAnimations(): void;
         resetTilesetCache(): void;
         setScale(xScale?: number, yScale?: number): void;
+        streamChunks(): void;
+        updateAnimations(): void;
         updateMax(): void;
+        updateScroll(): void;
         getTileOffsetX(): number;
         getTileOffsetY(): number;
 
@@ -5422,11 +5625,97 @@ declare module Phaser {
     class TilemapParser {
 
         static INSERT_NULL: boolean;
-
+        static STREAM_CHUNKS: boolean;
+
+        static decompressors: { [compression: string]: (bytes: Uint8Array) => Uint8Array };
+
+        static applyTemplate(object: any, template: any, path: string, tilesets: any[]): any;
+        static convertTMX(xml: Document): any;
+        static convertTMXLayerData(node: Element, layer: any): void;
+        static convertTMXLayers(node: Element): any[];
+        static convertTMXObject(node: Element): any;
+        static convertTMXTileData(node: Element, encoding: string): any;
+        static createTile(map: any, layer: any, gid: number, x: number, y: number): Phaser.Tile;
+        static decodeLayerData(data: string, compression?: string, name?: string): number[];
+        static flattenLayers(layers: any[], group?: any): any[];
+        static getChunkBounds(json: any, layers?: any[]): { x: number; y: number; width: number; height: number; };
         static getEmptyData(tileWidth?: number, tileHeight?: number, width?: number, height?: number): any;
+        static getOriginOffset(map: any): { x: number; y: number; };
+        static getPropertyValues(properties: { name: string; value: any; }[]): any;
+        static getTemplatePaths(json: any): string[];
+        static getTileId(tiles: any, key: string): number;
+        static getTilesetPaths(json: any): string[];
+        static getXMLAttributes(node: Element, attributes: any): any;
+        static mergeChunks(chunks: any[], width: number, height: number): number[];
+        static mergeProperties(base: any, properties: any): any;
+        static multiplyTintColors(a?: string, b?: string): string;
         static parse(game: Phaser.Game, key: string, tileWidth?: number, tileHeight?: number, width?: number, height?: number): any;
         static parseCSV(key: string, data: string, tileWidth?: number, tileHeight?: number): any;
+        static parseChunks(json: any, map: any): any[];
         static parseJSON(json: any): any;
+        static parseTemplate(data: any): any;
+        static parseTileAnimations(tiles: any): any;
+        static parseTileProperties(tiles: any[]): any;
+        static parseTiledXML(xml: any): any;
+        static parseTileset(data: any): any;
+        static parseTintColor(color?: string): any;
+        static parseXMLObject(node: Element): any;
+        static parseXMLPoints(points: string): { x: number; y: number; }[];
+        static parseXMLProperties(node: Element): { name: string; type: string; value: any; }[];
+        static parseXMLText(node: Element): any;
+        static parseXMLTile(node: Element, set: any): void;
+        static parseXMLTileset(node: Element): any;
+        static parseXMLWangsets(node: Element): any[];
+        static resolvePath(base: string, path: string): string;
+        static resolveTemplates(json: any, templates: any): any;
+        static resolveTilesets(json: any, tilesets: any): any;
+        static toTiledProperties(properties: any): { name: string; type: string; value: any; }[];
+
+    }
+
+    interface TilemapPathfinderOptions {
+
+        algorithm?: number;
+        collides?: boolean;
+        costProperty?: string;
+        costs?: { [index: number]: number };
+        cutCorners?: boolean;
+        diagonal?: boolean;
+        iterationsPerFrame?: number;
+
+    }
+
+    class TilemapPathfinder extends Phaser.Plugin {
+
+        constructor(game: Phaser.Game, parent: Phaser.PluginManager);
+
+        static ASTAR: number;
+        static JPS: number;
+
+        algorithm: number;
+        collides: boolean;
+        costProperty: string;
+        costs: { [index: number]: number };
+        cutCorners: boolean;
+        diagonal: boolean;
+        grid: number[];
+        height: number;
+        iterationsPerFrame: number;
+        layer: number;
+        map: Phaser.Tilemap;
+        minCost: number;
+        width: number;
+
+        cancel(search: any): void;
+        cancelAll(): void;
+        destroy(): void;
+        findPath(startX: number, startY: number, endX: number, endY: number): Phaser.Point[];
+        findPath(startX: number, startY: number, endX: number, endY: number, callback: (path: Phaser.Point[], search: any) => void, callbackContext?: any): any;
+        getTileCost(tile: Phaser.Tile): number;
+        init(map: Phaser.Tilemap, layer?: number | string | Phaser.TilemapLayer, options?: TilemapPathfinderOptions): void;
+        isWalkable(x: number, y: number): boolean;
+        update(): void;
+        updateGrid(x?: number, y?: number, width?: number, height?: number): void;
 
     }
 
@@ -5434,6 +5723,7 @@ declare module Phaser {
 
         constructor(name: string, firstgid: number, width?: number, height?: number, margin?: number, spacing?: number, properties?: any);
 
+        baseTexture: PIXI.BaseTexture;
         columns: number;
         firstgid: number;
         image: any;
@@ -5441,16 +5731,18 @@ declare module Phaser {
         name: string;
         properties: any;
         rows: number;
+        tileAnimations: any;
         tileHeight: number;
         tileMargin: number;
         tileSpacing: number;
         tileWidth: number;
         total: number;
+        wangsets: any[];
 
         containsTileIndex(tileIndex: number): boolean;
         draw(context: CanvasRenderingContext2D, x: number, y: number, index: number): void;
         drawGl(glBatch: any[], x: number, y: number, index: number, alpha: number, flippedVal: number): void;
-        setImage(image: any): void;
+        setImage(image: any, baseTexture?: PIXI.BaseTexture): void;
         setSpacing(margin?: number, spacing?: number): void;
 
     }
@@ -5816,6 +6108,7 @@ declare module Phaser {
             box2dWorld(): void;
             camera(camera: Phaser.Camera, color?: string, filled?: boolean): void;
             cameraInfo(camera: Phaser.Camera, x: number, y: number, color?: string): void;
+            cache(x?: number, y?: number, color?: string, caches?: number[], maxEntries?: number): void;
             destroy(): void;
             geom(object: any, color?: string, fiiled?: boolean, forceType?: number): void;
             inputInfo(x: number, y: number, color?: string): void;
@@ -5960,4 +6253,12 @@ declare module Phaser {
 
     }
 
+    class Zstd {
+
+        static MAGIC: number;
+
+        static decompress(input: Uint8Array): Uint8Array;
+
+    }
+
 }
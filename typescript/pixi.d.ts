@@ -639,6 +639,7 @@ declare module PIXI {
         scope: any;
         valid: boolean;
         rotated: boolean;
+        rotatedAnticlockwise: boolean;
 
         listeners(eventName: string): Function[];
         emit(eventName: string, data?: any): boolean;